@@ -0,0 +1,495 @@
+// electron/auth-manager.js
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const EventEmitter = require('events');
+const { createError } = require('./errors');
+const { API_KEY_SCOPES } = require('./schemas');
+const RateLimiter = require('./rate-limiter');
+
+/**
+ * AuthManager handles backend users, login sessions and API keys
+ * Passwords use the same PBKDF2 hash + salt scheme as the desktop login (EncryptionService.createHash)
+ */
+class AuthManager extends EventEmitter {
+  /**
+   * Create a new AuthManager instance
+   * @param {DatabaseManager} dbManager - Database manager instance
+   * @param {EncryptionService} encryptionService - Encryption service used for hashing and tokens
+   * @param {Object} options - Optional settings
+   * @param {number} options.sessionTtl - Session lifetime in milliseconds (default 24 hours)
+   * @param {Object} options.userLoginLimit - Failed logins allowed per username ({ limit, windowMs }, default 5 per 15 minutes)
+   * @param {Object} options.addressLoginLimit - Failed logins allowed per address ({ limit, windowMs }, default 20 per 15 minutes)
+   */
+  constructor(dbManager, encryptionService, options = {}) {
+    super();
+    this.dbManager = dbManager;
+    this.encryptionService = encryptionService;
+    this.sessionTtl = options.sessionTtl || 24 * 60 * 60 * 1000;
+
+    // Failed logins are counted per username and per address; successful ones are not
+    this.userLoginLimiter = new RateLimiter(options.userLoginLimit || { limit: 5, windowMs: 15 * 60 * 1000 });
+    this.addressLoginLimiter = new RateLimiter(options.addressLoginLimit || { limit: 20, windowMs: 15 * 60 * 1000 });
+
+    // Checked for unknown usernames so that they take as long to reject as wrong passwords
+    this.dummyCredentials = encryptionService.createHash(crypto.randomBytes(16).toString('hex'));
+
+    // Scopes that can be granted to an API key; sessions get all of them
+    this.availableScopes = [...API_KEY_SCOPES];
+  }
+
+  /**
+   * Initialize the auth manager and update database schema
+   * @returns {Promise<boolean>} Success status
+   */
+  async initialize() {
+    try {
+      await this._updateDatabaseSchema();
+
+      // Drop sessions that expired while the server was down
+      await this.dbManager.executeQuery(
+        'DELETE FROM auth_sessions WHERE expires_at < ?',
+        [new Date().toISOString()]
+      );
+
+      console.log('Auth manager initialized successfully');
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize auth manager:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Update database schema to include user, session and API key tables
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _updateDatabaseSchema() {
+    const createTableQueries = [
+      `CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY,
+        username TEXT NOT NULL UNIQUE,
+        password_hash TEXT NOT NULL,
+        password_salt TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_login TIMESTAMP
+      )`,
+
+      // Only a hash of each session token is stored
+      `CREATE TABLE IF NOT EXISTS auth_sessions (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        last_used_at TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS api_keys (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        key_prefix TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        scopes TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP,
+        last_used_at TIMESTAMP,
+        revoked_at TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )`
+    ];
+
+    for (const query of createTableQueries) {
+      await this.dbManager.executeQuery(query);
+    }
+
+    const indexQueries = [
+      `CREATE INDEX IF NOT EXISTS idx_auth_sessions_user ON auth_sessions(user_id)`,
+      `CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id)`
+    ];
+
+    for (const query of indexQueries) {
+      await this.dbManager.executeQuery(query);
+    }
+  }
+
+  /**
+   * Check whether the first user still has to be created
+   * @returns {Promise<boolean>} True if no user exists
+   */
+  async isSetupRequired() {
+    const rows = await this.dbManager.executeSelect('SELECT COUNT(*) as count FROM users');
+    return rows[0].count === 0;
+  }
+
+  /**
+   * Create the first (owner) user; fails once any user exists
+   * The check and the insert are one statement, so of two concurrent setups only one succeeds
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @returns {Promise<Object>} Created user
+   */
+  async createInitialUser(username, password) {
+    try {
+      const user = this._prepareUser(username, password);
+
+      const { changes } = await this.dbManager.executeQuery(
+        `INSERT INTO users (id, username, password_hash, password_salt)
+        SELECT ?, ?, ?, ? WHERE NOT EXISTS (SELECT 1 FROM users)`,
+        [user.id, username, user.hash, user.salt]
+      );
+      if (changes === 0) {
+        throw createError('AUTH_SETUP_COMPLETE', 'Initial user has already been created');
+      }
+
+      await this.dbManager.logEvent('info', `Initial user account created: ${username}`);
+
+      return { id: user.id, username };
+    } catch (error) {
+      console.error('Failed to create initial user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a user
+   * @param {string} username - Username
+   * @param {string} password - Password (at least 8 characters)
+   * @returns {Promise<Object>} Created user
+   */
+  async createUser(username, password) {
+    try {
+      const user = this._prepareUser(username, password);
+
+      const existing = await this.dbManager.executeSelect(
+        'SELECT id FROM users WHERE username = ?',
+        [username]
+      );
+      if (existing.length > 0) {
+        throw createError('AUTH_USER_EXISTS', `User already exists: ${username}`);
+      }
+
+      await this.dbManager.executeQuery(
+        'INSERT INTO users (id, username, password_hash, password_salt) VALUES (?, ?, ?, ?)',
+        [user.id, username, user.hash, user.salt]
+      );
+
+      await this.dbManager.logEvent('info', `New user account created: ${username}`);
+
+      return { id: user.id, username };
+    } catch (error) {
+      console.error('Failed to create user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verify a username and password and open a session
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @param {string} remoteAddress - Address the attempt came from, if known
+   * @returns {Promise<Object>} Session token, expiry and user
+   * @throws {Error} AUTH_INVALID for wrong credentials, AUTH_RATE_LIMITED after too many failures
+   */
+  async login(username, password, remoteAddress = null) {
+    try {
+      this._checkLoginLimits(username, remoteAddress);
+
+      const users = await this.dbManager.executeSelect(
+        'SELECT * FROM users WHERE username = ?',
+        [username || '']
+      );
+
+      // Unknown usernames still pay for a hash check
+      const user = users[0];
+      const { password_hash: hash, password_salt: salt } = user || {
+        password_hash: this.dummyCredentials.hash,
+        password_salt: this.dummyCredentials.salt
+      };
+      const matches = this.encryptionService.verifyHash(typeof password === 'string' ? password : '', hash, salt);
+
+      if (!user || !matches) {
+        this.userLoginLimiter.consume(String(username || ''));
+        if (remoteAddress) {
+          this.addressLoginLimiter.consume(remoteAddress);
+        }
+        await this.dbManager.logEvent('warning', `Failed login attempt for user: ${username}`);
+        throw createError('AUTH_INVALID', 'Invalid credentials');
+      }
+
+      this.userLoginLimiter.reset(user.username);
+
+      const token = this.encryptionService.generateToken();
+      const expiresAt = new Date(Date.now() + this.sessionTtl).toISOString();
+
+      await this.dbManager.executeQuery(
+        'INSERT INTO auth_sessions (id, user_id, token_hash, expires_at) VALUES (?, ?, ?, ?)',
+        [`ses_${uuidv4()}`, user.id, this._hashToken(token), expiresAt]
+      );
+
+      await this.dbManager.executeQuery(
+        'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?',
+        [user.id]
+      );
+
+      await this.dbManager.logEvent('info', `User logged in: ${username}`);
+
+      return {
+        token,
+        expiresAt,
+        user: { id: user.id, username: user.username }
+      };
+    } catch (error) {
+      if (error.code !== 'AUTH_INVALID' && error.code !== 'AUTH_RATE_LIMITED') {
+        console.error('Failed to log in:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Refuse a login while its username or address has too many recent failures
+   * @private
+   * @param {string} username - Username
+   * @param {string} remoteAddress - Address the attempt came from, if known
+   * @throws {Error} AUTH_RATE_LIMITED with retryAfter in seconds
+   */
+  _checkLoginLimits(username, remoteAddress) {
+    const limits = [this.userLoginLimiter.peek(String(username || ''))];
+    if (remoteAddress) {
+      limits.push(this.addressLoginLimiter.peek(remoteAddress));
+    }
+
+    const retryAfter = Math.max(...limits.filter(limit => !limit.allowed).map(limit => limit.retryAfter), 0);
+    if (retryAfter > 0) {
+      const error = createError('AUTH_RATE_LIMITED', `Too many failed login attempts, try again in ${retryAfter} seconds`);
+      error.retryAfter = retryAfter;
+      throw error;
+    }
+  }
+
+  /**
+   * Close a session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async logout(sessionId) {
+    try {
+      await this.dbManager.executeQuery('DELETE FROM auth_sessions WHERE id = ?', [sessionId]);
+      return true;
+    } catch (error) {
+      console.error(`Failed to close session ${sessionId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve a session token or API key to the identity it grants
+   * @param {string} credential - Session token or API key (sk_...)
+   * @returns {Promise<Object|null>} Identity ({ type, id, userId, username, scopes }) or null if invalid
+   */
+  async authenticate(credential) {
+    if (!credential || typeof credential !== 'string') {
+      return null;
+    }
+
+    try {
+      const now = new Date().toISOString();
+      const tokenHash = this._hashToken(credential);
+
+      if (credential.startsWith('sk_')) {
+        const keys = await this.dbManager.executeSelect(
+          `SELECT k.*, u.username FROM api_keys k
+          JOIN users u ON u.id = k.user_id
+          WHERE k.key_hash = ? AND k.revoked_at IS NULL AND (k.expires_at IS NULL OR k.expires_at > ?)`,
+          [tokenHash, now]
+        );
+
+        if (keys.length === 0) {
+          return null;
+        }
+
+        const key = keys[0];
+        await this.dbManager.executeQuery('UPDATE api_keys SET last_used_at = ? WHERE id = ?', [now, key.id]);
+
+        return {
+          type: 'api_key',
+          id: key.id,
+          userId: key.user_id,
+          username: key.username,
+          scopes: JSON.parse(key.scopes)
+        };
+      }
+
+      const sessions = await this.dbManager.executeSelect(
+        `SELECT s.*, u.username FROM auth_sessions s
+        JOIN users u ON u.id = s.user_id
+        WHERE s.token_hash = ? AND s.expires_at > ?`,
+        [tokenHash, now]
+      );
+
+      if (sessions.length === 0) {
+        return null;
+      }
+
+      const session = sessions[0];
+      await this.dbManager.executeQuery('UPDATE auth_sessions SET last_used_at = ? WHERE id = ?', [now, session.id]);
+
+      return {
+        type: 'session',
+        id: session.id,
+        userId: session.user_id,
+        username: session.username,
+        scopes: [...this.availableScopes]
+      };
+    } catch (error) {
+      console.error('Failed to authenticate credential:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Issue a new API key; the plain key is only returned here
+   * @param {string} userId - Owner user ID
+   * @param {string} name - Label for the key
+   * @param {string[]} scopes - Granted scopes
+   * @param {Object} options - Optional settings
+   * @param {string} options.expiresAt - ISO expiry date (no expiry if omitted)
+   * @returns {Promise<Object>} Key metadata including the plain key
+   */
+  async createApiKey(userId, name, scopes, options = {}) {
+    try {
+      if (!name || typeof name !== 'string') {
+        throw createError('AUTH_INVALID_INPUT', 'API key name is required');
+      }
+
+      if (!Array.isArray(scopes) || scopes.length === 0) {
+        throw createError('AUTH_INVALID_INPUT', 'At least one scope is required');
+      }
+
+      const unknownScopes = scopes.filter(scope => !this.availableScopes.includes(scope));
+      if (unknownScopes.length > 0) {
+        throw createError('AUTH_INVALID_INPUT', `Unknown scopes: ${unknownScopes.join(', ')}`);
+      }
+
+      let expiresAt = null;
+      if (options.expiresAt) {
+        const expiry = new Date(options.expiresAt);
+        if (Number.isNaN(expiry.getTime()) || expiry.getTime() <= Date.now()) {
+          throw createError('AUTH_INVALID_INPUT', 'expiresAt must be a future date');
+        }
+        expiresAt = expiry.toISOString();
+      }
+
+      const keyId = `key_${uuidv4()}`;
+      const key = `sk_${this.encryptionService.generateToken()}`;
+      const keyPrefix = key.substring(0, 10);
+
+      await this.dbManager.executeQuery(
+        `INSERT INTO api_keys
+        (id, user_id, name, key_prefix, key_hash, scopes, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [keyId, userId, name, keyPrefix, this._hashToken(key), JSON.stringify(scopes), expiresAt]
+      );
+
+      await this.dbManager.logEvent('info', `API key created: ${name} (${keyPrefix}...)`);
+
+      return { id: keyId, name, key, keyPrefix, scopes, expiresAt };
+    } catch (error) {
+      console.error('Failed to create API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the API keys of a user (without the key hashes)
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Array<Object>>} API keys
+   */
+  async getApiKeys(userId) {
+    try {
+      const keys = await this.dbManager.executeSelect(
+        `SELECT id, name, key_prefix, scopes, created_at, expires_at, last_used_at, revoked_at
+        FROM api_keys WHERE user_id = ? ORDER BY created_at DESC`,
+        [userId]
+      );
+
+      return keys.map(key => ({
+        id: key.id,
+        name: key.name,
+        keyPrefix: key.key_prefix,
+        scopes: JSON.parse(key.scopes),
+        createdAt: key.created_at,
+        expiresAt: key.expires_at,
+        lastUsedAt: key.last_used_at,
+        revokedAt: key.revoked_at
+      }));
+    } catch (error) {
+      console.error('Failed to get API keys:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke an API key
+   * @param {string} userId - Owner user ID
+   * @param {string} keyId - API key ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async revokeApiKey(userId, keyId) {
+    try {
+      const result = await this.dbManager.executeQuery(
+        'UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+        [keyId, userId]
+      );
+
+      if (result.changes === 0) {
+        throw createError('API_KEY_NOT_FOUND', `API key not found: ${keyId}`);
+      }
+
+      await this.dbManager.logEvent('info', `API key revoked: ${keyId}`);
+
+      return true;
+    } catch (error) {
+      console.error(`Failed to revoke API key ${keyId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Hash a session token or API key for storage and lookup
+   * Tokens are 256-bit random values, so a plain SHA-256 is enough and keeps per-request checks cheap
+   * @private
+   * @param {string} token - Plain token
+   * @returns {string} Hex digest
+   */
+  _hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Validate new user credentials and hash the password
+   * @private
+   * @param {string} username - Username
+   * @param {string} password - Password (at least 8 characters)
+   * @returns {Object} { id, hash, salt }
+   * @throws {Error} AUTH_INVALID_INPUT when the username or password is not acceptable
+   */
+  _prepareUser(username, password) {
+    if (!username || typeof username !== 'string') {
+      throw createError('AUTH_INVALID_INPUT', 'Username is required');
+    }
+
+    if (!password || typeof password !== 'string' || password.length < 8) {
+      throw createError('AUTH_INVALID_INPUT', 'Password must be at least 8 characters');
+    }
+
+    const { salt, hash } = this.encryptionService.createHash(password);
+    return { id: `usr_${uuidv4()}`, hash, salt };
+  }
+}
+
+module.exports = AuthManager;
@@ -1,9 +1,12 @@
 // electron/broker-adapter.js
 const path = require('path');
 const { EventEmitter } = require('events');
-
-// Import broker implementations
-const MT5BrokerAdapter = require('./brokers/mt5');
+const { createError } = require('./errors');
+const { assertValid } = require('./schema-validator');
+const { normalizeOrder, normalizeOrderResult, getOrderTranslator } = require('./order-model');
+const { createEventNormalizer } = require('./broker-events');
+const { loadBrokerImplementations, defaultDescriptor } = require('./broker-registry');
+const { ConnectionSupervisor } = require('./connection-supervisor');
 
 /**
  * BrokerAdapter serves as the main interface for interacting with different broker implementations
@@ -13,12 +16,17 @@ class BrokerAdapter extends EventEmitter {
   /**
    * Create a new BrokerAdapter instance
    * @param {Object} config - Adapter configuration
+   * @param {Object} config.supervisor - Heartbeat and backoff settings for every connection (see ConnectionSupervisor)
    */
   constructor(config = {}) {
     super();
     this.brokers = new Map();
+    this.descriptors = new Map();
+    this.aliases = new Map();
     this.activeConnections = new Map();
     this.config = config;
+    this.symbolResolver = null;
+    this.currencyConverter = null;
     
     // Register supported broker adapters
     this.registerBrokerImplementations();
@@ -28,37 +36,8 @@ class BrokerAdapter extends EventEmitter {
    * Register all supported broker implementations
    */
   registerBrokerImplementations() {
-    // Built-in adapters
-    this.registerBrokerAdapter('mt5', MT5BrokerAdapter);
-    
-    // Explicitly load MT4 adapter
-    try {
-      const MT4BrokerAdapter = require('./brokers/mt4');
-      this.registerBrokerAdapter('mt4', MT4BrokerAdapter);
-    } catch (error) {
-      console.log('MT4 broker implementation not available');
-    }
-    
-    // Explicitly load FOREX.com adapter
-    try {
-      const ForexDotComAdapter = require('./brokers/forexdotcom');
-      this.registerBrokerAdapter('forex-com', ForexDotComAdapter);
-    } catch (error) {
-      console.log('FOREX.com broker implementation not available');
-    }
-    
-    // Dynamically load other adapters if available
-    const brokerTypes = ['interactive-brokers', 'fxify'];
-    
-    brokerTypes.forEach(brokerType => {
-      try {
-        // Attempt to load the broker implementation
-        const BrokerImpl = require(`./brokers/${brokerType}`);
-        this.registerBrokerAdapter(brokerType, BrokerImpl);
-      } catch (error) {
-        // Skip if implementation is not available
-        console.log(`Broker implementation not available: ${brokerType}`);
-      }
+    loadBrokerImplementations().forEach(({ descriptor, BrokerImpl }) => {
+      this.registerBrokerAdapter(descriptor.id, BrokerImpl);
     });
   }
   
@@ -69,6 +48,40 @@ class BrokerAdapter extends EventEmitter {
    */
   registerBrokerAdapter(brokerType, BrokerImpl) {
     this.brokers.set(brokerType, BrokerImpl);
+    
+    const descriptor = BrokerImpl.descriptor && BrokerImpl.descriptor.id === brokerType
+      ? BrokerImpl.descriptor
+      : defaultDescriptor(brokerType);
+    this.descriptors.set(brokerType, descriptor);
+    
+    // Older connections may be stored under a previous spelling of the type
+    (descriptor.aliases || []).forEach(alias => this.aliases.set(alias, brokerType));
+  }
+  
+  /**
+   * Resolve a broker type that may be stored under an alias
+   * @param {string} brokerType - Broker type or alias
+   * @returns {string} - Registered broker type (or the input when unknown)
+   */
+  resolveBrokerType(brokerType) {
+    return this.aliases.get(brokerType) || brokerType;
+  }
+  
+  /**
+   * Get the descriptor of a broker type
+   * @param {string} brokerType - Broker type or alias
+   * @returns {Object|null} - Descriptor, or null when the type is not registered
+   */
+  getBrokerDescriptor(brokerType) {
+    return this.descriptors.get(this.resolveBrokerType(brokerType)) || null;
+  }
+  
+  /**
+   * Get the descriptors of all registered broker types
+   * @returns {Array<Object>} - Broker descriptors
+   */
+  getBrokerDescriptors() {
+    return Array.from(this.descriptors.values());
   }
   
   /**
@@ -87,14 +100,54 @@ class BrokerAdapter extends EventEmitter {
    * @returns {Object} - Broker connection instance
    */
   createConnection(brokerType, connectionId, config) {
+    brokerType = this.resolveBrokerType(brokerType);
     if (!this.brokers.has(brokerType)) {
-      throw new Error(`Unsupported broker type: ${brokerType}`);
+      throw createError('BROKER_UNSUPPORTED', `Unsupported broker type: ${brokerType}`);
     }
     
     // Create new instance of broker adapter
     const BrokerImpl = this.brokers.get(brokerType);
     const brokerAdapter = new BrokerImpl();
     
+    // Adapters that price their own risk checks (FXIFY) convert amounts with this connection's quotes
+    if (typeof brokerAdapter.setCurrencyConverter === 'function') {
+      brokerAdapter.setCurrencyConverter((amount, from, to) => {
+        if (!this.currencyConverter) {
+          throw createError('QUOTE_UNAVAILABLE', `No currency conversion available on connection ${connectionId}`);
+        }
+        return this.currencyConverter(connectionId, amount, from, to);
+      });
+    }
+    
+    // The supervisor owns the connection state, heartbeats and reconnects
+    const supervisor = new ConnectionSupervisor({
+      connectionId,
+      brokerType,
+      instance: brokerAdapter,
+      options: this.config.supervisor
+    });
+    
+    supervisor.on('state', (change) => {
+      const connection = this.activeConnections.get(connectionId);
+      if (connection && connection.supervisor === supervisor) {
+        connection.connected = change.state === 'connected' || change.state === 'degraded';
+      }
+      
+      this.emit('connection:state', { connectionId, brokerType, ...change });
+      
+      if (change.state === 'connected' && change.previousState !== 'degraded') {
+        this.emit('connection:connected', { connectionId, brokerType });
+      } else if (change.state === 'reconnecting') {
+        this.emit('connection:reconnecting', {
+          connectionId,
+          brokerType,
+          attempt: change.attempt,
+          maxAttempts: change.maxAttempts,
+          delay: change.delay
+        });
+      }
+    });
+    
     // Set up event forwarding
     brokerAdapter.on('error', (error) => {
       this.emit('connection:error', { connectionId, error });
@@ -102,23 +155,65 @@ class BrokerAdapter extends EventEmitter {
     
     brokerAdapter.on('disconnected', () => {
       this.emit('connection:disconnected', { connectionId });
+      supervisor.handleBrokerDisconnect();
     });
     
-    // Forward specific events with connection context
-    const eventsToForward = ['tick', 'position', 'order', 'account'];
-    eventsToForward.forEach(eventName => {
-      brokerAdapter.on(eventName, (data) => {
-        this.emit(`${connectionId}:${eventName}`, data);
-        this.emit(eventName, { connectionId, ...data });
+    // Translate broker-specific events into the canonical tick/position/order/fill/account shapes
+    const normalizer = createEventNormalizer(brokerType, brokerAdapter);
+    Object.entries(normalizer).forEach(([rawEventName, normalize]) => {
+      brokerAdapter.on(rawEventName, (data) => {
+        supervisor.recordActivity();
+        
+        let events;
+        try {
+          events = normalize(data || {});
+        } catch (error) {
+          console.error(`Failed to normalize ${brokerType} ${rawEventName} event:`, error);
+          return;
+        }
+        
+        const receivedAt = new Date().toISOString();
+        events.forEach(([eventName, payload]) => {
+          const event = {
+            connectionId,
+            brokerType,
+            ...payload,
+            timestamp: payload.timestamp || receivedAt,
+            receivedAt
+          };
+          
+          // Keep the latest account snapshot for sizing and risk checks
+          if (eventName === 'account') {
+            const connection = this.activeConnections.get(connectionId);
+            if (connection && connection.instance === brokerAdapter) {
+              connection.account = event;
+            }
+          }
+          
+          this.emit(`${connectionId}:${eventName}`, event);
+          this.emit(eventName, event);
+        });
       });
     });
     
+    // Forward instrumentation events (command round-trips)
+    brokerAdapter.on('command', (data) => {
+      this.emit('connection:command', { connectionId, brokerType, ...data });
+    });
+    
+    // Forward state reloads of bridges that lost push events (sequence gaps)
+    brokerAdapter.on('resync', (data) => {
+      this.emit('connection:resync', { connectionId, brokerType, ...data });
+    });
+    
     // Store the connection
     this.activeConnections.set(connectionId, {
       instance: brokerAdapter,
+      supervisor,
       type: brokerType,
       config,
-      connected: false
+      connected: false,
+      account: null
     });
     
     return brokerAdapter;
@@ -132,7 +227,7 @@ class BrokerAdapter extends EventEmitter {
   getConnection(connectionId) {
     const connection = this.activeConnections.get(connectionId);
     if (!connection) {
-      throw new Error(`Connection not found: ${connectionId}`);
+      throw createError('CONNECTION_NOT_FOUND', `Connection not found: ${connectionId}`);
     }
     return connection.instance;
   }
@@ -156,22 +251,14 @@ class BrokerAdapter extends EventEmitter {
     try {
       const connection = this.activeConnections.get(connectionId);
       if (!connection) {
-        throw new Error(`Connection not found: ${connectionId}`);
+        throw createError('CONNECTION_NOT_FOUND', `Connection not found: ${connectionId}`);
       }
       
       // Merge connection config with connect-specific config
       const connectConfig = { ...connection.config, ...config };
       
-      // Connect to broker
-      const result = await connection.instance.connect(connectConfig);
-      
-      // Update connection status
-      if (result.success) {
-        connection.connected = true;
-        this.emit('connection:connected', { connectionId, brokerType: connection.type });
-      }
-      
-      return result;
+      // Connect to broker; the supervisor's state events update connection.connected
+      return await connection.supervisor.start(connectConfig);
     } catch (error) {
       this.emit('connection:error', { 
         connectionId, 
@@ -190,11 +277,11 @@ class BrokerAdapter extends EventEmitter {
     try {
       const connection = this.activeConnections.get(connectionId);
       if (!connection) {
-        throw new Error(`Connection not found: ${connectionId}`);
+        throw createError('CONNECTION_NOT_FOUND', `Connection not found: ${connectionId}`);
       }
       
-      // Disconnect from broker
-      const result = await connection.instance.disconnect();
+      // Disconnect from broker and stop heartbeats and reconnects
+      const result = await connection.supervisor.stop();
       
       // Update connection status
       connection.connected = false;
@@ -220,13 +307,11 @@ class BrokerAdapter extends EventEmitter {
       return false;
     }
     
-    // Disconnect if connected
-    if (connection.connected) {
-      try {
-        connection.instance.disconnect();
-      } catch (error) {
-        console.error(`Error disconnecting from ${connectionId}:`, error);
-      }
+    // Disconnect, and cancel any pending reconnect
+    if (connection.supervisor.state !== 'disconnected') {
+      Promise.resolve()
+        .then(() => connection.supervisor.stop())
+        .catch(error => console.error(`Error disconnecting from ${connectionId}:`, error));
     }
     
     // Remove connection
@@ -244,19 +329,22 @@ class BrokerAdapter extends EventEmitter {
   async executeMethod(connectionId, method, ...args) {
     const connection = this.activeConnections.get(connectionId);
     if (!connection) {
-      throw new Error(`Connection not found: ${connectionId}`);
+      throw createError('CONNECTION_NOT_FOUND', `Connection not found: ${connectionId}`);
     }
     
     if (!connection.connected) {
-      throw new Error(`Connection not active: ${connectionId}`);
+      throw createError('CONNECTION_NOT_ACTIVE', `Connection not active: ${connectionId}`);
     }
     
     if (typeof connection.instance[method] !== 'function') {
-      throw new Error(`Method not supported: ${method}`);
+      throw createError('BROKER_METHOD_UNSUPPORTED', `Method not supported: ${method}`);
     }
     
     try {
-      return await connection.instance[method](...args);
+      const result = await connection.instance[method](...args);
+      connection.supervisor.recordActivity();
+      connection.supervisor.trackCall(method, args);
+      return result;
     } catch (error) {
       this.emit('connection:error', { 
         connectionId, 
@@ -267,22 +355,176 @@ class BrokerAdapter extends EventEmitter {
     }
   }
   
+  /**
+   * Place an order described with the canonical order model
+   * @param {string} connectionId - Connection identifier
+   * @param {Object} order - Order (symbol, direction, type, volume, price, stopLoss, takeProfit, clientOrderId, comment)
+   * @returns {Promise<Object>} - { orderId, clientOrderId, status, brokerType, raw }
+   */
+  async placeOrder(connectionId, order) {
+    const normalized = normalizeOrder(order);
+    const { brokerType, translator, call } = this._getOrderContext(connectionId);
+    
+    // Explicit IB contracts already name the instrument
+    if (this.symbolResolver && !normalized.contract) {
+      normalized.symbol = await this.symbolResolver(connectionId, normalized.symbol);
+    }
+    
+    const raw = await translator.placeOrder(call, normalized);
+    const result = normalizeOrderResult(brokerType, raw, normalized);
+    
+    // Lets the trade records follow orders placed by any part of the app
+    this.emit('order:placed', { connectionId, brokerType, order: normalized, result });
+    return result;
+  }
+  
+  /**
+   * Change the price or protective levels of an open order
+   * @param {string} connectionId - Connection identifier
+   * @param {string|number} orderId - Broker order ID or ticket
+   * @param {Object} changes - { price, stopLoss, takeProfit }
+   * @returns {Promise<Object>} - Canonical order result
+   */
+  async modifyOrder(connectionId, orderId, changes) {
+    assertValid('OrderModification', changes, 'order changes');
+    const { brokerType, translator, call } = this._getOrderContext(connectionId);
+    
+    const raw = await translator.modifyOrder(call, orderId, changes);
+    return normalizeOrderResult(brokerType, raw || { orderId });
+  }
+  
+  /**
+   * Cancel a pending order
+   * @param {string} connectionId - Connection identifier
+   * @param {string|number} orderId - Broker order ID or ticket
+   * @returns {Promise<Object>} - Canonical order result
+   */
+  async cancelOrder(connectionId, orderId) {
+    const { brokerType, translator, call } = this._getOrderContext(connectionId);
+    
+    const raw = await translator.cancelOrder(call, orderId);
+    return normalizeOrderResult(brokerType, raw || { orderId });
+  }
+  
+  /**
+   * Close an open position, fully or partially
+   * @param {string} connectionId - Connection identifier
+   * @param {string|number} positionId - Broker position ID or ticket
+   * @param {number} volume - Volume to close (omit to close the whole position)
+   * @returns {Promise<Object>} - Canonical order result
+   */
+  async closePosition(connectionId, positionId, volume) {
+    const { brokerType, translator, call } = this._getOrderContext(connectionId);
+    
+    const raw = await translator.closePosition(call, positionId, volume);
+    return normalizeOrderResult(brokerType, raw || { orderId: positionId });
+  }
+  
+  /**
+   * Resolve the order translator of a connection
+   * @private
+   * @param {string} connectionId - Connection identifier
+   * @returns {Object} - { brokerType, translator, call } where call runs a broker method through executeMethod
+   */
+  _getOrderContext(connectionId) {
+    const connection = this.activeConnections.get(connectionId);
+    if (!connection) {
+      throw createError('CONNECTION_NOT_FOUND', `Connection not found: ${connectionId}`);
+    }
+    
+    return {
+      brokerType: connection.type,
+      translator: getOrderTranslator(connection.type),
+      call: (method, ...args) => this.executeMethod(connectionId, method, ...args)
+    };
+  }
+  
   /**
    * Get all active connections
+   * commandQueue is the bridge's command scheduler depth, or null for brokers without one
    * @returns {Array<Object>} - List of active connections
    */
   getActiveConnections() {
     const connections = [];
     this.activeConnections.forEach((connection, connectionId) => {
+      const instance = connection.instance;
       connections.push({
         id: connectionId,
         type: connection.type,
-        connected: connection.connected
+        connected: connection.connected,
+        state: connection.supervisor.state,
+        commandQueue: typeof instance.getQueueDepth === 'function' ? instance.getQueueDepth() : null
       });
     });
     return connections;
   }
   
+  /**
+   * Get the latest canonical account snapshot received from a connection
+   * @param {string} connectionId - Connection identifier
+   * @returns {Object|null} - AccountSnapshot, or null until the broker has reported one
+   */
+  getAccountSnapshot(connectionId) {
+    const connection = this.activeConnections.get(connectionId);
+    if (!connection) {
+      throw createError('CONNECTION_NOT_FOUND', `Connection not found: ${connectionId}`);
+    }
+    return connection.account;
+  }
+  
+  /**
+   * Check whether a connection is connected or still trying to be
+   * Its config is in use until the supervisor is disconnected or has given up reconnecting
+   * @param {string} connectionId - Connection identifier
+   * @returns {boolean} - True while connecting, connected, degraded or reconnecting
+   */
+  isConnectionInUse(connectionId) {
+    const connection = this.activeConnections.get(connectionId);
+    return connection ? !['disconnected', 'failed'].includes(connection.supervisor.state) : false;
+  }
+  
+  /**
+   * Replace the config a connection uses the next time it connects
+   * @param {string} connectionId - Connection identifier
+   * @param {Object} config - Connection configuration
+   */
+  setConnectionConfig(connectionId, config) {
+    const connection = this.activeConnections.get(connectionId);
+    if (!connection) {
+      throw createError('CONNECTION_NOT_FOUND', `Connection not found: ${connectionId}`);
+    }
+    connection.config = config;
+  }
+  
+  /**
+   * Get the supervised state of a connection
+   * @param {string} connectionId - Connection identifier
+   * @returns {Object} - { state, attempt, maxAttempts, lastActivity, subscriptions }
+   */
+  getConnectionState(connectionId) {
+    const connection = this.activeConnections.get(connectionId);
+    if (!connection) {
+      throw createError('CONNECTION_NOT_FOUND', `Connection not found: ${connectionId}`);
+    }
+    return connection.supervisor.getStatus();
+  }
+  
+  /**
+   * Set how SAITRAPP symbols are turned into a connection's broker symbols before orders are sent
+   * @param {Function} resolver - async (connectionId, symbol) => broker symbol
+   */
+  setSymbolResolver(resolver) {
+    this.symbolResolver = resolver;
+  }
+  
+  /**
+   * Set how amounts are converted between currencies for adapters that ask for it
+   * @param {Function} converter - async (connectionId, amount, from, to) => converted amount
+   */
+  setCurrencyConverter(converter) {
+    this.currencyConverter = converter;
+  }
+  
   /**
    * Check if a connection is active
    * @param {string} connectionId - Connection identifier
@@ -0,0 +1,713 @@
+// electron/broker-events.js
+const { ORDER_STATUSES } = require('./schemas');
+const { fromMetaTraderComment } = require('./order-model');
+
+/**
+ * Canonical market, position, order, fill and account events
+ *
+ * Every broker implementation reports state in its own shape (MT4 tickets, MT5 bridge
+ * events, TWS key/value account updates). BrokerAdapter passes those raw events through
+ * the normalizer of the connection's broker type and re-emits them as:
+ *
+ *   tick     { symbol, bid, ask, last }
+ *   position { positionId, symbol, direction, volume, openPrice, currentPrice, stopLoss, takeProfit, profit, status }
+ *   order    { orderId, clientOrderId, symbol, direction, type, volume, filledVolume, price, status }
+ *   fill     { orderId, executionId, positionId, symbol, direction, volume, price, commission, profit }
+ *   account  { accountId, currency, balance, equity, margin, freeMargin, profit, realizedProfit, dailyProfit }
+ *
+ * Fields a broker does not report are null: fills only carry an execution ID, commission and
+ * realized profit where the broker reports executions (TWS), and accounts only carry realized
+ * and daily profit where the broker tracks them.
+ *
+ * Each event also carries connectionId, brokerType, timestamp (broker time when reported,
+ * otherwise receipt time) and receivedAt, both as ISO strings. Normalizers keep a little
+ * state per connection, so fills can be derived from position changes on brokers that do
+ * not report executions separately.
+ */
+
+const EVENT_TYPES = ['tick', 'position', 'order', 'fill', 'account'];
+
+/**
+ * Return the first defined value among several field names
+ * @private
+ * @param {Object} data - Raw event data
+ * @param {...string} keys - Candidate field names
+ * @returns {*} Value or null
+ */
+function pick(data, ...keys) {
+  for (const key of keys) {
+    if (data[key] !== undefined && data[key] !== null && data[key] !== '') {
+      return data[key];
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a numeric field that may arrive as a string
+ * @private
+ * @param {*} value - Raw value
+ * @returns {number|null} Number or null
+ */
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Convert a broker time (epoch seconds, epoch milliseconds or date string) to ISO
+ * @param {*} value - Raw time
+ * @returns {string|null} ISO timestamp or null
+ */
+function toIsoTime(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  let date;
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    const number = Number(value);
+    date = new Date(number < 1e12 ? number * 1000 : number);
+  } else {
+    date = new Date(value);
+  }
+
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Normalize a trade direction (BUY/SELL, buy/sell, MQL 0/1, OP_BUY, ...)
+ * @param {*} value - Raw direction or order type
+ * @returns {string|null} BUY, SELL or null
+ */
+function toDirection(value) {
+  // MQL operation codes: OP_BUY 0, OP_SELL 1, OP_BUYLIMIT 2, OP_SELLLIMIT 3, OP_BUYSTOP 4, OP_SELLSTOP 5
+  if (/^[0-5]$/.test(String(value))) {
+    return Number(value) % 2 === 0 ? 'BUY' : 'SELL';
+  }
+
+  const text = String(value || '').toUpperCase();
+  if (text.includes('BUY')) return 'BUY';
+  if (text.includes('SELL')) return 'SELL';
+  return null;
+}
+
+/**
+ * Map a broker order status to one of ORDER_STATUSES
+ * @param {*} value - Raw status
+ * @returns {string} Canonical status
+ */
+function toOrderStatus(value) {
+  const text = String(value || '').toLowerCase().replace(/[\s-]/g, '_');
+
+  if (!text) return 'pending';
+  if (text.includes('partial')) return 'partially_filled';
+  if (text.includes('fill')) return 'filled';
+  if (text.includes('cancel') || text === 'deleted' || text === 'removed') return 'cancelled';
+  if (text.includes('reject') || text === 'inactive') return 'rejected';
+  if (text.includes('expire')) return 'expired';
+  if (text === 'pendingsubmit' || text === 'pending_submit' || text === 'submitted_to_broker') return 'submitted';
+  return 'pending';
+}
+
+/**
+ * Map a pending order type (LIMIT, BUY_STOP, ORDER_TYPE_SELL_LIMIT, ...) to MARKET, LIMIT or STOP
+ * @private
+ * @param {*} value - Raw type
+ * @returns {string} Canonical type
+ */
+function toOrderType(value) {
+  const text = String(value === undefined || value === null ? '' : value).toUpperCase();
+  if (text === '2' || text === '3') return 'LIMIT';
+  if (text === '4' || text === '5') return 'STOP';
+  if (text.includes('LIMIT') || text === 'LMT') return 'LIMIT';
+  if (text.includes('STOP') || text === 'STP') return 'STOP';
+  return 'MARKET';
+}
+
+/**
+ * Client order ID carried in a MetaTrader comment; the default 'SAITRAPP' comment carries none
+ * @private
+ * @param {string} comment - Order comment
+ * @returns {string|null} Client order ID
+ */
+function metaTraderClientId(comment) {
+  return comment && comment !== 'SAITRAPP' ? fromMetaTraderComment(comment) : null;
+}
+
+/**
+ * Build a canonical position from a MetaTrader position or ticket
+ * @private
+ * @param {Object} data - Raw position
+ * @returns {Object} Position payload
+ */
+function metaTraderPosition(data) {
+  const volume = toNumber(pick(data, 'volume', 'lots'));
+
+  return {
+    positionId: pick(data, 'positionId', 'ticket', 'id', 'position'),
+    clientOrderId: pick(data, 'clientOrderId') || metaTraderClientId(pick(data, 'comment')),
+    symbol: pick(data, 'symbol'),
+    direction: toDirection(pick(data, 'direction', 'type', 'cmd')),
+    volume,
+    openPrice: toNumber(pick(data, 'openPrice', 'priceOpen', 'price_open', 'price')),
+    currentPrice: toNumber(pick(data, 'currentPrice', 'priceCurrent', 'price_current', 'closePrice')),
+    stopLoss: toNumber(pick(data, 'stopLoss', 'sl')),
+    takeProfit: toNumber(pick(data, 'takeProfit', 'tp')),
+    profit: toNumber(pick(data, 'profit')),
+    status: volume === 0 || data.closed ? 'closed' : 'open',
+    timestamp: toIsoTime(pick(data, 'time', 'updateTime', 'openTime'))
+  };
+}
+
+/**
+ * Build a canonical order from a MetaTrader pending order
+ * @private
+ * @param {Object} data - Raw order
+ * @param {string} fallbackStatus - Status used when the bridge sends none
+ * @returns {Object} Order payload
+ */
+function metaTraderOrder(data, fallbackStatus) {
+  const rawType = pick(data, 'orderType', 'type', 'cmd');
+
+  return {
+    orderId: pick(data, 'orderId', 'ticket', 'id', 'order'),
+    clientOrderId: pick(data, 'clientOrderId') || metaTraderClientId(pick(data, 'comment')),
+    symbol: pick(data, 'symbol'),
+    direction: toDirection(pick(data, 'direction', 'type', 'cmd')),
+    type: toOrderType(rawType),
+    volume: toNumber(pick(data, 'volume', 'lots', 'volumeInitial')),
+    filledVolume: toNumber(pick(data, 'filledVolume', 'volumeFilled')),
+    price: toNumber(pick(data, 'price', 'openPrice', 'priceOpen')),
+    status: data.status || data.state ? toOrderStatus(data.status || data.state) : fallbackStatus,
+    timestamp: toIsoTime(pick(data, 'time', 'updateTime', 'setupTime'))
+  };
+}
+
+/**
+ * Build a canonical account snapshot from MetaTrader account info
+ * @private
+ * @param {Object} data - Raw account info
+ * @returns {Object} Account payload
+ */
+function metaTraderAccount(data) {
+  return {
+    accountId: pick(data, 'login', 'account', 'accountId'),
+    currency: pick(data, 'currency'),
+    balance: toNumber(pick(data, 'balance')),
+    equity: toNumber(pick(data, 'equity')),
+    margin: toNumber(pick(data, 'margin')),
+    freeMargin: toNumber(pick(data, 'freeMargin', 'marginFree', 'margin_free')),
+    profit: toNumber(pick(data, 'profit')),
+    realizedProfit: null,
+    dailyProfit: null,
+    timestamp: toIsoTime(pick(data, 'time'))
+  };
+}
+
+/**
+ * Derive fills from MetaTrader position changes, which report holdings rather than executions
+ * @private
+ * @param {Map} knownVolumes - Last known volume per position ID
+ * @param {Object} position - Canonical position
+ * @returns {Array<Array>} [type, payload] pairs
+ */
+function positionFills(knownVolumes, position) {
+  const events = [['position', position]];
+  if (position.positionId === null || position.volume === null) {
+    return events;
+  }
+
+  const previous = knownVolumes.get(position.positionId) || 0;
+  const delta = position.volume - previous;
+
+  if (delta !== 0) {
+    const opposite = position.direction === 'BUY' ? 'SELL' : 'BUY';
+    events.push(['fill', {
+      orderId: null,
+      positionId: position.positionId,
+      symbol: position.symbol,
+      direction: delta > 0 ? position.direction : opposite,
+      volume: Math.abs(delta),
+      price: delta > 0 && previous === 0 ? position.openPrice : position.currentPrice,
+      timestamp: position.timestamp
+    }]);
+  }
+
+  if (position.status === 'closed') {
+    knownVolumes.delete(position.positionId);
+  } else {
+    knownVolumes.set(position.positionId, position.volume);
+  }
+
+  return events;
+}
+
+/**
+ * SAITRAPP symbol of a TWS contract (EURUSD for CASH pairs, the ticker otherwise)
+ * @private
+ * @param {Object} contract - TWS contract
+ * @returns {string|null} Symbol
+ */
+function contractSymbol(contract) {
+  if (!contract) return null;
+  return contract.secType === 'CASH' ? `${contract.symbol}${contract.currency}` : contract.symbol;
+}
+
+/**
+ * Offset of a time zone from UTC at an instant, from how the zone formats that instant
+ * @param {string} timeZone - IANA time zone (e.g. 'US/Eastern', 'Europe/Nicosia', 'Etc/GMT-2')
+ * @param {number} time - Instant in milliseconds since the epoch
+ * @returns {number} Offset in milliseconds, positive east of UTC
+ * @throws {RangeError} For unknown time zones
+ */
+function timeZoneOffset(timeZone, time) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(new Date(time)).reduce((result, part) => ({ ...result, [part.type]: Number(part.value) }), {});
+
+  const zoned = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return zoned - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Convert a TWS time ("20261019  14:31:02", optionally followed by a time zone) to ISO
+ * Times without a zone are in the time zone of the TWS session, assumed to be the local one
+ * @private
+ * @param {string} value - TWS time
+ * @returns {string|null} ISO timestamp or null
+ */
+function twsTime(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})[\s-]+(\d{2}):(\d{2}):(\d{2})(?:\s+(\S+))?$/.exec(String(value || '').trim());
+  if (!match) {
+    return toIsoTime(value);
+  }
+
+  const [year, month, day, hour, minute, second] = match.slice(1, 7).map(Number);
+  const zone = match[7];
+  if (!zone) {
+    return new Date(year, month - 1, day, hour, minute, second).toISOString();
+  }
+
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  try {
+    return new Date(asUtc - timeZoneOffset(zone, asUtc)).toISOString();
+  } catch (error) {
+    return new Date(year, month - 1, day, hour, minute, second).toISOString();
+  }
+}
+
+/**
+ * Build a canonical position from a TWS position message (TWS has no position IDs, so the
+ * account, symbol and security type identify it)
+ * @private
+ * @param {Object} data - { account, contract, position, avgCost }
+ * @returns {Object} Position payload
+ */
+function interactiveBrokersPosition(data) {
+  return {
+    positionId: `${data.account}:${contractSymbol(data.contract)}:${data.contract.secType}`,
+    symbol: contractSymbol(data.contract),
+    direction: data.position < 0 ? 'SELL' : 'BUY',
+    volume: Math.abs(data.position),
+    openPrice: toNumber(data.avgCost),
+    currentPrice: null,
+    stopLoss: null,
+    takeProfit: null,
+    profit: null,
+    status: data.position === 0 ? 'closed' : 'open',
+    timestamp: null
+  };
+}
+
+/**
+ * Build a canonical order from an open order returned by getOrders (openOrder merged with its orderStatus)
+ * @private
+ * @param {Object} data - { orderId, contract, action, totalQuantity, orderType, lmtPrice, auxPrice, orderRef, status, filled }
+ * @returns {Object} Order payload
+ */
+function interactiveBrokersOrder(data) {
+  const type = toOrderType(data.orderType);
+
+  return {
+    orderId: data.orderId,
+    clientOrderId: data.orderRef || null,
+    symbol: contractSymbol(data.contract),
+    direction: toDirection(data.action),
+    type,
+    volume: toNumber(data.totalQuantity),
+    filledVolume: toNumber(data.filled),
+    price: toNumber(type === 'STOP' ? data.auxPrice : data.lmtPrice),
+    status: toOrderStatus(data.status),
+    timestamp: null
+  };
+}
+
+/**
+ * Build a canonical fill from a TWS execution and its commission report
+ * @private
+ * @param {Object} contract - Contract of the execution
+ * @param {Object} execution - { orderId, execId, time, account, side, shares, price }
+ * @param {Object|null} report - { commission, realizedPnL }; realizedPnL is net of commissions
+ * @returns {Object} Fill payload
+ */
+function interactiveBrokersFill(contract, execution, report) {
+  const sides = { BOT: 'BUY', SLD: 'SELL' };
+
+  return {
+    // Orders entered in TWS itself have no API order ID
+    orderId: execution.orderId || null,
+    executionId: execution.execId,
+    positionId: `${execution.account}:${contractSymbol(contract)}:${contract.secType}`,
+    symbol: contractSymbol(contract),
+    direction: sides[execution.side] || toDirection(execution.side),
+    volume: execution.shares,
+    price: toNumber(execution.price),
+    commission: report ? report.commission : null,
+    profit: report ? report.realizedPnL : null,
+    timestamp: twsTime(execution.time)
+  };
+}
+
+/**
+ * Build a canonical account snapshot from TWS account values
+ * @private
+ * @param {Object} values - Account updates, account summary tags and P&L keyed by TWS tag,
+ *   with accountId and currency
+ * @returns {Object} Account payload
+ */
+function interactiveBrokersAccount(values) {
+  return {
+    accountId: values.accountId || null,
+    currency: values.currency || null,
+    balance: toNumber(pick(values, 'TotalCashValue', 'CashBalance')),
+    equity: toNumber(values.NetLiquidation),
+    margin: toNumber(pick(values, 'MaintMarginReq', 'InitMarginReq')),
+    freeMargin: toNumber(values.AvailableFunds),
+    profit: toNumber(values.UnrealizedPnL),
+    realizedProfit: toNumber(values.RealizedPnL),
+    dailyProfit: toNumber(values.DailyPnL),
+    timestamp: null
+  };
+}
+
+/**
+ * Normalizer for the MT4 bridge, which sends tickets and explicit close events
+ * @private
+ * @returns {Object} Handlers keyed by raw event name
+ */
+function createMT4Normalizer() {
+  const knownVolumes = new Map();
+
+  return {
+    tick: data => [['tick', {
+      symbol: data.symbol,
+      bid: toNumber(data.bid),
+      ask: toNumber(data.ask),
+      last: toNumber(data.last),
+      timestamp: toIsoTime(data.time)
+    }]],
+    position: data => positionFills(knownVolumes, metaTraderPosition(data)),
+    'position:close': data => positionFills(knownVolumes, { ...metaTraderPosition(data), volume: 0, status: 'closed' }),
+    order: data => [['order', metaTraderOrder(data, 'pending')]],
+    // Triggered pending orders come back as positions with the same ticket, so a removed order was cancelled
+    'order:close': data => [['order', metaTraderOrder(data, 'cancelled')]],
+    account: data => [['account', metaTraderAccount(data)]]
+  };
+}
+
+/**
+ * Normalizer for the MT5 bridge (and the FOREX.com and FXIFY adapters built on it)
+ * @private
+ * @returns {Object} Handlers keyed by raw event name
+ */
+function createMT5Normalizer() {
+  const knownVolumes = new Map();
+
+  return {
+    tick: data => [['tick', {
+      symbol: data.symbol,
+      bid: toNumber(data.bid),
+      ask: toNumber(data.ask),
+      last: toNumber(data.last),
+      timestamp: toIsoTime(pick(data, 'time_msc', 'timeMsc', 'time'))
+    }]],
+    position: data => positionFills(knownVolumes, metaTraderPosition(data)),
+    order: data => [['order', metaTraderOrder(data, 'pending')]],
+    account: data => [['account', metaTraderAccount(data)]]
+  };
+}
+
+/**
+ * Normalizer for Interactive Brokers TWS messages
+ * Fills come from executions, once their commission report has arrived
+ * @private
+ * @param {Object} broker - InteractiveBrokersAdapter instance (for request, order and P&L lookups)
+ * @returns {Object} Handlers keyed by raw event name
+ */
+function createInteractiveBrokersNormalizer(broker) {
+  const quotes = new Map(); // requestId -> { bid, ask, last }
+  const accounts = new Map(); // accountId -> values keyed by TWS tag
+  const positions = new Map(); // positionId -> last canonical position, completed by P&L updates
+  const executions = new Map(); // execId -> { contract, execution } waiting for its commission report
+  const summaries = new Map(); // requestId -> accounts of the summary being received
+  let lastAccount;
+
+  // TWS tick types: 1 bid, 2 ask, 4 last
+  const tickFields = { 1: 'bid', 2: 'ask', 4: 'last' };
+
+  const accountValues = accountId => {
+    if (!accounts.has(accountId)) {
+      accounts.set(accountId, { accountId });
+    }
+    return accounts.get(accountId);
+  };
+
+  const accountSnapshot = accountId => [['account', interactiveBrokersAccount(accountValues(accountId))]];
+
+  return {
+    marketData: data => {
+      const field = tickFields[data.tickType];
+      if (!field) {
+        return [];
+      }
+
+      const quote = { ...(quotes.get(data.requestId) || {}), [field]: data.price };
+      quotes.set(data.requestId, quote);
+
+      return [['tick', {
+        symbol: contractSymbol(broker.marketData[data.requestId]),
+        bid: toNumber(quote.bid),
+        ask: toNumber(quote.ask),
+        last: toNumber(quote.last),
+        timestamp: null
+      }]];
+    },
+
+    position: data => {
+      const position = interactiveBrokersPosition(data);
+      positions.set(position.positionId, position);
+      return [['position', position]];
+    },
+
+    // Live P&L of one position; the adapter subscribes for every open position
+    pnlSingle: data => {
+      const subscription = broker.pnlSubscriptions.get(data.requestId);
+      if (!subscription || !subscription.contract || !data.position) {
+        return [];
+      }
+
+      const { account, contract } = subscription;
+      const base = interactiveBrokersPosition({ account, contract, position: data.position, avgCost: null });
+      const known = positions.get(base.positionId);
+      const multiplier = Number(contract.multiplier) || 1;
+
+      const position = {
+        ...base,
+        openPrice: known ? known.openPrice : null,
+        currentPrice: data.value !== null ? Math.abs(data.value / (data.position * multiplier)) : null,
+        profit: data.unrealizedPnL
+      };
+      positions.set(position.positionId, position);
+
+      return [['position', position]];
+    },
+
+    orderStatus: data => {
+      const submitted = broker.submittedOrders.get(data.orderId) || {};
+      const volume = data.filled + data.remaining;
+      let status = toOrderStatus(data.status);
+      if (status === 'pending' && data.filled > 0 && data.remaining > 0) {
+        status = 'partially_filled';
+      }
+
+      return [['order', {
+        orderId: data.orderId,
+        clientOrderId: submitted.orderRef || null,
+        symbol: contractSymbol(submitted.contract),
+        direction: submitted.action || null,
+        type: toOrderType(submitted.orderType),
+        volume: Number.isFinite(volume) ? volume : null,
+        filledVolume: toNumber(data.filled),
+        price: toNumber(data.avgFillPrice) || null,
+        status,
+        timestamp: null
+      }]];
+    },
+
+    // Replayed executions (getExecutions) may already have their commission report
+    execution: data => {
+      const report = broker.commissionReports.get(data.execution.execId);
+      if (report) {
+        return [['fill', interactiveBrokersFill(data.contract, data.execution, report)]];
+      }
+
+      executions.set(data.execution.execId, data);
+      return [];
+    },
+
+    commissionReport: data => {
+      const pending = executions.get(data.execId);
+      if (!pending) {
+        return [];
+      }
+
+      executions.delete(data.execId);
+      return [['fill', interactiveBrokersFill(pending.contract, pending.execution, data)]];
+    },
+
+    accountUpdate: data => {
+      lastAccount = data.account || lastAccount;
+      const values = accountValues(lastAccount);
+      values[data.key] = data.value;
+      if (data.key === 'NetLiquidation' && data.currency) {
+        values.currency = data.currency;
+      }
+      return [];
+    },
+
+    // TWS ends each batch of account values with a timestamp, and the first download with accountDownloadEnd
+    accountUpdateTime: () => accountSnapshot(lastAccount),
+    accountUpdateEnd: data => accountSnapshot(data.account || lastAccount),
+
+    accountSummary: data => {
+      const values = accountValues(data.account);
+      values[data.tag] = data.value;
+      if (data.tag === 'NetLiquidation' && data.currency) {
+        values.currency = data.currency;
+      }
+
+      if (!summaries.has(data.requestId)) {
+        summaries.set(data.requestId, new Set());
+      }
+      summaries.get(data.requestId).add(data.account);
+      return [];
+    },
+
+    accountSummaryEnd: data => {
+      const summarized = summaries.get(data.requestId) || new Set();
+      summaries.delete(data.requestId);
+      return [...summarized].flatMap(accountId => accountSnapshot(accountId));
+    },
+
+    // Live P&L of a whole account
+    pnl: data => {
+      const subscription = broker.pnlSubscriptions.get(data.requestId);
+      if (!subscription) {
+        return [];
+      }
+
+      const values = accountValues(subscription.account);
+      [['DailyPnL', data.dailyPnL], ['UnrealizedPnL', data.unrealizedPnL], ['RealizedPnL', data.realizedPnL]].forEach(([key, value]) => {
+        if (value !== null) {
+          values[key] = value;
+        }
+      });
+
+      return accountSnapshot(subscription.account);
+    }
+  };
+}
+
+/**
+ * Normalizer for broker types without a dedicated one: forwards the four historical
+ * events as they are, with the common envelope fields added
+ * @private
+ * @returns {Object} Handlers keyed by raw event name
+ */
+function createPassthroughNormalizer() {
+  const handlers = {};
+  ['tick', 'position', 'order', 'account'].forEach(eventName => {
+    handlers[eventName] = data => [[eventName, { ...data, timestamp: toIsoTime(data.time) }]];
+  });
+  return handlers;
+}
+
+/**
+ * Normalizer for broker implementations that already emit canonical payloads (the demo
+ * account): every event type, fills included, is forwarded unchanged
+ * @private
+ * @returns {Object} Handlers keyed by raw event name
+ */
+function createCanonicalNormalizer() {
+  const handlers = {};
+  EVENT_TYPES.forEach(eventName => {
+    handlers[eventName] = data => [[eventName, data]];
+  });
+  return handlers;
+}
+
+const NORMALIZER_FACTORIES = {
+  'mt4': createMT4Normalizer,
+  'mt5': createMT5Normalizer,
+  'forex-com': createMT5Normalizer,
+  'fxify': createMT5Normalizer,
+  'interactive-brokers': createInteractiveBrokersNormalizer,
+  'demo': createCanonicalNormalizer
+};
+
+const metaTraderSnapshots = {
+  positions: metaTraderPosition,
+  orders: data => metaTraderOrder(data, 'pending')
+};
+
+// Converters for getPositions/getOrders results; broker types not listed already return canonical items
+const SNAPSHOT_CONVERTERS = {
+  'mt4': metaTraderSnapshots,
+  'mt5': metaTraderSnapshots,
+  'forex-com': metaTraderSnapshots,
+  'fxify': metaTraderSnapshots,
+  'interactive-brokers': {
+    positions: interactiveBrokersPosition,
+    orders: interactiveBrokersOrder,
+    fills: item => interactiveBrokersFill(item.contract, item, item.commissionReport),
+    account: item => interactiveBrokersAccount({ ...item.values, accountId: item.account, currency: item.currency })
+  }
+};
+
+/**
+ * Convert the result of getPositions, getOrders, getExecutions (fills) or getAccountSummary
+ * (account) into canonical payloads
+ * @param {string} brokerType - Broker type
+ * @param {string} kind - 'positions', 'orders', 'fills' or 'account'
+ * @param {Array|Object} result - Raw result (a list, or an object holding one)
+ * @returns {Array<Object>} Canonical payloads
+ */
+function normalizeSnapshot(brokerType, kind, result) {
+  const items = Array.isArray(result) ? result : (result && (result[kind] || result.data)) || [];
+  const convert = (SNAPSHOT_CONVERTERS[brokerType] || {})[kind] || (item => item);
+
+  return items.map(item => convert(item));
+}
+
+/**
+ * Create the event normalizer of a connection
+ * @param {string} brokerType - Broker type
+ * @param {Object} broker - Broker implementation instance
+ * @returns {Object} Handlers keyed by raw event name, each returning [type, payload] pairs
+ */
+function createEventNormalizer(brokerType, broker) {
+  const factory = NORMALIZER_FACTORIES[brokerType] || createPassthroughNormalizer;
+  return factory(broker);
+}
+
+module.exports = {
+  EVENT_TYPES,
+  ORDER_STATUSES,
+  createEventNormalizer,
+  normalizeSnapshot,
+  timeZoneOffset,
+  toIsoTime,
+  toDirection,
+  toOrderStatus
+};
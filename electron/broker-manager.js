@@ -1,6 +1,10 @@
 // electron/broker-manager.js
 const { v4: uuidv4 } = require('uuid');
 const BrokerAdapter = require('./broker-adapter');
+const { InstrumentService } = require('./instrument-service');
+const { HistoryStore } = require('./history-store');
+const { createError } = require('./errors');
+const { describeBroker, validateConnection, buildConnectionConfig, mergeConnectionParams } = require('./broker-registry');
 const path = require('path');
 
 /**
@@ -18,38 +22,68 @@ class BrokerManager {
     this.dbManager = dbManager;
     this.credentialStore = credentialStore;
     
-    // List of supported brokers
-    this.supportedBrokers = [
-      { id: 'mt5', name: 'MetaTrader 5', apiKeyRequired: false, apiSecretRequired: false },
-      { id: 'mt4', name: 'MetaTrader 4', apiKeyRequired: false, apiSecretRequired: false },
-      { id: 'interactive_brokers', name: 'Interactive Brokers', apiKeyRequired: true, apiSecretRequired: true },
-      { id: 'tdameritrade', name: 'TD Ameritrade', apiKeyRequired: true, apiSecretRequired: true },
-      { id: 'oanda', name: 'Oanda', apiKeyRequired: true, apiSecretRequired: false },
-      { id: 'fxify', name: 'FXIFY', apiKeyRequired: true, apiSecretRequired: true },
-      { id: 'forex-com', name: 'FOREX.com', apiKeyRequired: false, apiSecretRequired: false, mt5Required: true },
-      { id: 'binance', name: 'Binance', apiKeyRequired: true, apiSecretRequired: true },
-      { id: 'demo', name: 'Demo Account', apiKeyRequired: false, apiSecretRequired: false }
-    ];
-    
     // Initialize broker adapter
     this.brokerAdapter = new BrokerAdapter();
     
+    // Symbol maps and instrument specs of every connection; orders go out with broker symbols
+    this.instruments = new InstrumentService(dbManager, this.brokerAdapter);
+    this.brokerAdapter.setSymbolResolver((connectionId, symbol) => this.instruments.resolveSymbol(connectionId, symbol));
+    this.brokerAdapter.setCurrencyConverter((connectionId, amount, from, to) => this.instruments.convert(connectionId, amount, from, to));
+    
+    // Price bars downloaded from the brokers, kept locally per connection
+    this.history = new HistoryStore(dbManager, this.brokerAdapter, this.instruments);
+    
     // Cache active connections
     this.activeConnections = new Map();
+    
+    // Keep the status cache in step with the supervised connection state (reconnects, heartbeats)
+    this.brokerAdapter.on('connection:state', ({ connectionId, state, reason }) => {
+      this.updateConnectionStatus(connectionId, state, reason);
+    });
   }
   
   /**
-   * Get list of supported brokers
-   * @returns {Array<Object>} List of supported brokers and their requirements
+   * Load the symbol maps of the stored connections and prepare the price history store
+   * @returns {Promise<boolean>} Success status
+   */
+  async initialize() {
+    try {
+      await this.instruments.initialize();
+      await this.history.initialize();
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize broker manager:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Get list of supported brokers, as declared by the registered broker implementations
+   * @returns {Array<Object>} List of supported brokers, their requirements and capabilities
    */
   getSupportedBrokers() {
-    return [...this.supportedBrokers];
+    return this.brokerAdapter.getBrokerDescriptors().map(describeBroker);
+  }
+  
+  /**
+   * Get the descriptor of a broker type
+   * @private
+   * @param {string} brokerType - Broker type (or a former spelling of it)
+   * @returns {Object} Broker descriptor
+   * @throws {Error} BROKER_UNSUPPORTED when no implementation declares the type
+   */
+  _getBrokerDescriptor(brokerType) {
+    const descriptor = this.brokerAdapter.getBrokerDescriptor(brokerType);
+    if (!descriptor) {
+      throw createError('BROKER_UNSUPPORTED', `Unsupported broker type: ${brokerType}`);
+    }
+    return descriptor;
   }
   
   /**
    * Add a new broker connection
    * @param {string} name - User-friendly name for this connection
-   * @param {string} brokerType - Type of broker (must be in supportedBrokers)
+   * @param {string} brokerType - Type of broker (id of a registered broker descriptor)
    * @param {string} apiKey - API key for authentication
    * @param {string} apiSecret - API secret for authentication
    * @param {Object} additionalParams - Additional connection parameters
@@ -57,20 +91,10 @@ class BrokerManager {
    */
   async addBrokerConnection(name, brokerType, apiKey, apiSecret, additionalParams = {}) {
     try {
-      // Validate broker type
-      const brokerInfo = this.supportedBrokers.find(b => b.id === brokerType);
-      if (!brokerInfo) {
-        throw new Error(`Unsupported broker type: ${brokerType}`);
-      }
-      
-      // Validate required fields
-      if (brokerInfo.apiKeyRequired && !apiKey) {
-        throw new Error('API Key is required for this broker');
-      }
-      
-      if (brokerInfo.apiSecretRequired && !apiSecret) {
-        throw new Error('API Secret is required for this broker');
-      }
+      // Validate broker type, credentials and settings against the broker's descriptor
+      const descriptor = this._getBrokerDescriptor(brokerType);
+      validateConnection(descriptor, { apiKey, apiSecret, additionalParams });
+      brokerType = descriptor.id;
       
       // Generate a unique ID for this connection
       const connectionId = `conn_${uuidv4()}`;
@@ -133,7 +157,7 @@ class BrokerManager {
   async getBrokerConnections() {
     try {
       const connections = await this.dbManager.executeSelect(
-        'SELECT id, name, broker_type, is_active, created_at, last_connected FROM broker_connections ORDER BY name'
+        'SELECT id, name, broker_type, api_key_encrypted, is_active, created_at, last_connected FROM broker_connections ORDER BY name'
       );
       
       return connections.map(conn => ({
@@ -164,7 +188,7 @@ class BrokerManager {
       );
       
       if (connections.length === 0) {
-        throw new Error(`Connection not found: ${connectionId}`);
+        throw createError('CONNECTION_NOT_FOUND', `Connection not found: ${connectionId}`);
       }
       
       const connection = connections[0];
@@ -192,14 +216,33 @@ class BrokerManager {
   
   /**
    * Update a broker connection
+   * Credentials and settings cannot change while the connection is in use; the adapter picks
+   * them up on its next connect
    * @param {string} connectionId - Connection ID
-   * @param {Object} updates - Fields to update
+   * @param {Object} updates - Fields to update; additionalParams is merged into the stored params
    * @returns {Promise<Object>} Updated connection object
    */
   async updateBrokerConnection(connectionId, updates) {
     try {
       // Get current connection
       const connection = await this.getBrokerConnection(connectionId);
+      const descriptor = this._getBrokerDescriptor(connection.brokerType);
+      
+      // Merged into the stored settings, so partial updates and masked secrets sent back keep the rest
+      const additionalParams = updates.additionalParams
+        ? mergeConnectionParams(connection.additionalParams, updates.additionalParams)
+        : null;
+      const paramsChanged = additionalParams !== null &&
+        JSON.stringify(additionalParams) !== JSON.stringify(connection.additionalParams || {});
+      
+      // A live session (or a pending reconnect) would keep using the old host and credentials
+      if ((updates.apiKey || updates.apiSecret || paramsChanged) && this.brokerAdapter.isConnectionInUse(connectionId)) {
+        throw createError('CONNECTION_IN_USE', `Disconnect ${connection.name} before changing its credentials or settings`);
+      }
+      
+      if (paramsChanged) {
+        validateConnection(descriptor, { additionalParams }, { partial: true });
+      }
       
       const updateFields = [];
       const updateParams = [];
@@ -221,9 +264,9 @@ class BrokerManager {
       }
       
       // Update additional params if provided
-      if (updates.additionalParams) {
+      if (paramsChanged) {
         updateFields.push('additional_params = ?');
-        updateParams.push(JSON.stringify(updates.additionalParams));
+        updateParams.push(JSON.stringify(additionalParams));
       }
       
       // Update active status if provided
@@ -250,8 +293,14 @@ class BrokerManager {
       // Log the update
       await this.dbManager.logEvent('info', `Broker connection updated: ${connection.name}`);
       
+      // Rebuild the adapter config so the next connect uses the new settings
+      const updated = await this.getBrokerConnection(connectionId);
+      if (this.brokerAdapter.hasConnection(connectionId)) {
+        this.brokerAdapter.setConnectionConfig(connectionId, buildConnectionConfig(descriptor, updated));
+      }
+      
       // Return the updated connection
-      return await this.getBrokerConnection(connectionId);
+      return updated;
     } catch (error) {
       console.error(`Failed to update broker connection ${connectionId}:`, error);
       throw error;
@@ -268,6 +317,12 @@ class BrokerManager {
       // Get connection details for logging
       const connection = await this.getBrokerConnection(connectionId);
       
+      // Drop any live adapter session for this connection
+      this.brokerAdapter.removeConnection(connectionId);
+      this.activeConnections.delete(connectionId);
+      await this.instruments.removeConnection(connectionId);
+      await this.history.removeConnection(connectionId);
+      
       // Delete the credentials from credential store
       await this.credentialStore.deleteCredential(`broker-${connection.brokerType}`, `${connectionId}_key`);
       await this.credentialStore.deleteCredential(`broker-${connection.brokerType}`, `${connectionId}_secret`);
@@ -295,18 +350,16 @@ class BrokerManager {
    */
   async testBrokerConnection(connectionId) {
     try {
+      // A live session must not be torn down by a test
+      if (this.brokerAdapter.isConnectionActive(connectionId)) {
+        return { success: true, message: 'Connection is already active' };
+      }
+      
       // Get connection with credentials
       const connection = await this.getBrokerConnection(connectionId);
       
       // Create a broker adapter instance if needed
-      if (!this.brokerAdapter.hasConnection(connectionId)) {
-        this.brokerAdapter.createConnection(connection.brokerType, connectionId, {
-          name: connection.name,
-          apiKey: connection.apiKey,
-          apiSecret: connection.apiSecret,
-          ...connection.additionalParams
-        });
-      }
+      this._ensureAdapterConnection(connection);
       
       // Test the connection through the broker adapter
       let testResult;
@@ -341,75 +394,126 @@ class BrokerManager {
   }
   
   /**
-   * Test connection to Binance API
-   * @private
-   * @param {Object} connection - Connection details
-   * @returns {Promise<Object>} Test result
+   * Connect a stored broker connection and mark it active
+   * @param {string} connectionId - Connection ID
+   * @returns {Promise<Object>} Connection result
    */
-  async _testBinanceConnection(connection) {
+  async connectBrokerConnection(connectionId) {
+    const connection = await this.getBrokerConnection(connectionId);
+    
+    // Create a broker adapter instance if needed
+    this._ensureAdapterConnection(connection);
+    
+    let result;
     try {
-      // In a real implementation, this would use the Binance API SDK
-      // to make a simple authenticated request
-      
-      // For demo purposes, just simulate a successful connection
-      // if credentials are provided
-      if (connection.apiKey && connection.apiSecret) {
-        return {
-          success: true,
-          message: 'Successfully connected to Binance API',
-          details: {
-            accountType: 'spot',
-            permissions: ['spot', 'margin', 'futures']
-          }
-        };
-      }
-      
-      return {
-        success: false,
-        message: 'Missing API credentials for Binance'
-      };
-    } catch (error) {
-      return {
+      result = await this.brokerAdapter.connect(connectionId);
+    } catch (connError) {
+      // Adapters reject with either Error instances or { success, message } objects
+      result = {
         success: false,
-        message: `Binance connection error: ${error.message}`
+        message: connError.message || 'Unknown connection error'
       };
     }
+    
+    if (result.success) {
+      this.updateConnectionStatus(connectionId, 'connected');
+      await this.dbManager.executeQuery(
+        'UPDATE broker_connections SET is_active = 1, last_connected = ? WHERE id = ?',
+        [new Date().toISOString(), connectionId]
+      );
+      await this.dbManager.logEvent('info', `Broker connection established: ${connection.name}`);
+    } else {
+      this.updateConnectionStatus(connectionId, 'failed', result.message || result.error);
+      await this.dbManager.logEvent('error', `Broker connection failed: ${connection.name}`, {
+        connectionId,
+        message: result.message || result.error
+      });
+    }
+    
+    return result;
   }
   
   /**
-   * Test connection to MT4 Bridge
-   * @private
-   * @param {Object} connection - Connection details
-   * @returns {Promise<Object>} Test result
+   * Disconnect a broker connection and mark it inactive
+   * @param {string} connectionId - Connection ID
+   * @returns {Promise<Object>} Disconnect result
    */
-  async _testMT4Connection(connection) {
-    try {
-      // In a real implementation, this would attempt to connect to the MT4 Bridge
-      // via websocket or other method
+  async disconnectBrokerConnection(connectionId) {
+    const connection = await this.getBrokerConnection(connectionId);
+    
+    let result = { success: true, message: 'Not connected' };
+    if (this.brokerAdapter.hasConnection(connectionId)) {
+      result = await this.brokerAdapter.disconnect(connectionId);
+    }
+    
+    this.updateConnectionStatus(connectionId, 'disconnected');
+    await this.dbManager.executeQuery(
+      'UPDATE broker_connections SET is_active = 0 WHERE id = ?',
+      [connectionId]
+    );
+    await this.dbManager.logEvent('info', `Broker connection closed: ${connection.name}`);
+    
+    return result;
+  }
+  
+  /**
+   * Reconnect every connection left active (is_active = 1) when the app last stopped
+   * Connections that cannot be rebuilt or connected stay active and are reported as 'failed'
+   * in the status cache, so they show up as unhealthy instead of disappearing
+   * @returns {Promise<Object>} - { restored, failed } lists of connection IDs
+   */
+  async restoreActiveConnections() {
+    const activeConnections = await this.dbManager.executeSelect(
+      'SELECT id, name FROM broker_connections WHERE is_active = 1'
+    );
+    
+    const restored = [];
+    const failed = [];
+    
+    await Promise.all(activeConnections.map(async ({ id, name }) => {
+      this.updateConnectionStatus(id, 'connecting');
       
-      // For demo purposes, simulate a connection based on additional params
-      const params = connection.additionalParams || {};
-      if (params.hostAddress && params.port) {
-        return {
-          success: true,
-          message: 'Successfully connected to MT4 Bridge',
-          details: {
-            version: '1.0.0',
-            serverTime: new Date().toISOString()
-          }
-        };
+      let result;
+      try {
+        // Rebuilds the adapter connection with credentials from the credential store
+        result = await this.connectBrokerConnection(id);
+      } catch (error) {
+        // Unknown broker type, unreadable credentials or settings
+        result = { success: false, message: error.message };
+        this.updateConnectionStatus(id, 'failed', error.message);
+        await this.dbManager.logEvent('error', `Broker connection failed: ${name}`, {
+          connectionId: id,
+          message: error.message
+        });
       }
       
-      return {
-        success: false,
-        message: 'Missing connection details for MT4 Bridge'
-      };
-    } catch (error) {
-      return {
-        success: false,
-        message: `MT4 connection error: ${error.message}`
-      };
+      if (result.success) {
+        restored.push(id);
+      } else {
+        failed.push(id);
+      }
+    }));
+    
+    if (activeConnections.length > 0) {
+      await this.dbManager.logEvent(failed.length > 0 ? 'warning' : 'info',
+        `Restored ${restored.length} of ${activeConnections.length} active broker connections`, { failed });
     }
+    
+    return { restored, failed };
+  }
+  
+  /**
+   * Register a stored connection with the broker adapter if it is not already known
+   * @private
+   * @param {Object} connection - Connection details (with credentials)
+   */
+  _ensureAdapterConnection(connection) {
+    if (this.brokerAdapter.hasConnection(connection.id)) {
+      return;
+    }
+    
+    const descriptor = this._getBrokerDescriptor(connection.brokerType);
+    this.brokerAdapter.createConnection(descriptor.id, connection.id, buildConnectionConfig(descriptor, connection));
   }
   
   /**
@@ -425,6 +529,7 @@ class BrokerManager {
       return Promise.all(activeConnections.map(async conn => {
         const status = this.activeConnections.get(conn.id) || { 
           status: 'disconnected', 
+          reason: null,
           lastUpdated: null 
         };
         
@@ -433,6 +538,7 @@ class BrokerManager {
           name: conn.name,
           brokerType: conn.broker_type,
           connectionStatus: status.status,
+          statusReason: status.reason,
           lastUpdated: status.lastUpdated
         };
       }));
@@ -446,10 +552,12 @@ class BrokerManager {
    * Update connection status in memory cache
    * @param {string} connectionId - Connection ID
    * @param {string} status - Connection status
+   * @param {string} reason - Why the connection is in this state (failures, reconnects)
    */
-  updateConnectionStatus(connectionId, status) {
+  updateConnectionStatus(connectionId, status, reason = null) {
     this.activeConnections.set(connectionId, {
       status,
+      reason: reason || null,
       lastUpdated: new Date().toISOString()
     });
   }
@@ -0,0 +1,192 @@
+// electron/broker-registry.js
+const { createError } = require('./errors');
+const { assertValid, validateWith } = require('./schema-validator');
+
+/**
+ * Broker implementations shipped with the application, by module name under ./brokers
+ *
+ * Each module exports a class carrying a static `descriptor`:
+ *
+ *   {
+ *     id, name, aliases,
+ *     credentials: { apiKey: { required, label, configKey }, apiSecret: { ... } },
+ *     configSchema,   // JSON Schema of the connection's additionalParams, with defaults
+ *     capabilities: { pendingOrders, partialClose, hedging, historicalData }
+ *   }
+ *
+ * BrokerAdapter registers the classes under their descriptor id, and BrokerManager builds
+ * the supported broker list and validates new connections from the descriptors.
+ */
+const BROKER_MODULES = ['mt5', 'mt4', 'forexdotcom', 'fxify-mt5', 'interactive-brokers', 'demo'];
+
+// additionalParams keys that hold secrets (MT5 passwords, tokens, ...), sent to clients as MASKED_VALUE
+const SENSITIVE_PARAM_PATTERN = /pass|secret|token|key/i;
+const MASKED_VALUE = '********';
+
+/**
+ * Load the broker implementations that are available in this build
+ * @returns {Array<Object>} - { descriptor, BrokerImpl } pairs
+ */
+function loadBrokerImplementations() {
+  const implementations = [];
+
+  BROKER_MODULES.forEach(moduleName => {
+    let BrokerImpl;
+    try {
+      BrokerImpl = require(`./brokers/${moduleName}`);
+    } catch (error) {
+      // Skip if implementation is not available
+      console.log(`Broker implementation not available: ${moduleName}`);
+      return;
+    }
+
+    assertValid('BrokerDescriptor', BrokerImpl.descriptor, `descriptor of ./brokers/${moduleName}`);
+    implementations.push({ descriptor: BrokerImpl.descriptor, BrokerImpl });
+  });
+
+  return implementations;
+}
+
+/**
+ * Descriptor used for implementations registered without one (plugins, tests)
+ * @param {string} brokerType - Broker type identifier
+ * @returns {Object} Descriptor with no credentials, free-form config and no capabilities
+ */
+function defaultDescriptor(brokerType) {
+  return {
+    id: brokerType,
+    name: brokerType,
+    aliases: [],
+    credentials: {},
+    configSchema: { type: 'object' },
+    capabilities: { pendingOrders: false, partialClose: false, hedging: false, historicalData: false }
+  };
+}
+
+/**
+ * Public description of a broker type, as listed by BrokerManager.getSupportedBrokers
+ * @param {Object} descriptor - Broker descriptor
+ * @returns {Object} Supported broker entry
+ */
+function describeBroker(descriptor) {
+  const { apiKey, apiSecret } = descriptor.credentials;
+
+  return {
+    id: descriptor.id,
+    name: descriptor.name,
+    apiKeyRequired: Boolean(apiKey && apiKey.required),
+    apiSecretRequired: Boolean(apiSecret && apiSecret.required),
+    credentials: descriptor.credentials,
+    configSchema: descriptor.configSchema,
+    capabilities: descriptor.capabilities
+  };
+}
+
+/**
+ * Check the credentials and settings of a connection against its broker descriptor
+ * @param {Object} descriptor - Broker descriptor
+ * @param {Object} connection - { apiKey, apiSecret, additionalParams }
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.partial - Only check what is provided (updates)
+ * @throws {Error} BROKER_CONNECTION_INVALID with the issues in error.details
+ */
+function validateConnection(descriptor, connection, options = {}) {
+  if (!options.partial) {
+    ['apiKey', 'apiSecret'].forEach(field => {
+      const credential = descriptor.credentials[field];
+      if (credential && credential.required && !connection[field]) {
+        throw createError('BROKER_CONNECTION_INVALID', `${credential.label} is required for ${descriptor.name}`);
+      }
+    });
+  }
+
+  if (connection.additionalParams === undefined) {
+    return;
+  }
+
+  const { valid, errors } = validateWith(descriptor.configSchema, connection.additionalParams);
+  if (!valid) {
+    const summary = errors.map(issue => `${issue.path} ${issue.message}`).join('; ');
+    const error = createError('BROKER_CONNECTION_INVALID', `Invalid ${descriptor.name} settings: ${summary}`);
+    error.details = errors;
+    throw error;
+  }
+}
+
+/**
+ * Build the config passed to a broker's connect(): schema defaults, then the stored settings,
+ * with the credentials under their generic names and the names the implementation reads
+ * @param {Object} descriptor - Broker descriptor
+ * @param {Object} connection - Stored connection (name, apiKey, apiSecret, additionalParams)
+ * @returns {Object} Connection config
+ */
+function buildConnectionConfig(descriptor, connection) {
+  const defaults = {};
+  Object.entries(descriptor.configSchema.properties || {}).forEach(([key, property]) => {
+    if (property.default !== undefined) {
+      defaults[key] = property.default;
+    }
+  });
+
+  const config = {
+    ...defaults,
+    name: connection.name,
+    apiKey: connection.apiKey,
+    apiSecret: connection.apiSecret,
+    ...connection.additionalParams
+  };
+
+  ['apiKey', 'apiSecret'].forEach(field => {
+    const credential = descriptor.credentials[field];
+    if (credential && credential.configKey && connection[field]) {
+      config[credential.configKey] = connection[field];
+    }
+  });
+
+  return config;
+}
+
+/**
+ * Hide the secrets among a connection's additionalParams
+ * @param {Object} params - Stored additionalParams
+ * @returns {Object} Params with sensitive values replaced by MASKED_VALUE
+ */
+function maskConnectionParams(params) {
+  const masked = {};
+  Object.entries(params || {}).forEach(([key, value]) => {
+    masked[key] = SENSITIVE_PARAM_PATTERN.test(key) ? MASKED_VALUE : value;
+  });
+  return masked;
+}
+
+/**
+ * Apply an additionalParams update to the stored params
+ * Keys left out keep their value, so a form can send only what changed; a masked secret sent back
+ * as it was listed keeps the stored one, and null removes a key
+ * @param {Object} stored - Stored additionalParams
+ * @param {Object} updates - additionalParams of the update
+ * @returns {Object} Merged params
+ */
+function mergeConnectionParams(stored, updates) {
+  const merged = { ...(stored || {}) };
+  Object.entries(updates).forEach(([key, value]) => {
+    if (value === null) {
+      delete merged[key];
+    } else if (value !== MASKED_VALUE) {
+      merged[key] = value;
+    }
+  });
+  return merged;
+}
+
+module.exports = {
+  BROKER_MODULES,
+  MASKED_VALUE,
+  loadBrokerImplementations,
+  defaultDescriptor,
+  describeBroker,
+  validateConnection,
+  buildConnectionConfig,
+  maskConnectionParams,
+  mergeConnectionParams
+};
@@ -0,0 +1,265 @@
+// electron/brokers/bridge-protocol.js
+const zlib = require('zlib');
+const { createError } = require('../errors');
+
+/**
+ * Wire protocol of the MetaTrader socket bridges (MT4, MT5)
+ *
+ * Version 1 is one JSON message per line. Version 2 is negotiated with a HELLO command sent in
+ * version 1 framing; once the bridge has answered, both sides write length-prefixed frames:
+ *
+ *   byte 0     FRAME_MARKER (0x02)
+ *   byte 1     flags (FLAGS.DEFLATE: the payload is zlib-compressed)
+ *   bytes 2-5  payload length, unsigned 32-bit big-endian
+ *   payload    UTF-8 JSON
+ *
+ * A JSON line never starts with the marker byte, so incoming data is read frame by frame in
+ * either framing and the switch needs no coordination. Capabilities agreed in the handshake:
+ *
+ *   sequence  push events carry seq, increasing by one per event; a gap means events were lost
+ *   deflate   the bridge may compress large payloads (history downloads)
+ */
+
+const PROTOCOL_VERSION = 2;
+const SUPPORTED_VERSIONS = [2, 1];
+
+const FRAME_MARKER = 0x02;
+const HEADER_SIZE = 6;
+
+const FLAGS = {
+  DEFLATE: 0x01
+};
+
+// Largest line or frame accepted; anything bigger means the stream is corrupt
+const DEFAULT_MAX_FRAME_SIZE = 64 * 1024 * 1024;
+
+/**
+ * Framing, handshake and event sequencing of one bridge connection
+ */
+class BridgeProtocol {
+  /**
+   * Create a new BridgeProtocol instance
+   * @param {Object} options - Protocol options
+   * @param {string} [options.name] - Bridge name used in errors and logs
+   * @param {boolean} [options.compression] - Offer deflate compression in the handshake (default true)
+   * @param {number} [options.maxFrameSize] - Largest line or frame accepted, in bytes
+   */
+  constructor({ name = 'bridge', compression = true, maxFrameSize = DEFAULT_MAX_FRAME_SIZE } = {}) {
+    this.name = name;
+    this.options = { compression, maxFrameSize };
+    this.reset();
+  }
+
+  /**
+   * Change the handshake offer or the frame limit, e.g. from the connection config
+   * Undefined values keep the current setting
+   * @param {Object} options - { compression, maxFrameSize }
+   */
+  configure(options = {}) {
+    Object.keys(this.options).forEach(key => {
+      if (options[key] !== undefined) {
+        this.options[key] = options[key];
+      }
+    });
+  }
+
+  /**
+   * Go back to version 1 framing and forget the buffered data and sequence; called for every new socket
+   */
+  reset() {
+    this.version = 1;
+    this.capabilities = [];
+    this.bridge = null;
+    this.buffer = Buffer.alloc(0);
+    this.lastSequence = null;
+  }
+
+  /**
+   * Parameters of the HELLO command
+   * @returns {Object} - { protocols, capabilities, client }
+   */
+  hello() {
+    return {
+      protocols: SUPPORTED_VERSIONS,
+      capabilities: this.options.compression ? ['sequence', 'deflate'] : ['sequence'],
+      client: 'SAITRAPP'
+    };
+  }
+
+  /**
+   * Apply the bridge's answer to HELLO
+   * @param {Object} answer - { protocol, capabilities, seq, bridge }; seq is the last event sequence sent
+   * @returns {Object} - Negotiated { version, capabilities, bridge }
+   */
+  accept(answer = {}) {
+    const offered = this.hello().capabilities;
+
+    if (answer && answer.protocol === PROTOCOL_VERSION) {
+      this.version = PROTOCOL_VERSION;
+      this.capabilities = (answer.capabilities || []).filter(capability => offered.includes(capability));
+      this.bridge = answer.bridge || null;
+      this.lastSequence = Number.isInteger(answer.seq) ? answer.seq : null;
+    }
+
+    return this.getInfo();
+  }
+
+  /**
+   * Check whether a capability was agreed in the handshake
+   * @param {string} capability - Capability name
+   * @returns {boolean} True if both sides support it
+   */
+  has(capability) {
+    return this.capabilities.includes(capability);
+  }
+
+  /**
+   * Describe the negotiated protocol
+   * @returns {Object} - { version, capabilities, bridge, lastSequence }
+   */
+  getInfo() {
+    return {
+      version: this.version,
+      capabilities: [...this.capabilities],
+      bridge: this.bridge,
+      lastSequence: this.lastSequence
+    };
+  }
+
+  /**
+   * Encode a message in the negotiated framing
+   * @param {Object} message - Message to write
+   * @returns {Buffer} Bytes to write to the socket
+   */
+  encode(message) {
+    const payload = Buffer.from(JSON.stringify(message));
+    if (this.version === 1) {
+      return Buffer.concat([payload, Buffer.from('\n')]);
+    }
+
+    const header = Buffer.alloc(HEADER_SIZE);
+    header.writeUInt8(FRAME_MARKER, 0);
+    header.writeUInt8(0, 1);
+    header.writeUInt32BE(payload.length, 2);
+    return Buffer.concat([header, payload]);
+  }
+
+  /**
+   * Add received bytes and return the messages they complete
+   * Partial lines and frames are kept until the rest arrives. Messages that are not valid JSON
+   * are logged and skipped; a frame over the size limit or a payload that cannot be inflated
+   * throws, and the connection should then be dropped.
+   * @param {Buffer} chunk - Bytes from the socket
+   * @returns {Array<Object>} Complete messages
+   */
+  push(chunk) {
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+    const messages = [];
+
+    while (this.buffer.length > 0) {
+      const text = this.buffer[0] === FRAME_MARKER ? this._readFrame() : this._readLine();
+      if (text === null) {
+        break;
+      }
+      if (!text.trim()) {
+        continue;
+      }
+
+      try {
+        messages.push(JSON.parse(text));
+      } catch (error) {
+        console.error(`Error parsing ${this.name} message:`, error, text);
+      }
+    }
+
+    return messages;
+  }
+
+  /**
+   * Track the sequence number of a push event
+   * Events without seq, or received before 'sequence' was agreed, are not tracked.
+   * @param {Object} event - Push event
+   * @returns {Object} - { status: 'ok' | 'duplicate' | 'gap' | 'untracked', missed } with missed
+   *   the number of events lost before this one
+   */
+  sequence(event) {
+    if (!this.has('sequence') || !Number.isInteger(event.seq)) {
+      return { status: 'untracked', missed: 0 };
+    }
+
+    if (this.lastSequence !== null && event.seq <= this.lastSequence) {
+      return { status: 'duplicate', missed: 0 };
+    }
+
+    const missed = this.lastSequence === null ? 0 : event.seq - this.lastSequence - 1;
+    this.lastSequence = event.seq;
+
+    return { status: missed > 0 ? 'gap' : 'ok', missed };
+  }
+
+  /**
+   * Take one line from the buffer
+   * @private
+   * @returns {string|null} Line without its terminator, or null if it is incomplete
+   */
+  _readLine() {
+    const end = this.buffer.indexOf(0x0a);
+    if (end === -1) {
+      this._checkSize(this.buffer.length);
+      return null;
+    }
+
+    const line = this.buffer.subarray(0, end).toString();
+    this.buffer = this.buffer.subarray(end + 1);
+    return line;
+  }
+
+  /**
+   * Take one frame from the buffer
+   * @private
+   * @returns {string|null} Payload text, or null if the frame is incomplete
+   */
+  _readFrame() {
+    if (this.buffer.length < HEADER_SIZE) {
+      return null;
+    }
+
+    const flags = this.buffer.readUInt8(1);
+    const length = this.buffer.readUInt32BE(2);
+    this._checkSize(length);
+    if (this.buffer.length < HEADER_SIZE + length) {
+      return null;
+    }
+
+    let payload = this.buffer.subarray(HEADER_SIZE, HEADER_SIZE + length);
+    this.buffer = this.buffer.subarray(HEADER_SIZE + length);
+
+    if (flags & FLAGS.DEFLATE) {
+      try {
+        payload = zlib.inflateSync(payload, { maxOutputLength: this.options.maxFrameSize });
+      } catch (error) {
+        throw createError('PROTOCOL_ERROR', `${this.name} sent a compressed frame that cannot be inflated: ${error.message}`);
+      }
+    }
+
+    return payload.toString();
+  }
+
+  /**
+   * Fail on messages over the size limit
+   * @private
+   * @param {number} size - Message size in bytes
+   */
+  _checkSize(size) {
+    if (size > this.options.maxFrameSize) {
+      throw createError('PROTOCOL_ERROR', `${this.name} message of ${size} bytes exceeds the ${this.options.maxFrameSize} byte limit`);
+    }
+  }
+}
+
+module.exports = {
+  BridgeProtocol,
+  PROTOCOL_VERSION,
+  FRAME_MARKER,
+  FLAGS
+};
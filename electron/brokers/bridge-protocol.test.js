@@ -0,0 +1,114 @@
+// electron/brokers/bridge-protocol.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { BridgeProtocol, FRAME_MARKER, FLAGS } = require('./bridge-protocol');
+
+/**
+ * Frame a message the way a version 2 bridge writes it
+ * @param {Object} message - Message
+ * @param {boolean} deflate - Compress the payload
+ * @returns {Buffer} Frame bytes
+ */
+function frame(message, deflate = false) {
+  const json = Buffer.from(JSON.stringify(message));
+  const payload = deflate ? zlib.deflateSync(json) : json;
+  const header = Buffer.alloc(6);
+  header.writeUInt8(FRAME_MARKER, 0);
+  header.writeUInt8(deflate ? FLAGS.DEFLATE : 0, 1);
+  header.writeUInt32BE(payload.length, 2);
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Protocol that has completed a version 2 handshake with every capability
+ * @param {Object} options - Protocol options
+ * @returns {BridgeProtocol} Negotiated protocol
+ */
+function negotiated(options = {}) {
+  const protocol = new BridgeProtocol({ name: 'MT5', ...options });
+  protocol.accept({ protocol: 2, capabilities: ['sequence', 'deflate'], seq: 10, bridge: 'SAITRAPP MT5 Bridge 2.0' });
+  return protocol;
+}
+
+test('reads version 1 lines split across reads and skips blank and malformed ones', (t) => {
+  const protocol = new BridgeProtocol({ name: 'MT4' });
+  t.mock.method(console, 'error', () => {});
+
+  assert.deepEqual(protocol.push(Buffer.from('{"requestId":1,"success":tr')), []);
+  assert.deepEqual(protocol.push(Buffer.from('ue}\n\n{not json}\n{"event":"tick"}\n{"eve')), [
+    { requestId: 1, success: true },
+    { event: 'tick' }
+  ]);
+  assert.equal(console.error.mock.callCount(), 1);
+  assert.deepEqual(protocol.push(Buffer.from('nt":"account"}\n')), [{ event: 'account' }]);
+});
+
+test('switches to frames after the handshake while a v1 answer is still buffered', () => {
+  const protocol = new BridgeProtocol({ name: 'MT5' });
+  assert.deepEqual(protocol.hello(), { protocols: [2, 1], capabilities: ['sequence', 'deflate'], client: 'SAITRAPP' });
+  assert.equal(protocol.encode({ command: 'HELLO' }).toString(), '{"command":"HELLO"}\n');
+
+  // The HELLO answer arrives as a line, packed with the first frame written after it
+  const answer = { requestId: 1, success: true, data: { protocol: 2, capabilities: ['sequence', 'deflate', 'unknown'], seq: 10 } };
+  const [hello, tick] = protocol.push(Buffer.concat([Buffer.from(`${JSON.stringify(answer)}\n`), frame({ event: 'tick', seq: 11 })]));
+
+  assert.deepEqual(protocol.accept(hello.data), { version: 2, capabilities: ['sequence', 'deflate'], bridge: null, lastSequence: 10 });
+  assert.deepEqual(tick, { event: 'tick', seq: 11 });
+  assert.equal(protocol.encode({ command: 'PING' })[0], FRAME_MARKER);
+});
+
+test('keeps version 1 when the bridge does not answer with version 2', () => {
+  const protocol = new BridgeProtocol({ compression: false });
+
+  assert.deepEqual(protocol.accept({ protocol: 1 }), { version: 1, capabilities: [], bridge: null, lastSequence: null });
+  assert.equal(protocol.has('sequence'), false);
+  assert.deepEqual(protocol.sequence({ event: 'tick', seq: 5 }), { status: 'untracked', missed: 0 });
+});
+
+test('joins frames split inside the header and the payload, and inflates compressed ones', () => {
+  const protocol = negotiated();
+  const bars = { requestId: 7, success: true, data: Array.from({ length: 500 }, (item, index) => ({ time: index, close: 1.1 })) };
+  const tick = frame({ event: 'tick', seq: 11 });
+  const bytes = Buffer.concat([tick, frame(bars, true)]);
+
+  // Cut inside the first header, then inside the second header, then inside the compressed payload
+  assert.deepEqual(protocol.push(bytes.subarray(0, 3)), []);
+  assert.deepEqual(protocol.push(bytes.subarray(3, tick.length + 2)), [{ event: 'tick', seq: 11 }]);
+  assert.deepEqual(protocol.push(bytes.subarray(tick.length + 2, tick.length + 20)), []);
+  assert.deepEqual(protocol.push(bytes.subarray(tick.length + 20)), [bars]);
+  assert.equal(protocol.buffer.length, 0);
+});
+
+test('fails on frames and lines over the size limit and on payloads that do not inflate', () => {
+  const protocol = negotiated({ maxFrameSize: 1024 });
+
+  const header = Buffer.from([FRAME_MARKER, 0, 0, 0, 0x10, 0]);
+  assert.throws(() => protocol.push(header), { code: 'PROTOCOL_ERROR', message: /4096 bytes exceeds the 1024 byte limit/ });
+
+  protocol.reset();
+  assert.throws(() => protocol.push(Buffer.from('x'.repeat(2000))), { code: 'PROTOCOL_ERROR' });
+
+  protocol.reset();
+  const corrupt = Buffer.concat([Buffer.from([FRAME_MARKER, FLAGS.DEFLATE, 0, 0, 0, 4]), Buffer.from('nope')]);
+  assert.throws(() => protocol.push(corrupt), { code: 'PROTOCOL_ERROR', message: /cannot be inflated/ });
+
+  // A payload inflating past the limit is refused as well
+  protocol.reset();
+  assert.throws(() => protocol.push(frame({ data: 'x'.repeat(4096) }, true)), { code: 'PROTOCOL_ERROR' });
+});
+
+test('tracks event sequences from the handshake: in order, duplicate and gap', () => {
+  const protocol = negotiated();
+
+  assert.deepEqual(protocol.sequence({ event: 'tick', seq: 11 }), { status: 'ok', missed: 0 });
+  assert.deepEqual(protocol.sequence({ event: 'tick', seq: 11 }), { status: 'duplicate', missed: 0 });
+  assert.deepEqual(protocol.sequence({ event: 'tick', seq: 9 }), { status: 'duplicate', missed: 0 });
+  assert.deepEqual(protocol.sequence({ event: 'position', seq: 15 }), { status: 'gap', missed: 3 });
+  assert.deepEqual(protocol.sequence({ event: 'tick' }), { status: 'untracked', missed: 0 });
+  assert.equal(protocol.getInfo().lastSequence, 15);
+
+  // A new socket starts over
+  protocol.reset();
+  assert.deepEqual(protocol.getInfo(), { version: 1, capabilities: [], bridge: null, lastSequence: null });
+});
@@ -0,0 +1,888 @@
+// electron/brokers/demo.js
+const { EventEmitter } = require('events');
+const { createError } = require('../errors');
+
+/**
+ * Instruments quoted by the demo account unless the connection defines its own
+ * digits: price precision, contractSize: units per lot, price: starting mid price
+ */
+const DEFAULT_INSTRUMENTS = {
+  EURUSD: { price: 1.085, digits: 5, contractSize: 100000 },
+  GBPUSD: { price: 1.27, digits: 5, contractSize: 100000 },
+  AUDUSD: { price: 0.66, digits: 5, contractSize: 100000 },
+  USDJPY: { price: 150, digits: 3, contractSize: 100000 },
+  USDCHF: { price: 0.88, digits: 5, contractSize: 100000 },
+  USDCAD: { price: 1.36, digits: 5, contractSize: 100000 },
+  XAUUSD: { price: 2000, digits: 2, contractSize: 100 }
+};
+
+/**
+ * Read a numeric setting that may arrive as a string from the connection form
+ * @private
+ * @param {*} value - Configured value
+ * @param {number} fallback - Default value
+ * @returns {number} Setting
+ */
+function numberSetting(value, fallback) {
+  const number = Number(value);
+  return value === undefined || value === null || value === '' || !Number.isFinite(number) ? fallback : number;
+}
+
+/**
+ * Paper-trading broker
+ *
+ * Holds a virtual balance and fills market, limit and stop orders against its own price feed,
+ * applying spread, slippage and commission. Stop loss, take profit, pending order expiry and
+ * stop-out are checked on every tick. Its methods follow the MetaTrader 5 adapter, so orders go
+ * through the MT5 translator, and it emits tick, position, order, fill and account events that
+ * are already in the canonical shapes of broker-events.js.
+ *
+ * Prices either follow a random walk (priceFeed 'random') or are supplied with pushPrice
+ * (priceFeed 'manual'), e.g. to replay ticks from a live connection. State is kept in memory
+ * only: a new connection starts again from the initial balance.
+ */
+class DemoBrokerAdapter extends EventEmitter {
+  /**
+   * Create a new demo broker instance
+   */
+  constructor() {
+    super();
+    this.connected = false;
+    this.settings = null;
+    this.instruments = {};
+    this.quotes = {};
+    this.positions = new Map();
+    this.orders = new Map();
+    this.balance = 0;
+    this.nextTicket = 1;
+    this.feedTimer = null;
+  }
+
+  /**
+   * Open the demo account
+   * @param {Object} config - Connection configuration
+   * @param {number} config.initialBalance - Starting balance (default 10000)
+   * @param {string} config.currency - Account currency (default USD)
+   * @param {number} config.leverage - Account leverage (default 100)
+   * @param {number} config.spreadPoints - Spread in points (default 10)
+   * @param {number} config.slippagePoints - Adverse slippage on market fills and stops, in points (default 0)
+   * @param {number} config.commissionPerLot - Commission per lot and side, in account currency (default 0)
+   * @param {number} config.stopOutLevel - Margin level (%) at which losing positions are closed (default 50)
+   * @param {string} config.priceFeed - 'random' or 'manual' (default random)
+   * @param {number} config.tickInterval - Milliseconds between random-walk ticks (default 1000)
+   * @param {number} config.volatility - Standard deviation of each random-walk step, relative to price (default 0.0002)
+   * @param {Object} config.instruments - Extra or overridden instruments keyed by symbol
+   * @returns {Promise<Object>} - Connection result
+   */
+  async connect(config = {}) {
+    if (this.connected) {
+      return { success: true, message: 'Already connected' };
+    }
+
+    this.settings = {
+      accountId: config.accountId || `demo-${config.name || 'account'}`,
+      currency: (config.currency || 'USD').toUpperCase(),
+      leverage: numberSetting(config.leverage, 100),
+      spreadPoints: numberSetting(config.spreadPoints, 10),
+      slippagePoints: numberSetting(config.slippagePoints, 0),
+      commissionPerLot: numberSetting(config.commissionPerLot, 0),
+      stopOutLevel: numberSetting(config.stopOutLevel, 50),
+      priceFeed: config.priceFeed || 'random',
+      tickInterval: numberSetting(config.tickInterval, 1000),
+      volatility: numberSetting(config.volatility, 0.0002)
+    };
+
+    if (this.settings.leverage <= 0) {
+      throw createError('BROKER_CONNECTION_INVALID', 'Demo account leverage must be positive');
+    }
+
+    this.balance = numberSetting(config.initialBalance, 10000);
+
+    const instruments = { ...DEFAULT_INSTRUMENTS, ...(config.instruments || {}) };
+    Object.entries(instruments).forEach(([symbol, spec]) => this._addInstrument(symbol, spec));
+
+    if (this.settings.priceFeed === 'random' && this.settings.tickInterval > 0) {
+      this.feedTimer = setInterval(() => this._randomWalk(), this.settings.tickInterval);
+      this.feedTimer.unref();
+    }
+
+    this.connected = true;
+    this._emitAccount();
+
+    return { success: true, message: 'Connected to demo account' };
+  }
+
+  /**
+   * Close the demo account feed
+   * @returns {Promise<Object>} - Disconnection result
+   */
+  async disconnect() {
+    if (this.feedTimer) {
+      clearInterval(this.feedTimer);
+      this.feedTimer = null;
+    }
+
+    if (this.connected) {
+      this.connected = false;
+      this.emit('disconnected');
+    }
+
+    return { success: true, message: 'Disconnected from demo account' };
+  }
+
+  /**
+   * Get the account state
+   * @returns {Promise<Object>} - Balance, equity, margin, free margin and margin level
+   */
+  async getAccountInfo() {
+    this._ensureConnected();
+    return this._accountSnapshot();
+  }
+
+  /**
+   * Get open positions
+   * @returns {Promise<Array>} - List of open positions
+   */
+  async getPositions() {
+    this._ensureConnected();
+    return Array.from(this.positions.values()).map(position => this._positionPayload(position));
+  }
+
+  /**
+   * Get pending orders
+   * @returns {Promise<Array>} - List of pending orders
+   */
+  async getOrders() {
+    this._ensureConnected();
+    return Array.from(this.orders.values()).map(order => this._orderPayload(order, 'pending'));
+  }
+
+  /**
+   * Get the current quotes of one or more symbols
+   * @param {Array<string>|string} symbols - Symbols to quote
+   * @returns {Promise<Object>} - Quotes keyed by symbol
+   */
+  async getMarketData(symbols) {
+    this._ensureConnected();
+
+    const list = Array.isArray(symbols) ? symbols : [symbols];
+    const result = {};
+    list.forEach(symbol => {
+      result[symbol] = { ...this._getQuote(symbol) };
+    });
+
+    return result;
+  }
+
+  /**
+   * Get the instruments quoted by the demo account
+   * @returns {Promise<Array>} - Instrument specifications
+   */
+  async getSymbols() {
+    this._ensureConnected();
+    return Object.values(this.instruments).map(instrument => ({ ...instrument }));
+  }
+
+  /**
+   * Place a market order, filled immediately at the current quote
+   * @param {Object} orderParams - Order parameters (symbol, volume, direction, stopLoss, takeProfit, comment, clientOrderId)
+   * @returns {Promise<Object>} - Order result
+   */
+  async placeMarketOrder(orderParams) {
+    this._ensureConnected();
+
+    const order = this._createOrder({ ...orderParams, type: 'MARKET' });
+    const position = this._fill(order, this._marketPrice(order.symbol, order.direction));
+
+    return {
+      orderId: order.orderId,
+      positionId: position.positionId,
+      status: 'filled',
+      price: position.openPrice,
+      volume: position.volume
+    };
+  }
+
+  /**
+   * Place a limit or stop order, filled when the quote reaches its price
+   * @param {Object} orderParams - Order parameters (type, symbol, volume, direction, price, stopLoss, takeProfit, expirationTime, comment, clientOrderId)
+   * @returns {Promise<Object>} - Order result
+   */
+  async placePendingOrder(orderParams) {
+    this._ensureConnected();
+
+    const type = String(orderParams.type || '').toUpperCase();
+    if (type !== 'LIMIT' && type !== 'STOP') {
+      throw createError('ORDER_INVALID', `Unsupported pending order type: ${orderParams.type}`);
+    }
+
+    const order = this._createOrder({ ...orderParams, type });
+    this.orders.set(order.orderId, order);
+    this._emitOrder(order, 'pending');
+
+    // The quote may already be through the price
+    this._checkPendingOrders(order.symbol);
+
+    return { orderId: order.orderId, status: this.orders.has(order.orderId) ? 'pending' : 'filled' };
+  }
+
+  /**
+   * Modify a pending order (price, stop loss, take profit) or the levels of an open position
+   * @param {Object} orderParams - { orderId, price, stopLoss, takeProfit }
+   * @returns {Promise<Object>} - Modification result
+   */
+  async modifyOrder(orderParams) {
+    this._ensureConnected();
+
+    const { orderId } = orderParams;
+    const order = this.orders.get(orderId);
+
+    if (order) {
+      ['price', 'stopLoss', 'takeProfit'].forEach(field => {
+        if (orderParams[field] !== undefined) {
+          order[field] = orderParams[field];
+        }
+      });
+      this._emitOrder(order, 'pending');
+      this._checkPendingOrders(order.symbol);
+      return { orderId, status: 'modified' };
+    }
+
+    const position = this.positions.get(orderId);
+    if (!position) {
+      throw createError('ORDER_NOT_FOUND', `Order not found: ${orderId}`);
+    }
+
+    if (orderParams.price !== undefined) {
+      throw createError('ORDER_INVALID', 'The open price of a position cannot be changed');
+    }
+
+    ['stopLoss', 'takeProfit'].forEach(field => {
+      if (orderParams[field] !== undefined) {
+        position[field] = orderParams[field];
+      }
+    });
+    this._emitPosition(position, 'open');
+    this._checkProtectiveLevels(position.symbol);
+
+    return { orderId, status: 'modified' };
+  }
+
+  /**
+   * Cancel a pending order
+   * @param {number} orderId - Order ID to cancel
+   * @returns {Promise<Object>} - Cancellation result
+   */
+  async cancelOrder(orderId) {
+    this._ensureConnected();
+
+    const order = this.orders.get(orderId);
+    if (!order) {
+      throw createError('ORDER_NOT_FOUND', `Order not found: ${orderId}`);
+    }
+
+    this.orders.delete(orderId);
+    this._emitOrder(order, 'cancelled');
+
+    return { orderId, status: 'cancelled' };
+  }
+
+  /**
+   * Close a position at the current quote
+   * @param {number} positionId - Position ID to close
+   * @param {number} volume - Volume to close (partial close if less than position volume)
+   * @returns {Promise<Object>} - Close result
+   */
+  async closePosition(positionId, volume = null) {
+    this._ensureConnected();
+
+    const position = this.positions.get(positionId);
+    if (!position) {
+      throw createError('POSITION_NOT_FOUND', `Position not found: ${positionId}`);
+    }
+
+    const exitDirection = position.direction === 'BUY' ? 'SELL' : 'BUY';
+    return this._close(position, this._marketPrice(position.symbol, exitDirection), volume);
+  }
+
+  /**
+   * Feed a quote to the account (manual price feed, or replaying ticks from another connection)
+   * Pending orders, protective levels and stop-out are evaluated against it
+   * @param {string} symbol - Symbol
+   * @param {number} bid - Bid price
+   * @param {number} ask - Ask price (defaults to bid plus the configured spread)
+   */
+  pushPrice(symbol, bid, ask = null) {
+    this._ensureConnected();
+
+    if (!this.instruments[symbol]) {
+      this._addInstrument(symbol, { price: bid });
+    }
+
+    const instrument = this.instruments[symbol];
+    const spread = this.settings.spreadPoints * instrument.point;
+    this._setQuote(symbol, bid, ask === null || ask === undefined ? bid + spread : ask);
+  }
+
+  /**
+   * Throw unless the account is open
+   * @private
+   */
+  _ensureConnected() {
+    if (!this.connected) {
+      throw new Error('Not connected to demo account');
+    }
+  }
+
+  /**
+   * Register an instrument and seed its quote
+   * @private
+   * @param {string} symbol - Symbol
+   * @param {Object} spec - { price, digits, contractSize, quoteCurrency }
+   */
+  _addInstrument(symbol, spec) {
+    const digits = numberSetting(spec.digits, 5);
+    const instrument = {
+      symbol,
+      digits,
+      point: Math.pow(10, -digits),
+      contractSize: numberSetting(spec.contractSize, 100000),
+      quoteCurrency: (spec.quoteCurrency || (/^[A-Z]{6}$/.test(symbol) ? symbol.substring(3) : this.settings.currency)).toUpperCase()
+    };
+    this.instruments[symbol] = instrument;
+
+    const mid = numberSetting(spec.price, 1);
+    const halfSpread = (this.settings.spreadPoints * instrument.point) / 2;
+    this.quotes[symbol] = {
+      symbol,
+      bid: this._round(symbol, mid - halfSpread),
+      ask: this._round(symbol, mid + halfSpread),
+      time: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Get the current quote of a symbol
+   * @private
+   * @param {string} symbol - Symbol
+   * @returns {Object} - { symbol, bid, ask, time }
+   */
+  _getQuote(symbol) {
+    const quote = this.quotes[symbol];
+    if (!quote) {
+      throw createError('ORDER_INVALID', `Unknown symbol: ${symbol}`);
+    }
+    return quote;
+  }
+
+  /**
+   * Round a price to the precision of its instrument
+   * @private
+   * @param {string} symbol - Symbol
+   * @param {number} price - Price
+   * @returns {number} Rounded price
+   */
+  _round(symbol, price) {
+    return Number(price.toFixed(this.instruments[symbol].digits));
+  }
+
+  /**
+   * Move every quote one random-walk step
+   * @private
+   */
+  _randomWalk() {
+    const { volatility, spreadPoints } = this.settings;
+
+    Object.values(this.instruments).forEach(instrument => {
+      const quote = this.quotes[instrument.symbol];
+      // Sum of uniforms: close enough to a normal step and cheap
+      const step = (Math.random() + Math.random() + Math.random() - 1.5) * 2 * volatility;
+      const mid = ((quote.bid + quote.ask) / 2) * (1 + step);
+      const halfSpread = (spreadPoints * instrument.point) / 2;
+      this._setQuote(instrument.symbol, mid - halfSpread, mid + halfSpread);
+    });
+  }
+
+  /**
+   * Store a new quote and run everything that depends on it
+   * @private
+   * @param {string} symbol - Symbol
+   * @param {number} bid - Bid price
+   * @param {number} ask - Ask price
+   */
+  _setQuote(symbol, bid, ask) {
+    const quote = {
+      symbol,
+      bid: this._round(symbol, bid),
+      ask: this._round(symbol, ask),
+      time: new Date().toISOString()
+    };
+    this.quotes[symbol] = quote;
+
+    this.emit('tick', { symbol, bid: quote.bid, ask: quote.ask, last: null, timestamp: quote.time });
+
+    this._expirePendingOrders();
+    this._checkPendingOrders(symbol);
+    this._checkProtectiveLevels(symbol);
+
+    const open = Array.from(this.positions.values()).filter(position => position.symbol === symbol);
+    if (open.length > 0) {
+      open.forEach(position => this._emitPosition(position, 'open'));
+      this._checkStopOut();
+      this._emitAccount();
+    }
+  }
+
+  /**
+   * Price a market execution: buys at the ask, sells at the bid, slipped against the trader
+   * @private
+   * @param {string} symbol - Symbol
+   * @param {string} direction - BUY or SELL
+   * @returns {number} Execution price
+   */
+  _marketPrice(symbol, direction) {
+    const quote = this._getQuote(symbol);
+    const slippage = this.settings.slippagePoints * this.instruments[symbol].point;
+    return direction === 'BUY' ? quote.ask + slippage : quote.bid - slippage;
+  }
+
+  /**
+   * Validate order parameters and assign a ticket
+   * @private
+   * @param {Object} params - Order parameters
+   * @returns {Object} Order
+   */
+  _createOrder(params) {
+    const direction = String(params.direction || '').toUpperCase();
+    if (direction !== 'BUY' && direction !== 'SELL') {
+      throw createError('ORDER_INVALID', `Invalid direction: ${params.direction}`);
+    }
+
+    const volume = Number(params.volume);
+    if (!Number.isFinite(volume) || volume <= 0) {
+      throw createError('ORDER_INVALID', `Invalid volume: ${params.volume}`);
+    }
+
+    this._getQuote(params.symbol);
+
+    if (params.type !== 'MARKET' && !(Number(params.price) > 0)) {
+      throw createError('ORDER_INVALID', `${params.type} orders require a price`);
+    }
+
+    return {
+      orderId: this.nextTicket++,
+      clientOrderId: params.clientOrderId || null,
+      symbol: params.symbol,
+      direction,
+      type: params.type,
+      volume,
+      price: params.type === 'MARKET' ? null : Number(params.price),
+      stopLoss: params.stopLoss || null,
+      takeProfit: params.takeProfit || null,
+      expiresAt: params.expirationTime ? new Date(params.expirationTime).getTime() : null,
+      comment: params.comment || 'SAITRAPP'
+    };
+  }
+
+  /**
+   * Fill an order and open its position, rejecting it when free margin does not cover it
+   * @private
+   * @param {Object} order - Order
+   * @param {number} price - Execution price
+   * @returns {Object} Opened position
+   */
+  _fill(order, price) {
+    const fillPrice = this._round(order.symbol, price);
+    const requiredMargin = this._margin(order.symbol, order.volume, fillPrice);
+    const commission = this.settings.commissionPerLot * order.volume;
+    const account = this._accountSnapshot();
+
+    if (account.freeMargin - commission < requiredMargin) {
+      this._emitOrder(order, 'rejected');
+      throw createError(
+        'ORDER_REJECTED',
+        `Not enough free margin: ${requiredMargin.toFixed(2)} ${this.settings.currency} required, ${account.freeMargin.toFixed(2)} available`
+      );
+    }
+
+    const position = {
+      positionId: order.orderId,
+      orderId: order.orderId,
+      clientOrderId: order.clientOrderId,
+      symbol: order.symbol,
+      direction: order.direction,
+      volume: order.volume,
+      openPrice: fillPrice,
+      stopLoss: order.stopLoss,
+      takeProfit: order.takeProfit,
+      commission,
+      comment: order.comment,
+      openTime: new Date().toISOString()
+    };
+
+    this.balance -= commission;
+    this.positions.set(position.positionId, position);
+
+    this._emitOrder({ ...order, price: order.price || fillPrice }, 'filled', order.volume);
+    this._emitFill(order.orderId, position.positionId, order.symbol, order.direction, order.volume, fillPrice, commission);
+    this._emitPosition(position, 'open');
+    this._emitAccount();
+
+    return position;
+  }
+
+  /**
+   * Close all or part of a position and realize its profit
+   * @private
+   * @param {Object} position - Position
+   * @param {number} price - Exit price
+   * @param {number|null} volume - Volume to close (null for all)
+   * @returns {Object} Close result
+   */
+  _close(position, price, volume = null) {
+    const closeVolume = volume === null || volume === undefined ? position.volume : Number(volume);
+    if (!Number.isFinite(closeVolume) || closeVolume <= 0 || closeVolume > position.volume + 1e-9) {
+      throw createError('ORDER_INVALID', `Invalid volume to close: ${volume}`);
+    }
+
+    const exitPrice = this._round(position.symbol, price);
+    const profit = this._profit(position, exitPrice, closeVolume);
+    const commission = this.settings.commissionPerLot * closeVolume;
+    const remaining = Number((position.volume - closeVolume).toFixed(8));
+    const orderId = this.nextTicket++;
+
+    this.balance += profit - commission;
+    position.volume = remaining;
+
+    this._emitFill(orderId, position.positionId, position.symbol, position.direction === 'BUY' ? 'SELL' : 'BUY', closeVolume, exitPrice, commission);
+
+    if (remaining > 0) {
+      this._emitPosition(position, 'open');
+    } else {
+      this.positions.delete(position.positionId);
+      this._emitPosition(position, 'closed', { currentPrice: exitPrice, profit });
+    }
+    this._emitAccount();
+
+    return {
+      orderId,
+      positionId: position.positionId,
+      status: 'filled',
+      price: exitPrice,
+      volume: closeVolume,
+      profit: Number(profit.toFixed(2))
+    };
+  }
+
+  /**
+   * Fill pending orders whose price the quote has reached
+   * Limits fill at their price, stops at the quote (with slippage)
+   * @private
+   * @param {string} symbol - Symbol
+   */
+  _checkPendingOrders(symbol) {
+    const quote = this.quotes[symbol];
+
+    Array.from(this.orders.values())
+      .filter(order => order.symbol === symbol)
+      .forEach(order => {
+        const isBuy = order.direction === 'BUY';
+        const market = isBuy ? quote.ask : quote.bid;
+        const triggered = order.type === 'LIMIT'
+          ? (isBuy ? market <= order.price : market >= order.price)
+          : (isBuy ? market >= order.price : market <= order.price);
+
+        if (!triggered) {
+          return;
+        }
+
+        this.orders.delete(order.orderId);
+        try {
+          this._fill(order, order.type === 'LIMIT' ? order.price : this._marketPrice(symbol, order.direction));
+        } catch (error) {
+          console.error(`Failed to fill demo order ${order.orderId}:`, error.message);
+        }
+      });
+  }
+
+  /**
+   * Expire pending orders past their expiration time
+   * @private
+   */
+  _expirePendingOrders() {
+    const now = Date.now();
+
+    Array.from(this.orders.values())
+      .filter(order => order.expiresAt && order.expiresAt <= now)
+      .forEach(order => {
+        this.orders.delete(order.orderId);
+        this._emitOrder(order, 'expired');
+      });
+  }
+
+  /**
+   * Close positions whose stop loss or take profit the quote has reached
+   * Stops exit at the quote (with slippage), take profits at their level
+   * @private
+   * @param {string} symbol - Symbol
+   */
+  _checkProtectiveLevels(symbol) {
+    const quote = this.quotes[symbol];
+
+    Array.from(this.positions.values())
+      .filter(position => position.symbol === symbol)
+      .forEach(position => {
+        const isBuy = position.direction === 'BUY';
+        const exit = isBuy ? quote.bid : quote.ask;
+
+        if (position.stopLoss && (isBuy ? exit <= position.stopLoss : exit >= position.stopLoss)) {
+          this._close(position, this._marketPrice(symbol, isBuy ? 'SELL' : 'BUY'));
+        } else if (position.takeProfit && (isBuy ? exit >= position.takeProfit : exit <= position.takeProfit)) {
+          this._close(position, position.takeProfit);
+        }
+      });
+  }
+
+  /**
+   * Close the most losing positions while the margin level is below the stop-out level
+   * @private
+   */
+  _checkStopOut() {
+    let account = this._accountSnapshot();
+
+    while (this.positions.size > 0 && account.margin > 0 && account.marginLevel < this.settings.stopOutLevel) {
+      const worst = Array.from(this.positions.values())
+        .sort((a, b) => this._floatingProfit(a) - this._floatingProfit(b))[0];
+
+      console.log(`Demo account stop-out at ${account.marginLevel.toFixed(1)}% margin level, closing position ${worst.positionId}`);
+      this._close(worst, this._marketPrice(worst.symbol, worst.direction === 'BUY' ? 'SELL' : 'BUY'));
+      account = this._accountSnapshot();
+    }
+  }
+
+  /**
+   * Convert an amount in a quote currency to the account currency using the quoted cross rates
+   * Amounts in currencies without a cross rate are returned unchanged
+   * @private
+   * @param {number} amount - Amount
+   * @param {string} currency - Currency of the amount
+   * @returns {number} Amount in account currency
+   */
+  _convert(amount, currency) {
+    const accountCurrency = this.settings.currency;
+    if (currency === accountCurrency) {
+      return amount;
+    }
+
+    const mid = quote => (quote.bid + quote.ask) / 2;
+    const direct = this.quotes[`${currency}${accountCurrency}`];
+    if (direct) {
+      return amount * mid(direct);
+    }
+
+    const inverse = this.quotes[`${accountCurrency}${currency}`];
+    if (inverse) {
+      return amount / mid(inverse);
+    }
+
+    return amount;
+  }
+
+  /**
+   * Margin required to hold a volume, in account currency
+   * @private
+   * @param {string} symbol - Symbol
+   * @param {number} volume - Volume in lots
+   * @param {number} price - Price
+   * @returns {number} Margin
+   */
+  _margin(symbol, volume, price) {
+    const instrument = this.instruments[symbol];
+    const notional = volume * instrument.contractSize * price;
+    return this._convert(notional / this.settings.leverage, instrument.quoteCurrency);
+  }
+
+  /**
+   * Profit of closing a volume of a position at a price, in account currency
+   * @private
+   * @param {Object} position - Position
+   * @param {number} price - Exit price
+   * @param {number} volume - Volume in lots
+   * @returns {number} Profit
+   */
+  _profit(position, price, volume) {
+    const instrument = this.instruments[position.symbol];
+    const sign = position.direction === 'BUY' ? 1 : -1;
+    const points = (price - position.openPrice) * sign;
+    return this._convert(points * volume * instrument.contractSize, instrument.quoteCurrency);
+  }
+
+  /**
+   * Floating profit of an open position at the current quote
+   * @private
+   * @param {Object} position - Position
+   * @returns {number} Profit
+   */
+  _floatingProfit(position) {
+    const quote = this.quotes[position.symbol];
+    const price = position.direction === 'BUY' ? quote.bid : quote.ask;
+    return this._profit(position, price, position.volume);
+  }
+
+  /**
+   * Compute balance, equity and margin
+   * @private
+   * @returns {Object} Account snapshot
+   */
+  _accountSnapshot() {
+    let floating = 0;
+    let margin = 0;
+
+    this.positions.forEach(position => {
+      floating += this._floatingProfit(position);
+      margin += this._margin(position.symbol, position.volume, position.openPrice);
+    });
+
+    const equity = this.balance + floating;
+
+    return {
+      accountId: this.settings.accountId,
+      currency: this.settings.currency,
+      leverage: this.settings.leverage,
+      balance: Number(this.balance.toFixed(2)),
+      equity: Number(equity.toFixed(2)),
+      profit: Number(floating.toFixed(2)),
+      margin: Number(margin.toFixed(2)),
+      freeMargin: Number((equity - margin).toFixed(2)),
+      marginLevel: margin > 0 ? Number(((equity / margin) * 100).toFixed(2)) : null
+    };
+  }
+
+  /**
+   * Canonical position payload
+   * @private
+   * @param {Object} position - Position
+   * @returns {Object} Position payload
+   */
+  _positionPayload(position) {
+    const quote = this.quotes[position.symbol];
+
+    return {
+      positionId: position.positionId,
+      clientOrderId: position.clientOrderId,
+      symbol: position.symbol,
+      direction: position.direction,
+      volume: position.volume,
+      openPrice: position.openPrice,
+      currentPrice: position.direction === 'BUY' ? quote.bid : quote.ask,
+      stopLoss: position.stopLoss,
+      takeProfit: position.takeProfit,
+      profit: Number(this._floatingProfit(position).toFixed(2)),
+      commission: position.commission,
+      comment: position.comment,
+      openTime: position.openTime
+    };
+  }
+
+  /**
+   * Canonical order payload
+   * @private
+   * @param {Object} order - Order
+   * @param {string} status - Order status
+   * @param {number} filledVolume - Filled volume
+   * @returns {Object} Order payload
+   */
+  _orderPayload(order, status, filledVolume = 0) {
+    return {
+      orderId: order.orderId,
+      clientOrderId: order.clientOrderId,
+      symbol: order.symbol,
+      direction: order.direction,
+      type: order.type,
+      volume: order.volume,
+      filledVolume,
+      price: order.price,
+      stopLoss: order.stopLoss,
+      takeProfit: order.takeProfit,
+      status
+    };
+  }
+
+  /**
+   * Emit a position event
+   * @private
+   * @param {Object} position - Position
+   * @param {string} status - open or closed
+   * @param {Object} overrides - Fields replacing the computed ones (exit price and realized profit on close)
+   */
+  _emitPosition(position, status, overrides = {}) {
+    this.emit('position', {
+      ...this._positionPayload(position),
+      ...overrides,
+      status,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Emit an order event
+   * @private
+   * @param {Object} order - Order
+   * @param {string} status - Order status
+   * @param {number} filledVolume - Filled volume
+   */
+  _emitOrder(order, status, filledVolume = 0) {
+    this.emit('order', { ...this._orderPayload(order, status, filledVolume), timestamp: new Date().toISOString() });
+  }
+
+  /**
+   * Emit a fill event
+   * @private
+   * @param {number} orderId - Order that executed
+   * @param {number} positionId - Position opened or reduced
+   * @param {string} symbol - Symbol
+   * @param {string} direction - BUY or SELL
+   * @param {number} volume - Filled volume
+   * @param {number} price - Fill price
+   * @param {number} commission - Commission charged
+   */
+  _emitFill(orderId, positionId, symbol, direction, volume, price, commission) {
+    this.emit('fill', { orderId, positionId, symbol, direction, volume, price, commission, timestamp: new Date().toISOString() });
+  }
+
+  /**
+   * Emit an account snapshot
+   * @private
+   */
+  _emitAccount() {
+    this.emit('account', { ...this._accountSnapshot(), timestamp: new Date().toISOString() });
+  }
+}
+
+/**
+ * Broker descriptor read by the broker registry
+ */
+DemoBrokerAdapter.descriptor = {
+  id: 'demo',
+  name: 'Demo Account',
+  credentials: {},
+  configSchema: {
+    type: 'object',
+    properties: {
+      initialBalance: { type: 'number', exclusiveMinimum: 0, default: 10000 },
+      currency: { type: 'string', pattern: '^[A-Za-z]{3}$', default: 'USD' },
+      leverage: { type: 'number', exclusiveMinimum: 0, default: 100 },
+      spreadPoints: { type: 'number', minimum: 0, default: 10 },
+      slippagePoints: { type: 'number', minimum: 0, default: 0 },
+      commissionPerLot: { type: 'number', minimum: 0, default: 0 },
+      stopOutLevel: { type: 'number', minimum: 0, default: 50 },
+      priceFeed: { enum: ['random', 'manual'], default: 'random' },
+      tickInterval: { type: 'integer', minimum: 0, default: 1000 },
+      volatility: { type: 'number', minimum: 0, default: 0.0002 },
+      instruments: { type: 'object' }
+    }
+  },
+  capabilities: { pendingOrders: true, partialClose: true, hedging: true, historicalData: false }
+};
+
+module.exports = DemoBrokerAdapter;
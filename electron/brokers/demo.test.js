@@ -0,0 +1,100 @@
+// electron/brokers/demo.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DemoBrokerAdapter = require('./demo');
+
+/**
+ * Open a demo account on the manual price feed, with EURUSD quoted at 1.10000 / 1.10010
+ * @param {Object} config - Connection settings overriding the defaults
+ * @returns {Promise<DemoBrokerAdapter>} Connected account
+ */
+async function openAccount(config = {}) {
+  const demo = new DemoBrokerAdapter();
+  await demo.connect({ priceFeed: 'manual', ...config });
+  demo.pushPrice('EURUSD', 1.1);
+  return demo;
+}
+
+test('fills market orders at the quote plus slippage and charges commission on both sides', async () => {
+  const demo = await openAccount({ slippagePoints: 2, commissionPerLot: 3.5 });
+
+  const opened = await demo.placeMarketOrder({ symbol: 'EURUSD', direction: 'BUY', volume: 1 });
+  assert.equal(opened.status, 'filled');
+  assert.equal(opened.price, 1.10012);
+  assert.equal((await demo.getAccountInfo()).balance, 9996.5);
+
+  demo.pushPrice('EURUSD', 1.105);
+  const closed = await demo.closePosition(opened.positionId);
+
+  // Sold at the bid less slippage: (1.10498 - 1.10012) * 100000
+  assert.equal(closed.price, 1.10498);
+  assert.equal(closed.profit, 486);
+  assert.equal((await demo.getAccountInfo()).balance, 10479);
+  assert.deepEqual(await demo.getPositions(), []);
+
+  await demo.disconnect();
+});
+
+test('closes a position at the gapped quote, not at its stop loss', async () => {
+  const demo = await openAccount();
+  const events = [];
+  demo.on('position', event => events.push(event));
+
+  await demo.placeMarketOrder({ symbol: 'EURUSD', direction: 'BUY', volume: 1, stopLoss: 1.095 });
+  demo.pushPrice('EURUSD', 1.097);
+  assert.equal((await demo.getPositions()).length, 1);
+
+  // The market opens below the stop: the exit is the first bid under it
+  demo.pushPrice('EURUSD', 1.09);
+
+  const closed = events.find(event => event.status === 'closed');
+  assert.equal(closed.currentPrice, 1.09);
+  assert.equal(Number(closed.profit.toFixed(2)), -1010);
+  assert.deepEqual(await demo.getPositions(), []);
+  assert.equal((await demo.getAccountInfo()).balance, 8990);
+
+  await demo.disconnect();
+});
+
+test('keeps a limit order pending until the quote reaches it, then fills at the limit price', async () => {
+  const demo = await openAccount();
+
+  const order = await demo.placePendingOrder({ type: 'LIMIT', symbol: 'EURUSD', direction: 'BUY', volume: 0.5, price: 1.095 });
+  assert.equal(order.status, 'pending');
+
+  demo.pushPrice('EURUSD', 1.096);
+  assert.equal((await demo.getOrders()).length, 1);
+
+  // Ask 1.09410 is through the limit; the fill still happens at 1.09500
+  demo.pushPrice('EURUSD', 1.094);
+  const [position] = await demo.getPositions();
+
+  assert.deepEqual(await demo.getOrders(), []);
+  assert.equal(position.positionId, order.orderId);
+  assert.equal(position.volume, 0.5);
+  assert.equal(position.openPrice, 1.095);
+
+  await demo.disconnect();
+});
+
+test('stops out the most losing position until the margin level recovers', async () => {
+  const demo = await openAccount({ initialBalance: 1000, leverage: 500 });
+  demo.pushPrice('GBPUSD', 1.27);
+
+  await demo.placeMarketOrder({ symbol: 'EURUSD', direction: 'BUY', volume: 1 });
+  const gbpusd = await demo.placeMarketOrder({ symbol: 'GBPUSD', direction: 'BUY', volume: 0.1 });
+
+  demo.pushPrice('EURUSD', 1.095);
+  assert.equal((await demo.getPositions()).length, 2);
+
+  // Equity 109 against 245.42 margin is a 44% margin level, under the 50% stop-out
+  demo.pushPrice('EURUSD', 1.0912);
+  const positions = await demo.getPositions();
+  const account = await demo.getAccountInfo();
+
+  assert.deepEqual(positions.map(position => position.positionId), [gbpusd.positionId]);
+  assert.equal(account.balance, 110);
+  assert.ok(account.marginLevel > 50);
+
+  await demo.disconnect();
+});
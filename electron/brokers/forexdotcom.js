@@ -16,7 +16,7 @@ class ForexDotComAdapter extends EventEmitter {
     this.mt5Adapter = new MT5BrokerAdapter();
     
     // Forward all MT5 events
-    const events = ['error', 'disconnected', 'tick', 'position', 'order', 'account'];
+    const events = ['error', 'disconnected', 'tick', 'position', 'order', 'account', 'command'];
     events.forEach(event => {
       this.mt5Adapter.on(event, (data) => this.emit(event, data));
     });
@@ -213,12 +213,13 @@ class ForexDotComAdapter extends EventEmitter {
   
   /**
    * Close an existing position
-   * @param {Object} positionParams - Position parameters
+   * @param {number} positionId - Position ID to close
+   * @param {number} volume - Volume to close (partial close if less than position volume)
    * @returns {Promise<Object>} - Close result
    */
-  async closePosition(positionParams) {
+  async closePosition(positionId, volume = null) {
     try {
-      return await this.mt5Adapter.closePosition(positionParams);
+      return await this.mt5Adapter.closePosition(positionId, volume);
     } catch (error) {
       this.emit('error', error);
       throw error;
@@ -281,4 +282,24 @@ class ForexDotComAdapter extends EventEmitter {
   }
 }
 
+/**
+ * Broker descriptor read by the broker registry
+ * The MT5 login and password are kept in the credential store and passed as login/password
+ */
+ForexDotComAdapter.descriptor = {
+  id: 'forex-com',
+  name: 'FOREX.com',
+  credentials: {
+    apiKey: { required: true, label: 'MT5 login', configKey: 'login' },
+    apiSecret: { required: true, label: 'MT5 password', configKey: 'password' }
+  },
+  configSchema: {
+    type: 'object',
+    properties: {
+      server: { type: 'string', minLength: 1, default: 'demo' }
+    }
+  },
+  capabilities: { pendingOrders: true, partialClose: true, hedging: true, historicalData: false }
+};
+
 module.exports = ForexDotComAdapter;
\ No newline at end of file
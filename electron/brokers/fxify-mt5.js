@@ -3,6 +3,8 @@ const MT5BrokerAdapter = require('./mt5');
 const { EventEmitter } = require('events');
 const { FXIFYModeManager } = require('../fxify/fxify-mode-manager');
 const { PreExecutionValidator } = require('../fxify/pre-execution-validator');
+const { canonicalSymbol, specFromSymbolInfo, pipValue } = require('../instrument-service');
+const { toMetaTraderComment } = require('../order-model');
 
 /**
  * MT5FXIFYAdapter extends the MT5BrokerAdapter to support FXIFY mode
@@ -19,6 +21,16 @@ class MT5FXIFYAdapter extends MT5BrokerAdapter {
     this.preExecutionValidator = new PreExecutionValidator(this.fxifyModeManager);
     this.eventEmitter = new EventEmitter();
     this.isInitialized = false;
+    this.instrumentSpecs = new Map(); // symbol -> instrument spec
+    this.convertCurrency = null; // (amount, from, to) => amount, set by BrokerAdapter
+  }
+  
+  /**
+   * Set how amounts are converted to the account currency; BrokerAdapter passes the connection's quotes
+   * @param {Function} converter - async (amount, from, to) => converted amount
+   */
+  setCurrencyConverter(converter) {
+    this.convertCurrency = converter;
   }
   
   /**
@@ -266,7 +278,7 @@ class MT5FXIFYAdapter extends MT5BrokerAdapter {
         return { valid: true, rules: [] };
       }
       
-      return await this.preExecutionValidator.validateOrder(order);
+      return await this.preExecutionValidator.validateOrder(await this._withInstrumentSpec(order));
     } catch (error) {
       console.error('Error validating order against FXIFY rules:', error);
       return {
@@ -280,6 +292,74 @@ class MT5FXIFYAdapter extends MT5BrokerAdapter {
     }
   }
   
+  /**
+   * Add the pip size, pip value and (for market orders) the current price the validator needs
+   * to estimate the loss at the stop
+   * @private
+   * @param {Object} order - Order parameters
+   * @returns {Promise<Object>} - Order with pipSize, pipValue (in the account currency, omitted when it
+   *   cannot be converted), accountCurrency and price
+   */
+  async _withInstrumentSpec(order) {
+    let spec = this.instrumentSpecs.get(order.symbol);
+    
+    if (!spec) {
+      let info = null;
+      try {
+        info = await this.getSymbolInfo(order.symbol);
+      } catch (error) {
+        // Validated with the default spec of the symbol
+      }
+      
+      spec = specFromSymbolInfo(info, canonicalSymbol(order.symbol));
+      if (info) {
+        this.instrumentSpecs.set(order.symbol, spec);
+      }
+    }
+    
+    const quote = this.lastQuotes[order.symbol];
+    const isBuy = String(order.direction).toUpperCase() === 'BUY';
+    const marketPrice = quote ? (isBuy ? quote.ask : quote.bid) : undefined;
+    
+    const { currency: accountCurrency } = this.accountInfo || await super.getAccountInfo();
+    
+    return {
+      ...order,
+      price: order.price || marketPrice,
+      pipSize: order.pipSize || spec.pipSize,
+      pipValue: order.pipValue || await this._accountPipValue(order.symbol, spec, accountCurrency),
+      accountCurrency
+    };
+  }
+  
+  /**
+   * Value of one pip per lot in the account currency
+   * Broker tick values already are; the contract-size value is in the instrument's profit currency
+   * and is converted with the connection's quotes
+   * @private
+   * @param {string} symbol - Broker symbol
+   * @param {Object} spec - Instrument spec
+   * @param {string} accountCurrency - Account currency
+   * @returns {Promise<number|undefined>} Pip value, undefined when it cannot be converted
+   */
+  async _accountPipValue(symbol, spec, accountCurrency) {
+    const { value, currency } = pipValue(spec);
+    if (!currency || currency === accountCurrency) {
+      return value;
+    }
+    
+    if (!accountCurrency || !this.convertCurrency) {
+      return undefined;
+    }
+    
+    try {
+      return await this.convertCurrency(value, currency, accountCurrency);
+    } catch (error) {
+      console.error(`Failed to convert the ${symbol} pip value from ${currency} to ${accountCurrency}:`, error.message);
+      return undefined;
+    }
+  }
+  
   /**
    * Apply FXIFY constraints to order
    * @protected
@@ -307,8 +387,10 @@ class MT5FXIFYAdapter extends MT5BrokerAdapter {
       console.log(`FXIFY constraint applied: Trade size limited to ${activeProfile.tradeSizeLimit}`);
     }
     
-    // Always add FXIFY identifier to order comment
-    adjustedOrder.comment = `FXIFY: ${adjustedOrder.comment || 'SAITRAPP'}`;
+    // Add the FXIFY identifier to the order comment, unless the comment carries the client order ID
+    if (!adjustedOrder.clientOrderId || adjustedOrder.comment !== toMetaTraderComment(adjustedOrder.clientOrderId)) {
+      adjustedOrder.comment = `FXIFY: ${adjustedOrder.comment || 'SAITRAPP'}`;
+    }
     
     return adjustedOrder;
   }
@@ -364,4 +446,14 @@ class MT5FXIFYAdapter extends MT5BrokerAdapter {
   }
 }
 
+/**
+ * Broker descriptor read by the broker registry
+ */
+MT5FXIFYAdapter.descriptor = {
+  ...MT5BrokerAdapter.descriptor,
+  id: 'fxify',
+  name: 'FXIFY',
+  aliases: ['fxify-mt5']
+};
+
 module.exports = MT5FXIFYAdapter;
\ No newline at end of file
@@ -0,0 +1,330 @@
+// electron/brokers/ib-contracts.js
+
+/**
+ * Interactive Brokers contracts for SAITRAPP symbols
+ *
+ * TWS trades contracts rather than symbols. The builders below produce contract templates for
+ * each supported security type; the adapter completes them with reqContractDetails (conId,
+ * primary exchange, expiry) before trading. Connections map SAITRAPP symbols to IB instruments
+ * through the usual symbol mappings, using the notation read by parseInstrument:
+ *
+ *   EURUSD                       currency pair on IDEALPRO
+ *   AAPL                         US stock routed through SMART
+ *   ES                           front-month future of a known root (see FUTURES)
+ *   STK:SAP:IBIS:EUR             stock on an exchange, in a currency
+ *   FUT:ES:CME:202612            future of a given contract month (front month when left out)
+ *   OPT:AAPL:20261120:200:C      option: underlying, expiry, strike, right
+ *   FOP:ES:20261218:6000:P       option on a future
+ *   CFD:IBUS500                  CFD (index CFDs, or stock and currency pair CFDs)
+ *   CMDTY:XAUUSD                 spot metal
+ */
+
+// Futures roots recognised without a prefix, with their exchange and currency
+const FUTURES = {
+  ES: { exchange: 'CME', currency: 'USD' },
+  MES: { exchange: 'CME', currency: 'USD' },
+  NQ: { exchange: 'CME', currency: 'USD' },
+  MNQ: { exchange: 'CME', currency: 'USD' },
+  RTY: { exchange: 'CME', currency: 'USD' },
+  YM: { exchange: 'CBOT', currency: 'USD' },
+  MYM: { exchange: 'CBOT', currency: 'USD' },
+  ZB: { exchange: 'CBOT', currency: 'USD' },
+  ZN: { exchange: 'CBOT', currency: 'USD' },
+  ZC: { exchange: 'CBOT', currency: 'USD' },
+  ZS: { exchange: 'CBOT', currency: 'USD' },
+  ZW: { exchange: 'CBOT', currency: 'USD' },
+  CL: { exchange: 'NYMEX', currency: 'USD' },
+  NG: { exchange: 'NYMEX', currency: 'USD' },
+  GC: { exchange: 'COMEX', currency: 'USD' },
+  SI: { exchange: 'COMEX', currency: 'USD' },
+  HG: { exchange: 'COMEX', currency: 'USD' },
+  FDAX: { exchange: 'EUREX', currency: 'EUR' },
+  FESX: { exchange: 'EUREX', currency: 'EUR' }
+};
+
+// SAITRAPP symbols of CFD-style signal providers and the IB instrument that tracks them
+const SYMBOL_ALIASES = {
+  US500: 'CFD:IBUS500',
+  SPX500: 'CFD:IBUS500',
+  US30: 'CFD:IBUS30',
+  NAS100: 'CFD:IBUST100',
+  US100: 'CFD:IBUST100',
+  GER40: 'CFD:IBDE40:EUR',
+  DE40: 'CFD:IBDE40:EUR',
+  UK100: 'CFD:IBGB100:GBP',
+  JP225: 'CFD:IBJP225:JPY',
+  XAUUSD: 'CMDTY:XAUUSD',
+  XAGUSD: 'CMDTY:XAGUSD',
+  USOIL: 'FUT:CL',
+  WTI: 'FUT:CL'
+};
+
+/**
+ * Currency pair traded on IDEALPRO
+ * @param {string} pair - Six-letter pair (EURUSD)
+ * @returns {Object} TWS contract
+ */
+function cashContract(pair) {
+  const normalized = pair.toUpperCase();
+  return { symbol: normalized.substring(0, 3), secType: 'CASH', currency: normalized.substring(3), exchange: 'IDEALPRO' };
+}
+
+/**
+ * Stock, routed through SMART unless an exchange is given
+ * @param {string} symbol - Ticker
+ * @param {Object} [options] - { exchange, currency, primaryExchange }
+ * @returns {Object} TWS contract
+ */
+function stockContract(symbol, { exchange = 'SMART', currency = 'USD', primaryExchange = '' } = {}) {
+  return { symbol: symbol.toUpperCase(), secType: 'STK', exchange, primaryExchange, currency };
+}
+
+/**
+ * Future; without a contract month this matches every listed month (see frontMonth)
+ * @param {string} root - Root symbol (ES, CL, ...)
+ * @param {Object} [options] - { exchange, currency, contractMonth (YYYYMM or YYYYMMDD), multiplier }
+ * @returns {Object} TWS contract
+ */
+function futureContract(root, { exchange, currency, contractMonth = '', multiplier = '' } = {}) {
+  const symbol = root.toUpperCase();
+  const known = FUTURES[symbol] || {};
+  return {
+    symbol,
+    secType: 'FUT',
+    lastTradeDateOrContractMonth: contractMonth,
+    multiplier,
+    exchange: exchange || known.exchange || '',
+    currency: currency || known.currency || 'USD'
+  };
+}
+
+/**
+ * Option on a stock (OPT) or on a future (FOP)
+ * @param {Object} params - Option parameters
+ * @param {string} params.symbol - Underlying symbol
+ * @param {string} params.expiry - Expiry (YYYYMMDD)
+ * @param {number} params.strike - Strike price
+ * @param {string} params.right - C or P
+ * @param {string} [params.secType] - OPT or FOP
+ * @param {string} [params.exchange] - Exchange (SMART for stock options)
+ * @param {string} [params.currency] - Currency
+ * @param {string} [params.tradingClass] - Trading class, from the option chain
+ * @param {string} [params.multiplier] - Contract multiplier, from the option chain
+ * @returns {Object} TWS contract
+ */
+function optionContract({ symbol, expiry, strike, right, secType = 'OPT', exchange = 'SMART', currency = 'USD', tradingClass = '', multiplier = '' }) {
+  const normalizedRight = String(right).toUpperCase().charAt(0);
+  if (!['C', 'P'].includes(normalizedRight)) {
+    throw new Error(`Invalid option right: ${right}`);
+  }
+
+  return {
+    symbol: symbol.toUpperCase(),
+    secType,
+    lastTradeDateOrContractMonth: expiry,
+    strike: Number(strike),
+    right: normalizedRight,
+    multiplier,
+    exchange,
+    currency,
+    tradingClass
+  };
+}
+
+/**
+ * Contract for difference on an index (IBUS500), a stock (AAPL) or a currency pair (EURUSD)
+ * @param {string} symbol - IB CFD symbol, ticker or six-letter pair
+ * @param {Object} [options] - { currency }
+ * @returns {Object} TWS contract
+ */
+function cfdContract(symbol, { currency = 'USD' } = {}) {
+  const normalized = symbol.toUpperCase();
+  if (/^[A-Z]{6}$/.test(normalized) && !normalized.startsWith('IB')) {
+    return { symbol: normalized.substring(0, 3), secType: 'CFD', currency: normalized.substring(3), exchange: 'SMART' };
+  }
+  return { symbol: normalized, secType: 'CFD', currency, exchange: 'SMART' };
+}
+
+/**
+ * Spot commodity (XAUUSD, XAGUSD)
+ * @param {string} symbol - IB commodity symbol
+ * @param {Object} [options] - { currency }
+ * @returns {Object} TWS contract
+ */
+function commodityContract(symbol, { currency = 'USD' } = {}) {
+  return { symbol: symbol.toUpperCase(), secType: 'CMDTY', currency, exchange: 'SMART' };
+}
+
+/**
+ * Parse an IB instrument in the notation described at the top of this file
+ * @param {string} text - Broker symbol of an IB connection
+ * @returns {Object} { contract, frontMonth } where frontMonth asks for the nearest listed future
+ */
+function parseInstrument(text) {
+  const normalized = String(text || '').trim().toUpperCase();
+  if (!normalized) {
+    throw new Error('Empty IB instrument');
+  }
+
+  if (SYMBOL_ALIASES[normalized]) {
+    return parseInstrument(SYMBOL_ALIASES[normalized]);
+  }
+
+  if (!normalized.includes(':')) {
+    if (FUTURES[normalized]) {
+      return { contract: futureContract(normalized), frontMonth: true };
+    }
+    if (/^[A-Z]{6}$/.test(normalized)) {
+      return { contract: cashContract(normalized), frontMonth: false };
+    }
+    return { contract: stockContract(normalized), frontMonth: false };
+  }
+
+  const [secType, symbol, ...rest] = normalized.split(':');
+  if (!symbol) {
+    throw new Error(`Invalid IB instrument: ${text}`);
+  }
+
+  switch (secType) {
+    case 'CASH':
+      return { contract: cashContract(symbol), frontMonth: false };
+
+    case 'STK':
+      return {
+        contract: stockContract(symbol, { exchange: rest[0] || undefined, currency: rest[1] || undefined }),
+        frontMonth: false
+      };
+
+    case 'FUT':
+      return {
+        contract: futureContract(symbol, { exchange: rest[0] || undefined, contractMonth: rest[1] || '' }),
+        frontMonth: !rest[1]
+      };
+
+    case 'OPT':
+    case 'FOP': {
+      const [expiry, strike, right] = rest;
+      if (!expiry || !strike || !right) {
+        throw new Error(`Invalid IB option, expected ${secType}:SYMBOL:EXPIRY:STRIKE:RIGHT: ${text}`);
+      }
+      const future = secType === 'FOP' ? futureContract(symbol) : null;
+      return {
+        contract: optionContract({
+          symbol,
+          expiry,
+          strike,
+          right,
+          secType,
+          exchange: future ? future.exchange : 'SMART',
+          currency: future ? future.currency : 'USD'
+        }),
+        frontMonth: false
+      };
+    }
+
+    case 'CFD':
+      return { contract: cfdContract(symbol, { currency: rest[0] || undefined }), frontMonth: false };
+
+    case 'CMDTY':
+      return { contract: commodityContract(symbol, { currency: rest[0] || undefined }), frontMonth: false };
+
+    default:
+      throw new Error(`Unsupported IB security type: ${secType}`);
+  }
+}
+
+/**
+ * Date a listed contract stops trading
+ * @private
+ * @param {Object} details - Contract details
+ * @returns {string} YYYYMMDD (month-only expiries count from the 1st)
+ */
+function expiryOf(details) {
+  const expiry = details.realExpirationDate || details.contract.lastTradeDateOrContractMonth || '';
+  return expiry.length === 6 ? `${expiry}01` : expiry;
+}
+
+/**
+ * Pick the front-month future from the contract details of every listed month
+ * Contracts expiring within rollDays are skipped, so positions move to the next month while
+ * the expiring one is still liquid
+ * @param {Array<Object>} detailsList - Contract details of one root
+ * @param {Object} [options] - { rollDays, now }
+ * @returns {Object|null} Contract details of the front month
+ */
+function frontMonth(detailsList, { rollDays = 0, now = new Date() } = {}) {
+  const cutoff = new Date(now.getTime() + rollDays * 24 * 60 * 60 * 1000);
+  const cutoffDate = cutoff.toISOString().slice(0, 10).replace(/-/g, '');
+
+  const listed = detailsList
+    .filter(details => expiryOf(details) >= cutoffDate)
+    .sort((a, b) => expiryOf(a).localeCompare(expiryOf(b)));
+
+  return listed[0] || null;
+}
+
+/**
+ * Cache key of a contract query
+ * @param {Object} contract - TWS contract
+ * @returns {string} Key
+ */
+function contractKey(contract) {
+  return [
+    contract.conId || '',
+    contract.symbol,
+    contract.secType,
+    contract.lastTradeDateOrContractMonth || '',
+    contract.strike || '',
+    contract.right || '',
+    contract.multiplier || '',
+    contract.exchange || '',
+    contract.primaryExchange || '',
+    contract.currency || '',
+    contract.tradingClass || ''
+  ].join('|');
+}
+
+/**
+ * Instrument spec fields (read by InstrumentService) of a contract's details
+ * Quantities are whole contracts, shares or currency units
+ * @param {Object} details - Contract details
+ * @returns {Object} { digits, point, tickSize, tickValue, contractSize, minVolume, volumeStep, ... }
+ */
+function specFromDetails(details) {
+  const { contract } = details;
+  const tickSize = details.minTick || 0.01;
+  const decimals = String(tickSize).includes('e-')
+    ? Number(String(tickSize).split('e-')[1])
+    : (String(tickSize).split('.')[1] || '').length;
+  const contractSize = Number(contract.multiplier) || 1;
+
+  return {
+    symbol: contract.localSymbol || contract.symbol,
+    description: details.longName || '',
+    digits: decimals,
+    point: Number(`1e-${decimals}`),
+    tickSize,
+    tickValue: tickSize * contractSize,
+    contractSize,
+    minVolume: 1,
+    volumeStep: 1,
+    baseCurrency: contract.secType === 'CASH' ? contract.symbol : contract.currency,
+    marginCurrency: contract.currency,
+    profitCurrency: contract.currency
+  };
+}
+
+module.exports = {
+  FUTURES,
+  SYMBOL_ALIASES,
+  cashContract,
+  stockContract,
+  futureContract,
+  optionContract,
+  cfdContract,
+  commodityContract,
+  parseInstrument,
+  frontMonth,
+  contractKey,
+  specFromDetails
+};
@@ -3,10 +3,46 @@ const { EventEmitter } = require('events');
 const path = require('path');
 const fs = require('fs');
 const net = require('net');
+const {
+  MIN_CLIENT_VERSION,
+  SERVER_VERSION,
+  FrameReader,
+  encodeHandshake,
+  encodeRequest,
+  parseHandshake,
+  decodeMessage,
+  isWarningCode
+} = require('./tws-protocol');
+const { parseInstrument, frontMonth, contractKey, specFromDetails } = require('./ib-contracts');
+
+// TWS error codes that end the handshake: client ID in use, not connected, too old a version
+const HANDSHAKE_ERROR_CODES = [326, 502, 503];
+
+// Contract details are looked up again after this long, so newly listed months show up
+const CONTRACT_CACHE_TTL = 12 * 60 * 60 * 1000;
+
+// Futures move to the next month this many days before expiry
+const DEFAULT_ROLL_DAYS = 5;
+
+// Account summary tags read by getAccountSummary (see the AccountSnapshot mapping in broker-events.js)
+const ACCOUNT_SUMMARY_TAGS = [
+  'AccountType',
+  'NetLiquidation',
+  'TotalCashValue',
+  'SettledCash',
+  'BuyingPower',
+  'EquityWithLoanValue',
+  'GrossPositionValue',
+  'InitMarginReq',
+  'MaintMarginReq',
+  'AvailableFunds',
+  'ExcessLiquidity',
+  'Cushion'
+];
 
 /**
  * Interactive Brokers adapter for SAITRAPP
- * Uses the Interactive Brokers TWS API or IB Gateway
+ * Speaks the TWS socket API (see tws-protocol.js) to TWS or IB Gateway
  */
 class InteractiveBrokersAdapter {
   /**
@@ -15,27 +51,39 @@ class InteractiveBrokersAdapter {
   constructor() {
     this.socket = null;
     this.connected = false;
-    this.clientId = Math.floor(Math.random() * 9000) + 1000; // Random client ID
+    this.clientId = Math.floor(Math.random() * 9000) + 1000; // Random client ID unless config.clientId is set
+    this.serverVersion = null;
+    this.connectionTime = null;
+    this.managedAccounts = [];
+    // Ticker and order IDs share one counter, raised to nextValidId, so error messages name a single request
     this.nextRequestId = 1;
-    this.callbacks = new Map();
     this.eventEmitter = new EventEmitter();
-    this.messageBuffer = '';
+    this.frameReader = new FrameReader();
     
     // Internal tracking of account and position data
     this.accountInfo = {};
     this.positions = [];
     this.orders = [];
-    this.marketData = {};
-    this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 3;
-    this.reconnectDelay = 5000;
+    this.marketData = {}; // requestId -> contract, used to name incoming ticks
+    this.streamingRequests = new Map(); // requestId -> contract, streams to restore after a reconnect
+    this.submittedOrders = new Map(); // orderId -> { contract, action, orderType, orderRef }
+    this.commissionReports = new Map(); // execId -> commission report of this session
+    this.pnlSubscriptions = new Map(); // requestId -> { account, contract }, contract null for the whole account
+    
+    // Contract lookups, kept across reconnects
+    this.contractDetailsCache = new Map(); // contract key -> { details: Promise<Array>, expires }
+    this.futuresRollDays = DEFAULT_ROLL_DAYS;
   }
   
   /**
    * Connect to Interactive Brokers TWS or Gateway
+   * Sends the handshake, starts the API session once the server version is known and
+   * resolves when TWS reports the next valid order ID
    * @param {Object} config - Connection configuration
    * @param {string} config.host - Host address (default: localhost)
    * @param {number} config.port - Port number (default: 7496 for TWS, 4001 for Gateway)
+   * @param {number} config.clientId - API client ID (default: random)
+   * @param {number} config.futuresRollDays - Days before expiry a future rolls to the next month
    * @returns {Promise<Object>} - Connection result
    */
   async connect(config) {
@@ -46,58 +94,99 @@ class InteractiveBrokersAdapter {
     try {
       const host = config.host || 'localhost';
       const port = config.port || 7496;
+      if (config.clientId !== undefined) {
+        this.clientId = config.clientId;
+      }
+      if (config.futuresRollDays !== undefined) {
+        this.futuresRollDays = config.futuresRollDays;
+      }
       
       return new Promise((resolve, reject) => {
         // Create socket connection
         this.socket = new net.Socket();
+        this.serverVersion = null;
+        this.frameReader.reset();
+        this.commissionReports.clear();
         
-        // Set up connection timeout
-        const connectionTimeout = setTimeout(() => {
+        let settled = false;
+        const fail = (message) => {
+          if (settled) return;
+          settled = true;
+          clearTimeout(connectionTimeout);
+          this.eventEmitter.off('nextValidId', onReady);
+          this.eventEmitter.off('error', onHandshakeError);
           this.socket?.destroy();
-          reject({ success: false, message: 'Connection timeout' });
-        }, 15000);
+          reject({ success: false, message });
+        };
         
-        // Connection event handlers
-        this.socket.on('connect', () => {
+        // Set up connection timeout
+        const connectionTimeout = setTimeout(() => fail('Connection timeout'), 15000);
+        
+        // The session is usable once TWS hands out the next valid order ID
+        const onReady = () => {
+          if (settled) return;
+          settled = true;
           clearTimeout(connectionTimeout);
-          console.log(`Connected to IB at ${host}:${port}`);
-          
-          // Set up API client version
-          this._sendRawMessage('API\0v100...176'); // IB API version compatibility
-          
-          // Start the client
-          this._sendRequest('startApi', {
-            clientId: this.clientId,
-            optionalCapabilities: ''
-          });
-          
-          // Set connected state and reset reconnect attempts
+          this.eventEmitter.off('error', onHandshakeError);
           this.connected = true;
-          this.reconnectAttempts = 0;
+          this._restorePnLSubscriptions();
           
-          // Resolve the promise with success
           resolve({ 
             success: true, 
             message: 'Connected to Interactive Brokers', 
-            clientId: this.clientId 
+            clientId: this.clientId,
+            serverVersion: this.serverVersion,
+            accounts: this.managedAccounts
           });
+        };
+        
+        const onHandshakeError = (error) => {
+          if (HANDSHAKE_ERROR_CODES.includes(error.code)) {
+            fail(`TWS refused the connection: ${error.code} - ${error.message}`);
+          }
+        };
+        
+        this.eventEmitter.once('nextValidId', onReady);
+        this.eventEmitter.on('error', onHandshakeError);
+        
+        // Connection event handlers
+        this.socket.on('connect', () => {
+          console.log(`Connected to IB at ${host}:${port}`);
+          
+          // Offer the supported server version range; the answer is the first framed message
+          this._sendRawMessage(encodeHandshake());
         });
         
         // Handle incoming data
         this.socket.on('data', (data) => {
-          // Append to message buffer
-          this.messageBuffer += data.toString();
+          let messages;
+          try {
+            messages = this.frameReader.push(data);
+          } catch (error) {
+            // The stream cannot be read past a corrupt length prefix
+            console.error('Error reading IB data:', error);
+            this.socket.destroy();
+            return;
+          }
           
-          // Process complete messages
-          this._processMessagesFromBuffer();
+          try {
+            messages.forEach(fields => {
+              if (this.serverVersion === null) {
+                this._handleHandshake(fields, fail);
+              } else {
+                this._processMessage(fields);
+              }
+            });
+          } catch (error) {
+            console.error('Error processing IB data:', error);
+          }
         });
         
         // Handle errors
         this.socket.on('error', (error) => {
           console.error('IB connection error:', error);
           if (!this.connected) {
-            clearTimeout(connectionTimeout);
-            reject({ success: false, message: `Connection error: ${error.message}` });
+            fail(`Connection error: ${error.message}`);
           } else {
             this.eventEmitter.emit('error', error);
           }
@@ -108,27 +197,12 @@ class InteractiveBrokersAdapter {
           console.log('IB connection closed');
           const wasConnected = this.connected;
           this.connected = false;
+          this.frameReader.reset();
+          fail('Connection closed during the TWS handshake');
           
-          // Clean up callbacks
-          this.callbacks.forEach((cb) => {
-            cb.reject(new Error('Connection closed'));
-          });
-          this.callbacks.clear();
-          
+          // Reconnecting is left to the connection supervisor
           if (wasConnected) {
             this.eventEmitter.emit('disconnected');
-            
-            // Try to reconnect
-            if (this.reconnectAttempts < this.maxReconnectAttempts && !this.manualDisconnect) {
-              this.reconnectAttempts++;
-              console.log(`Attempting to reconnect to IB (${this.reconnectAttempts}/${this.maxReconnectAttempts})...`);
-              
-              setTimeout(() => {
-                this.connect(config).catch(err => {
-                  console.error('IB reconnection failed:', err);
-                });
-              }, this.reconnectDelay * this.reconnectAttempts);
-            }
           }
         });
         
@@ -141,6 +215,28 @@ class InteractiveBrokersAdapter {
     }
   }
   
+  /**
+   * Read the server version from the handshake answer and start the API session
+   * @private
+   * @param {Array<string>} fields - Fields of the first message
+   * @param {Function} fail - Rejects the pending connect
+   */
+  _handleHandshake(fields, fail) {
+    const { serverVersion, connectionTime } = parseHandshake(fields);
+    if (serverVersion < MIN_CLIENT_VERSION) {
+      fail(`TWS server version ${serverVersion} is older than the supported minimum ${MIN_CLIENT_VERSION}`);
+      return;
+    }
+    
+    this.serverVersion = serverVersion;
+    this.connectionTime = connectionTime;
+    
+    this._sendRequest('startApi', {
+      clientId: this.clientId,
+      optionalCapabilities: ''
+    });
+  }
+  
   /**
    * Disconnect from Interactive Brokers
    * @returns {Promise<Object>} - Disconnect result
@@ -151,8 +247,6 @@ class InteractiveBrokersAdapter {
     }
     
     return new Promise((resolve) => {
-      this.manualDisconnect = true; // Flag to prevent auto reconnect
-      
       this.socket.once('close', () => {
         resolve({ success: true, message: 'Disconnected from Interactive Brokers' });
       });
@@ -172,6 +266,31 @@ class InteractiveBrokersAdapter {
     });
   }
   
+  /**
+   * Ask TWS for its clock; used by the connection supervisor as a heartbeat
+   * @returns {Promise<Object>} - { time } in seconds since the epoch
+   */
+  async ping() {
+    if (!this.connected) {
+      throw new Error('Not connected to Interactive Brokers');
+    }
+    
+    return new Promise((resolve, reject) => {
+      const onCurrentTime = (data) => {
+        clearTimeout(timeout);
+        resolve(data);
+      };
+      
+      const timeout = setTimeout(() => {
+        this.eventEmitter.off('currentTime', onCurrentTime);
+        reject(new Error('Current time request timed out'));
+      }, 10000);
+      
+      this.eventEmitter.once('currentTime', onCurrentTime);
+      this._sendRequest('reqCurrentTime');
+    });
+  }
+  
   /**
    * Get account information
    * @param {string} account - Account ID
@@ -281,9 +400,234 @@ class InteractiveBrokersAdapter {
     });
   }
   
+  /**
+   * Get the working orders of every API client and of TWS itself
+   * @returns {Promise<Array>} - Open orders with their latest status
+   */
+  async getOrders() {
+    if (!this.connected) {
+      throw new Error('Not connected to Interactive Brokers');
+    }
+    
+    return new Promise((resolve, reject) => {
+      const ordersById = new Map();
+      let timeout;
+      
+      // TWS sends openOrder followed by orderStatus for each working order
+      const onOpenOrder = (data) => {
+        ordersById.set(data.orderId, { ...ordersById.get(data.orderId), ...data });
+      };
+      
+      const onOrderStatus = (status) => {
+        if (ordersById.has(status.orderId)) {
+          ordersById.set(status.orderId, { ...ordersById.get(status.orderId), ...status });
+        }
+      };
+      
+      const cleanup = () => {
+        clearTimeout(timeout);
+        this.eventEmitter.off('openOrder', onOpenOrder);
+        this.eventEmitter.off('orderStatus', onOrderStatus);
+        this.eventEmitter.off('openOrderEnd', onOpenOrderEnd);
+      };
+      
+      const onOpenOrderEnd = () => {
+        cleanup();
+        this.orders = [...ordersById.values()];
+        resolve(this.orders);
+      };
+      
+      this.eventEmitter.on('openOrder', onOpenOrder);
+      this.eventEmitter.on('orderStatus', onOrderStatus);
+      this.eventEmitter.on('openOrderEnd', onOpenOrderEnd);
+      
+      timeout = setTimeout(() => {
+        cleanup();
+        reject(new Error('Open orders request timed out'));
+      }, 15000);
+      
+      this._sendRequest('reqAllOpenOrders');
+    });
+  }
+  
+  /**
+   * Get the executions of the current day, with their commission reports
+   * TWS also sends every execution as an execution event, so executions missed while the
+   * link was down reach the event normalizer as well
+   * @param {Object} filter - { clientId, account, time ("yyyymmdd-hh:mm:ss"), symbol, secType, exchange, side }
+   * @returns {Promise<Array>} - Executions: { ...execution, contract, commissionReport }
+   */
+  async getExecutions(filter = {}) {
+    const items = await this._requestList('reqExecutions', { filter }, {
+      item: 'execution',
+      end: 'executionEnd',
+      label: 'Executions'
+    });
+    
+    // Commission reports may still be on their way for the last executions
+    return items.map(({ contract, execution }) => ({
+      ...execution,
+      contract,
+      commissionReport: this.commissionReports.get(execution.execId) || null
+    }));
+  }
+  
+  /**
+   * Get the account summary of every managed account
+   * @param {string} group - Account group ('All' for every account)
+   * @returns {Promise<Array>} - One entry per account: { account, currency, values: { tag: value } }
+   */
+  async getAccountSummary(group = 'All') {
+    const rows = await this._requestList('reqAccountSummary', { group, tags: ACCOUNT_SUMMARY_TAGS }, {
+      item: 'accountSummary',
+      end: 'accountSummaryEnd',
+      label: 'Account summary',
+      // TWS keeps sending updates until the subscription is cancelled
+      cancel: 'cancelAccountSummary'
+    });
+    
+    const accounts = new Map();
+    rows.forEach(row => {
+      if (!accounts.has(row.account)) {
+        accounts.set(row.account, { account: row.account, currency: null, values: {} });
+      }
+      const entry = accounts.get(row.account);
+      entry.values[row.tag] = row.value;
+      if (row.tag === 'NetLiquidation') {
+        entry.currency = row.currency;
+      }
+    });
+    
+    return [...accounts.values()];
+  }
+  
+  /**
+   * Stream the daily, unrealized and realized P&L of an account (pnl events)
+   * @param {string} account - Account ID
+   * @returns {Object} - { requestId } of the subscription
+   */
+  subscribePnL(account) {
+    return this._subscribePnL('reqPnL', account, null);
+  }
+  
+  /**
+   * Stream the P&L and value of one position (pnlSingle events)
+   * @param {string} account - Account ID
+   * @param {Object} contract - Contract of the position (conId is required)
+   * @returns {Object} - { requestId } of the subscription
+   */
+  subscribePositionPnL(account, contract) {
+    return this._subscribePnL('reqPnLSingle', account, contract);
+  }
+  
+  /**
+   * Stop a P&L stream
+   * @param {number} requestId - Request ID returned by subscribePnL or subscribePositionPnL
+   * @returns {boolean} - True if the subscription existed
+   */
+  unsubscribePnL(requestId) {
+    const subscription = this.pnlSubscriptions.get(requestId);
+    if (!subscription) {
+      return false;
+    }
+    
+    this.pnlSubscriptions.delete(requestId);
+    if (this.connected) {
+      this._sendRequest(subscription.contract ? 'cancelPnLSingle' : 'cancelPnL', { requestId });
+    }
+    return true;
+  }
+  
+  /**
+   * Look up the listed contracts matching a (possibly partial) contract
+   * Results are cached for CONTRACT_CACHE_TTL; concurrent lookups share one request
+   * @param {Object} contract - TWS contract, e.g. from the builders in ib-contracts.js
+   * @returns {Promise<Array>} - Contract details ({ contract, minTick, longName, ... })
+   */
+  async getContractDetails(contract) {
+    if (!this.connected) {
+      throw new Error('Not connected to Interactive Brokers');
+    }
+    
+    const key = contractKey(contract);
+    const cached = this.contractDetailsCache.get(key);
+    if (cached && cached.expires > Date.now()) {
+      return cached.details;
+    }
+    
+    const details = this._requestList('reqContractDetails', { contract }, {
+      item: 'contractDetails',
+      end: 'contractDetailsEnd',
+      label: 'Contract details'
+    }).then(items => items.map(item => item.details));
+    
+    // Failed lookups are retried on next use
+    this.contractDetailsCache.set(key, { details, expires: Date.now() + CONTRACT_CACHE_TTL });
+    details.catch(() => this.contractDetailsCache.delete(key));
+    
+    return details;
+  }
+  
+  /**
+   * Resolve an instrument (EURUSD, AAPL, ES, FUT:CL:NYMEX, ... see ib-contracts.js) into a
+   * complete contract; futures without a contract month resolve to the front month
+   * @param {string} symbol - Instrument
+   * @returns {Promise<Object>} - TWS contract with conId
+   */
+  async resolveContract(symbol) {
+    const details = await this._resolveDetails(symbol);
+    return details.contract;
+  }
+  
+  /**
+   * Describe an instrument for position sizing and pip conversions
+   * @param {string} symbol - Instrument
+   * @returns {Promise<Object>} - Instrument spec fields (digits, tickSize, contractSize, ...)
+   */
+  async getSymbolInfo(symbol) {
+    const details = await this._resolveDetails(symbol);
+    return specFromDetails(details);
+  }
+  
+  /**
+   * Get the option chains of a stock or future
+   * @param {string} symbol - Underlying instrument
+   * @returns {Promise<Array>} - One chain per exchange and trading class:
+   *   { symbol, secType, exchange, currency, tradingClass, multiplier, expirations, strikes }
+   */
+  async getOptionChain(symbol) {
+    const underlying = await this.resolveContract(symbol);
+    if (!['STK', 'FUT', 'IND'].includes(underlying.secType)) {
+      throw new Error(`${symbol} is a ${underlying.secType} contract; option chains exist for stocks, indices and futures`);
+    }
+    
+    const chains = await this._requestList('reqSecDefOptParams', {
+      underlyingSymbol: underlying.symbol,
+      futFopExchange: underlying.secType === 'FUT' ? underlying.exchange : '',
+      underlyingSecType: underlying.secType,
+      underlyingConId: underlying.conId
+    }, {
+      item: 'optionParameters',
+      end: 'optionParametersEnd',
+      label: 'Option chain'
+    });
+    
+    // Pass a chain's fields to optionContract() with an expiry, strike and right to trade it
+    return chains.map(chain => ({
+      symbol: underlying.symbol,
+      secType: underlying.secType === 'FUT' ? 'FOP' : 'OPT',
+      exchange: chain.exchange,
+      currency: underlying.currency,
+      tradingClass: chain.tradingClass,
+      multiplier: chain.multiplier,
+      expirations: [...chain.expirations].sort(),
+      strikes: [...chain.strikes].sort((a, b) => a - b)
+    }));
+  }
+  
   /**
    * Get market data
-   * @param {Object} contract - Contract details
+   * @param {Object|string} contract - Contract, or an instrument resolved with resolveContract
    * @param {string} dataType - Type of market data to request
    * @returns {Promise<Object>} - Market data
    */
@@ -292,6 +636,10 @@ class InteractiveBrokersAdapter {
       throw new Error('Not connected to Interactive Brokers');
     }
     
+    if (typeof contract === 'string') {
+      contract = await this.resolveContract(contract);
+    }
+    
     const requestId = this.nextRequestId++;
     
     return new Promise((resolve, reject) => {
@@ -313,7 +661,7 @@ class InteractiveBrokersAdapter {
       
       // Handle errors
       const onError = (error) => {
-        if (error.requestId === requestId) {
+        if (error.id === requestId) {
           cleanup();
           reject(new Error(`Market data error: ${error.message}`));
         }
@@ -341,6 +689,12 @@ class InteractiveBrokersAdapter {
         }
       }, 10000);
       
+      // Remember the contract so ticks for this request can be attributed to a symbol
+      this.marketData[requestId] = contract;
+      if (dataType !== 'SNAPSHOT') {
+        this.streamingRequests.set(requestId, contract);
+      }
+      
       // Request market data
       this._sendRequest('reqMktData', {
         requestId,
@@ -352,9 +706,33 @@ class InteractiveBrokersAdapter {
     });
   }
   
+  /**
+   * Re-request the streaming market data of the previous session after a reconnect
+   * TWS forgets every reqMktData when the socket closes; the request IDs are reused so
+   * ticks keep their symbol
+   * @returns {Promise<Object>} - Number of restored streams
+   */
+  async resubscribe() {
+    if (!this.connected) {
+      throw new Error('Not connected to Interactive Brokers');
+    }
+    
+    this.streamingRequests.forEach((contract, requestId) => {
+      this._sendRequest('reqMktData', {
+        requestId,
+        contract,
+        genericTickList: '',
+        snapshot: false,
+        regulatorySnapshot: false
+      });
+    });
+    
+    return { success: true, restored: this.streamingRequests.size };
+  }
+  
   /**
    * Place an order
-   * @param {Object} contract - Contract to trade
+   * @param {Object|string} contract - Contract to trade, or an instrument resolved with resolveContract
    * @param {Object} order - Order details
    * @returns {Promise<Object>} - Order result
    */
@@ -363,33 +741,12 @@ class InteractiveBrokersAdapter {
       throw new Error('Not connected to Interactive Brokers');
     }
     
-    const orderId = this.nextRequestId++;
+    if (typeof contract === 'string') {
+      contract = await this.resolveContract(contract);
+    }
     
-    // Create order object with default values
-    const ibOrder = {
-      orderId,
-      clientId: this.clientId,
-      permId: 0,
-      action: order.direction.toUpperCase(),
-      totalQuantity: order.quantity,
-      orderType: order.orderType || 'MKT',
-      lmtPrice: order.limitPrice || 0,
-      auxPrice: order.stopPrice || 0,
-      tif: order.timeInForce || 'DAY',
-      ocaGroup: '',
-      account: order.account || '',
-      openClose: 'O',
-      origin: 0,
-      orderRef: order.orderRef || '',
-      transmit: true,
-      parentId: order.parentId || 0,
-      blockOrder: false,
-      sweepToFill: false,
-      displaySize: 0,
-      triggerMethod: 0,
-      outsideRth: false,
-      hidden: false
-    };
+    const ibOrder = this._buildOrder(this.nextRequestId++, order);
+    const { orderId } = ibOrder;
     
     return new Promise((resolve, reject) => {
       let timeout;
@@ -452,12 +809,7 @@ class InteractiveBrokersAdapter {
         });
       }, 15000);
       
-      // Place order
-      this._sendRequest('placeOrder', {
-        id: orderId,
-        contract,
-        order: ibOrder
-      });
+      this._submitOrder(contract, ibOrder);
       
       // Immediately return the order ID
       resolve({
@@ -468,6 +820,43 @@ class InteractiveBrokersAdapter {
     });
   }
   
+  /**
+   * Place an order with exit orders attached to it (stop loss, take profit)
+   * The parent and every exit but the last go out with transmit off, so TWS holds the whole bracket
+   * until its last message and the entry can never fill without its exits. The exits share an OCA
+   * group: the one that fills cancels the others.
+   * @param {Object|string} contract - Contract to trade, or an instrument resolved with resolveContract
+   * @param {Object} order - Parent order details
+   * @param {Array<Object>} exits - Child order details (direction, quantity, orderType, limitPrice, stopPrice, orderRef)
+   * @returns {Promise<Object>} - Parent order result with children, one result per exit
+   */
+  async placeBracketOrder(contract, order, exits) {
+    if (!this.connected) {
+      throw new Error('Not connected to Interactive Brokers');
+    }
+    
+    if (typeof contract === 'string') {
+      contract = await this.resolveContract(contract);
+    }
+    
+    const parent = this._buildOrder(this.nextRequestId++, { ...order, transmit: exits.length === 0 });
+    const ocaGroup = `SAITRAPP-${parent.orderId}`;
+    const children = exits.map((exit, index) => this._buildOrder(this.nextRequestId++, {
+      ...exit,
+      parentId: parent.orderId,
+      ocaGroup,
+      // A partial exit fill reduces the other exits instead of cancelling them
+      ocaType: 2,
+      transmit: index === exits.length - 1
+    }));
+    
+    // Written back to back, with nothing awaited in between
+    [parent, ...children].forEach(ibOrder => this._submitOrder(contract, ibOrder));
+    
+    const submitted = ibOrder => ({ orderId: ibOrder.orderId, status: 'Submitted', message: 'Order submitted' });
+    return { ...submitted(parent), children: children.map(submitted) };
+  }
+  
   /**
    * Cancel an order
    * @param {number} orderId - Order ID to cancel
@@ -554,166 +943,339 @@ class InteractiveBrokersAdapter {
   }
   
   /**
-   * Send a raw message to the IB API
+   * Start a P&L stream unless the same one is already running
    * @private
-   * @param {string} message - Raw message string
+   * @param {string} method - reqPnL or reqPnLSingle
+   * @param {string} account - Account ID
+   * @param {Object|null} contract - Position contract, null for the whole account
+   * @returns {Object} - { requestId }
    */
-  _sendRawMessage(message) {
-    if (!this.connected || !this.socket) {
+  _subscribePnL(method, account, contract) {
+    if (!this.connected) {
       throw new Error('Not connected to Interactive Brokers');
     }
     
+    const conId = contract ? contract.conId : null;
+    for (const [requestId, subscription] of this.pnlSubscriptions) {
+      const subscribedConId = subscription.contract ? subscription.contract.conId : null;
+      if (subscription.account === account && subscribedConId === conId) {
+        return { requestId };
+      }
+    }
+    
+    const requestId = this.nextRequestId++;
+    this._sendRequest(method, { requestId, account, conId });
+    this.pnlSubscriptions.set(requestId, { account, contract });
+    return { requestId };
+  }
+  
+  /**
+   * Renew the P&L streams of the previous session and follow every managed account
+   * TWS drops all subscriptions when the socket closes; servers older than the P&L API are skipped
+   * @private
+   */
+  _restorePnLSubscriptions() {
+    if (this.serverVersion < SERVER_VERSION.PNL) {
+      return;
+    }
+    
     try {
-      this.socket.write(message);
+      this.pnlSubscriptions.forEach((subscription, requestId) => {
+        const method = subscription.contract ? 'reqPnLSingle' : 'reqPnL';
+        this._sendRequest(method, { requestId, account: subscription.account, conId: subscription.contract && subscription.contract.conId });
+      });
+      this.managedAccounts.forEach(account => this.subscribePnL(account));
     } catch (error) {
-      console.error('Error sending raw message to IB:', error);
-      throw error;
+      console.error('Failed to subscribe to IB P&L:', error);
     }
   }
   
   /**
-   * Send a request to the IB API
+   * Follow the P&L of open positions and stop following closed ones
    * @private
-   * @param {string} method - Request method
-   * @param {Object} params - Request parameters
-   * @returns {Promise<Object>} - Response
+   * @param {Object} data - Position message: { account, contract, position }
    */
-  _sendRequest(method, params = {}) {
-    // This would need to be implemented based on the TWS API protocol
-    // The actual implementation would map these high-level methods to the low-level TWS API messages
-    // For now, this is a simplified version that illustrates the concept
+  _updatePositionPnL(data) {
+    if (this.serverVersion < SERVER_VERSION.PNL || !data.contract.conId) {
+      return;
+    }
     
-    // Example implementation for reqAccountUpdates
-    if (method === 'reqAccountUpdates') {
-      const msg = `reqAccountUpdates\0${params.subscribe ? 1 : 0}\0${params.accountId}\0`;
-      this._sendRawMessage(msg);
+    try {
+      if (data.position !== 0) {
+        this.subscribePositionPnL(data.account, data.contract);
+        return;
+      }
+      
+      for (const [requestId, subscription] of this.pnlSubscriptions) {
+        if (subscription.account === data.account && subscription.contract && subscription.contract.conId === data.contract.conId) {
+          this.unsubscribePnL(requestId);
+        }
+      }
+    } catch (error) {
+      console.error('Failed to update IB position P&L subscription:', error);
+    }
+  }
+  
+  /**
+   * Contract details of an instrument: the front month for futures without a contract month,
+   * otherwise the single listed contract that matches
+   * @private
+   * @param {string} symbol - Instrument
+   * @returns {Promise<Object>} - Contract details
+   */
+  async _resolveDetails(symbol) {
+    const instrument = parseInstrument(symbol);
+    const matches = await this.getContractDetails(instrument.contract);
+    
+    if (instrument.frontMonth) {
+      const selected = frontMonth(matches, { rollDays: this.futuresRollDays });
+      if (!selected) {
+        throw new Error(`No listed IB future for ${symbol}`);
+      }
+      return selected;
+    }
+    
+    if (matches.length === 0) {
+      throw new Error(`No IB contract found for ${symbol}`);
+    }
+    if (matches.length > 1) {
+      throw new Error(`${symbol} matches ${matches.length} IB contracts; map it to a more specific instrument`);
     }
-    // Additional method implementations would go here
+    return matches[0];
   }
   
   /**
-   * Process messages from the buffer
+   * Send a request answered by a list of messages and an end message, all carrying its request ID
    * @private
+   * @param {string} method - Request name (see REQUESTS in tws-protocol.js)
+   * @param {Object} params - Request parameters without the request ID
+   * @param {Object} events - { item, end, label, cancel }: event names, the name used in errors
+   *   and the request that ends a subscription once its first list is complete
+   * @returns {Promise<Array>} - Payloads of the item events
    */
-  _processMessagesFromBuffer() {
-    // Find complete messages (terminated by null character)
-    const messages = this.messageBuffer.split('\0');
+  _requestList(method, params, { item, end, label, cancel }) {
+    if (!this.connected) {
+      return Promise.reject(new Error('Not connected to Interactive Brokers'));
+    }
     
-    // Last element is either empty or an incomplete message
-    this.messageBuffer = messages.pop() || '';
+    const requestId = this.nextRequestId++;
     
-    // Process complete messages
-    for (const message of messages) {
-      if (message) {
-        this._processMessage(message);
+    return new Promise((resolve, reject) => {
+      const items = [];
+      let timeout;
+      
+      const onItem = (data) => {
+        if (data.requestId === requestId) {
+          items.push(data);
+        }
+      };
+      
+      const onEnd = (data) => {
+        if (data.requestId === requestId) {
+          cleanup();
+          resolve(items);
+          if (cancel && this.connected) {
+            this._sendRequest(cancel, { requestId });
+          }
+        }
+      };
+      
+      const onError = (error) => {
+        if (error.id === requestId) {
+          cleanup();
+          reject(new Error(`${label} error: ${error.message}`));
+        }
+      };
+      
+      const cleanup = () => {
+        clearTimeout(timeout);
+        this.eventEmitter.off(item, onItem);
+        this.eventEmitter.off(end, onEnd);
+        this.eventEmitter.off('error', onError);
+      };
+      
+      this.eventEmitter.on(item, onItem);
+      this.eventEmitter.on(end, onEnd);
+      this.eventEmitter.on('error', onError);
+      
+      timeout = setTimeout(() => {
+        cleanup();
+        reject(new Error(`${label} request timed out`));
+      }, 15000);
+      
+      try {
+        this._sendRequest(method, { ...params, requestId });
+      } catch (error) {
+        cleanup();
+        reject(error);
       }
+    });
+  }
+  
+  /**
+   * Send raw bytes to the IB API
+   * @private
+   * @param {Buffer} message - Encoded message
+   */
+  _sendRawMessage(message) {
+    if (!this.socket || !this.socket.writable) {
+      throw new Error('Not connected to Interactive Brokers');
+    }
+    
+    try {
+      this.socket.write(message);
+    } catch (error) {
+      console.error('Error sending raw message to IB:', error);
+      throw error;
     }
   }
   
+  /**
+   * Build the TWS order of placeOrder details; fields left out take the defaults of tws-protocol.js
+   * @private
+   * @param {number} orderId - Order ID
+   * @param {Object} order - Order details
+   * @returns {Object} TWS order
+   */
+  _buildOrder(orderId, order) {
+    const ibOrder = {
+      orderId,
+      action: order.direction.toUpperCase(),
+      totalQuantity: order.quantity,
+      orderType: order.orderType || 'MKT',
+      lmtPrice: order.limitPrice || null,
+      auxPrice: order.stopPrice || null,
+      tif: order.timeInForce || 'DAY',
+      account: order.account || '',
+      orderRef: order.orderRef || '',
+      parentId: order.parentId || 0
+    };
+    
+    ['ocaGroup', 'ocaType', 'transmit'].forEach(field => {
+      if (order[field] !== undefined) {
+        ibOrder[field] = order[field];
+      }
+    });
+    
+    return ibOrder;
+  }
+  
+  /**
+   * Write a placeOrder request
+   * @private
+   * @param {Object} contract - TWS contract
+   * @param {Object} ibOrder - TWS order
+   */
+  _submitOrder(contract, ibOrder) {
+    // Remember what was ordered: TWS order status messages only carry the order ID
+    this.submittedOrders.set(ibOrder.orderId, {
+      contract,
+      action: ibOrder.action,
+      orderType: ibOrder.orderType,
+      orderRef: ibOrder.orderRef
+    });
+    
+    this._sendRequest('placeOrder', {
+      id: ibOrder.orderId,
+      contract,
+      order: ibOrder
+    });
+  }
+  
+  /**
+   * Encode and send a request to the IB API
+   * @private
+   * @param {string} method - Request name (see REQUESTS in tws-protocol.js)
+   * @param {Object} params - Request parameters
+   */
+  _sendRequest(method, params = {}) {
+    this._sendRawMessage(encodeRequest(method, params, this.serverVersion));
+  }
+  
   /**
    * Process a single message
    * @private
-   * @param {string} message - Message string
+   * @param {Array<string>} fields - Message fields, message ID first
    */
-  _processMessage(message) {
+  _processMessage(fields) {
+    let decoded;
     try {
-      // Parse the message based on TWS API protocol
-      // This is a simplified example that assumes a specific message format
-      const parts = message.split('\t');
-      const messageType = parts[0];
-      
-      // Handle different message types
-      switch (messageType) {
-        case 'connectionAck':
-          console.log('IB connection acknowledged');
-          break;
-          
-        case 'managedAccounts':
-          this.eventEmitter.emit('managedAccounts', { accounts: parts[1].split(',') });
-          break;
-          
-        case 'updateAccountValue':
-          this.eventEmitter.emit('accountUpdate', {
-            key: parts[1],
-            value: parts[2],
-            currency: parts[3],
-            account: parts[4]
-          });
-          break;
-          
-        case 'updateAccountTime':
-          this.eventEmitter.emit('accountUpdateTime', { time: parts[1] });
-          break;
-          
-        case 'accountDownloadEnd':
-          this.eventEmitter.emit('accountUpdateEnd', { account: parts[1] });
-          break;
-          
-        case 'position':
-          this.eventEmitter.emit('position', {
-            account: parts[1],
-            contract: {
-              symbol: parts[2],
-              secType: parts[3],
-              exchange: parts[4],
-              currency: parts[5]
-            },
-            position: parseFloat(parts[6]),
-            avgCost: parseFloat(parts[7])
-          });
-          break;
-          
-        case 'positionEnd':
-          this.eventEmitter.emit('positionEnd');
-          break;
-          
-        case 'tickPrice':
-          this.eventEmitter.emit('marketData', {
-            requestId: parseInt(parts[1]),
-            tickType: parseInt(parts[2]),
-            price: parseFloat(parts[3]),
-            size: parts.length > 4 ? parseInt(parts[4]) : 0,
-            autoExecute: parts.length > 5 ? parts[5] === '1' : false
-          });
-          break;
-          
-        case 'orderStatus':
-          this.eventEmitter.emit('orderStatus', {
-            orderId: parseInt(parts[1]),
-            status: parts[2],
-            filled: parseFloat(parts[3]),
-            remaining: parseFloat(parts[4]),
-            avgFillPrice: parseFloat(parts[5]),
-            permId: parseInt(parts[6]),
-            parentId: parseInt(parts[7]),
-            lastFillPrice: parseFloat(parts[8]),
-            clientId: parseInt(parts[9]),
-            whyHeld: parts.length > 10 ? parts[10] : ''
-          });
-          break;
-          
-        case 'openOrder':
-          // Complex message parsing for open order details
-          // Would need to be implemented based on the TWS API protocol
-          break;
-          
-        case 'error':
-          const id = parseInt(parts[1]);
-          const code = parseInt(parts[2]);
-          const message = parts[3];
-          
-          console.error(`IB error (${id}): ${code} - ${message}`);
-          this.eventEmitter.emit('error', { id, code, message });
-          break;
-          
-        default:
-          console.log(`Unknown message type: ${messageType}`);
-          break;
-      }
+      decoded = decodeMessage(fields, this.serverVersion);
     } catch (error) {
-      console.error('Error processing IB message:', error, message);
+      console.error('Error decoding IB message:', error, fields);
+      return;
+    }
+    
+    // Messages without a decoder are not used by SAITRAPP
+    if (!decoded) {
+      return;
+    }
+    
+    const [eventName, data] = decoded;
+    
+    switch (eventName) {
+      case 'nextValidId':
+        this.nextRequestId = Math.max(this.nextRequestId, data.orderId);
+        break;
+        
+      case 'managedAccounts':
+        this.managedAccounts = data.accounts;
+        break;
+        
+      case 'position':
+        this._updatePositionPnL(data);
+        break;
+        
+      case 'commissionReport':
+        this.commissionReports.set(data.execId, data);
+        break;
+                
+      case 'openOrder':
+        // Orders placed before a restart or by other clients: remember what they trade
+        if (!this.submittedOrders.has(data.orderId)) {
+          this.submittedOrders.set(data.orderId, {
+            contract: data.contract,
+            action: data.action,
+            orderType: data.orderType,
+            orderRef: data.orderRef
+          });
+        }
+        break;
+        
+      case 'error':
+        if (isWarningCode(data.code)) {
+          console.log(`IB notice (${data.id}): ${data.code} - ${data.message}`);
+          return;
+        }
+        console.error(`IB error (${data.id}): ${data.code} - ${data.message}`);
+        break;
     }
+    
+    this.eventEmitter.emit(eventName, data);
   }
 }
 
+/**
+ * Broker descriptor read by the broker registry
+ */
+InteractiveBrokersAdapter.descriptor = {
+  id: 'interactive-brokers',
+  name: 'Interactive Brokers',
+  aliases: ['interactive_brokers'],
+  credentials: {},
+  configSchema: {
+    type: 'object',
+    properties: {
+      host: { type: 'string', minLength: 1, default: 'localhost' },
+      // 7496 for TWS, 4001 for IB Gateway
+      port: { type: 'integer', minimum: 1, maximum: 65535, default: 7496 },
+      // Fixed API client ID; TWS refuses a second session with the same ID
+      clientId: { type: 'integer', minimum: 0 },
+      // Days before expiry that futures resolved without a contract month move to the next month
+      futuresRollDays: { type: 'integer', minimum: 0, default: DEFAULT_ROLL_DAYS }
+    }
+  },
+  capabilities: { pendingOrders: true, partialClose: false, hedging: false, historicalData: false }
+};
+
 module.exports = InteractiveBrokersAdapter;
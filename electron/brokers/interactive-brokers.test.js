@@ -0,0 +1,271 @@
+// electron/brokers/interactive-brokers.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const InteractiveBrokersAdapter = require('./interactive-brokers');
+const { FrameReader, OUTGOING } = require('./tws-protocol');
+
+// Messages as IB Gateway at server version 151 sends them, fields without their NUL terminators
+const RECORDED = {
+  handshake: ['151', '20261019 09:30:00 EST'],
+  managedAccounts: ['15', '1', 'DU1234567'],
+  nextValidId: ['9', '1', '1001'],
+  farmNotice: ['4', '2', '-1', '2104', 'Market data farm connection is OK:usfarm'],
+  clientIdInUse: ['4', '2', '-1', '326', 'Unable to connect as the client id is already in use. Retry with a unique client id.'],
+  orderRejected: ['4', '2', '1001', '201', 'Order rejected - reason:Insufficient buying power'],
+  positionAAPL: ['61', '3', 'DU1234567', '265598', 'AAPL', 'STK', '', '0', '', '', 'NASDAQ', 'USD', 'AAPL', 'NMS', '100', '187.25'],
+  positionEURUSD: ['61', '3', 'DU1234567', '12087792', 'EUR', 'CASH', '', '0', '', '', 'IDEALPRO', 'USD', 'EUR.USD', 'EUR.USD', '-20000', '1.0825'],
+  positionEnd: ['62', '1'],
+  netLiquidation: ['6', '2', 'NetLiquidation', '100250.40', 'USD', 'DU1234567'],
+  portfolioAAPL: ['7', '8', '265598', 'AAPL', 'STK', '', '0', '', '', 'NASDAQ', 'USD', 'AAPL', 'NMS', '100', '190.5', '19050', '187.25', '325', '0', 'DU1234567'],
+  accountTime: ['8', '1', '09:31'],
+  accountEnd: ['54', '1', 'DU1234567']
+};
+
+/**
+ * Frame recorded messages into the byte stream TWS writes
+ * @param {...Array<string>} messages - Message fields
+ * @returns {Buffer} Length-prefixed frames
+ */
+function wire(...messages) {
+  return Buffer.concat(messages.map(fields => {
+    const payload = Buffer.from(fields.map(field => `${field}\0`).join(''));
+    const header = Buffer.alloc(4);
+    header.writeUInt32BE(payload.length, 0);
+    return Buffer.concat([header, payload]);
+  }));
+}
+
+/**
+ * Cut a byte stream into reads at the given offsets
+ * @param {Buffer} bytes - Byte stream
+ * @param {...number} offsets - Offsets to cut at
+ * @returns {Array<Buffer>} Reads
+ */
+function cut(bytes, ...offsets) {
+  return [0, ...offsets, bytes.length].slice(1).map((end, index, ends) => bytes.subarray(index === 0 ? 0 : ends[index - 1], end));
+}
+
+/**
+ * Local TCP server playing TWS: answers the handshake, then replays reads for each request
+ * @param {Object} script - Reads to replay, keyed by request ID; handshake reads under 'handshake'
+ * @returns {Promise<Object>} - { port, requests, sockets, close }
+ */
+async function startGateway(script) {
+  const requests = [];
+  const sockets = [];
+
+  const server = net.createServer(socket => {
+    sockets.push(socket);
+    const reader = new FrameReader();
+    let greeted = false;
+
+    socket.on('data', async data => {
+      if (!greeted) {
+        // "API\0" and the version range, a frame whose payload is not NUL-terminated
+        greeted = true;
+        const length = data.readUInt32BE(4);
+        requests.push([data.subarray(8, 8 + length).toString()]);
+        await replay(socket, script.handshake);
+        data = data.subarray(8 + length);
+      }
+
+      for (const fields of reader.push(data)) {
+        requests.push(fields);
+        await replay(socket, script[fields[0]] || []);
+      }
+    });
+    socket.on('error', () => {
+      // The client may drop the socket mid-test
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    port: server.address().port,
+    requests,
+    sockets,
+    close: () => {
+      sockets.forEach(socket => socket.destroy());
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+/**
+ * Write reads one at a time, pausing so each reaches the client as its own socket read
+ * @param {net.Socket} socket - Client socket
+ * @param {Array<Buffer>} reads - Bytes of each read
+ * @returns {Promise<void>}
+ */
+async function replay(socket, reads) {
+  for (const read of reads) {
+    if (socket.destroyed) {
+      return;
+    }
+    socket.write(read);
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+/**
+ * Start a gateway and an adapter that are both torn down when the test ends
+ * @param {TestContext} t - Test context
+ * @param {Object} script - Gateway script
+ * @returns {Promise<Object>} - { gateway, adapter }
+ */
+async function session(t, script) {
+  const gateway = await startGateway(script);
+  const adapter = new InteractiveBrokersAdapter();
+
+  t.after(() => {
+    // A failed assertion skips disconnect(); the socket must not outlive the test
+    adapter.socket?.destroy();
+    return gateway.close();
+  });
+
+  return { gateway, adapter };
+}
+
+/**
+ * Gateway script of a normal session start: the handshake answer split in two reads, then the
+ * account list, next order ID and a farm notice packed into one
+ */
+const SESSION_START = {
+  handshake: cut(wire(RECORDED.handshake), 3),
+  [OUTGOING.START_API]: [wire(RECORDED.managedAccounts, RECORDED.nextValidId, RECORDED.farmNotice)]
+};
+
+test('connects through the handshake and reads the session start', async (t) => {
+  const { gateway, adapter } = await session(t, SESSION_START);
+
+  const result = await adapter.connect({ host: '127.0.0.1', port: gateway.port, clientId: 7 });
+
+  assert.equal(result.success, true);
+  assert.equal(result.serverVersion, 151);
+  assert.deepEqual(result.accounts, ['DU1234567']);
+  // The account P&L stream takes the first ID handed out by nextValidId
+  assert.deepEqual(adapter.pnlSubscriptions.get(1001), { account: 'DU1234567', contract: null });
+  assert.equal(adapter.nextRequestId, 1002);
+  assert.deepEqual(gateway.requests[0], ['v100..151']);
+  assert.deepEqual(gateway.requests[1], [String(OUTGOING.START_API), '2', '7', '']);
+
+  await adapter.disconnect();
+});
+
+test('reads positions from frames split mid-field and packed together', async (t) => {
+  const positions = wire(RECORDED.positionAAPL, RECORDED.positionEURUSD, RECORDED.positionEnd);
+  const { gateway, adapter } = await session(t, {
+    ...SESSION_START,
+    // Cut inside the first length prefix, inside a field and across the second frame boundary
+    [OUTGOING.REQ_POSITIONS]: cut(positions, 2, 37, wire(RECORDED.positionAAPL).length + 9)
+  });
+
+  await adapter.connect({ host: '127.0.0.1', port: gateway.port });
+  const result = await adapter.getPositions();
+
+  assert.equal(result.length, 2);
+  assert.equal(result[0].contract.symbol, 'AAPL');
+  assert.equal(result[0].position, 100);
+  assert.equal(result[0].avgCost, 187.25);
+  assert.equal(result[1].contract.localSymbol, 'EUR.USD');
+  assert.equal(result[1].position, -20000);
+
+  await adapter.disconnect();
+});
+
+test('reads account values and portfolio frames until the download ends', async (t) => {
+  const { gateway, adapter } = await session(t, {
+    ...SESSION_START,
+    [OUTGOING.REQ_ACCT_DATA]: [
+      wire(RECORDED.netLiquidation, RECORDED.portfolioAAPL).subarray(0, 60),
+      Buffer.concat([wire(RECORDED.netLiquidation, RECORDED.portfolioAAPL).subarray(60), wire(RECORDED.accountTime, RECORDED.accountEnd)])
+    ]
+  });
+
+  await adapter.connect({ host: '127.0.0.1', port: gateway.port });
+  const portfolio = [];
+  adapter.on('portfolioUpdate', data => portfolio.push(data));
+  const account = await adapter.getAccountInfo('DU1234567');
+
+  assert.equal(account.NetLiquidation, '100250.40');
+  assert.equal(portfolio.length, 1);
+  assert.equal(portfolio[0].contract.conId, 265598);
+  assert.equal(portfolio[0].marketPrice, 190.5);
+  assert.equal(portfolio[0].unrealizedPNL, 325);
+  assert.equal(portfolio[0].account, 'DU1234567');
+
+  await adapter.disconnect();
+});
+
+test('emits errors for requests and keeps farm notices out of them', async (t) => {
+  const { gateway, adapter } = await session(t, {
+    ...SESSION_START,
+    [OUTGOING.REQ_POSITIONS]: [wire(RECORDED.farmNotice, RECORDED.orderRejected, RECORDED.positionEnd)]
+  });
+
+  await adapter.connect({ host: '127.0.0.1', port: gateway.port });
+  const errors = [];
+  adapter.on('error', error => errors.push(error));
+  await adapter.getPositions();
+
+  assert.deepEqual(errors, [{ id: 1001, code: 201, message: 'Order rejected - reason:Insufficient buying power' }]);
+
+  await adapter.disconnect();
+});
+
+test('sends a bracket order in one submission that TWS releases with its last exit', async (t) => {
+  const { gateway, adapter } = await session(t, SESSION_START);
+  const contract = { conId: 265598, symbol: 'AAPL', secType: 'STK', exchange: 'SMART', currency: 'USD' };
+
+  await adapter.connect({ host: '127.0.0.1', port: gateway.port });
+  const result = await adapter.placeBracketOrder(contract, { direction: 'BUY', quantity: 100, orderType: 'MKT', orderRef: 'sig_1' }, [
+    { direction: 'SELL', quantity: 100, orderType: 'STP', stopPrice: 180, orderRef: 'sig_1' },
+    { direction: 'SELL', quantity: 100, orderType: 'LMT', limitPrice: 200, orderRef: 'sig_1' }
+  ]);
+
+  const placed = () => gateway.requests.filter(fields => fields[0] === String(OUTGOING.PLACE_ORDER));
+  while (placed().length < 3) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+
+  // tif, then ocaGroup, account, openClose, origin, orderRef, transmit and parentId
+  const [parent, stop, target] = placed().map(fields => {
+    const tif = fields.indexOf('DAY');
+    return { orderId: fields[1], ocaGroup: fields[tif + 1], transmit: fields[tif + 6], parentId: fields[tif + 7] };
+  });
+
+  assert.deepEqual(result.children.map(child => child.orderId), [result.orderId + 1, result.orderId + 2]);
+  assert.deepEqual(parent, { orderId: String(result.orderId), ocaGroup: '', transmit: '0', parentId: '0' });
+  assert.deepEqual(stop, { orderId: String(result.orderId + 1), ocaGroup: `SAITRAPP-${result.orderId}`, transmit: '0', parentId: String(result.orderId) });
+  assert.deepEqual(target, { orderId: String(result.orderId + 2), ocaGroup: `SAITRAPP-${result.orderId}`, transmit: '1', parentId: String(result.orderId) });
+
+  await adapter.disconnect();
+});
+
+test('fails the connect when TWS refuses the client ID', async (t) => {
+  const { gateway, adapter } = await session(t, {
+    handshake: [wire(RECORDED.handshake)],
+    [OUTGOING.START_API]: [wire(RECORDED.clientIdInUse)]
+  });
+
+  await assert.rejects(adapter.connect({ host: '127.0.0.1', port: gateway.port }), error => {
+    assert.equal(error.success, false);
+    assert.match(error.message, /326/);
+    return true;
+  });
+  assert.equal(adapter.connected, false);
+});
+
+test('drops the socket on a corrupt length prefix', async (t) => {
+  const { gateway, adapter } = await session(t, SESSION_START);
+
+  await adapter.connect({ host: '127.0.0.1', port: gateway.port });
+  const disconnected = new Promise(resolve => adapter.on('disconnected', resolve));
+  gateway.sockets[0].write(Buffer.from([0xff, 0xff, 0xff, 0xff, 0x00, 0x01]));
+  await disconnected;
+
+  assert.equal(adapter.connected, false);
+  assert.equal(adapter.frameReader.buffer.length, 0);
+});
@@ -5,6 +5,28 @@ const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
 const crypto = require('crypto');
+const { CommandScheduler } = require('../command-scheduler');
+const { BridgeProtocol } = require('./bridge-protocol');
+const { toMetaTraderComment } = require('../order-model');
+
+// Priority and timeout of bridge commands; anything else is a 'data' command with the connection's commandTimeout
+const COMMANDS = {
+  CLOSE_POSITION: { priority: 'critical' },
+  HELLO: { priority: 'session', timeout: 5000 },
+  AUTH: { priority: 'session', timeout: 10000 },
+  TERMINAL_INFO: { priority: 'session', timeout: 10000 },
+  SUBSCRIBE: { priority: 'session', timeout: 10000 },
+  PING: { priority: 'session', timeout: 5000 },
+  OPEN_POSITION: { priority: 'trading' },
+  MODIFY_POSITION: { priority: 'trading' },
+  ACCOUNT_INFO: { priority: 'account' },
+  GET_POSITIONS: { priority: 'account' },
+  GET_ORDERS: { priority: 'account' },
+  GET_MARKET_DATA: { timeout: 5000 }
+};
+
+// Commands written per second unless the connection sets commandRateLimit
+const DEFAULT_RATE_LIMIT = 20;
 
 /**
  * MetaTrader 4 broker adapter for SAITRAPP
@@ -18,21 +40,24 @@ class MT4BrokerAdapter extends EventEmitter {
     super();
     this.connected = false;
     this.socket = null;
-    this.pingInterval = null;
-    this.connectionConfig = null;
-    this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 5;
-    this.reconnectDelay = 5000;
     this.lastMessageTime = 0;
-    this.messageQueue = [];
-    this.processingQueue = false;
-    this.requestId = 1;
-    this.callbacks = new Map();
+    this.protocol = new BridgeProtocol({ name: 'MT4' });
+    this.scheduler = new CommandScheduler({
+      name: 'MT4',
+      commands: COMMANDS,
+      rateLimit: DEFAULT_RATE_LIMIT,
+      send: message => this._sendRawMessage(message)
+    });
     this.positions = new Map();
     this.orders = new Map();
     this.accountInfo = {};
     this.terminalInfo = {};
     this.symbolInfo = new Map();
+    
+    // Snapshot reload after a sequence gap
+    this.resyncing = null;
+    this.resyncPending = false;
+    this.missedEvents = 0;
   }
 
   /**
@@ -43,6 +68,10 @@ class MT4BrokerAdapter extends EventEmitter {
    * @param {string} config.password - Connection password (optional)
    * @param {string} config.account - MT4 account number (optional)
    * @param {string} config.terminalPath - Path to MT4 terminal (optional)
+   * @param {number} config.commandRateLimit - Commands written per second, 0 for no limit (optional)
+   * @param {number} config.commandTimeout - Default command timeout in milliseconds (optional)
+   * @param {number} config.bridgeProtocol - Protocol version to use, 1 or 2 (optional, negotiated when unset)
+   * @param {boolean} config.bridgeCompression - Let the bridge compress large payloads (optional, default true)
    * @returns {Promise<Object>} - Connection result
    */
   async connect(config = {}) {
@@ -54,9 +83,13 @@ class MT4BrokerAdapter extends EventEmitter {
       const host = config.host || 'localhost';
       const port = config.port || 5555;
       
-      // Store config for reconnection attempts
-      this.connectionConfig = { ...config };
-
+      this.scheduler.configure({
+        rateLimit: config.commandRateLimit,
+        defaultTimeout: config.commandTimeout
+      });
+      this.protocol.reset();
+      this.protocol.configure({ compression: config.bridgeCompression });
+      
       return new Promise((resolve, reject) => {
         // Create socket
         this.socket = new net.Socket();
@@ -71,27 +104,37 @@ class MT4BrokerAdapter extends EventEmitter {
         this.socket.on('connect', () => {
           clearTimeout(connectionTimeout);
           this._setupConnection();
+          this.scheduler.start();
           
           // Send authentication if password provided
-          if (config.password) {
-            this._sendCommand('AUTH', { password: config.password })
-              .then(result => {
-                if (!result.success) {
+          const authenticate = () => {
+            if (config.password) {
+              this._sendCommand('AUTH', { password: config.password })
+                .then(result => {
+                  if (!result.success) {
+                    this.socket.destroy();
+                    reject(new Error('Authentication failed: ' + result.message));
+                    return;
+                  }
+                  
+                  this._completeConnection(resolve);
+                })
+                .catch(error => {
                   this.socket.destroy();
-                  reject(new Error('Authentication failed: ' + result.message));
-                  return;
-                }
-                
-                this._completeConnection(resolve);
-              })
-              .catch(error => {
-                this.socket.destroy();
-                reject(new Error('Authentication error: ' + error.message));
-              });
-          } else {
-            // No authentication needed
-            this._completeConnection(resolve);
-          }
+                  reject(new Error('Authentication error: ' + error.message));
+                });
+            } else {
+              // No authentication needed
+              this._completeConnection(resolve);
+            }
+          };
+          
+          this._negotiateProtocol(config)
+            .then(authenticate)
+            .catch(error => {
+              this.socket?.destroy();
+              reject(new Error('Bridge handshake error: ' + error.message));
+            });
         });
         
         this.socket.on('data', (data) => {
@@ -131,26 +174,18 @@ class MT4BrokerAdapter extends EventEmitter {
     try {
       this.terminalInfo = await this._sendCommand('TERMINAL_INFO');
       
-      // Start heartbeat interval
-      this.pingInterval = setInterval(() => {
-        this._ping();
-      }, 30000);
-      
       // Mark as connected
       this.connected = true;
-      this.reconnectAttempts = 0;
       
       // Subscribe to terminal events
       this._subscribe();
       
-      // Start processing queue
-      this._processQueue();
-      
       // Resolve with success
       resolve({ 
         success: true, 
         message: 'Connected to MT4',
-        terminalInfo: this.terminalInfo
+        terminalInfo: this.terminalInfo,
+        bridge: this.protocol.getInfo()
       });
     } catch (error) {
       this.socket?.destroy();
@@ -163,36 +198,15 @@ class MT4BrokerAdapter extends EventEmitter {
    * @private
    */
   _handleDisconnect() {
-    // Clear ping interval
-    if (this.pingInterval) {
-      clearInterval(this.pingInterval);
-      this.pingInterval = null;
-    }
-    
     const wasConnected = this.connected;
     this.connected = false;
     
-    // Clear callbacks
-    this.callbacks.forEach(callback => {
-      callback.reject(new Error('Connection closed'));
-    });
-    this.callbacks.clear();
+    // Reject queued and in-flight commands
+    this.scheduler.stop();
     
+    // Reconnecting is left to the connection supervisor
     if (wasConnected) {
       this.emit('disconnected');
-      
-      // Try to reconnect if not explicitly disconnected
-      if (!this.explicitDisconnect && this.connectionConfig && 
-          this.reconnectAttempts < this.maxReconnectAttempts) {
-        this.reconnectAttempts++;
-        console.log(`Attempting to reconnect to MT4 (${this.reconnectAttempts}/${this.maxReconnectAttempts})...`);
-        
-        setTimeout(() => {
-          this.connect(this.connectionConfig).catch(err => {
-            console.error('MT4 reconnection failed:', err);
-          });
-        }, this.reconnectDelay * this.reconnectAttempts);
-      }
     }
   }
 
@@ -211,28 +225,15 @@ class MT4BrokerAdapter extends EventEmitter {
   }
 
   /**
-   * Send a ping to keep the connection alive
-   * @private
+   * Send a ping; used by the connection supervisor as a heartbeat
+   * @returns {Promise<Object>} - Ping response
    */
-  async _ping() {
+  async ping() {
     if (!this.connected || !this.socket) {
-      return;
-    }
-    
-    // Check if we haven't received data for a while
-    const now = Date.now();
-    if (now - this.lastMessageTime > 120000) {
-      // No response for 2 minutes, consider connection dead
-      console.warn('MT4 connection timeout - no response for 2 minutes');
-      this.socket.destroy();
-      return;
+      throw new Error('Not connected to MT4');
     }
     
-    try {
-      await this._sendCommand('PING');
-    } catch (error) {
-      console.error('MT4 ping failed:', error);
-    }
+    return this._sendCommand('PING');
   }
 
   /**
@@ -262,22 +263,14 @@ class MT4BrokerAdapter extends EventEmitter {
       return { success: true, message: 'Not connected' };
     }
     
-    this.explicitDisconnect = true;
-    
     return new Promise((resolve) => {
-      // Clean up ping interval
-      if (this.pingInterval) {
-        clearInterval(this.pingInterval);
-        this.pingInterval = null;
-      }
-      
       // Send a proper disconnect command if possible
       if (this.connected && this.socket) {
         try {
-          this._sendRawMessage(JSON.stringify({
+          this._sendRawMessage({
             command: 'DISCONNECT',
-            requestId: this._generateRequestId()
-          }));
+            requestId: this.scheduler.nextRequestId()
+          });
         } catch (e) {
           // Ignore errors when disconnecting
         }
@@ -341,7 +334,8 @@ class MT4BrokerAdapter extends EventEmitter {
     try {
       const result = await this._sendCommand('GET_POSITIONS');
       
-      // Update positions cache
+      // Replace the positions cache; tickets closed while the events were missed drop out
+      this.positions.clear();
       result.forEach(position => {
         this.positions.set(position.ticket, position);
       });
@@ -365,7 +359,8 @@ class MT4BrokerAdapter extends EventEmitter {
     try {
       const result = await this._sendCommand('GET_ORDERS');
       
-      // Update orders cache
+      // Replace the orders cache; tickets filled or cancelled while the events were missed drop out
+      this.orders.clear();
       result.forEach(order => {
         this.orders.set(order.ticket, order);
       });
@@ -446,6 +441,7 @@ class MT4BrokerAdapter extends EventEmitter {
    * @param {number} params.stopLoss - Stop loss level (0 if none)
    * @param {number} params.takeProfit - Take profit level (0 if none)
    * @param {string} params.comment - Order comment
+   * @param {string} params.clientOrderId - Client order ID, carried in the comment when none is given
    * @returns {Promise<Object>} - Order result
    */
   async openPosition(params) {
@@ -462,7 +458,8 @@ class MT4BrokerAdapter extends EventEmitter {
       slippage: params.slippage || 3,
       stopLoss: params.stopLoss || 0,
       takeProfit: params.takeProfit || 0,
-      comment: params.comment || 'SAITRAPP'
+      comment: params.comment || (params.clientOrderId ? toMetaTraderComment(params.clientOrderId) : 'SAITRAPP'),
+      clientOrderId: params.clientOrderId
     };
     
     try {
@@ -520,9 +517,9 @@ class MT4BrokerAdapter extends EventEmitter {
   }
 
   /**
-   * Send raw message to MT4
+   * Send raw message to MT4 in the negotiated framing
    * @private
-   * @param {string} message - Message to send
+   * @param {Object} message - Message to send
    */
   _sendRawMessage(message) {
     if (!this.socket || !this.socket.writable) {
@@ -530,8 +527,7 @@ class MT4BrokerAdapter extends EventEmitter {
     }
     
     try {
-      const messageBuffer = Buffer.from(message + '\n');
-      this.socket.write(messageBuffer);
+      this.socket.write(this.protocol.encode(message));
     } catch (error) {
       console.error('Error sending message to MT4:', error);
       throw error;
@@ -539,83 +535,71 @@ class MT4BrokerAdapter extends EventEmitter {
   }
 
   /**
-   * Send a command to MT4
-   * @private
-   * @param {string} command - Command name
-   * @param {Object} params - Command parameters
-   * @returns {Promise<any>} - Command result
+   * Get the number of commands waiting for the bridge
+   * @returns {Object} - { queued, inFlight, byPriority }
    */
-  _sendCommand(command, params = {}) {
-    if (!this.connected && command !== 'AUTH') {
-      // Allow AUTH commands before connected state
-      throw new Error('Not connected to MT4');
-    }
-    
-    return new Promise((resolve, reject) => {
-      const requestId = this._generateRequestId();
-      
-      // Create message
-      const message = {
-        command,
-        requestId,
-        params
-      };
-      
-      // Store callback
-      this.callbacks.set(requestId, { resolve, reject, timestamp: Date.now() });
-      
-      // Add to message queue
-      this.messageQueue.push(JSON.stringify(message));
-      
-      // Process queue
-      if (!this.processingQueue) {
-        this._processQueue();
-      }
-      
-      // Set up timeout
-      setTimeout(() => {
-        if (this.callbacks.has(requestId)) {
-          const callback = this.callbacks.get(requestId);
-          this.callbacks.delete(requestId);
-          reject(new Error(`Command ${command} timed out`));
-        }
-      }, 30000);
-    });
+  getQueueDepth() {
+    return this.scheduler.getDepth();
   }
-
+  
   /**
-   * Process message queue
+   * Get the bridge protocol negotiated for this connection
+   * @returns {Object} - { version, capabilities, bridge, lastSequence }
+   */
+  getBridgeInfo() {
+    return this.protocol.getInfo();
+  }
+  
+  /**
+   * Offer protocol v2 to the bridge
+   * v1 bridges answer HELLO with an error or not at all, and the connection stays on v1
    * @private
+   * @param {Object} config - Connection configuration
+   * @returns {Promise<void>}
    */
-  async _processQueue() {
-    if (this.processingQueue || this.messageQueue.length === 0 || !this.connected) {
+  async _negotiateProtocol(config) {
+    if (config.bridgeProtocol === 1) {
       return;
     }
     
-    this.processingQueue = true;
-    
     try {
-      while (this.messageQueue.length > 0) {
-        const message = this.messageQueue.shift();
-        this._sendRawMessage(message);
-        
-        // Small delay to prevent overwhelming the socket
-        await new Promise(resolve => setTimeout(resolve, 5));
-      }
+      this.protocol.accept(await this._sendCommand('HELLO', this.protocol.hello()));
     } catch (error) {
-      console.error('Error processing message queue:', error);
-    } finally {
-      this.processingQueue = false;
+      if (error.code === 'CONNECTION_CLOSED') {
+        throw error;
+      }
+      console.log(`MT4 bridge did not negotiate protocol v2 (${error.message})`);
+    }
+    
+    if (config.bridgeProtocol === 2 && this.protocol.version !== 2) {
+      throw new Error('MT4 bridge does not support protocol v2');
     }
   }
-
+    
   /**
-   * Generate a unique request ID
+   * Send a command to MT4 through the command scheduler
+   * The handshake commands go out as soon as the socket is open, before the connected state
+   * Emits 'command' with the round-trip duration once the bridge answers or the command fails
    * @private
-   * @returns {number} - Request ID
+   * @param {string} command - Command name
+   * @param {Object} params - Command parameters
+   * @param {Object} options - Scheduling options: { priority, timeout, signal }
+   * @returns {Promise<any>} - Command result
    */
-  _generateRequestId() {
-    return this.requestId++;
+  _sendCommand(command, params = {}, options = {}) {
+    if (!this.scheduler.running) {
+      throw new Error('Not connected to MT4');
+    }
+    
+    const startedAt = Date.now();
+    const request = this.scheduler.schedule(command, params, options);
+    
+    request.then(
+      () => this.emit('command', { command, duration: Date.now() - startedAt, success: true }),
+      () => this.emit('command', { command, duration: Date.now() - startedAt, success: false })
+    );
+    
+    return request;
   }
 
   /**
@@ -626,35 +610,116 @@ class MT4BrokerAdapter extends EventEmitter {
   _handleData(data) {
     this.lastMessageTime = Date.now();
     
-    const messages = data.toString().split('\n');
+    // Messages may span several chunks
+    let messages;
+    try {
+      messages = this.protocol.push(data);
+    } catch (error) {
+      // The stream cannot be read past a corrupt frame
+      console.error('Error reading MT4 data:', error);
+      this.socket?.destroy();
+      return;
+    }
     
-    for (const message of messages) {
-      if (!message) continue;
-      
+    for (const response of messages) {
       try {
-        const response = JSON.parse(message);
-        
         // Handle response
-        if (response.requestId && this.callbacks.has(response.requestId)) {
-          const callback = this.callbacks.get(response.requestId);
-          this.callbacks.delete(response.requestId);
-          
+        if (response.requestId && this.scheduler.has(response.requestId)) {
           if (response.error) {
-            callback.reject(new Error(response.error));
+            this.scheduler.reject(response.requestId, new Error(response.error));
           } else {
-            callback.resolve(response.result);
+            this.scheduler.resolve(response.requestId, response.result);
           }
         } 
         // Handle event
         else if (response.event) {
-          this._handleEvent(response.event, response.data);
+          this._receiveEvent(response);
         }
       } catch (error) {
-        console.error('Error parsing MT4 response:', error, message);
+        console.error('Error handling MT4 response:', error, response);
       }
     }
   }
 
+  /**
+   * Handle a push event after checking its sequence number
+   * Duplicates are dropped; after a gap the positions, orders and account are reloaded
+   * @private
+   * @param {Object} message - { event, data, seq }
+   */
+  _receiveEvent(message) {
+    const { status, missed } = this.protocol.sequence(message);
+    if (status === 'duplicate') {
+      return;
+    }
+    
+    this._handleEvent(message.event, message.data);
+    
+    if (status === 'gap') {
+      console.warn(`MT4 bridge skipped ${missed} event(s) before ${message.seq}; reloading state`);
+      this._resync(missed);
+    }
+  }
+
+  /**
+   * Reload positions, orders and account after lost events and emit them as events
+   * Gaps found while a reload runs are covered by one more reload once it finishes
+   * @private
+   * @param {number} missed - Number of events lost
+   */
+  _resync(missed) {
+    this.missedEvents += missed;
+    if (this.resyncing) {
+      this.resyncPending = true;
+      return;
+    }
+    
+    this.resyncPending = false;
+    this.resyncing = this._emitSnapshot()
+      .then(() => {
+        this.emit('resync', { missed: this.missedEvents });
+        this.missedEvents = 0;
+      })
+      .catch(error => console.error('Failed to resync MT4 bridge:', error))
+      .finally(() => {
+        this.resyncing = null;
+        if (this.resyncPending && this.connected) {
+          this._resync(0);
+        }
+      });
+  }
+
+  /**
+   * Emit the current positions and orders as if pushed by the bridge; getAccountInfo emits the account
+   * Tickets gone from the caches are reported through position:close and order:close
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _emitSnapshot() {
+    const previousPositions = new Map(this.positions);
+    const previousOrders = new Map(this.orders);
+    
+    const [, positions, orders] = await Promise.all([
+      this.getAccountInfo(),
+      this.getPositions(),
+      this.getOrders()
+    ]);
+    
+    previousPositions.forEach((position, ticket) => {
+      if (!this.positions.has(ticket)) {
+        this.emit('position:close', position);
+      }
+    });
+    positions.forEach(position => this.emit('position', position));
+    
+    previousOrders.forEach((order, ticket) => {
+      if (!this.orders.has(ticket)) {
+        this.emit('order:close', order);
+      }
+    });
+    orders.forEach(order => this.emit('order', order));
+  }
+
   /**
    * Handle incoming events from MT4
    * @private
@@ -711,4 +776,29 @@ class MT4BrokerAdapter extends EventEmitter {
   }
 }
 
+/**
+ * Broker descriptor read by the broker registry
+ */
+MT4BrokerAdapter.descriptor = {
+  id: 'mt4',
+  name: 'MetaTrader 4',
+  credentials: {
+    apiSecret: { required: false, label: 'Bridge password', configKey: 'password' }
+  },
+  configSchema: {
+    type: 'object',
+    properties: {
+      host: { type: 'string', minLength: 1, default: 'localhost' },
+      port: { type: 'integer', minimum: 1, maximum: 65535, default: 5555 },
+      account: { type: 'string' },
+      terminalPath: { type: 'string' },
+      commandRateLimit: { type: 'integer', minimum: 0, default: DEFAULT_RATE_LIMIT },
+      commandTimeout: { type: 'integer', minimum: 1000, default: 30000 },
+      bridgeProtocol: { type: 'integer', enum: [1, 2] },
+      bridgeCompression: { type: 'boolean', default: true }
+    }
+  },
+  capabilities: { pendingOrders: true, partialClose: true, hedging: true, historicalData: false }
+};
+
 module.exports = MT4BrokerAdapter;
\ No newline at end of file
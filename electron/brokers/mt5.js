@@ -3,6 +3,29 @@ const { EventEmitter } = require('events');
 const net = require('net');
 const path = require('path');
 const fs = require('fs');
+const { CommandScheduler } = require('../command-scheduler');
+const { BridgeProtocol } = require('./bridge-protocol');
+const { toMetaTraderComment } = require('../order-model');
+
+// Priority and timeout of bridge commands; anything else is a 'data' command with the connection's commandTimeout
+const COMMANDS = {
+  CLOSE_POSITION: { priority: 'critical' },
+  CANCEL_ORDER: { priority: 'critical' },
+  HELLO: { priority: 'session', timeout: 5000 },
+  AUTHORIZE: { priority: 'session', timeout: 10000 },
+  SUBSCRIBE_MARKET_DATA: { priority: 'session', timeout: 10000 },
+  UNSUBSCRIBE_MARKET_DATA: { priority: 'session', timeout: 10000 },
+  PLACE_ORDER: { priority: 'trading' },
+  MODIFY_ORDER: { priority: 'trading' },
+  GET_ACCOUNT_INFO: { priority: 'account' },
+  GET_POSITIONS: { priority: 'account' },
+  GET_ORDERS: { priority: 'account' },
+  GET_MARKET_DATA: { timeout: 5000 },
+  GET_HISTORICAL_DATA: { timeout: 60000 }
+};
+
+// Commands written per second unless the connection sets commandRateLimit
+const DEFAULT_RATE_LIMIT = 50;
 
 /**
  * MetaTrader 5 broker integration
@@ -15,19 +38,25 @@ class MT5BrokerAdapter {
   constructor() {
     this.socket = null;
     this.connected = false;
-    this.messageQueue = [];
-    this.callbacks = new Map();
-    this.nextRequestId = 1;
+    this.protocol = new BridgeProtocol({ name: 'MT5' });
+    this.scheduler = new CommandScheduler({
+      name: 'MT5',
+      commands: COMMANDS,
+      rateLimit: DEFAULT_RATE_LIMIT,
+      send: message => this.socket.write(this.protocol.encode(message))
+    });
     this.eventEmitter = new EventEmitter();
-    this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 5;
-    this.reconnectDelay = 2000;
     
     // Internal tracking of account info
     this.accountInfo = null;
     this.positions = [];
     this.orders = [];
     this.lastQuotes = {};
+    
+    // Snapshot reload after a sequence gap
+    this.resyncing = null;
+    this.resyncPending = false;
+    this.missedEvents = 0;
   }
   
   /**
@@ -36,6 +65,10 @@ class MT5BrokerAdapter {
    * @param {string} config.host - Host address (default: localhost)
    * @param {number} config.port - Port number 
    * @param {boolean} config.secure - Use secure connection
+   * @param {number} config.commandRateLimit - Commands written per second, 0 for no limit
+   * @param {number} config.commandTimeout - Default command timeout in milliseconds
+   * @param {number} config.bridgeProtocol - Protocol version to use (1 or 2); negotiated when unset
+   * @param {boolean} config.bridgeCompression - Let the bridge compress large payloads (default true)
    * @returns {Promise<Object>} - Connection result
    */
   async connect(config) {
@@ -47,6 +80,13 @@ class MT5BrokerAdapter {
       const host = config.host || 'localhost';
       const port = config.port || 8222;
       
+      this.scheduler.configure({
+        rateLimit: config.commandRateLimit,
+        defaultTimeout: config.commandTimeout
+      });
+      this.protocol.reset();
+      this.protocol.configure({ compression: config.bridgeCompression });
+      
       return new Promise((resolve, reject) => {
         // Create socket connection
         this.socket = new net.Socket();
@@ -61,80 +101,91 @@ class MT5BrokerAdapter {
         this.socket.on('connect', () => {
           clearTimeout(connectionTimeout);
           this.connected = true;
-          this.reconnectAttempts = 0;
+          this.scheduler.start();
           
           console.log(`Connected to MT5 bridge at ${host}:${port}`);
           
           // Authenticate if credentials provided
-          if (config.login && config.password) {
-            this._sendCommand('AUTHORIZE', {
-              login: config.login,
-              password: config.password
-            })
-            .then(response => {
-              if (response.status === 'ok') {
-                this.accountInfo = response.data;
-                resolve({ 
-                  success: true, 
-                  message: 'Connected and authorized', 
-                  accountInfo: this.accountInfo 
-                });
-              } else {
+          const authorize = () => {
+            if (config.login && config.password) {
+              this._sendCommand('AUTHORIZE', {
+                login: config.login,
+                password: config.password
+              })
+              .then(response => {
+                if (response.status === 'ok') {
+                  this.accountInfo = response.data;
+                  resolve({ 
+                    success: true, 
+                    message: 'Connected and authorized', 
+                    accountInfo: this.accountInfo,
+                    bridge: this.protocol.getInfo()
+                  });
+                } else {
+                  this.disconnect();
+                  reject({ 
+                    success: false, 
+                    message: `Authorization failed: ${response.message}` 
+                  });
+                }
+              })
+              .catch(error => {
                 this.disconnect();
                 reject({ 
                   success: false, 
-                  message: `Authorization failed: ${response.message}` 
+                  message: `Authorization error: ${error.message}` 
                 });
-              }
-            })
+              });
+            } else {
+              resolve({ 
+                success: true, 
+                message: 'Connected to MT5 bridge',
+                bridge: this.protocol.getInfo()
+              });
+            }
+          };
+          
+          this._negotiateProtocol(config)
+            .then(authorize)
             .catch(error => {
               this.disconnect();
               reject({ 
                 success: false, 
-                message: `Authorization error: ${error.message}` 
+                message: `Bridge handshake error: ${error.message}` 
               });
             });
-          } else {
-            resolve({ 
-              success: true, 
-              message: 'Connected to MT5 bridge' 
-            });
-          }
         });
         
-        // Handle incoming data
+        // Handle incoming data; messages may span several chunks
         this.socket.on('data', (data) => {
+          let messages;
           try {
-            const messages = data.toString().split('\n');
-            
-            messages.forEach(message => {
-              if (!message.trim()) return;
-              
-              try {
-                const response = JSON.parse(message);
-                
-                // Handle response to a specific request
-                if (response.requestId && this.callbacks.has(response.requestId)) {
-                  const { resolve, reject } = this.callbacks.get(response.requestId);
-                  this.callbacks.delete(response.requestId);
-                  
-                  if (response.error) {
-                    reject(new Error(response.error));
-                  } else {
-                    resolve(response);
-                  }
-                } 
-                // Handle server push notifications
-                else if (response.event) {
-                  this._handleEvent(response);
-                }
-              } catch (err) {
-                console.error('Error parsing MT5 message:', err, message);
-              }
-            });
+            messages = this.protocol.push(data);
           } catch (err) {
+            // The stream cannot be read past a corrupt frame
             console.error('Error processing MT5 data:', err);
+            this.socket.destroy();
+            return;
           }
+          
+          messages.forEach(response => {
+            try {
+              // Handle response to a specific request
+              if (response.requestId && this.scheduler.has(response.requestId)) {
+                if (response.error) {
+                  this.scheduler.reject(response.requestId, new Error(response.error));
+                } else {
+                  this.scheduler.resolve(response.requestId, response);
+                }
+              } 
+              // Handle server push notifications
+              else if (response.event) {
+                this._receiveEvent(response);
+              }
+            } catch (err) {
+              console.error('Error handling MT5 message:', err, response);
+            }
+          });
         });
         
         // Handle errors
@@ -154,26 +205,12 @@ class MT5BrokerAdapter {
           const wasConnected = this.connected;
           this.connected = false;
           
-          // Clean up callbacks
-          this.callbacks.forEach((cb) => {
-            cb.reject(new Error('Connection closed'));
-          });
-          this.callbacks.clear();
+          // Reject queued and in-flight commands
+          this.scheduler.stop();
           
+          // Reconnecting is left to the connection supervisor
           if (wasConnected) {
             this.eventEmitter.emit('disconnected');
-            
-            // Try to reconnect
-            if (this.reconnectAttempts < this.maxReconnectAttempts) {
-              this.reconnectAttempts++;
-              console.log(`Attempting to reconnect (${this.reconnectAttempts}/${this.maxReconnectAttempts})...`);
-              
-              setTimeout(() => {
-                this.connect(config).catch(err => {
-                  console.error('Reconnection failed:', err);
-                });
-              }, this.reconnectDelay * this.reconnectAttempts);
-            }
           }
         });
         
@@ -196,9 +233,6 @@ class MT5BrokerAdapter {
     }
     
     return new Promise((resolve) => {
-      // Prevent reconnection attempts on manual disconnect
-      this.reconnectAttempts = this.maxReconnectAttempts;
-      
       this.socket.once('close', () => {
         resolve({ success: true, message: 'Disconnected' });
       });
@@ -345,7 +379,8 @@ class MT5BrokerAdapter {
         direction: orderParams.direction.toUpperCase(),
         stopLoss: orderParams.stopLoss,
         takeProfit: orderParams.takeProfit,
-        comment: orderParams.comment || 'SAITRAPP'
+        comment: orderParams.comment || (orderParams.clientOrderId ? toMetaTraderComment(orderParams.clientOrderId) : 'SAITRAPP'),
+        clientOrderId: orderParams.clientOrderId
       };
       
       const response = await this._sendCommand('PLACE_ORDER', params);
@@ -376,7 +411,8 @@ class MT5BrokerAdapter {
         stopLoss: orderParams.stopLoss,
         takeProfit: orderParams.takeProfit,
         expirationTime: orderParams.expirationTime,
-        comment: orderParams.comment || 'SAITRAPP'
+        comment: orderParams.comment || (orderParams.clientOrderId ? toMetaTraderComment(orderParams.clientOrderId) : 'SAITRAPP'),
+        clientOrderId: orderParams.clientOrderId
       };
       
       const response = await this._sendCommand('PLACE_ORDER', params);
@@ -474,6 +510,44 @@ class MT5BrokerAdapter {
     }
   }
   
+  /**
+   * Get the symbols offered by the terminal (Market Watch and server symbols)
+   * @returns {Promise<Array<string>>} - List of symbol names
+   */
+  async getSymbols() {
+    if (!this.connected) {
+      throw new Error('Not connected to MT5');
+    }
+    
+    try {
+      const response = await this._sendCommand('GET_SYMBOLS');
+      return response.data;
+    } catch (error) {
+      console.error('Error getting symbols:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the specification of a symbol
+   * @param {string} symbol - Symbol name as the terminal knows it
+   * @returns {Promise<Object>} - SymbolInfo fields (digits, point, trade_contract_size, volume_min, volume_max,
+   *   volume_step, trade_stops_level, currency_base, currency_margin, currency_profit)
+   */
+  async getSymbolInfo(symbol) {
+    if (!this.connected) {
+      throw new Error('Not connected to MT5');
+    }
+    
+    try {
+      const response = await this._sendCommand('SYMBOL_INFO', { symbol });
+      return response.data;
+    } catch (error) {
+      console.error(`Error getting symbol info for ${symbol}:`, error);
+      throw error;
+    }
+  }
+  
   /**
    * Subscribe to events
    * @param {string} event - Event name
@@ -493,45 +567,153 @@ class MT5BrokerAdapter {
   }
   
   /**
-   * Send command to MT5 bridge
+   * Get the number of commands waiting for the bridge
+   * @returns {Object} - { queued, inFlight, byPriority }
+   */
+  getQueueDepth() {
+    return this.scheduler.getDepth();
+  }
+  
+  /**
+   * Get the bridge protocol negotiated for this connection
+   * @returns {Object} - { version, capabilities, bridge, lastSequence }
+   */
+  getBridgeInfo() {
+    return this.protocol.getInfo();
+  }
+  
+  /**
+   * Offer protocol v2 to the bridge
+   * v1 bridges answer HELLO with an error or not at all, and the connection stays on v1
+   * @private
+   * @param {Object} config - Connection configuration
+   * @returns {Promise<void>}
+   */
+  async _negotiateProtocol(config) {
+    if (config.bridgeProtocol === 1) {
+      return;
+    }
+    
+    try {
+      const response = await this._sendCommand('HELLO', this.protocol.hello());
+      this.protocol.accept(response.data);
+    } catch (error) {
+      if (error.code === 'CONNECTION_CLOSED') {
+        throw error;
+      }
+      console.log(`MT5 bridge did not negotiate protocol v2 (${error.message})`);
+    }
+    
+    if (config.bridgeProtocol === 2 && this.protocol.version !== 2) {
+      throw new Error('MT5 bridge does not support protocol v2');
+    }
+  }
+  
+  /**
+   * Handle a push event after checking its sequence number
+   * Duplicates are dropped; after a gap the positions, orders and account are reloaded
+   * @private
+   * @param {Object} event - Event object
+   */
+  _receiveEvent(event) {
+    const { status, missed } = this.protocol.sequence(event);
+    if (status === 'duplicate') {
+      return;
+    }
+    
+    this._handleEvent(event);
+    
+    if (status === 'gap') {
+      console.warn(`MT5 bridge skipped ${missed} event(s) before ${event.seq}; reloading state`);
+      this._resync(missed);
+    }
+  }
+  
+  /**
+   * Reload positions, orders and account after lost events and emit them as events
+   * Gaps found while a reload runs are covered by one more reload once it finishes
+   * @private
+   * @param {number} missed - Number of events lost
+   */
+  _resync(missed) {
+    this.missedEvents += missed;
+    if (this.resyncing) {
+      this.resyncPending = true;
+      return;
+    }
+    
+    this.resyncPending = false;
+    this.resyncing = this._emitSnapshot()
+      .then(() => {
+        this.eventEmitter.emit('resync', { missed: this.missedEvents });
+        this.missedEvents = 0;
+      })
+      .catch(error => console.error('Failed to resync MT5 bridge:', error))
+      .finally(() => {
+        this.resyncing = null;
+        if (this.resyncPending && this.connected) {
+          this._resync(0);
+        }
+      });
+  }
+  
+  /**
+   * Emit the current positions, orders and account as if pushed by the bridge
+   * Positions and orders gone since the last snapshot are reported closed and cancelled;
+   * pending orders that were triggered come back as positions
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _emitSnapshot() {
+    const ticket = item => item.positionId ?? item.ticket ?? item.id ?? item.position ?? item.orderId ?? item.order;
+    const previousPositions = this.positions || [];
+    const previousOrders = this.orders || [];
+    
+    const [account, positions, orders] = await Promise.all([
+      this.getAccountInfo(),
+      this.getPositions(),
+      this.getOrders()
+    ]);
+    
+    const openTickets = new Set((positions || []).map(ticket));
+    const workingTickets = new Set((orders || []).map(ticket));
+    
+    previousPositions
+      .filter(position => !openTickets.has(ticket(position)))
+      .forEach(position => this.eventEmitter.emit('position', { ...position, volume: 0, closed: true }));
+    (positions || []).forEach(position => this.eventEmitter.emit('position', position));
+    
+    previousOrders
+      .filter(order => !workingTickets.has(ticket(order)))
+      .forEach(order => this.eventEmitter.emit('order', { ...order, status: 'cancelled' }));
+    (orders || []).forEach(order => this.eventEmitter.emit('order', order));
+    
+    this.eventEmitter.emit('account', account);
+  }
+    
+  /**
+   * Send command to MT5 bridge through the command scheduler
+   * Emits 'command' with the round-trip duration once the bridge answers or the command fails
    * @private
    * @param {string} command - Command name
    * @param {Object} params - Command parameters
+   * @param {Object} options - Scheduling options: { priority, timeout, signal }
    * @returns {Promise<Object>} - Command result
    */
-  _sendCommand(command, params = {}) {
+  _sendCommand(command, params = {}, options = {}) {
     if (!this.connected || !this.socket) {
       return Promise.reject(new Error('Not connected to MT5'));
     }
     
-    return new Promise((resolve, reject) => {
-      const requestId = this.nextRequestId++;
-      
-      const message = {
-        requestId,
-        command,
-        params
-      };
-      
-      this.callbacks.set(requestId, { resolve, reject });
-      
-      // Set timeout for request
-      const timeout = setTimeout(() => {
-        if (this.callbacks.has(requestId)) {
-          this.callbacks.delete(requestId);
-          reject(new Error(`MT5 request timeout: ${command}`));
-        }
-      }, 30000);
-      
-      // Send the message
-      try {
-        this.socket.write(JSON.stringify(message) + '\n');
-      } catch (err) {
-        clearTimeout(timeout);
-        this.callbacks.delete(requestId);
-        reject(err);
-      }
-    });
+    const startedAt = Date.now();
+    const request = this.scheduler.schedule(command, params, options);
+    
+    request.then(
+      () => this.eventEmitter.emit('command', { command, duration: Date.now() - startedAt, success: true }),
+      () => this.eventEmitter.emit('command', { command, duration: Date.now() - startedAt, success: false })
+    );
+    
+    return request;
   }
   
   /**
@@ -567,4 +749,28 @@ class MT5BrokerAdapter {
   }
 }
 
+/**
+ * Broker descriptor read by the broker registry
+ */
+MT5BrokerAdapter.descriptor = {
+  id: 'mt5',
+  name: 'MetaTrader 5',
+  credentials: {},
+  configSchema: {
+    type: 'object',
+    properties: {
+      host: { type: 'string', minLength: 1, default: 'localhost' },
+      port: { type: 'integer', minimum: 1, maximum: 65535, default: 8222 },
+      secure: { type: 'boolean', default: false },
+      commandRateLimit: { type: 'integer', minimum: 0, default: DEFAULT_RATE_LIMIT },
+      commandTimeout: { type: 'integer', minimum: 1000, default: 30000 },
+      bridgeProtocol: { type: 'integer', enum: [1, 2] },
+      bridgeCompression: { type: 'boolean', default: true },
+      // IANA zone of the trade server clock (e.g. 'Europe/Nicosia'); bar times are in server time
+      serverTimezone: { type: 'string', minLength: 1, default: 'UTC' }
+    }
+  },
+  capabilities: { pendingOrders: true, partialClose: true, hedging: true, historicalData: true }
+};
+
 module.exports = MT5BrokerAdapter;
\ No newline at end of file
@@ -0,0 +1,981 @@
+// electron/brokers/tws-protocol.js
+const { createError } = require('../errors');
+
+/**
+ * TWS / IB Gateway socket API wire protocol
+ *
+ * The client opens with "API\0" followed by the range of versions it speaks. From then on every
+ * message in both directions is a 4-byte big-endian length followed by NUL-terminated fields;
+ * the first field of a message is its numeric ID. The server answers the handshake with the
+ * negotiated server version and its connection time, and the layout of most messages depends on
+ * that version, so every encoder and decoder receives it.
+ */
+
+// Range of server versions this client understands
+const MIN_CLIENT_VERSION = 100;
+const MAX_CLIENT_VERSION = 151;
+
+// Largest message TWS sends (its own MAX_MSG_LEN); a bigger length prefix means the stream is corrupt
+const MAX_MESSAGE_LENGTH = 0xffffff;
+
+// Server versions that changed the messages used here (all versions below 100 are implied)
+const SERVER_VERSION = {
+  FRACTIONAL_POSITIONS: 101,
+  PEGGED_TO_BENCHMARK: 102,
+  MODELS_SUPPORT: 103,
+  SEC_DEF_OPT_PARAMS_REQ: 104,
+  EXT_OPERATOR: 105,
+  SOFT_DOLLAR_TIER: 106,
+  MD_SIZE_MULTIPLIER: 110,
+  CASH_QTY: 111,
+  REQ_SMART_COMPONENTS: 114,
+  AGG_GROUP: 121,
+  UNDERLYING_INFO: 122,
+  MARKET_RULES: 126,
+  PNL: 127,
+  UNREALIZED_PNL: 129,
+  MARKET_CAP_PRICE: 131,
+  REAL_EXPIRATION_DATE: 134,
+  REALIZED_PNL: 135,
+  LAST_LIQUIDITY: 136,
+  DECISION_MAKER: 138,
+  MIFID_EXECUTION: 139,
+  AUTO_PRICE_FOR_HEDGE: 141,
+  ORDER_CONTAINER: 145,
+  D_PEG_ORDERS: 148,
+  PRICE_MGMT_ALGO: 151
+};
+
+const OUTGOING = {
+  REQ_MKT_DATA: 1,
+  CANCEL_MKT_DATA: 2,
+  PLACE_ORDER: 3,
+  CANCEL_ORDER: 4,
+  REQ_OPEN_ORDERS: 5,
+  REQ_ACCT_DATA: 6,
+  REQ_EXECUTIONS: 7,
+  REQ_IDS: 8,
+  REQ_CONTRACT_DATA: 9,
+  REQ_ALL_OPEN_ORDERS: 16,
+  REQ_CURRENT_TIME: 49,
+  REQ_MARKET_DATA_TYPE: 59,
+  REQ_POSITIONS: 61,
+  REQ_ACCOUNT_SUMMARY: 62,
+  CANCEL_ACCOUNT_SUMMARY: 63,
+  CANCEL_POSITIONS: 64,
+  START_API: 71,
+  REQ_SEC_DEF_OPT_PARAMS: 78,
+  REQ_PNL: 92,
+  CANCEL_PNL: 93,
+  REQ_PNL_SINGLE: 94,
+  CANCEL_PNL_SINGLE: 95
+};
+
+const INCOMING = {
+  TICK_PRICE: 1,
+  TICK_SIZE: 2,
+  ORDER_STATUS: 3,
+  ERR_MSG: 4,
+  OPEN_ORDER: 5,
+  ACCT_VALUE: 6,
+  PORTFOLIO_VALUE: 7,
+  ACCT_UPDATE_TIME: 8,
+  NEXT_VALID_ID: 9,
+  CONTRACT_DATA: 10,
+  EXECUTION_DATA: 11,
+  MANAGED_ACCTS: 15,
+  TICK_GENERIC: 45,
+  TICK_STRING: 46,
+  CURRENT_TIME: 49,
+  CONTRACT_DATA_END: 52,
+  OPEN_ORDER_END: 53,
+  ACCT_DOWNLOAD_END: 54,
+  EXECUTION_DATA_END: 55,
+  TICK_SNAPSHOT_END: 57,
+  MARKET_DATA_TYPE: 58,
+  COMMISSION_REPORT: 59,
+  POSITION_DATA: 61,
+  POSITION_END: 62,
+  ACCOUNT_SUMMARY: 63,
+  ACCOUNT_SUMMARY_END: 64,
+  SECURITY_DEFINITION_OPTION_PARAMETER: 75,
+  SECURITY_DEFINITION_OPTION_PARAMETER_END: 76,
+  PNL: 94,
+  PNL_SINGLE: 95
+};
+
+// Error codes 2100-2199 are warnings (market data farm status and the like), not failures
+const WARNING_CODES = { min: 2100, max: 2199 };
+
+// TWS sends Double.MAX_VALUE for doubles that are not set
+const UNSET_DOUBLE = 1.7976931348623157e308;
+
+/**
+ * Order fields sent with placeOrder when the caller leaves them out
+ * Doubles left null are sent empty, which TWS reads as "not set"
+ */
+const ORDER_DEFAULTS = {
+  action: 'BUY',
+  totalQuantity: 0,
+  orderType: 'MKT',
+  lmtPrice: null,
+  auxPrice: null,
+  tif: 'DAY',
+  ocaGroup: '',
+  account: '',
+  openClose: 'O',
+  origin: 0,
+  orderRef: '',
+  transmit: true,
+  parentId: 0,
+  blockOrder: false,
+  sweepToFill: false,
+  displaySize: 0,
+  triggerMethod: 0,
+  outsideRth: false,
+  hidden: false,
+  discretionaryAmt: 0,
+  goodAfterTime: '',
+  goodTillDate: '',
+  faGroup: '',
+  faMethod: '',
+  faPercentage: '',
+  faProfile: '',
+  modelCode: '',
+  shortSaleSlot: 0,
+  designatedLocation: '',
+  exemptCode: -1,
+  ocaType: 0,
+  rule80A: '',
+  settlingFirm: '',
+  allOrNone: false,
+  minQty: null,
+  percentOffset: null,
+  auctionStrategy: 0,
+  startingPrice: null,
+  stockRefPrice: null,
+  delta: null,
+  stockRangeLower: null,
+  stockRangeUpper: null,
+  overridePercentageConstraints: false,
+  volatility: null,
+  volatilityType: null,
+  continuousUpdate: false,
+  referencePriceType: null,
+  trailStopPrice: null,
+  trailingPercent: null,
+  scaleInitLevelSize: null,
+  scaleSubsLevelSize: null,
+  scalePriceIncrement: null,
+  scaleTable: '',
+  activeStartTime: '',
+  activeStopTime: '',
+  hedgeType: '',
+  optOutSmartRouting: false,
+  clearingAccount: '',
+  clearingIntent: '',
+  notHeld: false,
+  algoId: '',
+  whatIf: false,
+  solicited: false,
+  randomizeSize: false,
+  randomizePrice: false,
+  adjustedOrderType: '',
+  triggerPrice: null,
+  lmtPriceOffset: null,
+  adjustedStopPrice: null,
+  adjustedStopLimitPrice: null,
+  adjustedTrailingAmount: null,
+  adjustableTrailingUnit: 0,
+  extOperator: '',
+  cashQty: null,
+  mifid2DecisionMaker: '',
+  mifid2DecisionAlgo: '',
+  mifid2ExecutionTrader: '',
+  mifid2ExecutionAlgo: '',
+  dontUseAutoPriceForHedge: false,
+  isOmsContainer: false,
+  discretionaryUpToLimitPrice: false,
+  usePriceMgmtAlgo: null
+};
+
+/**
+ * Encode one field: booleans as 1/0, null and undefined as an empty field
+ * @private
+ * @param {any} value - Field value
+ * @returns {string} Field text without the terminator
+ */
+function encodeField(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  if (typeof value === 'number' && !Number.isFinite(value)) return '';
+  return String(value);
+}
+
+/**
+ * Prefix a payload with its 4-byte big-endian length
+ * @private
+ * @param {Buffer} payload - Message payload
+ * @returns {Buffer} Framed message
+ */
+function frame(payload) {
+  const header = Buffer.alloc(4);
+  header.writeUInt32BE(payload.length, 0);
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Encode the opening handshake: "API\0" and the framed version range
+ * @param {number} [minVersion] - Oldest server version accepted
+ * @param {number} [maxVersion] - Newest server version understood
+ * @returns {Buffer} Handshake bytes
+ */
+function encodeHandshake(minVersion = MIN_CLIENT_VERSION, maxVersion = MAX_CLIENT_VERSION) {
+  return Buffer.concat([Buffer.from('API\0', 'ascii'), frame(Buffer.from(`v${minVersion}..${maxVersion}`, 'ascii'))]);
+}
+
+/**
+ * Encode a message from its fields
+ * @param {Array<any>} fields - Message fields, message ID first
+ * @returns {Buffer} Framed message
+ */
+function encodeMessage(fields) {
+  return frame(Buffer.from(fields.map(value => `${encodeField(value)}\0`).join(''), 'utf8'));
+}
+
+/**
+ * Fields of a contract as sent by reqMktData, reqContractDetails and placeOrder
+ * @private
+ * @param {Object} contract - TWS contract
+ * @param {boolean} withPrimaryExchange - Whether primaryExchange follows exchange
+ * @returns {Array<any>} Contract fields from conId to tradingClass
+ */
+function contractFields(contract, withPrimaryExchange = true) {
+  return [
+    contract.conId || 0,
+    contract.symbol,
+    contract.secType,
+    contract.lastTradeDateOrContractMonth || '',
+    contract.strike || 0,
+    contract.right || '',
+    contract.multiplier || '',
+    contract.exchange || '',
+    ...(withPrimaryExchange ? [contract.primaryExchange || ''] : []),
+    contract.currency || '',
+    contract.localSymbol || '',
+    contract.tradingClass || ''
+  ];
+}
+
+/**
+ * Fields of a placeOrder message after the order ID
+ * Combo (BAG) orders, algo parameters, order conditions and delta-neutral legs are not supported
+ * @private
+ * @param {Object} contract - TWS contract
+ * @param {Object} order - Order fields, merged over ORDER_DEFAULTS
+ * @param {number} serverVersion - Negotiated server version
+ * @returns {Array<any>} Fields
+ */
+function orderFields(contract, order, serverVersion) {
+  const o = { ...ORDER_DEFAULTS, ...order };
+  const fields = [
+    ...contractFields(contract),
+    contract.secIdType || '',
+    contract.secId || '',
+    // Main order fields
+    o.action,
+    serverVersion >= SERVER_VERSION.FRACTIONAL_POSITIONS ? o.totalQuantity : Math.round(o.totalQuantity),
+    o.orderType,
+    o.lmtPrice,
+    o.auxPrice,
+    // Extended order fields
+    o.tif, o.ocaGroup, o.account, o.openClose, o.origin, o.orderRef, o.transmit, o.parentId,
+    o.blockOrder, o.sweepToFill, o.displaySize, o.triggerMethod, o.outsideRth, o.hidden,
+    '', // deprecated sharesAllocation
+    o.discretionaryAmt, o.goodAfterTime, o.goodTillDate,
+    o.faGroup, o.faMethod, o.faPercentage, o.faProfile
+  ];
+
+  if (serverVersion >= SERVER_VERSION.MODELS_SUPPORT) {
+    fields.push(o.modelCode);
+  }
+
+  fields.push(
+    o.shortSaleSlot, o.designatedLocation, o.exemptCode, o.ocaType,
+    o.rule80A, o.settlingFirm, o.allOrNone, o.minQty, o.percentOffset,
+    false, false, null, // deprecated eTradeOnly, firmQuoteOnly, nbboPriceCap
+    o.auctionStrategy, o.startingPrice, o.stockRefPrice, o.delta, o.stockRangeLower, o.stockRangeUpper,
+    o.overridePercentageConstraints,
+    // Volatility orders, without a delta-neutral order type
+    o.volatility, o.volatilityType, '', null, o.continuousUpdate, o.referencePriceType,
+    o.trailStopPrice, o.trailingPercent,
+    // Scale orders, without a price increment
+    o.scaleInitLevelSize, o.scaleSubsLevelSize, o.scalePriceIncrement,
+    o.scaleTable, o.activeStartTime, o.activeStopTime,
+    o.hedgeType
+  );
+
+  if (o.hedgeType) {
+    fields.push(o.hedgeParam);
+  }
+
+  fields.push(
+    o.optOutSmartRouting, o.clearingAccount, o.clearingIntent, o.notHeld,
+    false, // no delta-neutral contract
+    '', // no algo strategy
+    o.algoId, o.whatIf,
+    '', // misc options
+    o.solicited, o.randomizeSize, o.randomizePrice
+  );
+
+  if (serverVersion >= SERVER_VERSION.PEGGED_TO_BENCHMARK) {
+    fields.push(
+      0, // no order conditions
+      o.adjustedOrderType, o.triggerPrice, o.lmtPriceOffset, o.adjustedStopPrice,
+      o.adjustedStopLimitPrice, o.adjustedTrailingAmount, o.adjustableTrailingUnit
+    );
+  }
+  if (serverVersion >= SERVER_VERSION.EXT_OPERATOR) {
+    fields.push(o.extOperator);
+  }
+  if (serverVersion >= SERVER_VERSION.SOFT_DOLLAR_TIER) {
+    fields.push('', ''); // soft dollar tier name and value
+  }
+  if (serverVersion >= SERVER_VERSION.CASH_QTY) {
+    fields.push(o.cashQty);
+  }
+  if (serverVersion >= SERVER_VERSION.DECISION_MAKER) {
+    fields.push(o.mifid2DecisionMaker, o.mifid2DecisionAlgo);
+  }
+  if (serverVersion >= SERVER_VERSION.MIFID_EXECUTION) {
+    fields.push(o.mifid2ExecutionTrader, o.mifid2ExecutionAlgo);
+  }
+  if (serverVersion >= SERVER_VERSION.AUTO_PRICE_FOR_HEDGE) {
+    fields.push(o.dontUseAutoPriceForHedge);
+  }
+  if (serverVersion >= SERVER_VERSION.ORDER_CONTAINER) {
+    fields.push(o.isOmsContainer);
+  }
+  if (serverVersion >= SERVER_VERSION.D_PEG_ORDERS) {
+    fields.push(o.discretionaryUpToLimitPrice);
+  }
+  if (serverVersion >= SERVER_VERSION.PRICE_MGMT_ALGO) {
+    fields.push(o.usePriceMgmtAlgo);
+  }
+
+  return fields;
+}
+
+/**
+ * Refuse a request the negotiated server version does not know
+ * @private
+ * @param {number} serverVersion - Negotiated server version
+ * @param {number} minimum - First server version with the request
+ * @param {string} feature - Request description used in the error
+ */
+function requireServerVersion(serverVersion, minimum, feature) {
+  if (serverVersion < minimum) {
+    throw new Error(`TWS server version ${serverVersion} does not support ${feature}`);
+  }
+}
+
+/**
+ * Field lists of the requests sent by the adapter, keyed by request name
+ * Each builder receives the request parameters and the negotiated server version
+ */
+const REQUESTS = {
+  startApi: ({ clientId, optionalCapabilities = '' }) => [OUTGOING.START_API, 2, clientId, optionalCapabilities],
+
+  reqIds: ({ numIds = 1 } = {}) => [OUTGOING.REQ_IDS, 1, numIds],
+
+  reqCurrentTime: () => [OUTGOING.REQ_CURRENT_TIME, 1],
+
+  reqAccountUpdates: ({ subscribe, accountId = '' }) => [OUTGOING.REQ_ACCT_DATA, 2, subscribe, accountId],
+
+  cancelAccountUpdates: ({ accountId = '' } = {}) => [OUTGOING.REQ_ACCT_DATA, 2, false, accountId],
+
+  reqPositions: () => [OUTGOING.REQ_POSITIONS, 1],
+
+  cancelPositions: () => [OUTGOING.CANCEL_POSITIONS, 1],
+
+  reqOpenOrders: () => [OUTGOING.REQ_OPEN_ORDERS, 1],
+
+  reqAllOpenOrders: () => [OUTGOING.REQ_ALL_OPEN_ORDERS, 1],
+
+  reqMarketDataType: ({ marketDataType }) => [OUTGOING.REQ_MARKET_DATA_TYPE, 1, marketDataType],
+
+  reqMktData: ({ requestId, contract, genericTickList = '', snapshot = false, regulatorySnapshot = false }, serverVersion) => [
+    OUTGOING.REQ_MKT_DATA, 11, requestId,
+    ...contractFields(contract),
+    false, // no delta-neutral contract
+    genericTickList,
+    snapshot,
+    ...(serverVersion >= SERVER_VERSION.REQ_SMART_COMPONENTS ? [regulatorySnapshot] : []),
+    '' // market data options
+  ],
+
+  cancelMktData: ({ requestId }) => [OUTGOING.CANCEL_MKT_DATA, 2, requestId],
+
+  placeOrder: ({ id, contract, order }, serverVersion) => [
+    OUTGOING.PLACE_ORDER,
+    ...(serverVersion < SERVER_VERSION.ORDER_CONTAINER ? [45] : []),
+    id,
+    ...orderFields(contract, order, serverVersion)
+  ],
+
+  cancelOrder: ({ id }) => [OUTGOING.CANCEL_ORDER, 1, id],
+
+  // Partially specified contracts match every listed contract that fits
+  reqContractDetails: ({ requestId, contract }) => [
+    OUTGOING.REQ_CONTRACT_DATA, 8, requestId,
+    ...contractFields(contract),
+    contract.includeExpired || false,
+    contract.secIdType || '',
+    contract.secId || ''
+  ],
+
+  reqSecDefOptParams: ({ requestId, underlyingSymbol, futFopExchange = '', underlyingSecType, underlyingConId }, serverVersion) => {
+    requireServerVersion(serverVersion, SERVER_VERSION.SEC_DEF_OPT_PARAMS_REQ, 'option chain requests');
+    return [OUTGOING.REQ_SEC_DEF_OPT_PARAMS, requestId, underlyingSymbol, futFopExchange, underlyingSecType, underlyingConId];
+  },
+
+  // Filter fields left empty match everything; time is "yyyymmdd-hh:mm:ss"
+  reqExecutions: ({ requestId, filter = {} }) => [
+    OUTGOING.REQ_EXECUTIONS, 3, requestId,
+    filter.clientId || 0,
+    filter.account || '',
+    filter.time || '',
+    filter.symbol || '',
+    filter.secType || '',
+    filter.exchange || '',
+    filter.side || ''
+  ],
+
+  reqAccountSummary: ({ requestId, group = 'All', tags }) => [OUTGOING.REQ_ACCOUNT_SUMMARY, 1, requestId, group, tags.join(',')],
+
+  cancelAccountSummary: ({ requestId }) => [OUTGOING.CANCEL_ACCOUNT_SUMMARY, 1, requestId],
+
+  reqPnL: ({ requestId, account, modelCode = '' }, serverVersion) => {
+    requireServerVersion(serverVersion, SERVER_VERSION.PNL, 'P&L subscriptions');
+    return [OUTGOING.REQ_PNL, requestId, account, modelCode];
+  },
+
+  cancelPnL: ({ requestId }) => [OUTGOING.CANCEL_PNL, requestId],
+
+  reqPnLSingle: ({ requestId, account, modelCode = '', conId }, serverVersion) => {
+    requireServerVersion(serverVersion, SERVER_VERSION.PNL, 'P&L subscriptions');
+    return [OUTGOING.REQ_PNL_SINGLE, requestId, account, modelCode, conId];
+  },
+
+  cancelPnLSingle: ({ requestId }) => [OUTGOING.CANCEL_PNL_SINGLE, requestId]
+};
+
+/**
+ * Encode a request
+ * @param {string} name - Request name (a key of REQUESTS)
+ * @param {Object} params - Request parameters
+ * @param {number} serverVersion - Negotiated server version
+ * @returns {Buffer} Framed message
+ */
+function encodeRequest(name, params, serverVersion) {
+  const build = REQUESTS[name];
+  if (!build) {
+    throw new Error(`Unsupported TWS request: ${name}`);
+  }
+  return encodeMessage(build(params, serverVersion));
+}
+
+/**
+ * Splits the incoming byte stream into message payloads
+ * Frames may arrive split across or packed into socket reads
+ */
+class FrameReader {
+  /**
+   * @param {number} [maxLength] - Largest message accepted, in bytes
+   */
+  constructor(maxLength = MAX_MESSAGE_LENGTH) {
+    this.maxLength = maxLength;
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * Add received bytes
+   * A length prefix over the limit throws; the stream cannot be read past it and the
+   * connection should then be dropped.
+   * @param {Buffer} data - Bytes read from the socket
+   * @returns {Array<Array<string>>} Fields of every complete message
+   */
+  push(data) {
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, data]) : data;
+    const messages = [];
+
+    while (this.buffer.length >= 4) {
+      const length = this.buffer.readUInt32BE(0);
+      if (length > this.maxLength) {
+        this.buffer = Buffer.alloc(0);
+        throw createError('PROTOCOL_ERROR', `TWS message of ${length} bytes exceeds the ${this.maxLength} byte limit`);
+      }
+      if (this.buffer.length < 4 + length) {
+        break;
+      }
+
+      messages.push(splitFields(this.buffer.subarray(4, 4 + length)));
+      this.buffer = this.buffer.subarray(4 + length);
+    }
+
+    return messages;
+  }
+
+  /**
+   * Drop partial data, e.g. when the socket closes
+   */
+  reset() {
+    this.buffer = Buffer.alloc(0);
+  }
+}
+
+/**
+ * Split a payload into its fields
+ * @private
+ * @param {Buffer} payload - Message payload
+ * @returns {Array<string>} Fields
+ */
+function splitFields(payload) {
+  const fields = payload.toString('utf8').split('\0');
+  // Every field is terminated, so the last element is the empty remainder
+  fields.pop();
+  return fields;
+}
+
+/**
+ * Sequential reader over the fields of one message
+ * @private
+ */
+class FieldReader {
+  constructor(fields) {
+    this.fields = fields;
+    this.index = 0;
+  }
+
+  string() {
+    const value = this.fields[this.index++];
+    return value === undefined ? '' : value;
+  }
+
+  int() {
+    const value = parseInt(this.string(), 10);
+    return Number.isNaN(value) ? 0 : value;
+  }
+
+  float() {
+    const value = parseFloat(this.string());
+    return Number.isNaN(value) ? 0 : value;
+  }
+
+  // Empty fields and Double.MAX_VALUE mean "not set"
+  optionalFloat() {
+    const value = parseFloat(this.string());
+    return Number.isNaN(value) || value >= UNSET_DOUBLE ? null : value;
+  }
+
+  bool() {
+    return this.int() !== 0;
+  }
+}
+
+/**
+ * Parse the server's answer to the handshake
+ * @param {Array<string>} fields - Fields of the first message
+ * @returns {Object} { serverVersion, connectionTime }
+ */
+function parseHandshake(fields) {
+  const reader = new FieldReader(fields);
+  return { serverVersion: reader.int(), connectionTime: reader.string() };
+}
+
+/**
+ * Read the contract fields of a position or portfolio message
+ * @private
+ * @param {FieldReader} r - Reader positioned at conId
+ * @returns {Object} Contract fields up to strike and right
+ */
+function readContractHead(r) {
+  return {
+    conId: r.int(),
+    symbol: r.string(),
+    secType: r.string(),
+    lastTradeDateOrContractMonth: r.string(),
+    strike: r.float(),
+    right: r.string()
+  };
+}
+
+/**
+ * Decoders of the incoming messages used by the adapter, keyed by message ID
+ * Each returns [eventName, payload] for the adapter to emit
+ */
+const DECODERS = {
+  [INCOMING.TICK_PRICE]: (r) => {
+    const version = r.int();
+    const data = { requestId: r.int(), tickType: r.int(), price: r.float() };
+    data.size = version >= 2 ? r.int() : 0;
+    const attributes = version >= 3 ? r.int() : 0;
+    data.autoExecute = (attributes & 1) === 1;
+    return ['marketData', data];
+  },
+
+  [INCOMING.TICK_SIZE]: (r) => {
+    r.int(); // version
+    return ['tickSize', { requestId: r.int(), tickType: r.int(), size: r.float() }];
+  },
+
+  [INCOMING.ORDER_STATUS]: (r, serverVersion) => {
+    if (serverVersion < SERVER_VERSION.MARKET_CAP_PRICE) {
+      r.int(); // version
+    }
+
+    const data = {
+      orderId: r.int(),
+      status: r.string(),
+      filled: r.float(),
+      remaining: r.float(),
+      avgFillPrice: r.float(),
+      permId: r.int(),
+      parentId: r.int(),
+      lastFillPrice: r.float(),
+      clientId: r.int(),
+      whyHeld: r.string()
+    };
+    if (serverVersion >= SERVER_VERSION.MARKET_CAP_PRICE) {
+      data.mktCapPrice = r.float();
+    }
+    return ['orderStatus', data];
+  },
+
+  [INCOMING.ERR_MSG]: (r) => {
+    r.int(); // version
+    return ['error', { id: r.int(), code: r.int(), message: r.string() }];
+  },
+
+  // Only the leading order fields are read; status comes with the orderStatus message that follows
+  [INCOMING.OPEN_ORDER]: (r, serverVersion) => {
+    const version = serverVersion < SERVER_VERSION.ORDER_CONTAINER ? r.int() : serverVersion;
+    const orderId = r.int();
+    const contract = readContractHead(r);
+    if (version >= 32) contract.multiplier = r.string();
+    contract.exchange = r.string();
+    contract.currency = r.string();
+    contract.localSymbol = r.string();
+    if (version >= 32) contract.tradingClass = r.string();
+
+    return ['openOrder', {
+      orderId,
+      contract,
+      action: r.string(),
+      totalQuantity: r.float(),
+      orderType: r.string(),
+      lmtPrice: r.optionalFloat(),
+      auxPrice: r.optionalFloat(),
+      tif: r.string(),
+      ocaGroup: r.string(),
+      account: r.string(),
+      openClose: r.string(),
+      origin: r.int(),
+      orderRef: r.string(),
+      clientId: r.int(),
+      permId: r.int()
+    }];
+  },
+
+  [INCOMING.ACCT_VALUE]: (r) => {
+    r.int(); // version
+    return ['accountUpdate', { key: r.string(), value: r.string(), currency: r.string(), account: r.string() }];
+  },
+
+  [INCOMING.PORTFOLIO_VALUE]: (r) => {
+    const version = r.int();
+    const contract = readContractHead(r);
+    if (version >= 7) {
+      contract.multiplier = r.string();
+      contract.primaryExchange = r.string();
+    }
+    contract.currency = r.string();
+    contract.localSymbol = r.string();
+    if (version >= 8) contract.tradingClass = r.string();
+
+    return ['portfolioUpdate', {
+      contract,
+      position: r.float(),
+      marketPrice: r.float(),
+      marketValue: r.float(),
+      averageCost: r.float(),
+      unrealizedPNL: r.float(),
+      realizedPNL: r.float(),
+      account: r.string()
+    }];
+  },
+
+  [INCOMING.ACCT_UPDATE_TIME]: (r) => {
+    r.int(); // version
+    return ['accountUpdateTime', { time: r.string() }];
+  },
+
+  [INCOMING.NEXT_VALID_ID]: (r) => {
+    r.int(); // version
+    return ['nextValidId', { orderId: r.int() }];
+  },
+
+  [INCOMING.MANAGED_ACCTS]: (r) => {
+    r.int(); // version
+    return ['managedAccounts', { accounts: r.string().split(',').filter(Boolean) }];
+  },
+
+  [INCOMING.TICK_GENERIC]: (r) => {
+    r.int(); // version
+    return ['tickGeneric', { requestId: r.int(), tickType: r.int(), value: r.float() }];
+  },
+
+  [INCOMING.TICK_STRING]: (r) => {
+    r.int(); // version
+    return ['tickString', { requestId: r.int(), tickType: r.int(), value: r.string() }];
+  },
+
+  [INCOMING.CURRENT_TIME]: (r) => {
+    r.int(); // version
+    return ['currentTime', { time: r.int() }];
+  },
+
+  [INCOMING.OPEN_ORDER_END]: () => ['openOrderEnd', {}],
+
+  [INCOMING.ACCT_DOWNLOAD_END]: (r) => {
+    r.int(); // version
+    return ['accountUpdateEnd', { account: r.string() }];
+  },
+
+  [INCOMING.TICK_SNAPSHOT_END]: (r) => {
+    r.int(); // version
+    return ['tickSnapshotEnd', { requestId: r.int() }];
+  },
+
+  [INCOMING.MARKET_DATA_TYPE]: (r) => {
+    r.int(); // version
+    return ['marketDataType', { requestId: r.int(), marketDataType: r.int() }];
+  },
+
+  [INCOMING.POSITION_DATA]: (r) => {
+    const version = r.int();
+    const account = r.string();
+    const contract = readContractHead(r);
+    contract.multiplier = r.string();
+    contract.exchange = r.string();
+    contract.currency = r.string();
+    contract.localSymbol = r.string();
+    if (version >= 2) contract.tradingClass = r.string();
+
+    return ['position', {
+      account,
+      contract,
+      position: r.float(),
+      avgCost: version >= 3 ? r.float() : 0
+    }];
+  },
+
+  [INCOMING.POSITION_END]: () => ['positionEnd', {}],
+
+  [INCOMING.CONTRACT_DATA]: (r, serverVersion) => {
+    const version = r.int();
+    const requestId = version >= 3 ? r.int() : -1;
+    const contract = { symbol: r.string(), secType: r.string() };
+
+    // Expiries may carry the last trading time: "20261218 08:30 US/Central"
+    const [lastTradeDateOrContractMonth, lastTradeTime = ''] = r.string().split(/[\s-]+/);
+    contract.lastTradeDateOrContractMonth = lastTradeDateOrContractMonth;
+    contract.strike = r.float();
+    contract.right = r.string();
+    contract.exchange = r.string();
+    contract.currency = r.string();
+    contract.localSymbol = r.string();
+
+    const details = { contract, lastTradeTime, marketName: r.string() };
+    contract.tradingClass = r.string();
+    contract.conId = r.int();
+    details.minTick = r.float();
+    if (serverVersion >= SERVER_VERSION.MD_SIZE_MULTIPLIER) r.int(); // market data size multiplier, unused
+    contract.multiplier = r.string();
+    details.orderTypes = r.string();
+    details.validExchanges = r.string();
+    if (version >= 2) details.priceMagnifier = r.int();
+    if (version >= 4) details.underConId = r.int();
+    if (version >= 5) {
+      details.longName = r.string();
+      contract.primaryExchange = r.string();
+    }
+    if (version >= 6) {
+      details.contractMonth = r.string();
+      details.industry = r.string();
+      details.category = r.string();
+      details.subcategory = r.string();
+      details.timeZoneId = r.string();
+      details.tradingHours = r.string();
+      details.liquidHours = r.string();
+    }
+    if (version >= 8) {
+      details.evRule = r.string();
+      details.evMultiplier = r.float();
+    }
+    if (version >= 7) {
+      details.secIdList = Array.from({ length: r.int() }, () => ({ tag: r.string(), value: r.string() }));
+    }
+    if (serverVersion >= SERVER_VERSION.AGG_GROUP) details.aggGroup = r.int();
+    if (serverVersion >= SERVER_VERSION.UNDERLYING_INFO) {
+      details.underSymbol = r.string();
+      details.underSecType = r.string();
+    }
+    if (serverVersion >= SERVER_VERSION.MARKET_RULES) details.marketRuleIds = r.string();
+    if (serverVersion >= SERVER_VERSION.REAL_EXPIRATION_DATE) details.realExpirationDate = r.string();
+
+    return ['contractDetails', { requestId, details }];
+  },
+
+  [INCOMING.CONTRACT_DATA_END]: (r) => {
+    r.int(); // version
+    return ['contractDetailsEnd', { requestId: r.int() }];
+  },
+
+  [INCOMING.SECURITY_DEFINITION_OPTION_PARAMETER]: (r) => {
+    const data = {
+      requestId: r.int(),
+      exchange: r.string(),
+      underlyingConId: r.int(),
+      tradingClass: r.string(),
+      multiplier: r.string()
+    };
+    data.expirations = Array.from({ length: r.int() }, () => r.string());
+    data.strikes = Array.from({ length: r.int() }, () => r.float());
+    return ['optionParameters', data];
+  },
+
+  [INCOMING.SECURITY_DEFINITION_OPTION_PARAMETER_END]: (r) => ['optionParametersEnd', { requestId: r.int() }],
+
+  // Sent for reqExecutions (with its request ID) and for every fill of this client's orders (request ID -1)
+  [INCOMING.EXECUTION_DATA]: (r, serverVersion) => {
+    const version = serverVersion >= SERVER_VERSION.LAST_LIQUIDITY ? serverVersion : r.int();
+    const requestId = version >= 7 ? r.int() : -1;
+    const orderId = r.int();
+
+    const contract = readContractHead(r);
+    if (version >= 9) contract.multiplier = r.string();
+    contract.exchange = r.string();
+    contract.currency = r.string();
+    contract.localSymbol = r.string();
+    if (version >= 10) contract.tradingClass = r.string();
+
+    const execution = {
+      orderId,
+      execId: r.string(),
+      time: r.string(),
+      account: r.string(),
+      exchange: r.string(),
+      side: r.string(), // BOT or SLD
+      shares: r.float(),
+      price: r.float()
+    };
+    if (version >= 2) execution.permId = r.int();
+    if (version >= 3) execution.clientId = r.int();
+    if (version >= 4) execution.liquidation = r.int();
+    if (version >= 6) {
+      execution.cumQty = r.float();
+      execution.avgPrice = r.float();
+    }
+    if (version >= 8) execution.orderRef = r.string();
+    if (version >= 9) {
+      execution.evRule = r.string();
+      execution.evMultiplier = r.float();
+    }
+    if (serverVersion >= SERVER_VERSION.MODELS_SUPPORT) execution.modelCode = r.string();
+    if (serverVersion >= SERVER_VERSION.LAST_LIQUIDITY) execution.lastLiquidity = r.int();
+
+    return ['execution', { requestId, contract, execution }];
+  },
+
+  [INCOMING.EXECUTION_DATA_END]: (r) => {
+    r.int(); // version
+    return ['executionEnd', { requestId: r.int() }];
+  },
+
+  // Follows each execution; realizedPnL is only set for executions that reduce a position
+  [INCOMING.COMMISSION_REPORT]: (r) => {
+    r.int(); // version
+    return ['commissionReport', {
+      execId: r.string(),
+      commission: r.optionalFloat(),
+      currency: r.string(),
+      realizedPnL: r.optionalFloat(),
+      yield: r.optionalFloat(),
+      yieldRedemptionDate: r.int()
+    }];
+  },
+
+  [INCOMING.ACCOUNT_SUMMARY]: (r) => {
+    r.int(); // version
+    return ['accountSummary', { requestId: r.int(), account: r.string(), tag: r.string(), value: r.string(), currency: r.string() }];
+  },
+
+  [INCOMING.ACCOUNT_SUMMARY_END]: (r) => {
+    r.int(); // version
+    return ['accountSummaryEnd', { requestId: r.int() }];
+  },
+
+  [INCOMING.PNL]: (r, serverVersion) => ['pnl', {
+    requestId: r.int(),
+    dailyPnL: r.optionalFloat(),
+    unrealizedPnL: serverVersion >= SERVER_VERSION.UNREALIZED_PNL ? r.optionalFloat() : null,
+    realizedPnL: serverVersion >= SERVER_VERSION.REALIZED_PNL ? r.optionalFloat() : null
+  }],
+
+  [INCOMING.PNL_SINGLE]: (r, serverVersion) => ['pnlSingle', {
+    requestId: r.int(),
+    position: r.float(),
+    dailyPnL: r.optionalFloat(),
+    unrealizedPnL: serverVersion >= SERVER_VERSION.UNREALIZED_PNL ? r.optionalFloat() : null,
+    realizedPnL: serverVersion >= SERVER_VERSION.REALIZED_PNL ? r.optionalFloat() : null,
+    value: r.optionalFloat()
+  }]
+};
+
+/**
+ * Decode an incoming message
+ * @param {Array<string>} fields - Message fields, message ID first
+ * @param {number} serverVersion - Negotiated server version
+ * @returns {Array|null} [eventName, payload], or null for messages the adapter does not use
+ */
+function decodeMessage(fields, serverVersion) {
+  const reader = new FieldReader(fields);
+  const decode = DECODERS[reader.int()];
+  return decode ? decode(reader, serverVersion) : null;
+}
+
+/**
+ * Check whether a TWS error code is only a warning
+ * @param {number} code - Error code
+ * @returns {boolean} True for codes 2100-2199
+ */
+function isWarningCode(code) {
+  return code >= WARNING_CODES.min && code <= WARNING_CODES.max;
+}
+
+module.exports = {
+  MIN_CLIENT_VERSION,
+  MAX_CLIENT_VERSION,
+  MAX_MESSAGE_LENGTH,
+  SERVER_VERSION,
+  OUTGOING,
+  INCOMING,
+  FrameReader,
+  encodeHandshake,
+  encodeMessage,
+  encodeRequest,
+  parseHandshake,
+  decodeMessage,
+  isWarningCode
+};
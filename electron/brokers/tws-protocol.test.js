@@ -0,0 +1,56 @@
+// electron/brokers/tws-protocol.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FrameReader, encodeMessage, encodeHandshake, decodeMessage, INCOMING } = require('./tws-protocol');
+
+test('FrameReader joins a frame split across reads', () => {
+  const reader = new FrameReader();
+  const bytes = encodeMessage([INCOMING.NEXT_VALID_ID, 1, 1001]);
+
+  assert.deepEqual(reader.push(bytes.subarray(0, 2)), []);
+  assert.deepEqual(reader.push(bytes.subarray(2, 7)), []);
+  assert.deepEqual(reader.push(bytes.subarray(7)), [['9', '1', '1001']]);
+});
+
+test('FrameReader splits several frames packed into one read', () => {
+  const reader = new FrameReader();
+  const first = encodeMessage([INCOMING.MANAGED_ACCTS, 1, 'DU1234567']);
+  const second = encodeMessage([INCOMING.NEXT_VALID_ID, 1, 1001]);
+
+  // The second frame is cut in half; its rest arrives with the next read
+  const messages = reader.push(Buffer.concat([first, second.subarray(0, 6)]));
+  assert.deepEqual(messages, [['15', '1', 'DU1234567']]);
+  assert.deepEqual(reader.push(second.subarray(6)), [['9', '1', '1001']]);
+});
+
+test('FrameReader fails on a length prefix over the limit and drops its buffer', () => {
+  const reader = new FrameReader(1024);
+  const garbage = Buffer.from([0x7f, 0xff, 0xff, 0xff, 0x41]);
+
+  assert.throws(() => reader.push(garbage), { code: 'PROTOCOL_ERROR' });
+  assert.equal(reader.buffer.length, 0);
+});
+
+test('encodeHandshake offers the supported version range', () => {
+  const bytes = encodeHandshake(100, 151);
+
+  assert.equal(bytes.subarray(0, 4).toString(), 'API\0');
+  assert.equal(bytes.readUInt32BE(4), 'v100..151'.length);
+  assert.equal(bytes.subarray(8).toString(), 'v100..151');
+});
+
+test('decodeMessage reads a position and treats farm notices as errors with their code', () => {
+  const [event, position] = decodeMessage(
+    ['61', '3', 'DU1234567', '265598', 'AAPL', 'STK', '', '0', '', '', 'NASDAQ', 'USD', 'AAPL', 'NMS', '100', '187.25'],
+    151
+  );
+  assert.equal(event, 'position');
+  assert.equal(position.account, 'DU1234567');
+  assert.equal(position.contract.conId, 265598);
+  assert.equal(position.position, 100);
+  assert.equal(position.avgCost, 187.25);
+
+  const [errorEvent, notice] = decodeMessage(['4', '2', '-1', '2104', 'Market data farm connection is OK:usfarm'], 151);
+  assert.equal(errorEvent, 'error');
+  assert.deepEqual(notice, { id: -1, code: 2104, message: 'Market data farm connection is OK:usfarm' });
+});
@@ -0,0 +1,322 @@
+// electron/command-scheduler.js
+const { createError } = require('./errors');
+
+/**
+ * Priority levels, most urgent first
+ *
+ *   critical: closing exposure (position closes, emergency flattening)
+ *   session:  handshake, subscriptions and heartbeats that keep the link usable
+ *   trading:  opening and modifying orders and positions
+ *   account:  account, position and order reads
+ *   data:     quotes, symbol lists and history
+ */
+const PRIORITIES = ['critical', 'session', 'trading', 'account', 'data'];
+
+const DEFAULT_OPTIONS = {
+  defaultPriority: 'data',
+  defaultTimeout: 30000, // from enqueue until the bridge answers
+  rateLimit: 0, // commands written per interval (0 disables the limit)
+  rateInterval: 1000
+};
+
+/**
+ * Schedules the request/response commands of a socket bridge (MT4, MT5)
+ *
+ * Commands wait in one FIFO queue per priority and are written highest priority first, within
+ * the broker's rate limit. Each command has its own timeout, counted from the moment it is
+ * queued, and can be cancelled with an AbortSignal or by request ID. The scheduler owns the
+ * request IDs and the pending callbacks: the adapter settles them with resolve()/reject() when
+ * the bridge answers, and stop() rejects everything queued or in flight when the link drops.
+ */
+class CommandScheduler {
+  /**
+   * Create a new CommandScheduler instance
+   * @param {Object} params - Scheduler parameters
+   * @param {Function} params.send - Writes { requestId, command, params } to the bridge; may throw
+   * @param {string} [params.name] - Broker name used in error messages
+   * @param {Object} [params.commands] - Per-command defaults: { COMMAND: { priority, timeout } }
+   * @param {string} [params.defaultPriority] - Priority of commands missing from params.commands
+   * @param {number} [params.defaultTimeout] - Timeout of commands missing from params.commands
+   * @param {number} [params.rateLimit] - Commands written per rateInterval (0 disables the limit)
+   * @param {number} [params.rateInterval] - Rate limit window in milliseconds
+   */
+  constructor({ send, name = 'broker', commands = {}, ...options }) {
+    this.send = send;
+    this.name = name;
+    this.commands = commands;
+    this.options = { ...DEFAULT_OPTIONS };
+    this.configure(options);
+
+    this.queues = new Map(PRIORITIES.map(priority => [priority, []]));
+    this.pending = new Map(); // requestId -> entry, queued or in flight
+    this.sentAt = []; // write times inside the current rate window
+    this.nextId = 1;
+    this.running = false;
+    this.drainTimer = null;
+  }
+
+  /**
+   * Change the rate limit and default timeout, e.g. from the connection config
+   * Undefined values keep the current setting
+   * @param {Object} options - { defaultPriority, defaultTimeout, rateLimit, rateInterval }
+   */
+  configure(options = {}) {
+    Object.keys(DEFAULT_OPTIONS).forEach(key => {
+      if (options[key] !== undefined) {
+        this.options[key] = options[key];
+      }
+    });
+
+    if (!PRIORITIES.includes(this.options.defaultPriority)) {
+      throw new Error(`Unknown command priority: ${this.options.defaultPriority}`);
+    }
+  }
+
+  /**
+   * Start writing queued commands; called once the socket is open
+   */
+  start() {
+    this.running = true;
+    this._drain();
+  }
+
+  /**
+   * Stop writing and reject every queued and in-flight command
+   * @param {Error} [error] - Rejection reason (defaults to a CONNECTION_CLOSED error)
+   */
+  stop(error) {
+    this.running = false;
+    this._clearDrainTimer();
+    this.sentAt = [];
+
+    const reason = error || createError('CONNECTION_CLOSED', `Connection to ${this.name} closed`);
+    [...this.pending.keys()].forEach(requestId => this._settle(requestId, reason));
+  }
+
+  /**
+   * Allocate a request ID for a message written outside the scheduler
+   * @returns {number} Request ID
+   */
+  nextRequestId() {
+    return this.nextId++;
+  }
+
+  /**
+   * Queue a command
+   * @param {string} command - Command name
+   * @param {Object} [params] - Command parameters
+   * @param {Object} [options] - Scheduling options
+   * @param {string} [options.priority] - One of PRIORITIES; overrides the per-command default
+   * @param {number} [options.timeout] - Milliseconds until the command fails; overrides the per-command default
+   * @param {AbortSignal} [options.signal] - Cancels the command when aborted
+   * @returns {Promise<any>} Value passed to resolve() when the bridge answers
+   */
+  schedule(command, params = {}, options = {}) {
+    const defaults = this.commands[command] || {};
+    const priority = options.priority || defaults.priority || this.options.defaultPriority;
+    const timeout = options.timeout || defaults.timeout || this.options.defaultTimeout;
+
+    if (!PRIORITIES.includes(priority)) {
+      return Promise.reject(new Error(`Unknown command priority: ${priority}`));
+    }
+    if (!this.running) {
+      return Promise.reject(createError('CONNECTION_CLOSED', `Not connected to ${this.name}`));
+    }
+    if (options.signal && options.signal.aborted) {
+      return Promise.reject(createError('COMMAND_CANCELLED', `${this.name} command ${command} cancelled`));
+    }
+
+    return new Promise((resolve, reject) => {
+      const requestId = this.nextRequestId();
+      const entry = { requestId, command, params, priority, resolve, reject, sent: false };
+
+      entry.timer = setTimeout(() => {
+        this._settle(requestId, createError('COMMAND_TIMEOUT', `${this.name} command ${command} timed out after ${timeout} ms`));
+      }, timeout);
+
+      if (options.signal) {
+        entry.signal = options.signal;
+        entry.onAbort = () => this.cancel(requestId);
+        options.signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+
+      this.pending.set(requestId, entry);
+      this.queues.get(priority).push(entry);
+      this._drain();
+    });
+  }
+
+  /**
+   * Cancel a queued or in-flight command
+   * A command already written may still be carried out by the bridge; its answer is ignored
+   * @param {number} requestId - Request ID
+   * @param {string} [reason] - Cancellation message
+   * @returns {boolean} True if the command was still pending
+   */
+  cancel(requestId, reason) {
+    const entry = this.pending.get(requestId);
+    if (!entry) {
+      return false;
+    }
+
+    this._settle(requestId, createError('COMMAND_CANCELLED', reason || `${this.name} command ${entry.command} cancelled`));
+    return true;
+  }
+
+  /**
+   * Check whether a request ID belongs to a pending command
+   * @param {number} requestId - Request ID from a bridge message
+   * @returns {boolean} True if the command is queued or in flight
+   */
+  has(requestId) {
+    return this.pending.has(requestId);
+  }
+
+  /**
+   * Complete a command with the bridge's answer
+   * @param {number} requestId - Request ID
+   * @param {any} value - Command result
+   */
+  resolve(requestId, value) {
+    this._settle(requestId, null, value);
+  }
+
+  /**
+   * Fail a command with the bridge's error
+   * @param {number} requestId - Request ID
+   * @param {Error} error - Command error
+   */
+  reject(requestId, error) {
+    this._settle(requestId, error);
+  }
+
+  /**
+   * Report how many commands are waiting
+   * @returns {Object} { queued, inFlight, byPriority: { critical, session, ... } } with queued counts per priority
+   */
+  getDepth() {
+    const byPriority = {};
+    let queued = 0;
+    this.queues.forEach((queue, priority) => {
+      byPriority[priority] = queue.length;
+      queued += queue.length;
+    });
+
+    return { queued, inFlight: this.pending.size - queued, byPriority };
+  }
+
+  /**
+   * Remove a command from the pending set and settle its promise
+   * @private
+   * @param {number} requestId - Request ID
+   * @param {Error|null} error - Rejection reason, or null to resolve
+   * @param {any} [value] - Resolution value
+   */
+  _settle(requestId, error, value) {
+    const entry = this.pending.get(requestId);
+    if (!entry) {
+      return;
+    }
+
+    this.pending.delete(requestId);
+    clearTimeout(entry.timer);
+    if (entry.signal) {
+      entry.signal.removeEventListener('abort', entry.onAbort);
+    }
+
+    if (!entry.sent) {
+      const queue = this.queues.get(entry.priority);
+      queue.splice(queue.indexOf(entry), 1);
+    }
+
+    if (error) {
+      entry.reject(error);
+    } else {
+      entry.resolve(value);
+    }
+  }
+
+  /**
+   * Write queued commands, highest priority first, until the queue is empty or the rate limit is reached
+   * @private
+   */
+  _drain() {
+    if (!this.running || this.drainTimer) {
+      return;
+    }
+
+    let entry;
+    while ((entry = this._peek())) {
+      const wait = this._rateLimitWait();
+      if (wait > 0) {
+        this.drainTimer = setTimeout(() => {
+          this.drainTimer = null;
+          this._drain();
+        }, wait);
+        return;
+      }
+
+      this.queues.get(entry.priority).shift();
+      entry.sent = true;
+      if (this.options.rateLimit) {
+        this.sentAt.push(Date.now());
+      }
+
+      try {
+        this.send({ requestId: entry.requestId, command: entry.command, params: entry.params });
+      } catch (error) {
+        this._settle(entry.requestId, error);
+      }
+    }
+  }
+
+  /**
+   * Next command to write
+   * @private
+   * @returns {Object|undefined} Queue entry
+   */
+  _peek() {
+    for (const priority of PRIORITIES) {
+      const queue = this.queues.get(priority);
+      if (queue.length > 0) {
+        return queue[0];
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Milliseconds until the rate limit allows another write
+   * @private
+   * @returns {number} 0 when a command can be written now
+   */
+  _rateLimitWait() {
+    const { rateLimit, rateInterval } = this.options;
+    if (!rateLimit) {
+      return 0;
+    }
+
+    const now = Date.now();
+    while (this.sentAt.length > 0 && this.sentAt[0] <= now - rateInterval) {
+      this.sentAt.shift();
+    }
+
+    return this.sentAt.length < rateLimit ? 0 : this.sentAt[0] + rateInterval - now;
+  }
+
+  /**
+   * Cancel the pending drain
+   * @private
+   */
+  _clearDrainTimer() {
+    if (this.drainTimer) {
+      clearTimeout(this.drainTimer);
+      this.drainTimer = null;
+    }
+  }
+}
+
+module.exports = {
+  CommandScheduler,
+  PRIORITIES
+};
@@ -0,0 +1,144 @@
+// electron/command-scheduler.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CommandScheduler } = require('./command-scheduler');
+
+/**
+ * Scheduler whose bridge records every write and leaves the answers to the test
+ * @param {Object} options - Scheduler options
+ * @returns {Object} - { scheduler, sent } where sent holds { requestId, command, params, at }
+ */
+function startScheduler(options = {}) {
+  const sent = [];
+  const scheduler = new CommandScheduler({
+    name: 'MT5',
+    send: message => sent.push({ ...message, at: Date.now() }),
+    ...options
+  });
+  scheduler.start();
+
+  return { scheduler, sent };
+}
+
+/**
+ * Wait for timers to run
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('writes queued commands highest priority first and in order within a priority', async () => {
+  // One write per window keeps everything after the first command queued
+  const { scheduler, sent } = startScheduler({ rateLimit: 1, rateInterval: 10 });
+
+  const results = [
+    scheduler.schedule('GET_SYMBOLS', {}, { priority: 'data' }),
+    scheduler.schedule('GET_QUOTE', { symbol: 'EURUSD' }, { priority: 'data' }),
+    scheduler.schedule('PLACE_ORDER', {}, { priority: 'trading' }),
+    scheduler.schedule('GET_ACCOUNT_INFO', {}, { priority: 'account' }),
+    scheduler.schedule('CLOSE_POSITION', {}, { priority: 'critical' })
+  ];
+  assert.deepEqual(scheduler.getDepth(), {
+    queued: 4,
+    inFlight: 1,
+    byPriority: { critical: 1, session: 0, trading: 1, account: 1, data: 1 }
+  });
+
+  await sleep(120);
+  sent.forEach(message => scheduler.resolve(message.requestId, message.command));
+
+  assert.deepEqual(sent.map(message => message.command), ['GET_SYMBOLS', 'CLOSE_POSITION', 'PLACE_ORDER', 'GET_ACCOUNT_INFO', 'GET_QUOTE']);
+  assert.deepEqual(await Promise.all(results), ['GET_SYMBOLS', 'GET_QUOTE', 'PLACE_ORDER', 'GET_ACCOUNT_INFO', 'CLOSE_POSITION']);
+  assert.equal(scheduler.getDepth().queued, 0);
+
+  scheduler.stop();
+});
+
+test('limits the write rate of each broker separately', async () => {
+  const limited = startScheduler({ rateLimit: 2, rateInterval: 100 });
+  const unlimited = startScheduler();
+
+  for (let i = 0; i < 4; i++) {
+    limited.scheduler.schedule('GET_QUOTE').catch(() => {});
+    unlimited.scheduler.schedule('GET_QUOTE').catch(() => {});
+  }
+
+  assert.equal(limited.sent.length, 2);
+  assert.equal(unlimited.sent.length, 4);
+
+  await sleep(200);
+
+  assert.equal(limited.sent.length, 4);
+  // The third write waited for the first to leave the window
+  assert.ok(limited.sent[2].at - limited.sent[0].at >= 95);
+
+  limited.scheduler.stop();
+  unlimited.scheduler.stop();
+});
+
+test('times a command out from the moment it is queued, sent or not', async () => {
+  const { scheduler, sent } = startScheduler({
+    rateLimit: 1,
+    rateInterval: 1000,
+    commands: { GET_POSITIONS: { priority: 'account', timeout: 20 } }
+  });
+
+  const first = scheduler.schedule('GET_SYMBOLS', {}, { timeout: 40 });
+  const queued = scheduler.schedule('GET_POSITIONS');
+
+  await assert.rejects(queued, { code: 'COMMAND_TIMEOUT', message: 'MT5 command GET_POSITIONS timed out after 20 ms' });
+  assert.equal(scheduler.getDepth().queued, 0);
+
+  await assert.rejects(first, { code: 'COMMAND_TIMEOUT' });
+  assert.equal(scheduler.has(sent[0].requestId), false);
+  assert.deepEqual(sent.map(message => message.command), ['GET_SYMBOLS']);
+
+  scheduler.stop();
+});
+
+test('cancels commands by request ID or AbortSignal and ignores their late answers', async () => {
+  const { scheduler, sent } = startScheduler({ rateLimit: 1, rateInterval: 1000 });
+  const controller = new AbortController();
+
+  const inFlight = scheduler.schedule('PLACE_ORDER', {}, { priority: 'trading' });
+  const queued = scheduler.schedule('GET_QUOTE', {}, { signal: controller.signal });
+
+  assert.equal(scheduler.cancel(sent[0].requestId, 'User cancelled the order'), true);
+  await assert.rejects(inFlight, { code: 'COMMAND_CANCELLED', message: 'User cancelled the order' });
+
+  controller.abort();
+  await assert.rejects(queued, { code: 'COMMAND_CANCELLED' });
+
+  // The bridge may still answer a written command; nothing is left to settle
+  scheduler.resolve(sent[0].requestId, { orderId: 42 });
+  assert.equal(scheduler.cancel(sent[0].requestId), false);
+  assert.deepEqual(scheduler.getDepth(), { queued: 0, inFlight: 0, byPriority: { critical: 0, session: 0, trading: 0, account: 0, data: 0 } });
+
+  await assert.rejects(scheduler.schedule('GET_QUOTE', {}, { signal: controller.signal }), { code: 'COMMAND_CANCELLED' });
+  assert.equal(sent.length, 1);
+
+  scheduler.stop();
+});
+
+test('rejects everything queued or in flight when the link drops, and new commands until restarted', async () => {
+  const { scheduler, sent } = startScheduler({ rateLimit: 1, rateInterval: 1000 });
+
+  const inFlight = scheduler.schedule('GET_ACCOUNT_INFO');
+  const queued = scheduler.schedule('GET_POSITIONS');
+  scheduler.stop();
+
+  await assert.rejects(inFlight, { code: 'CONNECTION_CLOSED' });
+  await assert.rejects(queued, { code: 'CONNECTION_CLOSED' });
+  await assert.rejects(scheduler.schedule('GET_QUOTE'), { code: 'CONNECTION_CLOSED', message: 'Not connected to MT5' });
+
+  scheduler.start();
+  const next = scheduler.schedule('GET_QUOTE');
+  scheduler.resolve(sent[sent.length - 1].requestId, { bid: 1.1 });
+
+  assert.deepEqual(await next, { bid: 1.1 });
+  assert.deepEqual(sent.map(message => message.command), ['GET_ACCOUNT_INFO', 'GET_QUOTE']);
+
+  scheduler.stop();
+});
@@ -0,0 +1,405 @@
+// electron/connection-supervisor.js
+const { EventEmitter } = require('events');
+
+/**
+ * States of a supervised broker connection
+ *
+ *   disconnected -> connecting -> connected <-> degraded
+ *                        |            |            |
+ *                        v            v            v
+ *                      failed <- reconnecting <----+
+ *
+ * degraded: heartbeats are being missed but the broker has not dropped the link yet
+ * failed: the first connect or every reconnect attempt failed; only connect() leaves it
+ */
+const CONNECTION_STATES = ['disconnected', 'connecting', 'connected', 'degraded', 'reconnecting', 'failed'];
+
+const TRANSITIONS = {
+  disconnected: ['connecting'],
+  connecting: ['connected', 'failed', 'disconnected'],
+  connected: ['degraded', 'reconnecting', 'disconnected'],
+  degraded: ['connected', 'reconnecting', 'disconnected'],
+  reconnecting: ['connected', 'reconnecting', 'failed', 'disconnected'],
+  failed: ['connecting', 'disconnected']
+};
+
+const DEFAULT_OPTIONS = {
+  heartbeatInterval: 15000, // how often liveness is checked
+  heartbeatTimeout: 10000, // how long a heartbeat probe may take
+  maxMissedHeartbeats: 3, // consecutive misses before the link is restarted
+  baseDelay: 1000, // first reconnect delay
+  maxDelay: 60000, // cap of the exponential backoff
+  maxAttempts: 10 // reconnect attempts before giving up
+};
+
+// Calls that open a market-data stream, and the calls that close them
+const SUBSCRIBE_METHOD = 'subscribeMarketData';
+const UNSUBSCRIBE_METHOD = 'unsubscribeMarketData';
+
+/**
+ * Reconnect delay for an attempt: exponential, capped, with the upper half jittered so
+ * connections dropped together do not all retry at the same moment
+ * @param {number} attempt - Attempt number (1-based)
+ * @param {Object} options - { baseDelay, maxDelay }
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(attempt, options) {
+  const ceiling = Math.min(options.maxDelay, options.baseDelay * Math.pow(2, attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+/**
+ * Run a promise with a time limit
+ * @private
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} timeout - Time limit in milliseconds
+ * @param {string} message - Error message on timeout
+ * @returns {Promise<any>} Result of the promise
+ */
+function withTimeout(promise, timeout, message) {
+  let timer;
+  const timeoutPromise = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), timeout);
+  });
+
+  return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Supervises one broker connection for BrokerAdapter
+ *
+ * Owns the connection state machine, checks liveness with heartbeats (any broker event counts;
+ * otherwise the implementation's ping(), or getAccountInfo() as a fallback), reconnects with
+ * jittered exponential backoff when the link drops or stops answering, and restores the
+ * market-data subscriptions made through BrokerAdapter once the link is back. Broker
+ * implementations only report 'disconnected'; they no longer retry on their own.
+ */
+class ConnectionSupervisor extends EventEmitter {
+  /**
+   * Create a supervisor for a broker instance
+   * @param {Object} params - Supervisor parameters
+   * @param {string} params.connectionId - Connection identifier
+   * @param {string} params.brokerType - Broker type
+   * @param {Object} params.instance - Broker implementation instance
+   * @param {Object} params.options - Overrides of DEFAULT_OPTIONS
+   */
+  constructor({ connectionId, brokerType, instance, options = {} }) {
+    super();
+    this.connectionId = connectionId;
+    this.brokerType = brokerType;
+    this.instance = instance;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+
+    this.state = 'disconnected';
+    this.config = null;
+    this.attempt = 0;
+    this.missedHeartbeats = 0;
+    this.lastActivity = 0;
+    this.heartbeatTimer = null;
+    this.reconnectTimer = null;
+    this.heartbeatInFlight = false;
+    this.dropping = null;
+    this.subscriptions = new Map(); // JSON of the arguments -> arguments
+  }
+
+  /**
+   * Connect the broker and start supervising it
+   * @param {Object} config - Connection configuration passed to the broker's connect()
+   * @returns {Promise<Object>} - Connection result of the broker
+   */
+  async start(config) {
+    this._clearTimers();
+    this.config = config;
+    this.attempt = 0;
+    this._transition('connecting');
+
+    let result;
+    try {
+      result = await this.instance.connect(config);
+    } catch (error) {
+      // Some implementations reject with { success, message } objects rather than errors
+      this._transition('failed', { reason: error.message || 'Connection error' });
+      throw error;
+    }
+
+    if (!result || !result.success) {
+      this._transition('failed', { reason: (result && (result.message || result.error)) || 'Connection failed' });
+      return result;
+    }
+
+    this._onConnected();
+    return result;
+  }
+
+  /**
+   * Stop supervising and disconnect the broker
+   * @returns {Promise<Object>} - Disconnect result of the broker
+   */
+  async stop() {
+    this._clearTimers();
+
+    if (this.state !== 'disconnected') {
+      this._transition('disconnected', { reason: 'Disconnected by request' });
+    }
+
+    return this.instance.disconnect();
+  }
+
+  /**
+   * Handle a 'disconnected' event from the broker implementation
+   */
+  handleBrokerDisconnect() {
+    // Expected while connecting, stopping or already restarting the link
+    if (this.state !== 'connected' && this.state !== 'degraded') {
+      return;
+    }
+
+    this._scheduleReconnect('Connection lost');
+  }
+
+  /**
+   * Note that the broker is alive (it sent an event or answered a call)
+   */
+  recordActivity() {
+    this.lastActivity = Date.now();
+  }
+
+  /**
+   * Remember market-data subscriptions made through BrokerAdapter so they survive reconnects
+   * @param {string} method - Broker method that was called successfully
+   * @param {Array} args - Arguments of the call
+   */
+  trackCall(method, args) {
+    if (method === SUBSCRIBE_METHOD) {
+      this.subscriptions.set(JSON.stringify(args), args);
+    } else if (method === UNSUBSCRIBE_METHOD) {
+      this.subscriptions.delete(JSON.stringify(args));
+    }
+  }
+
+  /**
+   * Current state and retry details
+   * @returns {Object} - { state, attempt, maxAttempts, lastActivity, subscriptions }
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      attempt: this.attempt,
+      maxAttempts: this.options.maxAttempts,
+      lastActivity: this.lastActivity ? new Date(this.lastActivity).toISOString() : null,
+      subscriptions: this.subscriptions.size
+    };
+  }
+
+  /**
+   * Move to a new state and announce it
+   * @private
+   * @param {string} state - New state
+   * @param {Object} details - Extra fields for the state event (reason, attempt, delay, ...)
+   */
+  _transition(state, details = {}) {
+    const previousState = this.state;
+
+    if (previousState === state && state !== 'reconnecting') {
+      return;
+    }
+
+    if (!TRANSITIONS[previousState].includes(state)) {
+      console.warn(`Unexpected connection state change for ${this.connectionId}: ${previousState} -> ${state}`);
+    }
+
+    this.state = state;
+    this.emit('state', { state, previousState, ...details, timestamp: new Date().toISOString() });
+  }
+
+  /**
+   * Reset counters and start heartbeats once the broker is connected
+   * @private
+   */
+  _onConnected() {
+    this.attempt = 0;
+    this.missedHeartbeats = 0;
+    this.recordActivity();
+
+    this.heartbeatTimer = setInterval(() => this._heartbeat(), this.options.heartbeatInterval);
+    this.heartbeatTimer.unref();
+
+    this._transition('connected');
+  }
+
+  /**
+   * Check liveness; recent broker activity counts as a heartbeat
+   * @private
+   */
+  async _heartbeat() {
+    if (this.heartbeatInFlight || (this.state !== 'connected' && this.state !== 'degraded')) {
+      return;
+    }
+
+    if (Date.now() - this.lastActivity < this.options.heartbeatInterval) {
+      this._heartbeatSucceeded();
+      return;
+    }
+
+    const probe = typeof this.instance.ping === 'function' ? 'ping' : 'getAccountInfo';
+
+    this.heartbeatInFlight = true;
+    try {
+      await withTimeout(this.instance[probe](), this.options.heartbeatTimeout, `Heartbeat timed out after ${this.options.heartbeatTimeout} ms`);
+      this.recordActivity();
+      this._heartbeatSucceeded();
+    } catch (error) {
+      this._heartbeatMissed(error.message || 'Heartbeat failed');
+    } finally {
+      this.heartbeatInFlight = false;
+    }
+  }
+
+  /**
+   * Clear missed heartbeats and leave the degraded state
+   * @private
+   */
+  _heartbeatSucceeded() {
+    this.missedHeartbeats = 0;
+    if (this.state === 'degraded') {
+      this._transition('connected');
+    }
+  }
+
+  /**
+   * Count a missed heartbeat; degrade, then restart the link when too many are missed
+   * @private
+   * @param {string} reason - Why the heartbeat failed
+   */
+  _heartbeatMissed(reason) {
+    if (this.state !== 'connected' && this.state !== 'degraded') {
+      return;
+    }
+
+    this.missedHeartbeats++;
+
+    if (this.missedHeartbeats < this.options.maxMissedHeartbeats) {
+      this._transition('degraded', { reason, missedHeartbeats: this.missedHeartbeats });
+      return;
+    }
+
+    this._scheduleReconnect(`${this.missedHeartbeats} heartbeats missed (${reason})`);
+
+    // Drop the half-open link before reconnecting; its 'disconnected' event is ignored while reconnecting
+    this.dropping = withTimeout(Promise.resolve().then(() => this.instance.disconnect()), this.options.heartbeatTimeout, 'Disconnect timed out')
+      .catch(error => console.error(`Failed to drop unresponsive connection ${this.connectionId}:`, error.message));
+  }
+
+  /**
+   * Schedule the next reconnect attempt, or give up after maxAttempts
+   * @private
+   * @param {string} reason - Why the link is being restarted
+   */
+  _scheduleReconnect(reason) {
+    this._clearTimers();
+    this.attempt++;
+
+    if (this.attempt > this.options.maxAttempts) {
+      this._transition('failed', { reason: `Gave up after ${this.options.maxAttempts} reconnect attempts: ${reason}` });
+      return;
+    }
+
+    const delay = backoffDelay(this.attempt, this.options);
+    this._transition('reconnecting', {
+      reason,
+      attempt: this.attempt,
+      maxAttempts: this.options.maxAttempts,
+      delay,
+      nextRetryAt: new Date(Date.now() + delay).toISOString()
+    });
+
+    this.reconnectTimer = setTimeout(() => this._reconnect(), delay);
+    this.reconnectTimer.unref();
+  }
+
+  /**
+   * Attempt to reconnect and restore subscriptions
+   * @private
+   */
+  async _reconnect() {
+    this.reconnectTimer = null;
+    if (this.state !== 'reconnecting') {
+      return;
+    }
+
+    if (this.dropping) {
+      await this.dropping;
+      this.dropping = null;
+    }
+
+    let result;
+    try {
+      result = await this.instance.connect(this.config);
+    } catch (error) {
+      result = { success: false, message: error.message || 'Connection error' };
+    }
+
+    // stop() may have been called while connecting; its disconnect ran before this link opened
+    if (this.state !== 'reconnecting') {
+      if (result && result.success && this.state === 'disconnected') {
+        await Promise.resolve(this.instance.disconnect())
+          .catch(error => console.error(`Failed to close connection ${this.connectionId} opened after stop:`, error.message));
+      }
+      return;
+    }
+
+    if (!result || !result.success) {
+      this._scheduleReconnect((result && (result.message || result.error)) || 'Reconnect failed');
+      return;
+    }
+
+    await this._restoreSubscriptions();
+    this._onConnected();
+  }
+
+  /**
+   * Replay market-data subscriptions on a fresh link
+   * @private
+   */
+  async _restoreSubscriptions() {
+    for (const args of this.subscriptions.values()) {
+      try {
+        await this.instance[SUBSCRIBE_METHOD](...args);
+      } catch (error) {
+        console.error(`Failed to restore market data subscription on ${this.connectionId}:`, error.message);
+      }
+    }
+
+    // Implementations that track their own streams (TWS request IDs) restore them here
+    if (typeof this.instance.resubscribe === 'function') {
+      try {
+        await this.instance.resubscribe();
+      } catch (error) {
+        console.error(`Failed to restore broker subscriptions on ${this.connectionId}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Stop heartbeat and reconnect timers
+   * @private
+   */
+  _clearTimers() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+  }
+}
+
+module.exports = {
+  CONNECTION_STATES,
+  DEFAULT_OPTIONS,
+  ConnectionSupervisor,
+  backoffDelay
+};
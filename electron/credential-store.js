@@ -1,9 +1,7 @@
 // electron/credential-store.js
-const keytar = require('keytar');
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
-const { app } = require('electron');
 
 /**
  * CredentialStore class for secure storage of user credentials and API keys
@@ -15,12 +13,41 @@ class CredentialStore {
    * Create a new CredentialStore instance
    * @param {string} appName - Application name for keychain service
    * @param {string} encryptionKey - Master key for encrypting credentials
+   * @param {Object} [options] - Store options
+   * @param {string} [options.storePath] - Path of the encrypted fallback store (defaults to Electron userData)
+   * @param {string} [options.backend] - 'auto' tries the system keychain first, 'file' only uses the encrypted file
    */
-  constructor(appName, encryptionKey) {
+  constructor(appName, encryptionKey, options = {}) {
     this.appName = appName || 'SAITRAPP';
     this.encryptionKey = encryptionKey;
-    this.fallbackStorePath = path.join(app.getPath('userData'), 'credentials.enc');
-    this.useSecureEnclave = true; // By default try to use system secure storage
+    this.fallbackStorePath = options.storePath || path.join(require('electron').app.getPath('userData'), 'credentials.enc');
+    this.backend = options.backend || 'auto';
+    this.useSecureEnclave = this.backend !== 'file'; // By default try to use system secure storage
+  }
+  
+  /**
+   * Lazily load keytar so hosts without a system keychain can still use the file store
+   * @private
+   * @returns {Object} keytar module
+   */
+  get _keytar() {
+    return require('keytar');
+  }
+
+  /**
+   * Check that the system keychain can be written to
+   * @private
+   * @returns {Promise<boolean>} True if keytar works on this host
+   */
+  async _isKeychainAvailable() {
+    try {
+      await this._keytar.setPassword('SAITRAPP-test', 'test-account', 'test-value');
+      await this._keytar.deletePassword('SAITRAPP-test', 'test-account');
+      return true;
+    } catch (error) {
+      console.warn('System keychain not available, falling back to encrypted file storage:', error.message);
+      return false;
+    }
   }
 
   /**
@@ -36,14 +63,11 @@ class CredentialStore {
         this.encryptionKey = crypto.pbkdf2Sync(masterPassword, salt, 10000, 32, 'sha256').toString('hex');
       }
       
-      // Test keychain availability
-      try {
-        await keytar.setPassword('SAITRAPP-test', 'test-account', 'test-value');
-        await keytar.deletePassword('SAITRAPP-test', 'test-account');
+      // Test keychain availability unless the file backend was requested
+      if (this.backend !== 'file' && await this._isKeychainAvailable()) {
         this.useSecureEnclave = true;
         console.log('Using system keychain for credential storage');
-      } catch (error) {
-        console.warn('System keychain not available, falling back to encrypted file storage:', error.message);
+      } else {
         this.useSecureEnclave = false;
         
         // If fallback store exists, test decryption to validate encryption key
@@ -75,7 +99,7 @@ class CredentialStore {
   async storeCredential(service, account, password) {
     try {
       if (this.useSecureEnclave) {
-        await keytar.setPassword(`${this.appName}-${service}`, account, password);
+        await this._keytar.setPassword(`${this.appName}-${service}`, account, password);
       } else {
         const store = await this._readEncryptedStore();
         if (!store[service]) store[service] = {};
@@ -98,7 +122,7 @@ class CredentialStore {
   async getCredential(service, account) {
     try {
       if (this.useSecureEnclave) {
-        return await keytar.getPassword(`${this.appName}-${service}`, account);
+        return await this._keytar.getPassword(`${this.appName}-${service}`, account);
       } else {
         const store = await this._readEncryptedStore();
         return store[service]?.[account] || null;
@@ -118,7 +142,7 @@ class CredentialStore {
   async deleteCredential(service, account) {
     try {
       if (this.useSecureEnclave) {
-        return await keytar.deletePassword(`${this.appName}-${service}`, account);
+        return await this._keytar.deletePassword(`${this.appName}-${service}`, account);
       } else {
         const store = await this._readEncryptedStore();
         if (store[service] && store[service][account]) {
@@ -146,7 +170,7 @@ class CredentialStore {
   async findCredentials(service) {
     try {
       if (this.useSecureEnclave) {
-        return await keytar.findCredentials(`${this.appName}-${service}`);
+        return await this._keytar.findCredentials(`${this.appName}-${service}`);
       } else {
         const store = await this._readEncryptedStore();
         if (!store[service]) return [];
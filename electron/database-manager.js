@@ -104,7 +104,8 @@ class DatabaseManager {
         api_secret_encrypted TEXT,
         is_active INTEGER DEFAULT 0,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        last_connected TIMESTAMP
+        last_connected TIMESTAMP,
+        additional_params TEXT
       )`,
       
       `CREATE TABLE IF NOT EXISTS trading_history (
@@ -139,6 +140,24 @@ class DatabaseManager {
         reliability INTEGER
       )`,
       
+      `CREATE TABLE IF NOT EXISTS trade_executions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        execution_id TEXT,
+        broker_connection_id TEXT,
+        trade_id TEXT,
+        order_id TEXT,
+        position_id TEXT,
+        symbol TEXT,
+        direction TEXT,
+        volume REAL,
+        price REAL,
+        commission REAL,
+        profit REAL,
+        time TIMESTAMP,
+        UNIQUE (broker_connection_id, execution_id),
+        FOREIGN KEY (trade_id) REFERENCES trading_history(id)
+      )`,
+      
       `CREATE TABLE IF NOT EXISTS system_logs (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         level TEXT,
@@ -152,10 +171,27 @@ class DatabaseManager {
       await this.executeQuery(query);
     }
     
+    // Add columns introduced after the first release
+    await this.ensureColumn('broker_connections', 'additional_params', 'TEXT');
+    await this.ensureColumn('trading_signals', 'source', 'TEXT');
+    await this.ensureColumn('trading_signals', 'tags', 'TEXT');
+    await this.ensureColumn('trading_signals', 'orphaned_at', 'TIMESTAMP');
+    
+    // Broker identifiers of a trade, used to reconcile trading_history with the broker
+    await this.ensureColumn('trading_history', 'position_id', 'TEXT');
+    await this.ensureColumn('trading_history', 'order_id', 'TEXT');
+    await this.ensureColumn('trading_history', 'client_order_id', 'TEXT');
+    await this.ensureColumn('trading_history', 'signal_id', 'TEXT');
+    await this.ensureColumn('trading_history', 'origin', "TEXT DEFAULT 'saitrapp'");
+    await this.ensureColumn('trading_history', 'updated_at', 'TIMESTAMP');
+    await this.ensureColumn('trading_history', 'commission', 'REAL');
+    
     // Create indexes
     const indexQueries = [
       `CREATE INDEX IF NOT EXISTS idx_trading_history_symbol ON trading_history(symbol)`,
       `CREATE INDEX IF NOT EXISTS idx_trading_history_status ON trading_history(status)`,
+      `CREATE INDEX IF NOT EXISTS idx_trading_history_connection ON trading_history(broker_connection_id, status)`,
+      `CREATE INDEX IF NOT EXISTS idx_trade_executions_trade ON trade_executions(trade_id)`,
       `CREATE INDEX IF NOT EXISTS idx_trading_signals_symbol ON trading_signals(symbol)`,
       `CREATE INDEX IF NOT EXISTS idx_system_logs_level ON system_logs(level)`
     ];
@@ -165,6 +201,23 @@ class DatabaseManager {
     }
   }
   
+  /**
+   * Add a column to an existing table if it is missing
+   * @param {string} table - Table name
+   * @param {string} column - Column name
+   * @param {string} definition - Column type and constraints
+   * @returns {Promise<boolean>} - True if the column was added
+   */
+  async ensureColumn(table, column, definition) {
+    const columns = await this.executeSelect(`PRAGMA table_info(${table})`);
+    if (columns.some(col => col.name === column)) {
+      return false;
+    }
+    
+    await this.executeQuery(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
+  }
+  
   /**
    * Execute a SQL query
    * @param {string} query - SQL query string
@@ -291,6 +344,17 @@ class DatabaseManager {
     }
   }
   
+  /**
+   * Run SQLite's integrity check
+   * @returns {Promise<object>} - { ok, integrityResult } where integrityResult holds the PRAGMA rows
+   */
+  async checkIntegrity() {
+    const integrityResult = await this.executeSelect('PRAGMA integrity_check');
+    const ok = integrityResult.length === 1 && integrityResult[0].integrity_check === 'ok';
+    
+    return { ok, integrityResult };
+  }
+  
   /**
    * Optimize the database
    * @returns {Promise<object>} - Optimization result
@@ -301,8 +365,7 @@ class DatabaseManager {
       await this.executeQuery('VACUUM');
       
       // Run integrity check
-      const integrityResult = await this.executeSelect('PRAGMA integrity_check');
-      const isValid = integrityResult.length === 1 && integrityResult[0].integrity_check === 'ok';
+      const { ok: isValid, integrityResult } = await this.checkIntegrity();
       
       return { 
         success: isValid,
@@ -406,8 +469,8 @@ class DatabaseManager {
     try {
       await this.executeQuery(
         `INSERT INTO trading_signals 
-        (id, symbol, direction, price, stop_loss, take_profit, timestamp, status, strategy, reasoning, reliability) 
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        (id, symbol, direction, price, stop_loss, take_profit, timestamp, status, strategy, reasoning, reliability, source, tags) 
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           signal.id || `sig_${Date.now()}`,
           signal.symbol,
@@ -419,7 +482,9 @@ class DatabaseManager {
           signal.status || 'pending',
           signal.strategy,
           signal.reasoning,
-          signal.reliability
+          signal.reliability,
+          signal.source || null,
+          JSON.stringify(signal.tags || [])
         ]
       );
       return true;
@@ -438,8 +503,9 @@ class DatabaseManager {
     try {
       await this.executeQuery(
         `INSERT INTO trading_history 
-        (id, symbol, direction, open_price, close_price, stop_loss, take_profit, lots, profit, open_time, close_time, strategy, status, broker_connection_id) 
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        (id, symbol, direction, open_price, close_price, stop_loss, take_profit, lots, profit, open_time, close_time, strategy, status, broker_connection_id,
+        position_id, order_id, client_order_id, signal_id, origin, commission, updated_at) 
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           trade.id,
           trade.symbol,
@@ -454,7 +520,14 @@ class DatabaseManager {
           trade.closeTime,
           trade.strategy,
           trade.status,
-          trade.brokerConnectionId
+          trade.brokerConnectionId,
+          trade.positionId || null,
+          trade.orderId || null,
+          trade.clientOrderId || null,
+          trade.signalId || null,
+          trade.origin || 'saitrapp',
+          trade.commission === undefined ? null : trade.commission,
+          new Date().toISOString()
         ]
       );
       return true;
@@ -0,0 +1,18 @@
+// electron/errors.js
+
+/**
+ * Create an error tagged with a machine-readable code
+ * Lets callers such as the HTTP server map failures without parsing messages
+ * @param {string} code - Error code (e.g. SIGNAL_NOT_FOUND)
+ * @param {string} message - Error message
+ * @returns {Error} Tagged error
+ */
+function createError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+module.exports = {
+  createError
+};
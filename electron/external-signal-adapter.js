@@ -12,7 +12,7 @@ class ExternalSignalAdapter {
    * @param {string} sourceType - Type of signal source
    * @param {string} sourceId - ID of the signal source
    * @param {Object} config - Configuration for the source
-   * @param {Function} signalHandler - Callback for handling received signals
+   * @param {Function} signalHandler - Callback for handling received signals (sourceId, content, meta)
    * @returns {Object} Signal provider instance
    */
   static createAdapter(sourceType, sourceId, config, signalHandler) {
@@ -3,7 +3,9 @@
 const { v4: uuidv4 } = require('uuid');
 const EventEmitter = require('events');
 const path = require('path');
+const crypto = require('crypto');
 const ExternalSignalAdapter = require('./external-signal-adapter');
+const RateLimiter = require('./rate-limiter');
 
 /**
  * ExternalSignalManager handles configuration and integration of external signal sources
@@ -14,11 +16,27 @@ class ExternalSignalManager extends EventEmitter {
    * Create a new ExternalSignalManager instance
    * @param {DatabaseManager} dbManager - Database manager instance
    * @param {SignalManager} signalManager - Signal manager for processing signals
+   * @param {Object} options - Optional settings
+   * @param {Object} options.webhookIngress - When set, webhook sources are served by a shared
+   *   HTTP server ({ baseUrl }) instead of one server per source
+   * @param {Object} options.ingestion - Duplicate detection and rate limit settings
+   *   (idempotencyWindow, contentHashWindow in seconds; sourceRateLimit, addressRateLimit as { limit, windowMs })
    */
-  constructor(dbManager, signalManager) {
+  constructor(dbManager, signalManager, options = {}) {
     super();
     this.dbManager = dbManager;
     this.signalManager = signalManager;
+    this.webhookIngress = options.webhookIngress || null;
+    
+    // Retries are detected by idempotency key (sent by the provider) or by content hash
+    const ingestion = options.ingestion || {};
+    this.idempotencyWindow = ingestion.idempotencyWindow || 24 * 60 * 60;
+    this.contentHashWindow = ingestion.contentHashWindow || 5 * 60;
+    this.pendingKeys = new Map(); // "<sourceId>:<key>" -> raw signal ID being processed
+    
+    // Rate limits applied before a raw signal is stored
+    this.sourceRateLimiter = new RateLimiter(ingestion.sourceRateLimit || { limit: 60, windowMs: 60 * 1000 });
+    this.addressRateLimiter = new RateLimiter(ingestion.addressRateLimit || { limit: 30, windowMs: 60 * 1000 });
     
     // Initialize adapters map
     this.adapters = new Map();
@@ -94,6 +112,8 @@ class ExternalSignalManager extends EventEmitter {
         processed INTEGER DEFAULT 0,
         processed_at TIMESTAMP,
         processing_result TEXT,
+        idempotency_key TEXT,
+        duplicate_of TEXT,
         FOREIGN KEY (source_id) REFERENCES external_signal_sources(id) ON DELETE CASCADE
       )`
     ];
@@ -103,12 +123,17 @@ class ExternalSignalManager extends EventEmitter {
       await this.dbManager.executeQuery(query);
     }
     
+    // Columns added after the first release
+    await this.dbManager.ensureColumn('raw_signals', 'idempotency_key', 'TEXT');
+    await this.dbManager.ensureColumn('raw_signals', 'duplicate_of', 'TEXT');
+    
     // Create indexes
     const indexQueries = [
       `CREATE INDEX IF NOT EXISTS idx_external_signal_sources_type ON external_signal_sources(source_type)`,
       `CREATE INDEX IF NOT EXISTS idx_external_signal_sources_active ON external_signal_sources(is_active)`,
       `CREATE INDEX IF NOT EXISTS idx_raw_signals_processed ON raw_signals(processed)`,
-      `CREATE INDEX IF NOT EXISTS idx_raw_signals_source ON raw_signals(source_id)`
+      `CREATE INDEX IF NOT EXISTS idx_raw_signals_source ON raw_signals(source_id)`,
+      `CREATE INDEX IF NOT EXISTS idx_raw_signals_idempotency ON raw_signals(source_id, idempotency_key)`
     ];
     
     for (const query of indexQueries) {
@@ -444,7 +469,7 @@ class ExternalSignalManager extends EventEmitter {
       const adapter = ExternalSignalAdapter.createAdapter(
         source.source_type,
         sourceId, 
-        source.config,
+        this._getAdapterConfig(source),
         this._handleRawSignal.bind(this)
       );
       
@@ -468,6 +493,39 @@ class ExternalSignalManager extends EventEmitter {
     }
   }
   
+  /**
+   * Stop every running signal source (used on shutdown)
+   * @returns {Promise<void>}
+   */
+  async stopAllSources() {
+    for (const sourceId of [...this.adapters.keys()]) {
+      try {
+        await this._stopSource(sourceId);
+      } catch (error) {
+        // Keep stopping the remaining sources
+      }
+    }
+  }
+  
+  /**
+   * Build the provider configuration for a source
+   * Webhook sources join the shared ingress unless their config sets standalone: true
+   * @private
+   * @param {Object} source - Signal source
+   * @returns {Object} Provider configuration
+   */
+  _getAdapterConfig(source) {
+    if (source.source_type !== 'webhook' || !this.webhookIngress) {
+      return source.config;
+    }
+    
+    return {
+      standalone: false,
+      baseUrl: this.webhookIngress.baseUrl,
+      ...source.config
+    };
+  }
+  
   /**
    * Stop a signal source
    * @private
@@ -495,25 +553,62 @@ class ExternalSignalManager extends EventEmitter {
   
   /**
    * Handle a raw signal received from an external source
+   * Rate-limited signals are rejected before being stored; retries of a signal already
+   * received are stored as duplicates and not processed again
    * @private
    * @param {string} sourceId - Source ID
    * @param {string|Object} rawContent - Raw signal content
+   * @param {Object} meta - Delivery details from the provider
+   * @param {string} meta.idempotencyKey - Sender-provided key identifying retries of one signal
+   * @param {string} meta.remoteAddress - Address the signal was sent from (webhooks)
    * @returns {Promise<Object>} Processing result
    */
-  async _handleRawSignal(sourceId, rawContent) {
+  async _handleRawSignal(sourceId, rawContent, meta = {}) {
+    let pendingKey = null;
+    
     try {
       // Convert object to string for storage
       const content = typeof rawContent === 'object' ? JSON.stringify(rawContent) : String(rawContent);
       
+      // Apply rate limits before touching the database
+      const rateLimit = this._checkRateLimits(sourceId, meta.remoteAddress);
+      if (rateLimit) {
+        this.emit('raw-signal-rate-limited', { sourceId, remoteAddress: meta.remoteAddress, ...rateLimit });
+        return {
+          success: false,
+          rateLimited: true,
+          retryAfter: rateLimit.retryAfter,
+          reason: `Rate limit exceeded for ${rateLimit.scope}`
+        };
+      }
+      
       // Generate ID for raw signal
       const rawSignalId = `raw_${uuidv4()}`;
       
+      // Detect retries: in-flight signals first, then signals stored within the window
+      const { key, window } = this._getIdempotencyKey(content, meta.idempotencyKey);
+      let duplicateOf = this.pendingKeys.get(`${sourceId}:${key}`) || null;
+      
+      if (!duplicateOf) {
+        pendingKey = `${sourceId}:${key}`;
+        this.pendingKeys.set(pendingKey, rawSignalId);
+        duplicateOf = await this._findRecentSignal(sourceId, key, window);
+      }
+      
+      if (duplicateOf) {
+        if (pendingKey) {
+          this.pendingKeys.delete(pendingKey);
+          pendingKey = null;
+        }
+        return await this._recordDuplicate(rawSignalId, sourceId, content, key, duplicateOf);
+      }
+      
       // Save raw signal to database
       await this.dbManager.executeQuery(
         `INSERT INTO raw_signals 
-        (id, source_id, content, received_at, processed) 
-        VALUES (?, ?, ?, CURRENT_TIMESTAMP, 0)`,
-        [rawSignalId, sourceId, content]
+        (id, source_id, content, received_at, processed, idempotency_key) 
+        VALUES (?, ?, ?, CURRENT_TIMESTAMP, 0, ?)`,
+        [rawSignalId, sourceId, content, key]
       );
       
       // Update source stats
@@ -549,7 +644,97 @@ class ExternalSignalManager extends EventEmitter {
     } catch (error) {
       console.error(`Failed to handle raw signal from ${sourceId}:`, error);
       return { success: false, error: error.message };
+    } finally {
+      if (pendingKey) {
+        this.pendingKeys.delete(pendingKey);
+      }
+    }
+  }
+  
+  /**
+   * Check the per-source and per-address rate limits
+   * @private
+   * @param {string} sourceId - Source ID
+   * @param {string} remoteAddress - Sender address, if known
+   * @returns {Object|null} { scope, retryAfter } when a limit is exceeded, otherwise null
+   */
+  _checkRateLimits(sourceId, remoteAddress) {
+    if (remoteAddress) {
+      const addressLimit = this.addressRateLimiter.consume(remoteAddress);
+      if (!addressLimit.allowed) {
+        return { scope: 'address', retryAfter: addressLimit.retryAfter };
+      }
     }
+    
+    const sourceLimit = this.sourceRateLimiter.consume(sourceId);
+    if (!sourceLimit.allowed) {
+      return { scope: 'source', retryAfter: sourceLimit.retryAfter };
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Build the key used to recognise retries of a signal
+   * Sender keys are trusted for the idempotency window, content hashes only for the
+   * shorter content hash window so that a repeated signal sent later is still processed
+   * @private
+   * @param {string} content - Raw signal content
+   * @param {string} idempotencyKey - Sender-provided key, if any
+   * @returns {Object} { key, window } with window in seconds
+   */
+  _getIdempotencyKey(content, idempotencyKey) {
+    if (idempotencyKey) {
+      return { key: `key:${idempotencyKey}`, window: this.idempotencyWindow };
+    }
+    
+    const hash = crypto.createHash('sha256').update(content).digest('hex');
+    return { key: `sha256:${hash}`, window: this.contentHashWindow };
+  }
+  
+  /**
+   * Find a non-duplicate raw signal with the same idempotency key received within a window
+   * @private
+   * @param {string} sourceId - Source ID
+   * @param {string} key - Idempotency key
+   * @param {number} window - Window in seconds
+   * @returns {Promise<string|null>} ID of the original raw signal
+   */
+  async _findRecentSignal(sourceId, key, window) {
+    const rows = await this.dbManager.executeSelect(
+      `SELECT id FROM raw_signals 
+      WHERE source_id = ? AND idempotency_key = ? AND duplicate_of IS NULL 
+      AND received_at >= datetime('now', ?) 
+      ORDER BY received_at DESC LIMIT 1`,
+      [sourceId, key, `-${window} seconds`]
+    );
+    
+    return rows.length > 0 ? rows[0].id : null;
+  }
+  
+  /**
+   * Store a retried signal as a duplicate without processing it
+   * @private
+   * @param {string} rawSignalId - ID for the duplicate record
+   * @param {string} sourceId - Source ID
+   * @param {string} content - Raw signal content
+   * @param {string} key - Idempotency key
+   * @param {string} duplicateOf - ID of the original raw signal
+   * @returns {Promise<Object>} Processing result
+   */
+  async _recordDuplicate(rawSignalId, sourceId, content, key, duplicateOf) {
+    const result = { success: false, duplicate: true, duplicateOf, reason: 'Duplicate of an earlier signal' };
+    
+    await this.dbManager.executeQuery(
+      `INSERT INTO raw_signals 
+      (id, source_id, content, received_at, processed, processed_at, processing_result, idempotency_key, duplicate_of) 
+      VALUES (?, ?, ?, CURRENT_TIMESTAMP, 1, CURRENT_TIMESTAMP, ?, ?, ?)`,
+      [rawSignalId, sourceId, content, JSON.stringify(result), key, duplicateOf]
+    );
+    
+    this.emit('raw-signal-duplicate', { sourceId, rawSignalId, duplicateOf });
+    
+    return result;
   }
   
   /**
@@ -571,8 +756,11 @@ class ExternalSignalManager extends EventEmitter {
       
       // Try each template until one matches
       for (const template of source.templates) {
+        let parsedSignal = null;
+        
         try {
-          const parsedSignal = this._parseSignalWithTemplate(content, template);
+          parsedSignal = this._parseSignalWithTemplate(content, template);
+          this.emit('template-parsed', { sourceId, templateId: template.id, success: Boolean(parsedSignal) });
           
           if (parsedSignal) {
             // Success! Add the signal to the trading system
@@ -583,6 +771,7 @@ class ExternalSignalManager extends EventEmitter {
               stopLoss: parsedSignal.stopLoss,
               takeProfit: parsedSignal.takeProfit,
               strategy: `external:${source.name}`,
+              source: sourceId,
               reliability: 70, // Default reliability for external signals
               reasoning: `Signal from external source: ${source.name}`
             };
@@ -599,6 +788,11 @@ class ExternalSignalManager extends EventEmitter {
           }
         } catch (templateError) {
           console.log(`Template ${template.id} failed to parse signal:`, templateError.message);
+          
+          // A signal rejected after a successful parse was already counted as a match
+          if (!parsedSignal) {
+            this.emit('template-parsed', { sourceId, templateId: template.id, success: false, error: templateError.message });
+          }
           // Continue trying other templates
         }
       }
@@ -696,7 +890,7 @@ class ExternalSignalManager extends EventEmitter {
       const adapter = ExternalSignalAdapter.createAdapter(
         source.source_type,
         sourceId,
-        source.config,
+        this._getAdapterConfig(source),
         () => {} // Empty callback for testing
       );
       
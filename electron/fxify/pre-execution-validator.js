@@ -1,4 +1,6 @@
 // electron/fxify/pre-execution-validator.js
+const { canonicalSymbol, defaultSpec, pipValue } = require('../instrument-service');
+
 /**
  * PreExecutionValidator
  * Validates trade requests against FXIFY rules before execution
@@ -14,7 +16,7 @@ class PreExecutionValidator {
   
   /**
    * Validate an order against FXIFY rules
-   * @param {Object} order - Order to validate
+   * @param {Object} order - Order to validate; pipValue, when given, is per lot in the account currency
    * @returns {Promise<Object>} - Validation result
    */
   async validateOrder(order) {
@@ -33,11 +35,32 @@ class PreExecutionValidator {
       // Calculate potential loss
       let potentialLoss = 0;
       
-      if (order.volume && order.stopLoss) {
-        // Calculate potential loss in account currency based on stop loss
-        const pipValue = order.pipValue || 10; // Default pip value if not provided
-        const stopLossPips = Math.abs(order.price - order.stopLoss) / (order.pipSize || 0.0001);
-        potentialLoss = order.volume * stopLossPips * pipValue;
+      if (order.volume && order.stopLoss && order.price) {
+        // Calculate potential loss based on stop loss; brokers supply the instrument's pip size and
+        // value, otherwise the default spec of the symbol is assumed. Its pip value is in the
+        // symbol's profit currency, so it only stands in on accounts held in that currency.
+        const spec = defaultSpec(canonicalSymbol(order.symbol));
+        const fallback = pipValue(spec);
+        const valuePerPip = order.pipValue || (fallback.currency === order.accountCurrency ? fallback.value : null);
+        
+        if (!valuePerPip) {
+          return {
+            valid: false,
+            rules: [{
+              rule: 'pip_value_unavailable',
+              severity: 'error',
+              message: `Cannot value the loss at the stop of ${order.symbol} in ${order.accountCurrency || 'the account currency'}: no ${fallback.currency} conversion rate is available`,
+              details: {
+                symbol: order.symbol,
+                profitCurrency: fallback.currency,
+                accountCurrency: order.accountCurrency || null
+              }
+            }]
+          };
+        }
+        
+        const stopLossPips = Math.abs(order.price - order.stopLoss) / (order.pipSize || spec.pipSize);
+        potentialLoss = order.volume * stopLossPips * valuePerPip;
       } else {
         // If no stop loss is specified, use a percentage of account balance as estimated loss
         const accountSize = await this._getAccountSize();
@@ -17,7 +17,7 @@ class TradingCalendar {
    */
   constructor(config = {}) {
     this.economicEvents = [];
-    this.lastUpdate = new Date();
+    this.lastUpdate = null; // Set when events are loaded from cache or refreshed
     this.dataSource = config.dataSource || 'default';
     this.eventListeners = [];
     this.eventEmitter = new EventEmitter();
@@ -337,6 +337,7 @@ class TradingCalendar {
         
         if (hoursSinceCache < 24 && Array.isArray(cache.events)) {
           this.economicEvents = cache.events;
+          this.lastUpdate = cacheTime;
           console.log(`Loaded ${this.economicEvents.length} events from cache`);
         } else {
           console.log('Cache is too old, will refresh calendar');
@@ -353,6 +354,19 @@ class TradingCalendar {
     }
   }
   
+  /**
+   * Get calendar status for diagnostics
+   * @returns {Object} - Last refresh time, event count and whether automatic updates run
+   */
+  getStatus() {
+    return {
+      lastUpdate: this.lastUpdate ? this.lastUpdate.toISOString() : null,
+      eventCount: this.economicEvents.length,
+      autoUpdate: this.updateInterval !== null,
+      dataSource: this.dataSource
+    };
+  }
+  
   /**
    * Get events within a date range
    * @param {Date|string} start - Start date
@@ -0,0 +1,498 @@
+// electron/history-store.js
+const { createError } = require('./errors');
+const { canonicalSymbol } = require('./instrument-service');
+const { timeZoneOffset } = require('./broker-events');
+
+// Bar length in seconds; MN1 uses the longest month, to size requests and the refetched tail
+const TIMEFRAMES = {
+  M1: 60,
+  M5: 300,
+  M15: 900,
+  M30: 1800,
+  H1: 3600,
+  H4: 14400,
+  D1: 86400,
+  W1: 604800,
+  MN1: 2678400
+};
+
+// Bars asked from the broker per getHistoricalData call
+const MAX_BARS_PER_REQUEST = 5000;
+
+// Bars returned by getBars when the caller sets no limit, and the most it may ask for
+const DEFAULT_LIMIT = 1000;
+const MAX_LIMIT = 100000;
+
+// Rows per INSERT statement (SQLite allows 999 parameters in older builds)
+const INSERT_BATCH_SIZE = 100;
+
+/**
+ * HistoryStore keeps the OHLC bars downloaded from the brokers (MT5 getHistoricalData)
+ *
+ * Bars are stored per connection, SAITRAPP symbol and timeframe, with their open time in UTC.
+ * Next to the bars, the store records which time ranges have been downloaded, so a request
+ * only asks the broker for the parts it has never seen (markets closed over a weekend leave no
+ * bars but count as downloaded). The last bar of a download may still be forming; the range is
+ * only marked downloaded up to one bar before the present, so that tail is fetched again.
+ *
+ * Brokers report bar times in their server's time zone, set per connection with serverTimezone
+ * (an IANA zone such as 'Europe/Nicosia' or 'Etc/GMT-2'; UTC when unset).
+ */
+class HistoryStore {
+  /**
+   * Create a new HistoryStore instance
+   * @param {DatabaseManager} dbManager - Database manager instance
+   * @param {BrokerAdapter} brokerAdapter - Broker adapter holding the connections
+   * @param {InstrumentService} instruments - Resolves SAITRAPP symbols to broker symbols
+   */
+  constructor(dbManager, brokerAdapter, instruments) {
+    this.dbManager = dbManager;
+    this.brokerAdapter = brokerAdapter;
+    this.instruments = instruments;
+
+    this.downloads = new Map(); // series key -> Promise of the download in progress
+  }
+
+  /**
+   * Create the bar and coverage tables
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    await this.dbManager.executeQuery(
+      `CREATE TABLE IF NOT EXISTS price_bars (
+        connection_id TEXT NOT NULL,
+        symbol TEXT NOT NULL,
+        timeframe TEXT NOT NULL,
+        time INTEGER NOT NULL,
+        open REAL NOT NULL,
+        high REAL NOT NULL,
+        low REAL NOT NULL,
+        close REAL NOT NULL,
+        tick_volume REAL,
+        real_volume REAL,
+        spread INTEGER,
+        PRIMARY KEY (connection_id, symbol, timeframe, time)
+      )`
+    );
+
+    // Downloaded time ranges of each series, in UTC seconds; kept merged
+    await this.dbManager.executeQuery(
+      `CREATE TABLE IF NOT EXISTS price_bar_coverage (
+        connection_id TEXT NOT NULL,
+        symbol TEXT NOT NULL,
+        timeframe TEXT NOT NULL,
+        start_time INTEGER NOT NULL,
+        end_time INTEGER NOT NULL,
+        PRIMARY KEY (connection_id, symbol, timeframe, start_time)
+      )`
+    );
+  }
+
+  /**
+   * Get the bars of a symbol, downloading the parts of the range that are not stored yet
+   * Without from, the last limit bars up to to are returned. Connections that are not active,
+   * or whose broker has no historical data, are answered from the store alone.
+   * @param {string} connectionId - Connection ID
+   * @param {string} symbol - SAITRAPP symbol (or raw symbol text)
+   * @param {string} timeframe - One of TIMEFRAMES (M1 ... MN1)
+   * @param {Object} options - Query options
+   * @param {Date|string|number} [options.from] - First bar open time (ISO string, Date or epoch milliseconds)
+   * @param {Date|string|number} [options.to] - Last bar open time (defaults to now)
+   * @param {number} [options.limit] - Maximum number of bars (default DEFAULT_LIMIT)
+   * @param {boolean} [options.offline] - Read the store only, even if the connection is active
+   * @returns {Promise<Array<Object>>} - Bars, oldest first: { time, open, high, low, close, tickVolume, realVolume, spread }
+   */
+  async getBars(connectionId, symbol, timeframe, options = {}) {
+    const series = this._series(connectionId, symbol, timeframe);
+    const limit = options.limit === undefined ? DEFAULT_LIMIT : Number(options.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw createError('VALIDATION_FAILED', `limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+
+    const to = options.to === undefined ? Math.floor(Date.now() / 1000) : toSeconds(options.to, 'to');
+    const from = options.from === undefined ? to - limit * TIMEFRAMES[series.timeframe] : toSeconds(options.from, 'from');
+    if (from > to) {
+      throw createError('VALIDATION_FAILED', 'from must not be after to');
+    }
+
+    if (!options.offline && this._canDownload(connectionId)) {
+      await this.download(connectionId, series.symbol, series.timeframe, from, to);
+    }
+
+    const rows = options.from === undefined
+      ? (await this.dbManager.executeSelect(
+        `SELECT * FROM price_bars WHERE connection_id = ? AND symbol = ? AND timeframe = ? AND time <= ?
+        ORDER BY time DESC LIMIT ?`,
+        [connectionId, series.symbol, series.timeframe, to, limit]
+      )).reverse()
+      : await this.dbManager.executeSelect(
+        `SELECT * FROM price_bars WHERE connection_id = ? AND symbol = ? AND timeframe = ? AND time BETWEEN ? AND ?
+        ORDER BY time ASC LIMIT ?`,
+        [connectionId, series.symbol, series.timeframe, from, to, limit]
+      );
+
+    return rows.map(row => ({
+      time: new Date(row.time * 1000).toISOString(),
+      open: row.open,
+      high: row.high,
+      low: row.low,
+      close: row.close,
+      tickVolume: row.tick_volume,
+      realVolume: row.real_volume,
+      spread: row.spread
+    }));
+  }
+
+  /**
+   * Download the parts of a time range that are not stored yet
+   * Concurrent downloads of the same series run one after the other, so the second only asks
+   * for what the first did not cover.
+   * @param {string} connectionId - Connection ID
+   * @param {string} symbol - SAITRAPP symbol
+   * @param {string} timeframe - One of TIMEFRAMES
+   * @param {number} from - Range start, UTC seconds
+   * @param {number} to - Range end, UTC seconds
+   * @returns {Promise<Object>} - { requests, bars } sent to and received from the broker
+   */
+  download(connectionId, symbol, timeframe, from, to) {
+    const series = this._series(connectionId, symbol, timeframe);
+    const key = `${connectionId}|${series.symbol}|${series.timeframe}`;
+
+    const previous = this.downloads.get(key) || Promise.resolve();
+    const run = previous
+      .catch(() => {
+        // Reported to the caller of the previous download
+      })
+      .then(() => this._download(connectionId, series.symbol, series.timeframe, from, to));
+
+    this.downloads.set(key, run);
+    run.finally(() => {
+      if (this.downloads.get(key) === run) {
+        this.downloads.delete(key);
+      }
+    }).catch(() => {
+      // Reported to the caller
+    });
+
+    return run;
+  }
+
+  /**
+   * Get the downloaded time ranges of a series
+   * @param {string} connectionId - Connection ID
+   * @param {string} symbol - SAITRAPP symbol (or raw symbol text)
+   * @param {string} timeframe - One of TIMEFRAMES
+   * @returns {Promise<Array<Object>>} - Ranges, oldest first: { from, to } as ISO times
+   */
+  async getCoverage(connectionId, symbol, timeframe) {
+    const series = this._series(connectionId, symbol, timeframe);
+    const ranges = await this._loadCoverage(connectionId, series.symbol, series.timeframe);
+
+    return ranges.map(([start, end]) => ({
+      from: new Date(start * 1000).toISOString(),
+      to: new Date(end * 1000).toISOString()
+    }));
+  }
+
+  /**
+   * Drop the bars of a deleted connection
+   * @param {string} connectionId - Connection ID
+   * @returns {Promise<void>}
+   */
+  async removeConnection(connectionId) {
+    await this.dbManager.executeQuery('DELETE FROM price_bars WHERE connection_id = ?', [connectionId]);
+    await this.dbManager.executeQuery('DELETE FROM price_bar_coverage WHERE connection_id = ?', [connectionId]);
+  }
+
+  /**
+   * Fetch the missing parts of a range from the broker, in requests of at most MAX_BARS_PER_REQUEST bars
+   * @private
+   * @param {string} connectionId - Connection ID
+   * @param {string} symbol - SAITRAPP symbol
+   * @param {string} timeframe - One of TIMEFRAMES
+   * @param {number} from - Range start, UTC seconds
+   * @param {number} to - Range end, UTC seconds
+   * @returns {Promise<Object>} - { requests, bars }
+   */
+  async _download(connectionId, symbol, timeframe, from, to) {
+    const seconds = TIMEFRAMES[timeframe];
+    const coverage = await this._loadCoverage(connectionId, symbol, timeframe);
+    const missing = subtractRanges([from, to], coverage);
+    const result = { requests: 0, bars: 0 };
+    if (missing.length === 0) {
+      return result;
+    }
+
+    const connection = this.brokerAdapter.activeConnections.get(connectionId);
+    const timeZone = connection.config.serverTimezone || 'UTC';
+    const brokerSymbol = await this.instruments.resolveSymbol(connectionId, symbol);
+    const window = MAX_BARS_PER_REQUEST * seconds;
+
+    for (const [start, end] of missing) {
+      for (let windowStart = start; windowStart <= end; windowStart += window) {
+        const windowEnd = Math.min(end, windowStart + window - 1);
+
+        const raw = await this.brokerAdapter.executeMethod(connectionId, 'getHistoricalData', {
+          symbol: brokerSymbol,
+          timeframe,
+          from: toServerTime(windowStart, timeZone),
+          to: toServerTime(windowEnd, timeZone)
+        });
+        result.requests++;
+
+        const bars = (Array.isArray(raw) ? raw : (raw && (raw.bars || raw.rates)) || [])
+          .map(bar => toBar(bar, timeZone))
+          .filter(bar => bar && bar.time >= windowStart && bar.time <= windowEnd);
+        await this._saveBars(connectionId, symbol, timeframe, bars);
+        result.bars += bars.length;
+
+        // The newest bar may still be forming; leave it outside the downloaded range
+        const coveredEnd = Math.min(windowEnd, Math.floor(Date.now() / 1000) - seconds);
+        if (coveredEnd >= windowStart) {
+          await this._addCoverage(connectionId, symbol, timeframe, [windowStart, coveredEnd]);
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Insert or replace bars; a bar downloaded again (the forming one) overwrites the stored one
+   * @private
+   * @param {string} connectionId - Connection ID
+   * @param {string} symbol - SAITRAPP symbol
+   * @param {string} timeframe - One of TIMEFRAMES
+   * @param {Array<Object>} bars - Bars with time in UTC seconds
+   * @returns {Promise<void>}
+   */
+  async _saveBars(connectionId, symbol, timeframe, bars) {
+    for (let index = 0; index < bars.length; index += INSERT_BATCH_SIZE) {
+      const batch = bars.slice(index, index + INSERT_BATCH_SIZE);
+
+      await this.dbManager.executeQuery(
+        `INSERT OR REPLACE INTO price_bars
+        (connection_id, symbol, timeframe, time, open, high, low, close, tick_volume, real_volume, spread)
+        VALUES ${batch.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}`,
+        batch.flatMap(bar => [
+          connectionId,
+          symbol,
+          timeframe,
+          bar.time,
+          bar.open,
+          bar.high,
+          bar.low,
+          bar.close,
+          bar.tickVolume,
+          bar.realVolume,
+          bar.spread
+        ])
+      );
+    }
+  }
+
+  /**
+   * Read the downloaded ranges of a series
+   * @private
+   * @param {string} connectionId - Connection ID
+   * @param {string} symbol - SAITRAPP symbol
+   * @param {string} timeframe - One of TIMEFRAMES
+   * @returns {Promise<Array<Array<number>>>} - [start, end] pairs in UTC seconds, oldest first
+   */
+  async _loadCoverage(connectionId, symbol, timeframe) {
+    const rows = await this.dbManager.executeSelect(
+      `SELECT start_time, end_time FROM price_bar_coverage
+      WHERE connection_id = ? AND symbol = ? AND timeframe = ? ORDER BY start_time`,
+      [connectionId, symbol, timeframe]
+    );
+
+    return rows.map(row => [row.start_time, row.end_time]);
+  }
+
+  /**
+   * Add a downloaded range, merging it with the ranges it overlaps or touches
+   * @private
+   * @param {string} connectionId - Connection ID
+   * @param {string} symbol - SAITRAPP symbol
+   * @param {string} timeframe - One of TIMEFRAMES
+   * @param {Array<number>} range - [start, end] in UTC seconds
+   * @returns {Promise<void>}
+   */
+  async _addCoverage(connectionId, symbol, timeframe, [start, end]) {
+    const touching = (await this._loadCoverage(connectionId, symbol, timeframe))
+      .filter(([rangeStart, rangeEnd]) => rangeStart <= end + 1 && rangeEnd >= start - 1);
+
+    const merged = touching.reduce(([mergedStart, mergedEnd], [rangeStart, rangeEnd]) => [
+      Math.min(mergedStart, rangeStart),
+      Math.max(mergedEnd, rangeEnd)
+    ], [start, end]);
+
+    for (const [rangeStart] of touching) {
+      await this.dbManager.executeQuery(
+        'DELETE FROM price_bar_coverage WHERE connection_id = ? AND symbol = ? AND timeframe = ? AND start_time = ?',
+        [connectionId, symbol, timeframe, rangeStart]
+      );
+    }
+
+    await this.dbManager.executeQuery(
+      'INSERT INTO price_bar_coverage (connection_id, symbol, timeframe, start_time, end_time) VALUES (?, ?, ?, ?, ?)',
+      [connectionId, symbol, timeframe, merged[0], merged[1]]
+    );
+  }
+
+  /**
+   * Check whether bars can be downloaded on a connection now
+   * @private
+   * @param {string} connectionId - Connection ID
+   * @returns {boolean} True if the connection is active and its broker serves historical data
+   */
+  _canDownload(connectionId) {
+    const connection = this.brokerAdapter.activeConnections.get(connectionId);
+
+    return Boolean(connection) &&
+      this.brokerAdapter.isConnectionActive(connectionId) &&
+      typeof connection.instance.getHistoricalData === 'function';
+  }
+
+  /**
+   * Validate and normalize the key of a series
+   * @private
+   * @param {string} connectionId - Connection ID
+   * @param {string} symbol - Symbol text
+   * @param {string} timeframe - Timeframe name
+   * @returns {Object} - { symbol, timeframe } with the SAITRAPP symbol and the upper-case timeframe
+   */
+  _series(connectionId, symbol, timeframe) {
+    const name = String(timeframe || '').toUpperCase();
+    if (!TIMEFRAMES[name]) {
+      throw createError('VALIDATION_FAILED', `Unknown timeframe: ${timeframe} (expected ${Object.keys(TIMEFRAMES).join(', ')})`);
+    }
+
+    const canonical = canonicalSymbol(symbol);
+    if (!canonical) {
+      throw createError('VALIDATION_FAILED', 'Symbol is required');
+    }
+
+    return { symbol: canonical, timeframe: name };
+  }
+}
+
+/**
+ * Parts of a range not covered by a list of ranges
+ * @private
+ * @param {Array<number>} range - [start, end]
+ * @param {Array<Array<number>>} covered - Sorted, non-overlapping [start, end] pairs
+ * @returns {Array<Array<number>>} Uncovered [start, end] pairs
+ */
+function subtractRanges([start, end], covered) {
+  const missing = [];
+  let cursor = start;
+
+  for (const [rangeStart, rangeEnd] of covered) {
+    if (rangeEnd < cursor) {
+      continue;
+    }
+    if (rangeStart > end) {
+      break;
+    }
+    if (rangeStart > cursor) {
+      missing.push([cursor, rangeStart - 1]);
+    }
+    cursor = Math.max(cursor, rangeEnd + 1);
+  }
+
+  if (cursor <= end) {
+    missing.push([cursor, end]);
+  }
+
+  return missing;
+}
+
+/**
+ * Convert a query time to UTC seconds
+ * @private
+ * @param {Date|string|number} value - ISO string, Date or epoch milliseconds
+ * @param {string} name - Parameter name for the error message
+ * @returns {number} UTC seconds
+ */
+function toSeconds(value, name) {
+  const time = value instanceof Date ? value.getTime() : typeof value === 'number' ? value : Date.parse(value);
+  if (!Number.isFinite(time)) {
+    throw createError('VALIDATION_FAILED', `${name} is not a valid time: ${value}`);
+  }
+
+  return Math.floor(time / 1000);
+}
+
+/**
+ * Express a UTC time as the broker's server time, the way the terminal reads history ranges
+ * @private
+ * @param {number} seconds - UTC seconds
+ * @param {string} timeZone - Server time zone
+ * @returns {string} Server time as "YYYY-MM-DDTHH:mm:ss", without zone
+ */
+function toServerTime(seconds, timeZone) {
+  const time = seconds * 1000;
+  return new Date(time + timeZoneOffset(timeZone, time)).toISOString().slice(0, 19);
+}
+
+/**
+ * Convert a server time read as if it were UTC into real UTC seconds
+ * The offset is taken at the shifted instant, which is right except in the hour a DST change repeats
+ * @private
+ * @param {number} wallTime - Server wall time in milliseconds, read as UTC
+ * @param {string} timeZone - Server time zone
+ * @returns {number} UTC seconds
+ */
+function fromServerTime(wallTime, timeZone) {
+  const offset = timeZoneOffset(timeZone, wallTime - timeZoneOffset(timeZone, wallTime));
+  return Math.floor((wallTime - offset) / 1000);
+}
+
+/**
+ * Normalize a bar from the broker (MT5 rates: time in server seconds, tick_volume, real_volume, spread)
+ * @private
+ * @param {Object} bar - Raw bar
+ * @param {string} timeZone - Server time zone
+ * @returns {Object|null} Bar with time in UTC seconds, or null when it cannot be read
+ */
+function toBar(bar, timeZone) {
+  if (!bar || typeof bar !== 'object') {
+    return null;
+  }
+
+  let wallTime;
+  let zoned = false;
+  if (typeof bar.time === 'number') {
+    // Epoch seconds, or milliseconds from bridges that send JavaScript times
+    wallTime = bar.time > 1e11 ? bar.time : bar.time * 1000;
+  } else if (typeof bar.time === 'string') {
+    // "2026.10.19 14:00" or ISO; a time without zone is server time, one with a zone is exact
+    const text = bar.time.trim().replace(/^(\d{4})\.(\d{2})\.(\d{2})/, '$1-$2-$3').replace(' ', 'T');
+    zoned = /(Z|[+-]\d{2}:?\d{2})$/.test(text);
+    wallTime = Date.parse(zoned ? text : `${text}Z`);
+  }
+
+  const prices = ['open', 'high', 'low', 'close'].map(field => Number(bar[field]));
+  if (!Number.isFinite(wallTime) || !prices.every(Number.isFinite)) {
+    return null;
+  }
+
+  const optional = value => (value === undefined || value === null || !Number.isFinite(Number(value)) ? null : Number(value));
+
+  return {
+    time: zoned ? Math.floor(wallTime / 1000) : fromServerTime(wallTime, timeZone),
+    open: prices[0],
+    high: prices[1],
+    low: prices[2],
+    close: prices[3],
+    tickVolume: optional(bar.tick_volume ?? bar.tickVolume ?? bar.volume),
+    realVolume: optional(bar.real_volume ?? bar.realVolume),
+    spread: optional(bar.spread)
+  };
+}
+
+module.exports = {
+  HistoryStore,
+  TIMEFRAMES
+};
@@ -0,0 +1,628 @@
+// electron/instrument-service.js
+const { createError } = require('./errors');
+
+// Names some brokers use for metals, keyed by the name used in SAITRAPP signals
+const SYMBOL_ALIASES = {
+  XAUUSD: ['GOLD'],
+  XAGUSD: ['SILVER']
+};
+
+// Broker decorations around a symbol (EURUSD.r, EURUSDm, EURUSDpro, mEURUSD) are at most this long
+const MAX_DECORATION_LENGTH = 4;
+
+/**
+ * Turn raw symbol text (signal templates, manual input) into the SAITRAPP symbol
+ * "EUR/USD", "eur-usd" and "EUR USD" become EURUSD; "gold" becomes XAUUSD
+ * @param {string} text - Symbol text
+ * @returns {string} SAITRAPP symbol
+ */
+function canonicalSymbol(text) {
+  const symbol = String(text || '').trim().toUpperCase().replace(/[\s/_-]+/g, '');
+
+  const alias = Object.keys(SYMBOL_ALIASES).find(name => SYMBOL_ALIASES[name].includes(symbol));
+  return alias || symbol;
+}
+
+/**
+ * Letters and digits of a broker symbol, used to compare it with a SAITRAPP symbol
+ * @private
+ * @param {string} brokerSymbol - Broker symbol
+ * @returns {string} Uppercase alphanumeric core
+ */
+function symbolCore(brokerSymbol) {
+  return String(brokerSymbol).toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Find the broker symbol for a SAITRAPP symbol in a broker's symbol list
+ * Exact names win over suffixed ones (EURUSD.r, EURUSDm), which win over prefixed ones (mEURUSD);
+ * the shortest decoration is preferred. Metal aliases (GOLD, SILVER) are tried as well.
+ * @param {string} symbol - SAITRAPP symbol
+ * @param {Array<string>} brokerSymbols - Symbols offered by the broker
+ * @returns {string|null} Broker symbol
+ */
+function detectBrokerSymbol(symbol, brokerSymbols) {
+  const names = [symbol, ...(SYMBOL_ALIASES[symbol] || [])];
+  let best = null;
+
+  brokerSymbols.forEach(brokerSymbol => {
+    const core = symbolCore(brokerSymbol);
+
+    names.forEach(name => {
+      let rank = null;
+      if (brokerSymbol.toUpperCase() === name) {
+        rank = 0;
+      } else if (core === name) {
+        rank = 1;
+      } else if (core.startsWith(name) && core.length - name.length <= MAX_DECORATION_LENGTH) {
+        rank = 2;
+      } else if (core.endsWith(name) && core.length - name.length <= MAX_DECORATION_LENGTH) {
+        rank = 3;
+      }
+
+      if (rank === null) {
+        return;
+      }
+
+      const score = rank * 100 + (core.length - name.length);
+      if (!best || score < best.score) {
+        best = { brokerSymbol, score };
+      }
+    });
+  });
+
+  return best ? best.brokerSymbol : null;
+}
+
+/**
+ * Pip size for a price precision: fractional-pip quotes (5 and 3 digits) count ten points per pip
+ * @param {number} digits - Price digits
+ * @param {number} point - Smallest price change
+ * @returns {number} Pip size
+ */
+function pipSizeFor(digits, point) {
+  return digits === 3 || digits === 5 ? point * 10 : point;
+}
+
+/**
+ * Specification assumed when the broker cannot describe an instrument
+ * Currency pairs get the usual 100,000-unit lot, metals their usual contract, anything else 1 unit
+ * @param {string} symbol - SAITRAPP symbol
+ * @returns {Object} Instrument spec (source 'default')
+ */
+function defaultSpec(symbol) {
+  const isPair = /^[A-Z]{6}$/.test(symbol);
+  const base = isPair ? symbol.substring(0, 3) : null;
+  const quote = isPair ? symbol.substring(3) : null;
+
+  let digits = 2;
+  let contractSize = 1;
+  if (base === 'XAU') {
+    contractSize = 100;
+  } else if (base === 'XAG') {
+    digits = 3;
+    contractSize = 5000;
+  } else if (isPair) {
+    digits = quote === 'JPY' ? 3 : 5;
+    contractSize = 100000;
+  }
+
+  const point = Math.pow(10, -digits);
+  return {
+    digits,
+    point,
+    pipSize: pipSizeFor(digits, point),
+    contractSize,
+    minVolume: 0.01,
+    maxVolume: 100,
+    volumeStep: 0.01,
+    stopLevel: 0,
+    tickSize: null,
+    tickValue: null,
+    baseCurrency: base,
+    marginCurrency: base,
+    profitCurrency: quote,
+    source: 'default'
+  };
+}
+
+/**
+ * Read the first numeric field present under any of the given names
+ * @private
+ * @param {Object} data - Raw data
+ * @param {Array<string>} keys - Candidate field names
+ * @returns {number|undefined} Value
+ */
+function numberField(data, keys) {
+  for (const key of keys) {
+    const value = Number(data[key]);
+    if (data[key] !== undefined && data[key] !== null && data[key] !== '' && Number.isFinite(value)) {
+      return value;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Read the first non-empty text field present under any of the given names
+ * @private
+ * @param {Object} data - Raw data
+ * @param {Array<string>} keys - Candidate field names
+ * @returns {string|undefined} Value
+ */
+function textField(data, keys) {
+  const key = keys.find(name => typeof data[name] === 'string' && data[name]);
+  return key ? data[key].toUpperCase() : undefined;
+}
+
+/**
+ * Build an instrument spec from broker symbol info (MT4/MT5 SymbolInfo fields or the demo
+ * account's instruments), filling whatever the broker left out from defaultSpec
+ * @param {Object} info - Raw symbol info
+ * @param {string} symbol - SAITRAPP symbol
+ * @returns {Object} Instrument spec (source 'broker')
+ */
+function specFromSymbolInfo(info, symbol) {
+  const fallback = defaultSpec(symbol);
+  const data = info && typeof info === 'object' ? info : {};
+
+  const digits = numberField(data, ['digits', 'Digits']);
+  const point = numberField(data, ['point', 'Point']) || (digits !== undefined ? Math.pow(10, -digits) : undefined);
+
+  const spec = {
+    digits: digits !== undefined ? digits : fallback.digits,
+    point: point || fallback.point,
+    contractSize: numberField(data, ['contractSize', 'trade_contract_size', 'tradeContractSize', 'lotSize', 'lot_size']),
+    minVolume: numberField(data, ['minVolume', 'volume_min', 'volumeMin', 'minLot', 'min_lot']),
+    maxVolume: numberField(data, ['maxVolume', 'volume_max', 'volumeMax', 'maxLot', 'max_lot']),
+    volumeStep: numberField(data, ['volumeStep', 'volume_step', 'lotStep', 'lot_step']),
+    stopLevel: numberField(data, ['stopLevel', 'trade_stops_level', 'stopsLevel', 'stops_level']),
+    tickSize: numberField(data, ['tickSize', 'trade_tick_size', 'tick_size']),
+    tickValue: numberField(data, ['tickValue', 'trade_tick_value', 'tick_value']),
+    baseCurrency: textField(data, ['baseCurrency', 'currency_base', 'currencyBase']),
+    marginCurrency: textField(data, ['marginCurrency', 'currency_margin', 'currencyMargin']),
+    profitCurrency: textField(data, ['profitCurrency', 'currency_profit', 'currencyProfit', 'quoteCurrency'])
+  };
+
+  Object.keys(spec).forEach(key => {
+    if (spec[key] === undefined) {
+      spec[key] = fallback[key];
+    }
+  });
+
+  return { ...spec, pipSize: pipSizeFor(spec.digits, spec.point), source: 'broker' };
+}
+
+/**
+ * Price distance expressed in pips
+ * @param {Object} spec - Instrument spec
+ * @param {number} distance - Price distance
+ * @returns {number} Pips
+ */
+function priceToPips(spec, distance) {
+  return distance / spec.pipSize;
+}
+
+/**
+ * Pips expressed as a price distance
+ * @param {Object} spec - Instrument spec
+ * @param {number} pips - Pips
+ * @returns {number} Price distance
+ */
+function pipsToPrice(spec, pips) {
+  return pips * spec.pipSize;
+}
+
+/**
+ * Profit or loss of a price move, in the instrument's profit currency
+ * @param {Object} spec - Instrument spec
+ * @param {number} distance - Price distance
+ * @param {number} volume - Volume in lots
+ * @returns {number} Amount in spec.profitCurrency
+ */
+function valueOfDistance(spec, distance, volume) {
+  return distance * spec.contractSize * volume;
+}
+
+/**
+ * Value of one pip for one lot
+ * Uses the broker's tick value (already in the account currency) when it reports one, otherwise
+ * the contract size, which gives the value in the instrument's profit currency
+ * @param {Object} spec - Instrument spec
+ * @returns {Object} - { value, currency } (currency null when it is the account currency)
+ */
+function pipValue(spec) {
+  if (spec.tickValue && spec.tickSize) {
+    return { value: spec.tickValue * spec.pipSize / spec.tickSize, currency: null };
+  }
+
+  return { value: spec.pipSize * spec.contractSize, currency: spec.profitCurrency };
+}
+
+/**
+ * Round a volume down to the instrument's step and cap it at its maximum
+ * Callers compare the result with spec.minVolume, since what to do below it depends on them
+ * @param {Object} spec - Instrument spec (volumeStep, maxVolume)
+ * @param {number} volume - Volume in lots
+ * @returns {number} Rounded volume
+ */
+function roundVolume(spec, volume) {
+  const step = spec.volumeStep;
+  const decimals = Math.max(0, Math.ceil(-Math.log10(step)));
+  const rounded = Number((Math.floor(volume / step + 1e-9) * step).toFixed(decimals));
+
+  return spec.maxVolume ? Math.min(rounded, spec.maxVolume) : rounded;
+}
+
+/**
+ * InstrumentService maps SAITRAPP symbols to each connection's broker symbols and describes
+ * their instruments
+ *
+ * Symbols are resolved from the connection's manual map first, then detected in the broker's
+ * symbol list (getSymbols). Specs come from the broker (the symbol list entries or getSymbolInfo)
+ * and are cached per connection until it reconnects. The last tick of every broker symbol is
+ * kept to convert amounts between currencies.
+ */
+class InstrumentService {
+  /**
+   * Create a new InstrumentService instance
+   * @param {DatabaseManager} dbManager - Database manager instance
+   * @param {BrokerAdapter} brokerAdapter - Broker adapter holding the connections
+   */
+  constructor(dbManager, brokerAdapter) {
+    this.dbManager = dbManager;
+    this.brokerAdapter = brokerAdapter;
+
+    this.mappings = new Map(); // connectionId -> Map(symbol -> broker symbol), set by the user
+    this.detected = new Map(); // connectionId -> Map(symbol -> broker symbol), found in the symbol list
+    this.symbolLists = new Map(); // connectionId -> Promise of [{ name, info }]
+    this.specs = new Map(); // connectionId -> Map(broker symbol -> spec)
+    this.quotes = new Map(); // connectionId -> Map(broker symbol -> { bid, ask, timestamp })
+
+    brokerAdapter.on('tick', tick => this._recordTick(tick));
+    brokerAdapter.on('connection:state', ({ connectionId, state }) => {
+      // The broker may offer different symbols after a reconnect (or another account)
+      if (state === 'connected') {
+        this.invalidate(connectionId);
+      }
+    });
+  }
+
+  /**
+   * Create the symbol mapping table and load the manual maps
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    await this.dbManager.executeQuery(
+      `CREATE TABLE IF NOT EXISTS symbol_mappings (
+        connection_id TEXT NOT NULL,
+        symbol TEXT NOT NULL,
+        broker_symbol TEXT NOT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (connection_id, symbol)
+      )`
+    );
+
+    const rows = await this.dbManager.executeSelect('SELECT connection_id, symbol, broker_symbol FROM symbol_mappings');
+    rows.forEach(row => this._connectionMap(this.mappings, row.connection_id).set(row.symbol, row.broker_symbol));
+  }
+
+  /**
+   * Get the symbol map of a connection
+   * @param {string} connectionId - Connection ID
+   * @returns {Object} - { manual, detected } objects of SAITRAPP symbol -> broker symbol
+   */
+  getSymbolMap(connectionId) {
+    return {
+      manual: Object.fromEntries(this.mappings.get(connectionId) || []),
+      detected: Object.fromEntries(this.detected.get(connectionId) || [])
+    };
+  }
+
+  /**
+   * Map a SAITRAPP symbol to a broker symbol on one connection
+   * @param {string} connectionId - Connection ID
+   * @param {string} symbol - SAITRAPP symbol (or raw symbol text)
+   * @param {string} brokerSymbol - Broker symbol
+   * @returns {Promise<Object>} - { symbol, brokerSymbol }
+   */
+  async setSymbolMapping(connectionId, symbol, brokerSymbol) {
+    const canonical = canonicalSymbol(symbol);
+
+    await this.dbManager.executeQuery(
+      `INSERT INTO symbol_mappings (connection_id, symbol, broker_symbol, updated_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT(connection_id, symbol) DO UPDATE SET broker_symbol = excluded.broker_symbol, updated_at = excluded.updated_at`,
+      [connectionId, canonical, brokerSymbol, new Date().toISOString()]
+    );
+
+    this._connectionMap(this.mappings, connectionId).set(canonical, brokerSymbol);
+    this._connectionMap(this.specs, connectionId).delete(brokerSymbol);
+
+    return { symbol: canonical, brokerSymbol };
+  }
+
+  /**
+   * Remove a manual symbol mapping; the symbol is detected again on next use
+   * @param {string} connectionId - Connection ID
+   * @param {string} symbol - SAITRAPP symbol
+   * @returns {Promise<boolean>} - True if a mapping was removed
+   */
+  async removeSymbolMapping(connectionId, symbol) {
+    const canonical = canonicalSymbol(symbol);
+    const map = this.mappings.get(connectionId);
+    if (!map || !map.has(canonical)) {
+      return false;
+    }
+
+    await this.dbManager.executeQuery(
+      'DELETE FROM symbol_mappings WHERE connection_id = ? AND symbol = ?',
+      [connectionId, canonical]
+    );
+    map.delete(canonical);
+
+    return true;
+  }
+
+  /**
+   * Drop the mappings of a deleted connection
+   * @param {string} connectionId - Connection ID
+   * @returns {Promise<void>}
+   */
+  async removeConnection(connectionId) {
+    await this.dbManager.executeQuery('DELETE FROM symbol_mappings WHERE connection_id = ?', [connectionId]);
+    this.mappings.delete(connectionId);
+    this.invalidate(connectionId);
+    this.quotes.delete(connectionId);
+  }
+
+  /**
+   * Forget the detected symbols and cached specs of a connection
+   * @param {string} connectionId - Connection ID
+   */
+  invalidate(connectionId) {
+    this.detected.delete(connectionId);
+    this.symbolLists.delete(connectionId);
+    this.specs.delete(connectionId);
+  }
+
+  /**
+   * Resolve the broker symbol of a SAITRAPP symbol on a connection
+   * Symbols the broker does not list (or brokers without a symbol list) pass through unchanged
+   * @param {string} connectionId - Connection ID
+   * @param {string} symbol - SAITRAPP symbol (or raw symbol text)
+   * @returns {Promise<string>} Broker symbol
+   */
+  async resolveSymbol(connectionId, symbol) {
+    const canonical = canonicalSymbol(symbol);
+
+    const manual = this.mappings.get(connectionId);
+    if (manual && manual.has(canonical)) {
+      return manual.get(canonical);
+    }
+
+    const detected = this.detected.get(connectionId);
+    if (detected && detected.has(canonical)) {
+      return detected.get(canonical);
+    }
+
+    const symbols = await this._getSymbolList(connectionId);
+    const brokerSymbol = symbols.length > 0 ? detectBrokerSymbol(canonical, symbols.map(entry => entry.name)) : null;
+    if (brokerSymbol) {
+      this._connectionMap(this.detected, connectionId).set(canonical, brokerSymbol);
+      return brokerSymbol;
+    }
+
+    return canonical;
+  }
+
+  /**
+   * SAITRAPP symbol of a broker symbol, from the mappings resolved so far
+   * @param {string} connectionId - Connection ID
+   * @param {string} brokerSymbol - Broker symbol
+   * @returns {string} SAITRAPP symbol (the broker symbol itself when unknown)
+   */
+  toCanonical(connectionId, brokerSymbol) {
+    for (const map of [this.mappings.get(connectionId), this.detected.get(connectionId)]) {
+      if (!map) {
+        continue;
+      }
+      for (const [symbol, mapped] of map) {
+        if (mapped === brokerSymbol) {
+          return symbol;
+        }
+      }
+    }
+
+    return brokerSymbol;
+  }
+
+  /**
+   * Get the specification of an instrument on a connection
+   * @param {string} connectionId - Connection ID
+   * @param {string} symbol - SAITRAPP symbol (or raw symbol text)
+   * @returns {Promise<Object>} - Spec with symbol, brokerSymbol, digits, point, pipSize, contractSize,
+   *   minVolume, maxVolume, volumeStep, stopLevel (points), tickSize, tickValue, base/margin/profit
+   *   currencies and source
+   */
+  async getInstrumentSpec(connectionId, symbol) {
+    const canonical = canonicalSymbol(symbol);
+    const brokerSymbol = await this.resolveSymbol(connectionId, canonical);
+
+    const specs = this._connectionMap(this.specs, connectionId);
+    if (!specs.has(brokerSymbol)) {
+      specs.set(brokerSymbol, { symbol: canonical, brokerSymbol, ...(await this._loadSpec(connectionId, canonical, brokerSymbol)) });
+    }
+
+    return { ...specs.get(brokerSymbol) };
+  }
+
+  /**
+   * Last quote received for an instrument on a connection
+   * @param {string} connectionId - Connection ID
+   * @param {string} symbol - SAITRAPP symbol
+   * @returns {Promise<Object|null>} - { bid, ask, mid, timestamp } or null
+   */
+  async getQuote(connectionId, symbol) {
+    const brokerSymbol = await this.resolveSymbol(connectionId, symbol);
+    const quote = (this.quotes.get(connectionId) || new Map()).get(brokerSymbol);
+
+    return quote ? { ...quote, mid: (quote.bid + quote.ask) / 2 } : null;
+  }
+
+  /**
+   * Convert an amount between currencies with the connection's last quotes of the cross rate
+   * @param {string} connectionId - Connection ID
+   * @param {number} amount - Amount
+   * @param {string} from - Currency of the amount
+   * @param {string} to - Target currency
+   * @returns {Promise<number>} Converted amount
+   * @throws {Error} QUOTE_UNAVAILABLE when no quote of the cross rate has been received
+   */
+  async convert(connectionId, amount, from, to) {
+    if (!from || !to || from === to) {
+      return amount;
+    }
+
+    const direct = await this.getQuote(connectionId, `${from}${to}`);
+    if (direct) {
+      return amount * direct.mid;
+    }
+
+    const inverse = await this.getQuote(connectionId, `${to}${from}`);
+    if (inverse) {
+      return amount / inverse.mid;
+    }
+
+    throw createError('QUOTE_UNAVAILABLE', `No ${from}/${to} quote on connection ${connectionId} to convert with`);
+  }
+
+  /**
+   * Profit or loss of a price move on an instrument, in the given currency
+   * @param {string} connectionId - Connection ID
+   * @param {string} symbol - SAITRAPP symbol
+   * @param {number} distance - Price distance
+   * @param {number} volume - Volume in lots
+   * @param {string} currency - Currency of the result (usually the account currency)
+   * @returns {Promise<number>} Amount
+   */
+  async valueOfDistance(connectionId, symbol, distance, volume, currency) {
+    const spec = await this.getInstrumentSpec(connectionId, symbol);
+    return this.convert(connectionId, valueOfDistance(spec, distance, volume), spec.profitCurrency, currency);
+  }
+
+  /**
+   * Load a spec from the symbol list entry or getSymbolInfo, falling back to defaultSpec
+   * @private
+   * @param {string} connectionId - Connection ID
+   * @param {string} symbol - SAITRAPP symbol
+   * @param {string} brokerSymbol - Broker symbol
+   * @returns {Promise<Object>} Spec without the symbol names
+   */
+  async _loadSpec(connectionId, symbol, brokerSymbol) {
+    const entry = (await this._getSymbolList(connectionId)).find(item => item.name === brokerSymbol);
+    if (entry && entry.info && entry.info.digits !== undefined) {
+      return specFromSymbolInfo(entry.info, symbol);
+    }
+
+    if (this._supports(connectionId, 'getSymbolInfo')) {
+      try {
+        const info = await this.brokerAdapter.executeMethod(connectionId, 'getSymbolInfo', brokerSymbol);
+        if (info && typeof info === 'object') {
+          return specFromSymbolInfo(info.data && typeof info.data === 'object' ? info.data : info, symbol);
+        }
+      } catch (error) {
+        console.error(`Failed to get symbol info for ${brokerSymbol} on ${connectionId}:`, error.message);
+      }
+    }
+
+    return defaultSpec(symbol);
+  }
+
+  /**
+   * Symbols offered by a connection, loaded once per session
+   * @private
+   * @param {string} connectionId - Connection ID
+   * @returns {Promise<Array<Object>>} - [{ name, info }], empty when the broker has no symbol list
+   */
+  async _getSymbolList(connectionId) {
+    if (!this._supports(connectionId, 'getSymbols')) {
+      return [];
+    }
+
+    if (!this.symbolLists.has(connectionId)) {
+      const list = this.brokerAdapter.executeMethod(connectionId, 'getSymbols')
+        .then(result => {
+          const items = Array.isArray(result) ? result : (result && (result.symbols || result.data)) || [];
+          return items
+            .map(item => (typeof item === 'string' ? { name: item, info: null } : { name: item.symbol || item.name, info: item }))
+            .filter(item => item.name);
+        })
+        .catch(error => {
+          // Retry on next use rather than caching the failure
+          console.error(`Failed to get symbol list of ${connectionId}:`, error.message);
+          this.symbolLists.delete(connectionId);
+          return [];
+        });
+      this.symbolLists.set(connectionId, list);
+    }
+
+    return this.symbolLists.get(connectionId);
+  }
+
+  /**
+   * Whether a connection's broker implements a method and is connected
+   * @private
+   * @param {string} connectionId - Connection ID
+   * @param {string} method - Method name
+   * @returns {boolean} Support status
+   */
+  _supports(connectionId, method) {
+    const connection = this.brokerAdapter.activeConnections.get(connectionId);
+    return Boolean(connection && connection.connected && typeof connection.instance[method] === 'function');
+  }
+
+  /**
+   * Keep the last bid and ask of every broker symbol
+   * @private
+   * @param {Object} tick - Canonical tick event
+   */
+  _recordTick(tick) {
+    if (typeof tick.bid !== 'number' || typeof tick.ask !== 'number') {
+      return;
+    }
+
+    this._connectionMap(this.quotes, tick.connectionId).set(tick.symbol, {
+      bid: tick.bid,
+      ask: tick.ask,
+      timestamp: tick.timestamp
+    });
+  }
+
+  /**
+   * Get (or create) the per-connection map of a cache
+   * @private
+   * @param {Map} cache - Cache keyed by connection ID
+   * @param {string} connectionId - Connection ID
+   * @returns {Map} Connection map
+   */
+  _connectionMap(cache, connectionId) {
+    if (!cache.has(connectionId)) {
+      cache.set(connectionId, new Map());
+    }
+    return cache.get(connectionId);
+  }
+}
+
+module.exports = {
+  InstrumentService,
+  canonicalSymbol,
+  detectBrokerSymbol,
+  defaultSpec,
+  specFromSymbolInfo,
+  pipSizeFor,
+  priceToPips,
+  pipsToPrice,
+  valueOfDistance,
+  pipValue,
+  roundVolume
+};
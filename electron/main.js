@@ -5,11 +5,11 @@ const url = require('url');
 const fs = require('fs');
 // crypto is used indirectly by services
 const { autoUpdater } = require('electron-updater');
-const DatabaseManager = require('./database-manager');
-const CredentialStore = require('./credential-store');
+const Runtime = require('./runtime');
 const EncryptionService = require('./encryption-service');
 const TrayManager = require('./tray-manager');
 const MT5FXIFYAdapter = require('./brokers/fxify-mt5');
+const { assertValid } = require('./schema-validator');
 
 // Keep a global reference of the window object to avoid garbage collection
 let mainWindow = null;
@@ -23,6 +23,7 @@ const DB_PATH = path.join(USER_DATA_PATH, 'saitrapp.db');
 const CONFIG_PATH = path.join(USER_DATA_PATH, 'config.json');
 
 // Global instances
+let runtime = null;
 let dbManager = null;
 let credStore = null;
 let encryptionService = null;
@@ -30,6 +31,8 @@ let trayManager = null;
 let brokerManager = null;
 let signalManager = null;
 let externalSignalManager = null;
+let tradeCopier = null;
+let reconciliation = null;
 let fxifyModeManager = null;
 let mt5FXIFYAdapter = null;
 
@@ -65,27 +68,18 @@ const ApplicationController = {
   
   initializeDatabase: async (masterKey) => {
     try {
-      // Create and initialize database manager
-      dbManager = new DatabaseManager(DB_PATH);
-      await dbManager.initialize(masterKey);
-      
-      // Initialize credential store
-      credStore = new CredentialStore('SAITRAPP', masterKey);
-      await credStore.initialize(masterKey);
-      
-      // Initialize broker manager with database and credential store
-      const BrokerManager = require('./broker-manager');
-      brokerManager = new BrokerManager(dbManager, credStore);
-      
-      // Initialize signal manager
-      const SignalManager = require('./signal-manager');
-      signalManager = new SignalManager(dbManager, brokerManager);
-      await signalManager.initialize();
+      // Build the trading core (same object graph as the headless server)
+      runtime = new Runtime({
+        dataDir: USER_DATA_PATH,
+        dbPath: DB_PATH,
+        masterKey
+      });
+      const initialized = await runtime.initialize();
+      if (!initialized) {
+        return false;
+      }
       
-      // Initialize external signal manager
-      const ExternalSignalManager = require('./external-signal-manager');
-      externalSignalManager = new ExternalSignalManager(dbManager, signalManager);
-      await externalSignalManager.initialize();
+      ({ dbManager, credStore, brokerManager, signalManager, externalSignalManager, tradeCopier, reconciliation, fxifyModeManager } = runtime);
       
       // Set up signal manager event listeners
       signalManager.on('signal-added', (signal) => {
@@ -100,6 +94,19 @@ const ApplicationController = {
         }
       });
       
+      tradeCopier.on('signal-routed', (data) => {
+        if (mainWindow) {
+          mainWindow.webContents.send('app:signal-routed', data);
+        }
+      });
+      
+      // Differences found between the brokers and the trade records
+      reconciliation.on('reconciled', (report) => {
+        if (mainWindow && report.discrepancies.length > 0) {
+          mainWindow.webContents.send('app:reconciled', report);
+        }
+      });
+      
       // Set up external signal manager event listeners
       externalSignalManager.on('external-signal-received', (data) => {
         if (mainWindow) {
@@ -113,8 +120,22 @@ const ApplicationController = {
         }
       });
       
-      // Log successful initialization
-      await dbManager.logEvent('info', 'Application services initialized successfully');
+      // Show supervised broker connection state in the UI and the tray
+      brokerManager.brokerAdapter.on('connection:state', (data) => {
+        if (mainWindow) {
+          mainWindow.webContents.send('app:connection-state', data);
+        }
+        
+        if (trayManager) {
+          trayManager.updateStatus(`${data.brokerType} ${data.state}`);
+          
+          if (data.state === 'reconnecting' && data.attempt === 1) {
+            trayManager.showNotification('Broker connection lost', `${data.brokerType}: ${data.reason}. Reconnecting...`);
+          } else if (data.state === 'failed' && data.previousState === 'reconnecting') {
+            trayManager.showNotification('Broker connection failed', `${data.brokerType}: ${data.reason}`);
+          }
+        }
+      });
       
       return true;
     } catch (error) {
@@ -136,20 +157,9 @@ const ApplicationController = {
       }
     }
 
-    // Log shutdown event
-    if (dbManager) {
-      await dbManager.logEvent('info', 'Application shutdown initiated');
-    }
-    
-    // Close database connection and optimize
-    if (dbManager) {
-      try {
-        const optimizationResult = await dbManager.optimize();
-        console.log('Database optimization result:', optimizationResult);
-        await dbManager.closeDatabase();
-      } catch (err) {
-        console.error('Error during database shutdown:', err);
-      }
+    // Stop signal sources and brokers, then optimize and close the database
+    if (runtime) {
+      await runtime.shutdown({ optimize: true });
     }
     
     // Clean up tray
@@ -697,6 +707,9 @@ ipcMain.handle('broker:get-connections', async () => {
 
 ipcMain.handle('broker:add-connection', async (event, params) => {
   try {
+    // Same schema as POST /api/brokers/connections
+    assertValid('BrokerConnectionInput', params, 'broker connection');
+    
     const result = await brokerManager.addBrokerConnection(
       params.name,
       params.brokerType,
@@ -721,6 +734,79 @@ ipcMain.handle('broker:test-connection', async (event, { connectionId }) => {
   }
 });
 
+// Symbol maps and instrument specs of a connection (SAITRAPP symbol -> broker symbol)
+ipcMain.handle('broker:get-symbol-map', async (event, connectionId) => {
+  try {
+    await brokerManager.getBrokerConnection(connectionId);
+    return { success: true, data: brokerManager.instruments.getSymbolMap(connectionId) };
+  } catch (error) {
+    console.error(`Failed to get symbol map of ${connectionId}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('broker:set-symbol-mapping', async (event, connectionId, symbol, brokerSymbol) => {
+  try {
+    assertValid('SymbolMappingInput', { brokerSymbol }, 'symbol mapping');
+    await brokerManager.getBrokerConnection(connectionId);
+    
+    const mapping = await brokerManager.instruments.setSymbolMapping(connectionId, symbol, brokerSymbol);
+    return { success: true, data: mapping };
+  } catch (error) {
+    console.error(`Failed to map ${symbol} on ${connectionId}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('broker:remove-symbol-mapping', async (event, connectionId, symbol) => {
+  try {
+    const removed = await brokerManager.instruments.removeSymbolMapping(connectionId, symbol);
+    if (!removed) {
+      return { success: false, error: `No symbol mapping for ${symbol} on ${connectionId}` };
+    }
+    return { success: true };
+  } catch (error) {
+    console.error(`Failed to remove symbol mapping ${symbol} on ${connectionId}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('broker:get-instrument', async (event, connectionId, symbol) => {
+  try {
+    await brokerManager.getBrokerConnection(connectionId);
+    const spec = await brokerManager.instruments.getInstrumentSpec(connectionId, symbol);
+    return { success: true, data: spec };
+  } catch (error) {
+    console.error(`Failed to get instrument ${symbol} on ${connectionId}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('broker:get-history', async (event, connectionId, symbol, timeframe, options) => {
+  try {
+    await brokerManager.getBrokerConnection(connectionId);
+    const bars = await brokerManager.history.getBars(connectionId, symbol, timeframe, options || {});
+    return { success: true, data: bars };
+  } catch (error) {
+    console.error(`Failed to get price history of ${symbol} on ${connectionId}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('broker:reconcile', async (event, connectionId) => {
+  try {
+    const report = await reconciliation.reconcile(connectionId);
+    return { success: true, data: report };
+  } catch (error) {
+    console.error(`Failed to reconcile ${connectionId}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('broker:get-reconciliation', async (event, connectionId) => {
+  return { success: true, data: reconciliation.getLastReport(connectionId) };
+});
+
 // Signal management IPC handlers
 ipcMain.handle('signals:get-recent', async (event, filters) => {
   try {
@@ -734,6 +820,9 @@ ipcMain.handle('signals:get-recent', async (event, filters) => {
 
 ipcMain.handle('signals:add-signal', async (event, signalData) => {
   try {
+    // Same schema as POST /api/signals
+    assertValid('SignalInput', signalData, 'signal');
+    
     const signal = await signalManager.addSignal(signalData);
     return { success: true, data: signal };
   } catch (error) {
@@ -742,8 +831,11 @@ ipcMain.handle('signals:add-signal', async (event, signalData) => {
   }
 });
 
-ipcMain.handle('signals:update-status', async (event, { signalId, newStatus, additionalData }) => {
+ipcMain.handle('signals:update-status', async (event, params) => {
   try {
+    assertValid('SignalStatusChange', params, 'signal status update');
+    
+    const { signalId, newStatus, additionalData } = params;
     const result = await signalManager.updateSignalStatus(signalId, newStatus, additionalData);
     return { success: true, data: result };
   } catch (error) {
@@ -752,6 +844,20 @@ ipcMain.handle('signals:update-status', async (event, { signalId, newStatus, add
   }
 });
 
+ipcMain.handle('signals:execute', async (event, params) => {
+  try {
+    // Same schema as POST /api/signals/:signalId/execute, plus the signal ID
+    assertValid('SignalExecution', params, 'signal execution');
+    
+    const { signalId, connectionId, volume, type } = params;
+    const result = await signalManager.executeSignal(signalId, connectionId, { volume, type });
+    return { success: true, data: result };
+  } catch (error) {
+    console.error('Failed to execute signal:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('signals:get-performance', async () => {
   try {
     const stats = await signalManager.getSignalPerformanceStats();
@@ -762,6 +868,68 @@ ipcMain.handle('signals:get-performance', async () => {
   }
 });
 
+// Signal routing IPC handlers (same rules as /api/routing)
+ipcMain.handle('routing:get-routes', async () => {
+  try {
+    return { success: true, data: tradeCopier.getRoutes() };
+  } catch (error) {
+    console.error('Failed to get routing rules:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('routing:add-route', async (event, routeData) => {
+  try {
+    const route = await tradeCopier.addRoute(routeData);
+    return { success: true, data: route };
+  } catch (error) {
+    console.error('Failed to add routing rule:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('routing:update-route', async (event, routeId, updates) => {
+  try {
+    const route = await tradeCopier.updateRoute(routeId, updates);
+    return { success: true, data: route };
+  } catch (error) {
+    console.error(`Failed to update routing rule ${routeId}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('routing:delete-route', async (event, routeId) => {
+  try {
+    await tradeCopier.deleteRoute(routeId);
+    return { success: true };
+  } catch (error) {
+    console.error(`Failed to delete routing rule ${routeId}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('routing:route-signal', async (event, signalId, options = {}) => {
+  try {
+    assertValid('SignalRouting', options, 'signal routing options');
+    
+    const result = await tradeCopier.routeSignal(signalId, options);
+    return { success: true, data: result };
+  } catch (error) {
+    console.error(`Failed to route signal ${signalId}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('routing:get-signal-orders', async (event, signalId) => {
+  try {
+    const orders = await tradeCopier.getSignalOrders(signalId);
+    return { success: true, data: orders };
+  } catch (error) {
+    console.error(`Failed to get orders of signal ${signalId}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
 // External signal integration IPC handlers
 ipcMain.handle('external-signals:get-sources', async () => {
   try {
@@ -808,7 +976,8 @@ ipcMain.handle('external-signals:add-source', async (event, sourceData) => {
       throw new Error('External signal manager not initialized');
     }
     
-    const newSource = await externalSignalManager.addSource(
+    assertValid('ExternalSourceInput', sourceData, 'signal source');
+    const newSource = await externalSignalManager.addSignalSource(
       sourceData.name,
       sourceData.sourceType,
       sourceData.config
@@ -827,7 +996,8 @@ ipcMain.handle('external-signals:update-source', async (event, sourceId, updates
       throw new Error('External signal manager not initialized');
     }
     
-    const result = await externalSignalManager.updateSource(sourceId, updates);
+    assertValid('ExternalSourceUpdate', updates, 'signal source update');
+    const result = await externalSignalManager.updateSignalSource(sourceId, updates);
     return { success: true, data: result };
   } catch (error) {
     console.error(`Failed to update external signal source ${sourceId}:`, error);
@@ -939,6 +1109,47 @@ ipcMain.handle('trading:get-history', async (event, filters) => {
   }
 });
 
+// Order IPC handlers (canonical order model, translated per broker by BrokerAdapter)
+ipcMain.handle('trading:place-order', async (event, { connectionId, order }) => {
+  try {
+    const result = await brokerManager.brokerAdapter.placeOrder(connectionId, order);
+    return { success: true, data: result };
+  } catch (error) {
+    console.error('Failed to place order:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('trading:modify-order', async (event, { connectionId, orderId, changes }) => {
+  try {
+    const result = await brokerManager.brokerAdapter.modifyOrder(connectionId, orderId, changes);
+    return { success: true, data: result };
+  } catch (error) {
+    console.error(`Failed to modify order ${orderId}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('trading:cancel-order', async (event, { connectionId, orderId }) => {
+  try {
+    const result = await brokerManager.brokerAdapter.cancelOrder(connectionId, orderId);
+    return { success: true, data: result };
+  } catch (error) {
+    console.error(`Failed to cancel order ${orderId}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('trading:close-position', async (event, { connectionId, positionId, volume }) => {
+  try {
+    const result = await brokerManager.brokerAdapter.closePosition(connectionId, positionId, volume);
+    return { success: true, data: result };
+  } catch (error) {
+    console.error(`Failed to close position ${positionId}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
 // Auto updater events
 autoUpdater.on('update-available', () => {
   if (mainWindow) {
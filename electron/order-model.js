@@ -0,0 +1,295 @@
+// electron/order-model.js
+const { v4: uuidv4 } = require('uuid');
+const { createError } = require('./errors');
+const { assertValid } = require('./schema-validator');
+const { ORDER_TYPES } = require('./schemas');
+
+/**
+ * Canonical order model shared by every broker connection
+ *
+ * {
+ *   symbol, direction: 'BUY' | 'SELL', type: 'MARKET' | 'LIMIT' | 'STOP',
+ *   volume, price, stopLoss, takeProfit, clientOrderId, comment, expiresAt
+ * }
+ *
+ * BrokerAdapter turns it into each broker's own calls through the translators below,
+ * so callers never need to know whether a connection speaks MT4, MT5 or TWS.
+ */
+
+/**
+ * Validate an order and fill in the defaults
+ * @param {Object} order - Order in the canonical model
+ * @returns {Object} Normalized order
+ * @throws {Error} VALIDATION_FAILED for malformed orders, ORDER_INVALID for inconsistent prices
+ */
+function normalizeOrder(order) {
+  assertValid('OrderInput', order, 'order');
+
+  const normalized = {
+    symbol: order.symbol,
+    direction: order.direction.toUpperCase(),
+    type: (order.type || 'MARKET').toUpperCase(),
+    volume: order.volume,
+    price: order.price || null,
+    stopLoss: order.stopLoss || null,
+    takeProfit: order.takeProfit || null,
+    clientOrderId: order.clientOrderId || `ord_${uuidv4()}`,
+    comment: order.comment || null,
+    expiresAt: order.expiresAt || null,
+    contract: order.contract || null
+  };
+
+  if (normalized.type !== 'MARKET' && !normalized.price) {
+    throw createError('ORDER_INVALID', `${normalized.type} orders require a price`);
+  }
+
+  // Same rule as signals: protective levels must sit on the right side of the entry
+  if (normalized.price) {
+    const isBuy = normalized.direction === 'BUY';
+
+    if (normalized.stopLoss && (isBuy ? normalized.stopLoss >= normalized.price : normalized.stopLoss <= normalized.price)) {
+      throw createError('ORDER_INVALID', `Stop loss must be ${isBuy ? 'below' : 'above'} the price for ${normalized.direction} orders`);
+    }
+
+    if (normalized.takeProfit && (isBuy ? normalized.takeProfit <= normalized.price : normalized.takeProfit >= normalized.price)) {
+      throw createError('ORDER_INVALID', `Take profit must be ${isBuy ? 'above' : 'below'} the price for ${normalized.direction} orders`);
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Build the canonical result of an order call from a broker response
+ * @param {string} brokerType - Broker type
+ * @param {Object} raw - Response returned by the broker implementation
+ * @param {Object} order - Normalized order (when placing)
+ * @returns {Object} - { orderId, clientOrderId, status, brokerType, raw }
+ */
+function normalizeOrderResult(brokerType, raw, order = {}) {
+  const response = raw && typeof raw === 'object' ? raw : {};
+  const orderId = [response.orderId, response.ticket, response.order, response.id]
+    .find(value => value !== undefined && value !== null);
+
+  return {
+    orderId: orderId !== undefined ? orderId : null,
+    clientOrderId: order.clientOrderId || null,
+    status: response.status || 'submitted',
+    brokerType,
+    raw: raw === undefined ? null : raw
+  };
+}
+
+/**
+ * Error raised when a broker cannot perform a canonical operation
+ * @private
+ * @param {string} brokerType - Broker type
+ * @param {string} operation - Operation description
+ * @returns {Error} BROKER_METHOD_UNSUPPORTED error
+ */
+function unsupported(brokerType, operation) {
+  return createError('BROKER_METHOD_UNSUPPORTED', `${brokerType} connections do not support ${operation}`);
+}
+
+/**
+ * MetaTrader tickets are numeric; IDs that arrive as strings (URL paths) are converted back
+ * @private
+ * @param {string|number} id - Order or position ID
+ * @returns {string|number} Ticket
+ */
+function toTicket(id) {
+  return typeof id === 'string' && /^\d+$/.test(id) ? Number(id) : id;
+}
+
+// MetaTrader keeps at most 31 characters of an order comment
+const MT_COMMENT_LENGTH = 31;
+const UUID_ID_PATTERN = /^([a-z]+_)([0-9a-f]{8})-([0-9a-f]{4})-([0-9a-f]{4})-([0-9a-f]{4})-([0-9a-f]{12})$/;
+const PACKED_ID_PATTERN = /^([a-z]+_)([A-Za-z0-9_-]{22})$/;
+
+/**
+ * Fit a client order ID into a MetaTrader order comment
+ * The terminal reports no client ID of its own, so the comment is what comes back on positions
+ * and orders. Generated IDs (`ord_`, `sig_`, `sigord_` plus a UUID) are too long for it and carry
+ * their UUID in base64url instead, which fromMetaTraderComment turns back into the ID.
+ * @param {string} clientOrderId - Client order ID
+ * @returns {string} Comment of at most 31 characters
+ */
+function toMetaTraderComment(clientOrderId) {
+  const match = UUID_ID_PATTERN.exec(clientOrderId);
+  if (!match) {
+    return clientOrderId.slice(0, MT_COMMENT_LENGTH);
+  }
+
+  const [, prefix, ...groups] = match;
+  return `${prefix}${Buffer.from(groups.join(''), 'hex').toString('base64url')}`;
+}
+
+/**
+ * Read the client order ID back from a MetaTrader order comment
+ * @param {string} comment - Comment reported by the terminal
+ * @returns {string|null} Client order ID, or the comment itself when it carries no packed ID
+ */
+function fromMetaTraderComment(comment) {
+  const match = PACKED_ID_PATTERN.exec(comment || '');
+  if (!match) {
+    return comment || null;
+  }
+
+  const hex = Buffer.from(match[2], 'base64url').toString('hex');
+  return `${match[1]}${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Orders for the MetaTrader 5 bridge (also used by the FOREX.com and FXIFY adapters, which wrap it,
+ * and by the demo account, which mirrors its methods)
+ */
+const mt5Translator = {
+  placeOrder(call, order) {
+    const params = {
+      symbol: order.symbol,
+      volume: order.volume,
+      direction: order.direction,
+      stopLoss: order.stopLoss,
+      takeProfit: order.takeProfit,
+      comment: order.comment || toMetaTraderComment(order.clientOrderId),
+      clientOrderId: order.clientOrderId
+    };
+
+    if (order.type === 'MARKET') {
+      return call('placeMarketOrder', params);
+    }
+
+    return call('placePendingOrder', {
+      ...params,
+      type: order.type,
+      price: order.price,
+      expirationTime: order.expiresAt
+    });
+  },
+
+  modifyOrder(call, orderId, changes) {
+    return call('modifyOrder', { orderId: toTicket(orderId), ...changes });
+  },
+
+  cancelOrder(call, orderId) {
+    return call('cancelOrder', toTicket(orderId));
+  },
+
+  closePosition(call, positionId, volume) {
+    return call('closePosition', toTicket(positionId), volume || null);
+  }
+};
+
+/**
+ * Orders for the MetaTrader 4 bridge, where every order is a ticket
+ */
+const mt4Translator = {
+  placeOrder(call, order) {
+    // Pending tickets use the MQL4 operation names (BUYLIMIT, SELLSTOP, ...)
+    return call('openPosition', {
+      symbol: order.symbol,
+      type: order.type === 'MARKET' ? order.direction : `${order.direction}${order.type}`,
+      volume: order.volume,
+      price: order.type === 'MARKET' ? 0 : order.price,
+      stopLoss: order.stopLoss || 0,
+      takeProfit: order.takeProfit || 0,
+      comment: order.comment || toMetaTraderComment(order.clientOrderId),
+      clientOrderId: order.clientOrderId
+    });
+  },
+
+  modifyOrder(call, orderId, changes) {
+    if (changes.price !== undefined) {
+      throw unsupported('mt4', 'changing the price of an order');
+    }
+    return call('modifyPosition', toTicket(orderId), changes.stopLoss || 0, changes.takeProfit || 0);
+  },
+
+  cancelOrder() {
+    throw unsupported('mt4', 'cancelling orders');
+  },
+
+  closePosition(call, positionId, volume) {
+    return call('closePosition', toTicket(positionId), volume || 0);
+  }
+};
+
+/**
+ * Orders for Interactive Brokers TWS, which trades contracts rather than symbols
+ * The adapter resolves the symbol (EURUSD, AAPL, ES, FUT:CL, ...) into a contract once, so the
+ * exit orders trade exactly the contract of the entry
+ */
+const interactiveBrokersTranslator = {
+  async placeOrder(call, order) {
+    const contract = order.contract || await call('resolveContract', order.symbol);
+    const orderTypes = { MARKET: 'MKT', LIMIT: 'LMT', STOP: 'STP' };
+
+    const parent = {
+      direction: order.direction,
+      quantity: order.volume,
+      orderType: orderTypes[order.type],
+      limitPrice: order.type === 'LIMIT' ? order.price : 0,
+      stopPrice: order.type === 'STOP' ? order.price : 0,
+      orderRef: order.clientOrderId
+    };
+
+    // Stop loss and take profit become child orders on the opposite side
+    const exitDirection = order.direction === 'BUY' ? 'SELL' : 'BUY';
+    const exits = [];
+
+    if (order.stopLoss) {
+      exits.push({ direction: exitDirection, quantity: order.volume, orderType: 'STP', stopPrice: order.stopLoss, orderRef: order.clientOrderId });
+    }
+
+    if (order.takeProfit) {
+      exits.push({ direction: exitDirection, quantity: order.volume, orderType: 'LMT', limitPrice: order.takeProfit, orderRef: order.clientOrderId });
+    }
+
+    // The exits go out in the same submission as the entry, which TWS only releases with the last one
+    return exits.length > 0 ? call('placeBracketOrder', contract, parent, exits) : call('placeOrder', contract, parent);
+  },
+
+  modifyOrder() {
+    throw unsupported('interactive-brokers', 'modifying orders');
+  },
+
+  cancelOrder(call, orderId) {
+    return call('cancelOrder', Number(orderId));
+  },
+
+  closePosition() {
+    throw unsupported('interactive-brokers', 'closing positions by ID; place an opposite order instead');
+  }
+};
+
+// Keyed by the broker types registered in BrokerAdapter
+const ORDER_TRANSLATORS = {
+  'mt4': mt4Translator,
+  'mt5': mt5Translator,
+  'forex-com': mt5Translator,
+  'fxify': mt5Translator,
+  'interactive-brokers': interactiveBrokersTranslator,
+  'demo': mt5Translator
+};
+
+/**
+ * Get the order translator for a broker type
+ * @param {string} brokerType - Broker type
+ * @returns {Object} Translator with placeOrder, modifyOrder, cancelOrder and closePosition
+ */
+function getOrderTranslator(brokerType) {
+  const translator = ORDER_TRANSLATORS[brokerType];
+  if (!translator) {
+    throw unsupported(brokerType, 'the normalized order API');
+  }
+  return translator;
+}
+
+module.exports = {
+  ORDER_TYPES,
+  normalizeOrder,
+  normalizeOrderResult,
+  getOrderTranslator,
+  toMetaTraderComment,
+  fromMetaTraderComment
+};
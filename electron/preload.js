@@ -40,15 +40,35 @@ contextBridge.exposeInMainWorld('electronAPI', {
   getBrokerConnections: () => ipcRenderer.invoke('broker:get-connections'),
   addBrokerConnection: (params) => ipcRenderer.invoke('broker:add-connection', params),
   testBrokerConnection: (params) => ipcRenderer.invoke('broker:test-connection', params),
+  getSymbolMap: (connectionId) => ipcRenderer.invoke('broker:get-symbol-map', connectionId),
+  setSymbolMapping: (connectionId, symbol, brokerSymbol) => ipcRenderer.invoke('broker:set-symbol-mapping', connectionId, symbol, brokerSymbol),
+  removeSymbolMapping: (connectionId, symbol) => ipcRenderer.invoke('broker:remove-symbol-mapping', connectionId, symbol),
+  getInstrument: (connectionId, symbol) => ipcRenderer.invoke('broker:get-instrument', connectionId, symbol),
+  getHistory: (connectionId, symbol, timeframe, options) => ipcRenderer.invoke('broker:get-history', connectionId, symbol, timeframe, options),
+  reconcileConnection: (connectionId) => ipcRenderer.invoke('broker:reconcile', connectionId),
+  getReconciliationReport: (connectionId) => ipcRenderer.invoke('broker:get-reconciliation', connectionId),
   
   // Signal operations
   getRecentSignals: (filters) => ipcRenderer.invoke('signals:get-recent', filters),
   addSignal: (signalData) => ipcRenderer.invoke('signals:add-signal', signalData),
   updateSignalStatus: (params) => ipcRenderer.invoke('signals:update-status', params),
+  executeSignal: (params) => ipcRenderer.invoke('signals:execute', params),
   getSignalPerformance: () => ipcRenderer.invoke('signals:get-performance'),
   
+  // Signal routing across broker connections
+  getSignalRoutes: () => ipcRenderer.invoke('routing:get-routes'),
+  addSignalRoute: (routeData) => ipcRenderer.invoke('routing:add-route', routeData),
+  updateSignalRoute: (routeId, updates) => ipcRenderer.invoke('routing:update-route', routeId, updates),
+  deleteSignalRoute: (routeId) => ipcRenderer.invoke('routing:delete-route', routeId),
+  routeSignal: (signalId, options) => ipcRenderer.invoke('routing:route-signal', signalId, options),
+  getSignalOrders: (signalId) => ipcRenderer.invoke('routing:get-signal-orders', signalId),
+  
   // Trading operations
   getTradingHistory: (filters) => ipcRenderer.invoke('trading:get-history', filters),
+  placeOrder: (params) => ipcRenderer.invoke('trading:place-order', params),
+  modifyOrder: (params) => ipcRenderer.invoke('trading:modify-order', params),
+  cancelOrder: (params) => ipcRenderer.invoke('trading:cancel-order', params),
+  closePosition: (params) => ipcRenderer.invoke('trading:close-position', params),
   
   // Event listeners
   onUpdateAvailable: (callback) => {
@@ -63,6 +83,15 @@ contextBridge.exposeInMainWorld('electronAPI', {
   onSignalUpdated: (callback) => {
     ipcRenderer.on('app:signal-updated', (_event, data) => callback(data));
   },
+  onSignalRouted: (callback) => {
+    ipcRenderer.on('app:signal-routed', (_event, data) => callback(data));
+  },
+  onConnectionStateChanged: (callback) => {
+    ipcRenderer.on('app:connection-state', (_event, data) => callback(data));
+  },
+  onReconciled: (callback) => {
+    ipcRenderer.on('app:reconciled', (_event, report) => callback(report));
+  },
   
   // Remove event listeners
   removeAllListeners: (channel) => {
@@ -0,0 +1,92 @@
+// electron/rate-limiter.js
+
+/**
+ * RateLimiter counts hits per key in fixed time windows
+ * Used to cap how many raw signals a source or a remote address can submit, and how many
+ * failed logins a username or an address can make
+ */
+class RateLimiter {
+  /**
+   * Create a new RateLimiter instance
+   * @param {Object} options - Limiter options
+   * @param {number} options.limit - Hits allowed per window (0 disables the limiter)
+   * @param {number} options.windowMs - Window length in milliseconds
+   */
+  constructor({ limit, windowMs }) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.windows = new Map(); // key -> { count, resetAt }
+  }
+
+  /**
+   * Record a hit for a key
+   * @param {string} key - Key to count (source ID, IP address, ...)
+   * @returns {Object} - { allowed, remaining, retryAfter } with retryAfter in seconds
+   */
+  consume(key) {
+    if (!this.limit) {
+      return { allowed: true, remaining: Infinity, retryAfter: 0 };
+    }
+
+    const now = Date.now();
+    let window = this.windows.get(key);
+
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + this.windowMs };
+      this.windows.set(key, window);
+      this._prune(now);
+    }
+
+    window.count++;
+
+    if (window.count > this.limit) {
+      return {
+        allowed: false,
+        remaining: 0,
+        retryAfter: Math.ceil((window.resetAt - now) / 1000)
+      };
+    }
+
+    return { allowed: true, remaining: this.limit - window.count, retryAfter: 0 };
+  }
+
+  /**
+   * Check whether a hit would be allowed, without recording one
+   * @param {string} key - Key to check
+   * @returns {Object} - { allowed, remaining, retryAfter } with retryAfter in seconds
+   */
+  peek(key) {
+    const now = Date.now();
+    const window = this.windows.get(key);
+    const count = window && window.resetAt > now ? window.count : 0;
+
+    if (!this.limit || count < this.limit) {
+      return { allowed: true, remaining: this.limit ? this.limit - count : Infinity, retryAfter: 0 };
+    }
+
+    return { allowed: false, remaining: 0, retryAfter: Math.ceil((window.resetAt - now) / 1000) };
+  }
+
+  /**
+   * Forget a key
+   * @param {string} key - Key to reset
+   */
+  reset(key) {
+    this.windows.delete(key);
+  }
+
+  /**
+   * Drop expired windows so keys seen once do not accumulate
+   * @private
+   * @param {number} now - Current time in milliseconds
+   */
+  _prune(now) {
+    this.windows.forEach((window, key) => {
+      if (window.resetAt <= now) {
+        this.windows.delete(key);
+      }
+    });
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,724 @@
+// electron/reconciliation-service.js
+const { v4: uuidv4 } = require('uuid');
+const EventEmitter = require('events');
+const { createError } = require('./errors');
+const { normalizeSnapshot } = require('./broker-events');
+
+// How often every connected account is reconciled, on top of the run after each (re)connect
+const DEFAULT_INTERVAL = 5 * 60 * 1000;
+
+// Broker order statuses that still count as working
+const WORKING_ORDER_STATUSES = ['pending', 'partially_filled'];
+
+/**
+ * ReconciliationService keeps trading_history in step with what the brokers actually hold
+ *
+ * Orders placed through BrokerAdapter are recorded as trades and followed through position
+ * events while the link is up. Whatever happens while it is down (stops hit, trades opened or
+ * closed in the terminal, pending orders filled or cancelled) is caught by reconciliation, which
+ * runs after every (re)connect, after a bridge lost push events, and on a timer: it diffs the broker's positions and orders against
+ * the local records, imports trades it does not know, closes the ones the broker no longer holds,
+ * marks active signals left without any open trade as orphaned, and logs every discrepancy.
+ *
+ * Fills are logged in trade_executions and their commission and realized profit are added to
+ * the trade they belong to. Brokers that can list executions (TWS) have them replayed during
+ * reconciliation; the execution ID keeps a fill from being counted twice.
+ */
+class ReconciliationService extends EventEmitter {
+  /**
+   * Create a new ReconciliationService instance
+   * @param {DatabaseManager} dbManager - Database manager instance
+   * @param {BrokerManager} brokerManager - Broker manager holding the connections
+   * @param {SignalManager} signalManager - Signal manager whose active signals are checked
+   * @param {Object} options - Options
+   * @param {number} options.interval - Milliseconds between periodic runs (0 disables them)
+   */
+  constructor(dbManager, brokerManager, signalManager, options = {}) {
+    super();
+    this.dbManager = dbManager;
+    this.brokerManager = brokerManager;
+    this.brokerAdapter = brokerManager.brokerAdapter;
+    this.signalManager = signalManager;
+    this.interval = options.interval === undefined ? DEFAULT_INTERVAL : options.interval;
+
+    this.timer = null;
+    this.running = new Map(); // connectionId -> Promise of the report
+    this.reports = new Map(); // connectionId -> last report
+
+    this.onConnectionState = ({ connectionId, state }) => {
+      if (state === 'connected') {
+        this.reconcile(connectionId).catch(() => {
+          // Already logged and kept as the connection's last report
+        });
+      }
+    };
+    this.onOrderPlaced = event => {
+      this._recordPlacedOrder(event).catch(error => console.error('Failed to record placed order:', error));
+    };
+    this.onPosition = position => {
+      this._applyPositionEvent(position).catch(error => console.error('Failed to update trade from position event:', error));
+    };
+    this.onResync = ({ connectionId }) => {
+      this.reconcile(connectionId).catch(() => {
+        // Already logged and kept as the connection's last report
+      });
+    };
+    this.onFill = fill => {
+      this._recordFill(fill.connectionId, fill).catch(error => console.error('Failed to record fill:', error));
+    };
+  }
+
+  /**
+   * Start following orders and reconciling connections
+   * @returns {boolean} Success status
+   */
+  initialize() {
+    this.brokerAdapter.on('connection:state', this.onConnectionState);
+    this.brokerAdapter.on('connection:resync', this.onResync);
+    this.brokerAdapter.on('order:placed', this.onOrderPlaced);
+    this.brokerAdapter.on('position', this.onPosition);
+    this.brokerAdapter.on('fill', this.onFill);
+
+    if (this.interval > 0) {
+      this.timer = setInterval(() => this.reconcileAll(), this.interval);
+      this.timer.unref();
+    }
+
+    return true;
+  }
+
+  /**
+   * Stop reconciling
+   */
+  close() {
+    this.brokerAdapter.off('connection:state', this.onConnectionState);
+    this.brokerAdapter.off('connection:resync', this.onResync);
+    this.brokerAdapter.off('order:placed', this.onOrderPlaced);
+    this.brokerAdapter.off('position', this.onPosition);
+    this.brokerAdapter.off('fill', this.onFill);
+
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Reconcile every connected account, one at a time
+   * @returns {Promise<Array<Object>>} Reports of the connections that could be reconciled
+   */
+  async reconcileAll() {
+    const reports = [];
+    const connections = this.brokerAdapter.getActiveConnections()
+      .filter(connection => connection.state === 'connected' || connection.state === 'degraded');
+
+    for (const { id } of connections) {
+      try {
+        reports.push(await this.reconcile(id));
+      } catch (error) {
+        // Kept as the connection's last report
+      }
+    }
+
+    return reports;
+  }
+
+  /**
+   * Reconcile one connection; concurrent requests share the run in progress
+   * @param {string} connectionId - Connection ID
+   * @returns {Promise<Object>} - { connectionId, startedAt, finishedAt, positions, orders, executions, discrepancies }
+   */
+  reconcile(connectionId) {
+    if (!this.running.has(connectionId)) {
+      const run = this._reconcile(connectionId).finally(() => this.running.delete(connectionId));
+      this.running.set(connectionId, run);
+    }
+
+    return this.running.get(connectionId);
+  }
+
+  /**
+   * Last reconciliation report of a connection
+   * @param {string} connectionId - Connection ID
+   * @returns {Object|null} Report, with error set when the run failed
+   */
+  getLastReport(connectionId) {
+    return this.reports.get(connectionId) || null;
+  }
+
+  /**
+   * Diff the broker's positions and orders against the local trade records
+   * @private
+   * @param {string} connectionId - Connection ID
+   * @returns {Promise<Object>} Report
+   */
+  async _reconcile(connectionId) {
+    const report = {
+      connectionId,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      positions: 0,
+      orders: null,
+      executions: null,
+      discrepancies: []
+    };
+
+    try {
+      if (!this.brokerAdapter.isConnectionActive(connectionId)) {
+        throw createError('CONNECTION_NOT_ACTIVE', `Connection not active: ${connectionId}`);
+      }
+
+      const { positions, orders } = await this._fetchBrokerState(connectionId);
+      report.positions = positions.length;
+      report.orders = orders ? orders.length : null;
+
+      const records = await this.dbManager.executeSelect(
+        "SELECT * FROM trading_history WHERE broker_connection_id = ? AND status IN ('pending', 'open')",
+        [connectionId]
+      );
+      const unmatched = new Set(records);
+
+      for (const position of positions) {
+        const record = this._findRecord(unmatched, position);
+        if (record) {
+          unmatched.delete(record);
+          await this._reconcilePosition(report, record, position);
+        } else {
+          await this._importPosition(report, connectionId, position);
+        }
+      }
+
+      for (const record of unmatched) {
+        if (record.status === 'open') {
+          await this._closeRecord(record, { closePrice: null, profit: null });
+          await this._discrepancy(report, 'position_closed', `Position ${record.position_id || record.id} (${record.symbol}) is no longer open at the broker; marked closed`, {
+            tradeId: record.id,
+            positionId: record.position_id
+          });
+        }
+      }
+
+      if (orders) {
+        await this._reconcileOrders(report, connectionId, orders, [...unmatched].filter(record => record.status === 'pending'));
+      }
+
+      report.executions = await this._replayExecutions(connectionId);
+
+      await this._linkSignals(connectionId);
+      await this._checkSignals(report, connectionId);
+
+      report.finishedAt = new Date().toISOString();
+      this.reports.set(connectionId, report);
+      this.emit('reconciled', report);
+
+      return report;
+    } catch (error) {
+      console.error(`Failed to reconcile connection ${connectionId}:`, error);
+      report.finishedAt = new Date().toISOString();
+      report.error = error.message;
+      this.reports.set(connectionId, report);
+      throw error;
+    }
+  }
+
+  /**
+   * Read open positions and working orders from the broker
+   * Brokers without getOrders report orders as null, and pending records are then left alone
+   * @private
+   * @param {string} connectionId - Connection ID
+   * @returns {Promise<Object>} - { positions, orders } in canonical shapes
+   */
+  async _fetchBrokerState(connectionId) {
+    const connection = this.brokerAdapter.activeConnections.get(connectionId);
+    const brokerType = connection.type;
+
+    const positions = normalizeSnapshot(brokerType, 'positions', await this.brokerAdapter.executeMethod(connectionId, 'getPositions'))
+      .filter(position => position.positionId !== null && position.status !== 'closed');
+
+    let orders = null;
+    if (typeof connection.instance.getOrders === 'function') {
+      orders = normalizeSnapshot(brokerType, 'orders', await this.brokerAdapter.executeMethod(connectionId, 'getOrders'))
+        .filter(order => order.orderId !== null && WORKING_ORDER_STATUSES.includes(order.status || 'pending'));
+    }
+
+    return { positions, orders };
+  }
+
+  /**
+   * Record the broker's executions of the day that were missed while the link was down
+   * @private
+   * @param {string} connectionId - Connection ID
+   * @returns {Promise<number|null>} Executions recorded by this run, or null when the broker cannot list them
+   */
+  async _replayExecutions(connectionId) {
+    const connection = this.brokerAdapter.activeConnections.get(connectionId);
+    if (typeof connection.instance.getExecutions !== 'function') {
+      return null;
+    }
+
+    // Executions still waiting for their commission report are recorded when it arrives
+    const fills = normalizeSnapshot(connection.type, 'fills', await this.brokerAdapter.executeMethod(connectionId, 'getExecutions'))
+      .filter(fill => fill.executionId && fill.commission !== null);
+
+    let recorded = 0;
+    for (const fill of fills) {
+      if (await this._recordFill(connectionId, fill)) {
+        recorded++;
+      }
+    }
+
+    return recorded;
+  }
+
+  /**
+   * Find the local record of a broker position: by position ID, then by the order that opened it
+   * (MetaTrader positions keep the ticket of their opening order), then by client order ID
+   * @private
+   * @param {Set<Object>} records - Unmatched trading_history rows
+   * @param {Object} position - Canonical position
+   * @returns {Object|undefined} Matching row
+   */
+  _findRecord(records, position) {
+    const positionId = String(position.positionId);
+    const candidates = [...records];
+
+    return candidates.find(record => record.position_id === positionId) ||
+      candidates.find(record => !record.position_id && record.order_id === positionId) ||
+      (position.clientOrderId ? candidates.find(record => !record.position_id && record.client_order_id === position.clientOrderId) : undefined);
+  }
+
+  /**
+   * Bring a matched record up to date with its broker position
+   * @private
+   * @param {Object} report - Report being built
+   * @param {Object} record - trading_history row
+   * @param {Object} position - Canonical position
+   */
+  async _reconcilePosition(report, record, position) {
+    if (record.status === 'pending') {
+      await this._discrepancy(report, 'order_filled', `Order ${record.order_id} (${record.symbol}) was filled while not followed; position ${position.positionId} is open`, {
+        tradeId: record.id,
+        orderId: record.order_id,
+        positionId: position.positionId
+      });
+    } else if (position.volume !== null && Math.abs(position.volume - record.lots) > 1e-9) {
+      await this._discrepancy(report, 'volume_mismatch', `Position ${position.positionId} (${record.symbol}) holds ${position.volume} lots, ${record.lots} recorded`, {
+        tradeId: record.id,
+        positionId: position.positionId,
+        brokerVolume: position.volume,
+        localVolume: record.lots
+      });
+    }
+
+    await this._openRecord(record, position);
+  }
+
+  /**
+   * Record a broker position opened outside SAITRAPP (or whose order was never recorded)
+   * @private
+   * @param {Object} report - Report being built
+   * @param {string} connectionId - Connection ID
+   * @param {Object} position - Canonical position
+   */
+  async _importPosition(report, connectionId, position) {
+    const trade = await this._saveTrade(connectionId, {
+      symbol: position.symbol,
+      direction: position.direction,
+      openPrice: position.openPrice,
+      stopLoss: position.stopLoss,
+      takeProfit: position.takeProfit,
+      lots: position.volume,
+      openTime: position.timestamp,
+      status: 'open',
+      positionId: position.positionId,
+      clientOrderId: position.clientOrderId
+    });
+
+    await this._discrepancy(report, 'position_imported', `Position ${position.positionId} (${trade.symbol} ${trade.direction} ${trade.lots}) was not recorded; imported as ${trade.origin}`, {
+      tradeId: trade.id,
+      positionId: position.positionId,
+      origin: trade.origin
+    });
+  }
+
+  /**
+   * Compare working broker orders with the pending records left after matching positions
+   * @private
+   * @param {Object} report - Report being built
+   * @param {string} connectionId - Connection ID
+   * @param {Array<Object>} orders - Canonical working orders
+   * @param {Array<Object>} pendingRecords - Pending rows not matched to a position
+   */
+  async _reconcileOrders(report, connectionId, orders, pendingRecords) {
+    const known = new Set();
+
+    for (const record of pendingRecords) {
+      const order = orders.find(item => String(item.orderId) === record.order_id ||
+        (record.client_order_id && item.clientOrderId === record.client_order_id));
+
+      if (order) {
+        known.add(order);
+        continue;
+      }
+
+      await this.dbManager.executeQuery(
+        "UPDATE trading_history SET status = 'cancelled', close_time = ?, updated_at = ? WHERE id = ?",
+        [new Date().toISOString(), new Date().toISOString(), record.id]
+      );
+      await this._discrepancy(report, 'order_missing', `Order ${record.order_id} (${record.symbol}) is no longer working and opened no position; marked cancelled`, {
+        tradeId: record.id,
+        orderId: record.order_id
+      });
+    }
+
+    for (const order of orders.filter(item => !known.has(item))) {
+      const trade = await this._saveTrade(connectionId, {
+        symbol: order.symbol,
+        direction: order.direction,
+        openPrice: order.price,
+        lots: order.volume,
+        openTime: order.timestamp,
+        status: 'pending',
+        orderId: order.orderId,
+        clientOrderId: order.clientOrderId
+      });
+
+      await this._discrepancy(report, 'order_imported', `Order ${order.orderId} (${trade.symbol} ${order.type || ''} ${trade.lots}) was not recorded; imported as ${trade.origin}`, {
+        tradeId: trade.id,
+        orderId: order.orderId,
+        origin: trade.origin
+      });
+    }
+  }
+
+  /**
+   * Link records to the signals their client order IDs came from
+   * Routed orders are recorded before the trade copier stores their signal_orders row, so the
+   * link is made here rather than when the order is placed
+   * @private
+   * @param {string} connectionId - Connection ID
+   */
+  async _linkSignals(connectionId) {
+    const records = await this.dbManager.executeSelect(
+      'SELECT id, client_order_id FROM trading_history WHERE broker_connection_id = ? AND signal_id IS NULL AND client_order_id IS NOT NULL',
+      [connectionId]
+    );
+
+    for (const record of records) {
+      const signal = await this._findSignal(record.client_order_id);
+      if (signal) {
+        await this.dbManager.executeQuery(
+          "UPDATE trading_history SET signal_id = ?, strategy = ?, origin = 'saitrapp' WHERE id = ?",
+          [signal.id, signal.strategy, record.id]
+        );
+      }
+    }
+  }
+
+  /**
+   * Mark active signals traded on this connection that have no open trade or working order left
+   * anywhere, and clear the mark of signals that have one again
+   * @private
+   * @param {Object} report - Report being built
+   * @param {string} connectionId - Connection ID
+   */
+  async _checkSignals(report, connectionId) {
+    const signals = [...this.signalManager.activeSignals.values()].filter(signal => signal.status === 'active');
+
+    for (const signal of signals) {
+      const trades = await this.dbManager.executeSelect(
+        'SELECT status, broker_connection_id FROM trading_history WHERE signal_id = ?',
+        [signal.id]
+      );
+      if (!trades.some(trade => trade.broker_connection_id === connectionId)) {
+        continue;
+      }
+
+      const live = trades.some(trade => trade.status === 'pending' || trade.status === 'open');
+      if (live && signal.orphaned_at) {
+        await this._setOrphaned(signal, null);
+      } else if (!live && !signal.orphaned_at) {
+        await this._setOrphaned(signal, new Date().toISOString());
+        this.emit('signal-orphaned', { signalId: signal.id, connectionId });
+        await this._discrepancy(report, 'signal_orphaned', `Signal ${signal.id} (${signal.symbol}) is active but none of its trades is open any more`, {
+          signalId: signal.id
+        });
+      }
+    }
+  }
+
+  /**
+   * Set or clear the orphaned mark of a signal, in the database and the active signal cache
+   * @private
+   * @param {Object} signal - Cached signal row
+   * @param {string|null} orphanedAt - Time of the mark, or null to clear it
+   */
+  async _setOrphaned(signal, orphanedAt) {
+    await this.dbManager.executeQuery(
+      'UPDATE trading_signals SET orphaned_at = ? WHERE id = ?',
+      [orphanedAt, signal.id]
+    );
+    signal.orphaned_at = orphanedAt;
+  }
+
+  /**
+   * Record an order placed through BrokerAdapter as a trade
+   * @private
+   * @param {Object} event - { connectionId, order, result } from BrokerAdapter 'order:placed'
+   */
+  async _recordPlacedOrder({ connectionId, order, result }) {
+    if (['rejected', 'cancelled', 'expired'].includes(result.status)) {
+      return;
+    }
+
+    const raw = result.raw && typeof result.raw === 'object' ? result.raw : {};
+    const filled = result.status === 'filled';
+
+    await this._saveTrade(connectionId, {
+      symbol: order.symbol,
+      direction: order.direction,
+      openPrice: (filled && raw.price) || order.price,
+      stopLoss: order.stopLoss,
+      takeProfit: order.takeProfit,
+      lots: order.volume,
+      status: filled ? 'open' : 'pending',
+      positionId: filled ? raw.positionId : null,
+      orderId: result.orderId,
+      clientOrderId: order.clientOrderId,
+      origin: 'saitrapp'
+    });
+  }
+
+  /**
+   * Follow recorded trades through position events while the link is up
+   * Unknown positions are left to reconciliation: a market order's position can be reported
+   * before the order that opened it has been recorded.
+   * @private
+   * @param {Object} position - Canonical position event
+   */
+  async _applyPositionEvent(position) {
+    if (position.positionId === null || position.positionId === undefined) {
+      return;
+    }
+
+    const records = await this.dbManager.executeSelect(
+      "SELECT * FROM trading_history WHERE broker_connection_id = ? AND status IN ('pending', 'open')",
+      [position.connectionId]
+    );
+    const record = this._findRecord(new Set(records), position);
+    if (!record) {
+      return;
+    }
+
+    if (position.status === 'closed') {
+      await this._closeRecord(record, {
+        closePrice: position.currentPrice,
+        profit: position.profit,
+        closeTime: position.timestamp
+      });
+    } else {
+      await this._openRecord(record, position);
+    }
+  }
+
+  /**
+   * Log a fill and add its commission and realized profit to its trade
+   * @private
+   * @param {string} connectionId - Connection ID
+   * @param {Object} fill - Canonical fill
+   * @returns {Promise<boolean>} False if the execution was already recorded
+   */
+  async _recordFill(connectionId, fill) {
+    const time = fill.timestamp || new Date().toISOString();
+
+    const { lastID, changes } = await this.dbManager.executeQuery(
+      `INSERT OR IGNORE INTO trade_executions
+      (execution_id, broker_connection_id, order_id, position_id, symbol, direction, volume, price, commission, profit, time)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        fill.executionId || null,
+        connectionId,
+        fill.orderId === null || fill.orderId === undefined ? null : String(fill.orderId),
+        fill.positionId === null || fill.positionId === undefined ? null : String(fill.positionId),
+        fill.symbol,
+        fill.direction,
+        fill.volume,
+        fill.price,
+        fill.commission === undefined ? null : fill.commission,
+        fill.profit === undefined ? null : fill.profit,
+        time
+      ]
+    );
+    if (changes === 0) {
+      return false;
+    }
+
+    const record = await this._findFillRecord(connectionId, fill, time);
+    if (!record) {
+      return true;
+    }
+
+    await this.dbManager.executeQuery('UPDATE trade_executions SET trade_id = ? WHERE id = ?', [record.id, lastID]);
+    if (typeof fill.commission === 'number' || typeof fill.profit === 'number') {
+      await this.dbManager.executeQuery(
+        `UPDATE trading_history
+        SET commission = COALESCE(commission, 0) + ?, profit = CASE WHEN ? IS NULL THEN profit ELSE COALESCE(profit, 0) + ? END, updated_at = ?
+        WHERE id = ?`,
+        [fill.commission || 0, fill.profit, fill.profit, new Date().toISOString(), record.id]
+      );
+    }
+
+    return true;
+  }
+
+  /**
+   * Find the trade a fill belongs to: the live record of its order or position, or else the record
+   * of its position that was closed at or after the fill (the fill that closed it)
+   * @private
+   * @param {string} connectionId - Connection ID
+   * @param {Object} fill - Canonical fill
+   * @param {string} time - Fill time
+   * @returns {Promise<Object|null>} trading_history row
+   */
+  async _findFillRecord(connectionId, fill, time) {
+    const orderId = fill.orderId === null || fill.orderId === undefined ? null : String(fill.orderId);
+    const positionId = fill.positionId === null || fill.positionId === undefined ? null : String(fill.positionId);
+
+    const live = await this.dbManager.executeSelect(
+      "SELECT * FROM trading_history WHERE broker_connection_id = ? AND status IN ('pending', 'open')",
+      [connectionId]
+    );
+    const record = (orderId && live.find(row => row.order_id === orderId)) ||
+      (positionId && live.find(row => row.position_id === positionId));
+    if (record || !positionId) {
+      return record || null;
+    }
+
+    const closed = await this.dbManager.executeSelect(
+      `SELECT * FROM trading_history
+      WHERE broker_connection_id = ? AND status = 'closed' AND position_id = ? AND close_time >= ?
+      ORDER BY close_time ASC LIMIT 1`,
+      [connectionId, positionId, time]
+    );
+
+    return closed[0] || null;
+  }
+
+  /**
+   * Mark a record open with the details of its broker position
+   * @private
+   * @param {Object} record - trading_history row
+   * @param {Object} position - Canonical position
+   */
+  async _openRecord(record, position) {
+    await this.dbManager.executeQuery(
+      `UPDATE trading_history
+      SET status = 'open', position_id = ?, open_price = COALESCE(?, open_price), lots = COALESCE(?, lots),
+        stop_loss = ?, take_profit = ?, open_time = COALESCE(open_time, ?), updated_at = ?
+      WHERE id = ?`,
+      [
+        String(position.positionId),
+        position.openPrice,
+        position.volume,
+        position.stopLoss,
+        position.takeProfit,
+        position.timestamp || new Date().toISOString(),
+        new Date().toISOString(),
+        record.id
+      ]
+    );
+  }
+
+  /**
+   * Mark a record closed
+   * An unknown profit keeps what its fills have added up
+   * @private
+   * @param {Object} record - trading_history row
+   * @param {Object} details - { closePrice, profit, closeTime } (null when unknown)
+   */
+  async _closeRecord(record, { closePrice, profit, closeTime }) {
+    await this.dbManager.executeQuery(
+      "UPDATE trading_history SET status = 'closed', close_price = ?, profit = COALESCE(?, profit), close_time = ?, updated_at = ? WHERE id = ?",
+      [closePrice, profit, closeTime || new Date().toISOString(), new Date().toISOString(), record.id]
+    );
+  }
+
+  /**
+   * Insert a trade record, attributing it to a signal when its client order ID names one
+   * @private
+   * @param {string} connectionId - Connection ID
+   * @param {Object} trade - Trade fields (broker symbol, direction, prices, lots, status, IDs, origin when known)
+   * @returns {Promise<Object>} Saved trade
+   */
+  async _saveTrade(connectionId, trade) {
+    const signal = trade.clientOrderId ? await this._findSignal(trade.clientOrderId) : null;
+
+    const saved = {
+      id: `trade_${uuidv4()}`,
+      symbol: this.brokerManager.instruments.toCanonical(connectionId, trade.symbol),
+      direction: trade.direction,
+      openPrice: trade.openPrice === undefined ? null : trade.openPrice,
+      closePrice: null,
+      stopLoss: trade.stopLoss || null,
+      takeProfit: trade.takeProfit || null,
+      lots: trade.lots,
+      profit: null,
+      openTime: trade.openTime || new Date().toISOString(),
+      closeTime: null,
+      strategy: signal ? signal.strategy : null,
+      status: trade.status,
+      brokerConnectionId: connectionId,
+      positionId: trade.positionId === null || trade.positionId === undefined ? null : String(trade.positionId),
+      orderId: trade.orderId === null || trade.orderId === undefined ? null : String(trade.orderId),
+      clientOrderId: trade.clientOrderId || null,
+      signalId: signal ? signal.id : null,
+      origin: trade.origin || (signal ? 'saitrapp' : 'external')
+    };
+
+    if (!(await this.dbManager.saveTradeHistory(saved))) {
+      throw new Error(`Could not save trade ${saved.id}`);
+    }
+
+    return saved;
+  }
+
+  /**
+   * Signal that a client order ID came from: executed signals use the signal ID, routed orders
+   * the ID of their signal_orders row
+   * @private
+   * @param {string} clientOrderId - Client order ID
+   * @returns {Promise<Object|null>} - { id, strategy } or null
+   */
+  async _findSignal(clientOrderId) {
+    const rows = await this.dbManager.executeSelect(
+      `SELECT id, strategy FROM trading_signals WHERE id = ?
+      UNION ALL
+      SELECT s.id, s.strategy FROM signal_orders o JOIN trading_signals s ON s.id = o.signal_id WHERE o.id = ?`,
+      [clientOrderId, clientOrderId]
+    );
+
+    return rows[0] || null;
+  }
+
+  /**
+   * Add a discrepancy to the report and the system log
+   * @private
+   * @param {Object} report - Report being built
+   * @param {string} type - Discrepancy type
+   * @param {string} message - Description
+   * @param {Object} details - Identifiers involved
+   */
+  async _discrepancy(report, type, message, details) {
+    report.discrepancies.push({ type, message, ...details });
+    await this.dbManager.logEvent('warning', `Reconciliation: ${message}`, {
+      connectionId: report.connectionId,
+      type,
+      ...details
+    });
+  }
+}
+
+module.exports = {
+  ReconciliationService,
+  DEFAULT_INTERVAL
+};
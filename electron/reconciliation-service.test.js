@@ -0,0 +1,194 @@
+// electron/reconciliation-service.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseManager = require('./database-manager');
+const TradeCopier = require('./trade-copier');
+const { ReconciliationService } = require('./reconciliation-service');
+const { toMetaTraderComment } = require('./order-model');
+
+const CONNECTION_ID = 'conn_demo';
+
+/**
+ * Reconciliation service over a temporary database and a broker whose state the test sets
+ * The trade copier only creates signal_orders, which client order IDs are looked up in.
+ * @param {TestContext} t - Test context; the database is removed when the test ends
+ * @param {string} type - Broker type of the test connection
+ * @returns {Promise<Object>} - { db, service, broker, signals } where broker holds positions and orders
+ */
+async function setup(t, type = 'demo') {
+  const file = path.join(os.tmpdir(), `saitrapp-reconcile-${process.pid}-${Date.now()}.db`);
+  const db = new DatabaseManager(file);
+  await db.initialize();
+
+  const broker = { positions: [], orders: [] };
+  const brokerAdapter = new EventEmitter();
+  brokerAdapter.activeConnections = new Map([[CONNECTION_ID, { type, instance: { getOrders() {} } }]]);
+  brokerAdapter.isConnectionActive = connectionId => brokerAdapter.activeConnections.has(connectionId);
+  brokerAdapter.executeMethod = async (connectionId, method) => (method === 'getPositions' ? broker.positions : broker.orders);
+
+  const brokerManager = { brokerAdapter, instruments: { toCanonical: (connectionId, symbol) => symbol } };
+  const signalManager = Object.assign(new EventEmitter(), { activeSignals: new Map() });
+
+  const copier = new TradeCopier(db, signalManager, brokerManager);
+  await copier.initialize();
+  copier.close();
+
+  const service = new ReconciliationService(db, brokerManager, signalManager, { interval: 0 });
+
+  t.after(async () => {
+    await db.closeDatabase();
+    fs.unlinkSync(file);
+  });
+
+  return { db, service, broker, signals: signalManager.activeSignals };
+}
+
+/**
+ * Record a trade as SAITRAPP would have before the link went down
+ * @param {DatabaseManager} db - Database
+ * @param {Object} trade - Fields overriding an open EURUSD buy on the test connection
+ * @returns {Promise<void>}
+ */
+async function seedTrade(db, trade) {
+  await db.saveTradeHistory({
+    symbol: 'EURUSD',
+    direction: 'BUY',
+    openPrice: 1.1,
+    lots: 1,
+    openTime: '2026-10-19T08:00:00.000Z',
+    status: 'open',
+    brokerConnectionId: CONNECTION_ID,
+    ...trade
+  });
+}
+
+/**
+ * Trade rows of the test connection keyed by ID
+ * @param {DatabaseManager} db - Database
+ * @returns {Promise<Object>} Rows
+ */
+async function tradesById(db) {
+  const rows = await db.executeSelect('SELECT * FROM trading_history WHERE broker_connection_id = ?', [CONNECTION_ID]);
+  return Object.fromEntries(rows.map(row => [row.id, row]));
+}
+
+test('imports unknown positions and orders and settles records the broker no longer holds', async (t) => {
+  const { db, service, broker } = await setup(t);
+  await seedTrade(db, { id: 'trade_open', positionId: '500' });
+  await seedTrade(db, { id: 'trade_pending', status: 'pending', orderId: '600', openPrice: 1.08 });
+
+  broker.positions = [{ positionId: 700, symbol: 'GBPUSD', direction: 'SELL', volume: 0.5, openPrice: 1.27, clientOrderId: null }];
+  broker.orders = [{ orderId: 800, symbol: 'EURUSD', direction: 'BUY', type: 'LIMIT', volume: 0.2, price: 1.07, status: 'pending' }];
+
+  const report = await service.reconcile(CONNECTION_ID);
+
+  assert.deepEqual(report.discrepancies.map(item => item.type), ['position_imported', 'position_closed', 'order_missing', 'order_imported']);
+  assert.equal(report.positions, 1);
+  assert.equal(report.orders, 1);
+
+  const trades = await tradesById(db);
+  assert.equal(trades.trade_open.status, 'closed');
+  assert.equal(trades.trade_pending.status, 'cancelled');
+
+  const imported = Object.values(trades).filter(trade => trade.origin === 'external');
+  assert.deepEqual(imported.map(trade => [trade.symbol, trade.status, trade.position_id, trade.order_id]).sort(), [
+    ['EURUSD', 'pending', null, '800'],
+    ['GBPUSD', 'open', '700', null]
+  ]);
+  assert.deepEqual(service.getLastReport(CONNECTION_ID), report);
+});
+
+test('matches a position to the pending order that opened it instead of importing it', async (t) => {
+  const { db, service, broker } = await setup(t);
+  await seedTrade(db, { id: 'trade_pending', status: 'pending', orderId: '600', lots: 0.3 });
+
+  broker.positions = [{ positionId: 600, symbol: 'EURUSD', direction: 'BUY', volume: 0.3, openPrice: 1.0995 }];
+
+  const report = await service.reconcile(CONNECTION_ID);
+  const trades = await tradesById(db);
+
+  assert.deepEqual(report.discrepancies.map(item => item.type), ['order_filled']);
+  assert.deepEqual(Object.keys(trades), ['trade_pending']);
+  assert.equal(trades.trade_pending.status, 'open');
+  assert.equal(trades.trade_pending.position_id, '600');
+  assert.equal(trades.trade_pending.open_price, 1.0995);
+});
+
+test('attributes a position opened by a routed order to its signal', async (t) => {
+  const { db, service, broker } = await setup(t);
+  await db.executeQuery("INSERT INTO trading_signals (id, symbol, direction, status, strategy) VALUES ('sig_1', 'EURUSD', 'BUY', 'active', 'breakout')");
+  await db.executeQuery(`INSERT INTO signal_orders (id, signal_id, connection_id, status) VALUES ('sigord_1', 'sig_1', '${CONNECTION_ID}', 'placed')`);
+
+  broker.positions = [{ positionId: 700, symbol: 'EURUSD', direction: 'BUY', volume: 1, openPrice: 1.1, clientOrderId: 'sigord_1' }];
+  broker.orders = [];
+
+  await service.reconcile(CONNECTION_ID);
+  const [trade] = Object.values(await tradesById(db));
+
+  assert.equal(trade.signal_id, 'sig_1');
+  assert.equal(trade.strategy, 'breakout');
+  assert.equal(trade.origin, 'saitrapp');
+});
+
+test('reads the client order ID of a MetaTrader position back from its comment', async (t) => {
+  const { db, service, broker } = await setup(t, 'mt5');
+  const signalOrderId = 'sigord_3f2b8c1e-9a4d-4c2b-8e11-0f5a6b7c8d9e';
+  await db.executeQuery("INSERT INTO trading_signals (id, symbol, direction, status, strategy) VALUES ('sig_1', 'EURUSD', 'BUY', 'active', 'breakout')");
+  await db.executeQuery(`INSERT INTO signal_orders (id, signal_id, connection_id, status) VALUES ('${signalOrderId}', 'sig_1', '${CONNECTION_ID}', 'placed')`);
+
+  // The terminal reports only the 31 character comment the order was sent with
+  const comment = toMetaTraderComment(signalOrderId);
+  assert.ok(comment.length <= 31);
+  broker.positions = [{ ticket: 700, symbol: 'EURUSD', type: 'BUY', volume: 1, priceOpen: 1.1, comment }];
+  broker.orders = [];
+
+  await service.reconcile(CONNECTION_ID);
+  const [trade] = Object.values(await tradesById(db));
+
+  assert.equal(trade.client_order_id, signalOrderId);
+  assert.equal(trade.signal_id, 'sig_1');
+  assert.equal(trade.strategy, 'breakout');
+});
+
+test('marks an active signal orphaned when none of its trades is open and clears the mark when one is', async (t) => {
+  const { db, service, broker, signals } = await setup(t);
+  await db.executeQuery("INSERT INTO trading_signals (id, symbol, direction, status, strategy) VALUES ('sig_1', 'EURUSD', 'BUY', 'active', 'breakout')");
+  signals.set('sig_1', { id: 'sig_1', symbol: 'EURUSD', status: 'active', orphaned_at: null });
+  await seedTrade(db, { id: 'trade_open', positionId: '500', clientOrderId: 'sig_1', signalId: 'sig_1' });
+
+  const orphaned = [];
+  service.on('signal-orphaned', event => orphaned.push(event));
+
+  // The stop was hit while the link was down
+  const report = await service.reconcile(CONNECTION_ID);
+  const [row] = await db.executeSelect("SELECT orphaned_at FROM trading_signals WHERE id = 'sig_1'");
+
+  assert.deepEqual(report.discrepancies.map(item => item.type), ['position_closed', 'signal_orphaned']);
+  assert.deepEqual(orphaned, [{ signalId: 'sig_1', connectionId: CONNECTION_ID }]);
+  assert.ok(row.orphaned_at);
+  assert.equal(signals.get('sig_1').orphaned_at, row.orphaned_at);
+
+  // Re-entered from the terminal with the signal's client order ID
+  broker.positions = [{ positionId: 501, symbol: 'EURUSD', direction: 'BUY', volume: 1, openPrice: 1.1, clientOrderId: 'sig_1' }];
+  await service.reconcile(CONNECTION_ID);
+  const [cleared] = await db.executeSelect("SELECT orphaned_at FROM trading_signals WHERE id = 'sig_1'");
+
+  assert.equal(cleared.orphaned_at, null);
+  assert.equal(signals.get('sig_1').orphaned_at, null);
+  assert.equal(orphaned.length, 1);
+});
+
+test('shares a run in progress and reports connections that are not active', async (t) => {
+  const { service } = await setup(t);
+
+  const first = service.reconcile(CONNECTION_ID);
+  assert.equal(service.reconcile(CONNECTION_ID), first);
+  await first;
+
+  await assert.rejects(service.reconcile('conn_missing'), { code: 'CONNECTION_NOT_ACTIVE' });
+  assert.match(service.getLastReport('conn_missing').error, /not active/);
+});
@@ -0,0 +1,252 @@
+// electron/runtime.js
+
+const path = require('path');
+const fs = require('fs');
+const EventEmitter = require('events');
+const DatabaseManager = require('./database-manager');
+const CredentialStore = require('./credential-store');
+const BrokerManager = require('./broker-manager');
+const SignalManager = require('./signal-manager');
+const ExternalSignalManager = require('./external-signal-manager');
+const TradeCopier = require('./trade-copier');
+const { ReconciliationService } = require('./reconciliation-service');
+const { FXIFYModeManager } = require('./fxify/fxify-mode-manager');
+
+// Minimum length of a master key read from the environment
+const MIN_MASTER_KEY_LENGTH = 32;
+
+/**
+ * Runtime builds the trading core (database, credentials, brokers, signals,
+ * external signal sources, signal routing, trade reconciliation and FXIFY mode) without depending on Electron
+ * Used by the desktop app (electron/main.js) and the headless backend (server.js)
+ */
+class Runtime extends EventEmitter {
+  /**
+   * Create a new Runtime instance
+   * @param {Object} options - Runtime options
+   * @param {string} options.dataDir - Directory holding the database and the credential file
+   * @param {string} options.masterKey - Master key for the database and credential store
+   * @param {string} [options.dbPath] - Database path (defaults to <dataDir>/saitrapp.db)
+   * @param {string} [options.credentialsPath] - Encrypted credential file (defaults to <dataDir>/credentials.enc)
+   * @param {string} [options.credentialBackend] - 'auto' (system keychain with file fallback) or 'file'
+   * @param {Object} [options.webhookIngress] - Shared webhook ingress passed to ExternalSignalManager
+   * @param {number} [options.reconciliationInterval] - Milliseconds between periodic reconciliations (0 disables them)
+   */
+  constructor(options = {}) {
+    super();
+    this.dataDir = options.dataDir;
+    this.masterKey = options.masterKey;
+    this.dbPath = options.dbPath || path.join(this.dataDir, 'saitrapp.db');
+    this.credentialsPath = options.credentialsPath || path.join(this.dataDir, 'credentials.enc');
+    this.credentialBackend = options.credentialBackend || 'auto';
+    this.webhookIngress = options.webhookIngress || null;
+    this.reconciliationInterval = options.reconciliationInterval;
+
+    this.dbManager = null;
+    this.credStore = null;
+    this.brokerManager = null;
+    this.signalManager = null;
+    this.externalSignalManager = null;
+    this.tradeCopier = null;
+    this.reconciliation = null;
+    this.fxifyModeManager = null;
+    this.isInitialized = false;
+    this.startedAt = null;
+    this.connectionsRestored = null;
+  }
+
+  /**
+   * Read the headless runtime options from environment variables
+   * SAITRAPP_DATA_DIR, SAITRAPP_MASTER_KEY, SAITRAPP_CREDENTIAL_BACKEND (defaults to 'file') and
+   * SAITRAPP_RECONCILE_INTERVAL_MINUTES
+   * @param {Object} env - Environment variables
+   * @returns {Object} Runtime options
+   */
+  static optionsFromEnv(env = process.env) {
+    const masterKey = env.SAITRAPP_MASTER_KEY;
+    if (!masterKey || masterKey.length < MIN_MASTER_KEY_LENGTH) {
+      throw new Error(`SAITRAPP_MASTER_KEY must be set to at least ${MIN_MASTER_KEY_LENGTH} characters`);
+    }
+
+    const credentialBackend = env.SAITRAPP_CREDENTIAL_BACKEND || 'file';
+    if (!['auto', 'file'].includes(credentialBackend)) {
+      throw new Error(`Unsupported SAITRAPP_CREDENTIAL_BACKEND: ${credentialBackend}`);
+    }
+
+    const reconcileMinutes = parseFloat(env.SAITRAPP_RECONCILE_INTERVAL_MINUTES);
+
+    return {
+      dataDir: env.SAITRAPP_DATA_DIR || path.join(env.APPDATA || env.HOME, 'saitrapp'),
+      masterKey,
+      credentialBackend,
+      reconciliationInterval: Number.isFinite(reconcileMinutes) ? reconcileMinutes * 60 * 1000 : undefined
+    };
+  }
+
+  /**
+   * Open the database and credential store and start the managers
+   * @returns {Promise<boolean>} Success status
+   */
+  async initialize() {
+    try {
+      if (!fs.existsSync(this.dataDir)) {
+        fs.mkdirSync(this.dataDir, { recursive: true });
+      }
+
+      this.dbManager = new DatabaseManager(this.dbPath);
+      const dbInitialized = await this.dbManager.initialize(this.masterKey);
+      if (!dbInitialized) {
+        throw new Error(`Could not initialize database at ${this.dbPath}`);
+      }
+
+      this.credStore = new CredentialStore('SAITRAPP', this.masterKey, {
+        storePath: this.credentialsPath,
+        backend: this.credentialBackend
+      });
+      const credStoreInitialized = await this.credStore.initialize(this.masterKey);
+      if (!credStoreInitialized) {
+        throw new Error(`Could not open credential store at ${this.credentialsPath}`);
+      }
+
+      this.brokerManager = new BrokerManager(this.dbManager, this.credStore);
+      const brokersInitialized = await this.brokerManager.initialize();
+      if (!brokersInitialized) {
+        throw new Error('Could not initialize broker manager');
+      }
+
+      this.signalManager = new SignalManager(this.dbManager, this.brokerManager);
+      await this.signalManager.initialize();
+
+      this.externalSignalManager = new ExternalSignalManager(this.dbManager, this.signalManager, {
+        webhookIngress: this.webhookIngress
+      });
+      await this.externalSignalManager.initialize();
+
+      // Routing rules send signals to several broker connections
+      this.tradeCopier = new TradeCopier(this.dbManager, this.signalManager, this.brokerManager);
+      const copierInitialized = await this.tradeCopier.initialize();
+      if (!copierInitialized) {
+        throw new Error('Could not initialize trade copier');
+      }
+
+      // Trade records follow the brokers; they are reconciled after every (re)connect and on a timer
+      this.reconciliation = new ReconciliationService(this.dbManager, this.brokerManager, this.signalManager, {
+        interval: this.reconciliationInterval
+      });
+      this.reconciliation.initialize();
+
+      // FXIFY profiles live next to the database; a failure here does not stop the core
+      this.fxifyModeManager = new FXIFYModeManager({ dataPath: path.join(this.dataDir, 'fxify') });
+      await this.fxifyModeManager.initialize();
+      this._trackFxifyAccounts();
+
+      this.isInitialized = true;
+      this.startedAt = new Date();
+      await this.dbManager.logEvent('info', 'Application services initialized successfully');
+      this.emit('initialized');
+
+      // Broker terminals can take a while to answer; startup does not wait for them
+      this.connectionsRestored = this.brokerManager.restoreActiveConnections()
+        .then(summary => {
+          this.emit('connections-restored', summary);
+          return summary;
+        })
+        .catch(error => {
+          console.error('Failed to restore active broker connections:', error);
+          return { restored: [], failed: [] };
+        });
+
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize runtime:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Feed the FXIFY drawdown monitor from the account snapshots of connections created with
+   * fxifyAccount set, so the rules apply to any broker type (the demo account included) and
+   * not only to the FXIFY MT5 adapter
+   * @private
+   */
+  _trackFxifyAccounts() {
+    const brokerAdapter = this.brokerManager.brokerAdapter;
+    const monitored = new Set();
+
+    brokerAdapter.on('account', async snapshot => {
+      const connection = brokerAdapter.activeConnections.get(snapshot.connectionId);
+      if (!connection || !connection.config.fxifyAccount || typeof snapshot.balance !== 'number') {
+        return;
+      }
+
+      if (!this.fxifyModeManager.isFXIFYModeActive()) {
+        monitored.delete(snapshot.connectionId);
+        return;
+      }
+
+      try {
+        if (!monitored.has(snapshot.connectionId)) {
+          monitored.add(snapshot.connectionId);
+          await this.fxifyModeManager.initializeDrawdownMonitor(snapshot.balance);
+        }
+        await this.fxifyModeManager.updateBalance(snapshot.balance, typeof snapshot.equity === 'number' ? snapshot.equity : snapshot.balance);
+      } catch (error) {
+        console.error('Failed to update FXIFY drawdown monitoring:', error);
+      }
+    });
+  }
+
+  /**
+   * Stop signal sources, disconnect brokers and close the database
+   * @param {Object} options - Shutdown options
+   * @param {boolean} options.optimize - Run VACUUM and an integrity check before closing
+   * @returns {Promise<void>}
+   */
+  async shutdown(options = {}) {
+    if (this.externalSignalManager) {
+      await this.externalSignalManager.stopAllSources();
+    }
+
+    if (this.tradeCopier) {
+      this.tradeCopier.close();
+    }
+
+    if (this.reconciliation) {
+      this.reconciliation.close();
+    }
+
+    if (this.brokerManager) {
+      const brokerAdapter = this.brokerManager.brokerAdapter;
+      for (const connection of brokerAdapter.getActiveConnections()) {
+        // Also cancels reconnects in progress; is_active stays set so the next start restores it
+        if (connection.state !== 'disconnected') {
+          try {
+            await brokerAdapter.disconnect(connection.id);
+          } catch (error) {
+            console.error(`Error disconnecting from ${connection.id}:`, error);
+          }
+        }
+      }
+    }
+
+    if (this.dbManager && this.dbManager.db) {
+      try {
+        await this.dbManager.logEvent('info', 'Application shutdown initiated');
+
+        if (options.optimize) {
+          const optimizationResult = await this.dbManager.optimize();
+          console.log('Database optimization result:', optimizationResult);
+        }
+
+        await this.dbManager.closeDatabase();
+      } catch (error) {
+        console.error('Error during database shutdown:', error);
+      }
+    }
+
+    this.isInitialized = false;
+    this.emit('shutdown');
+  }
+}
+
+module.exports = Runtime;
@@ -0,0 +1,88 @@
+// electron/schema-validator.js
+
+const Ajv = require('ajv/dist/2020');
+const { createError } = require('./errors');
+const { schemas } = require('./schemas');
+
+// Registered under one root document so #/components/schemas/... references resolve
+const ROOT_ID = 'saitrapp';
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+ajv.addKeyword('components');
+ajv.addSchema({ $id: ROOT_ID, components: { schemas } });
+
+/**
+ * Validate data against a shared schema
+ * @param {string} name - Schema name (key of schemas)
+ * @param {*} data - Data to validate
+ * @returns {Object} - { valid, errors } with errors as { path, message } pairs
+ */
+function validate(name, data) {
+  const validator = ajv.getSchema(`${ROOT_ID}#/components/schemas/${name}`);
+
+  if (!schemas[name] || !validator) {
+    throw new Error(`Unknown schema: ${name}`);
+  }
+
+  if (validator(data)) {
+    return { valid: true, errors: [] };
+  }
+
+  return { valid: false, errors: validator.errors.map(formatError) };
+}
+
+/**
+ * Validate data against a schema that is not one of the shared ones (e.g. a broker's config schema)
+ * Compiled validators are cached by Ajv, so repeated calls with the same schema object are cheap
+ * @param {Object} schema - JSON Schema
+ * @param {*} data - Data to validate
+ * @returns {Object} - { valid, errors } with errors as { path, message } pairs
+ */
+function validateWith(schema, data) {
+  const validator = ajv.compile(schema);
+
+  if (validator(data)) {
+    return { valid: true, errors: [] };
+  }
+
+  return { valid: false, errors: validator.errors.map(formatError) };
+}
+
+/**
+ * Validate data against a shared schema and throw when it does not match
+ * @param {string} name - Schema name (key of schemas)
+ * @param {*} data - Data to validate
+ * @param {string} label - Name of the payload used in the error message
+ * @throws {Error} VALIDATION_FAILED error with the issues in error.details
+ */
+function assertValid(name, data, label = name) {
+  const { valid, errors } = validate(name, data);
+
+  if (!valid) {
+    const summary = errors.map(issue => `${issue.path} ${issue.message}`).join('; ');
+    const error = createError('VALIDATION_FAILED', `Invalid ${label}: ${summary}`);
+    error.details = errors;
+    throw error;
+  }
+}
+
+/**
+ * Turn an Ajv error into a { path, message } pair
+ * @private
+ * @param {Object} error - Ajv error object
+ * @returns {Object} Validation issue
+ */
+function formatError(error) {
+  // Point missing properties at the property itself rather than its parent
+  if (error.keyword === 'required') {
+    return { path: `${error.instancePath}/${error.params.missingProperty}`, message: 'is required' };
+  }
+
+  return { path: error.instancePath || '/', message: error.message };
+}
+
+module.exports = {
+  validate,
+  validateWith,
+  assertValid
+};
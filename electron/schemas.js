@@ -0,0 +1,771 @@
+// electron/schemas.js
+
+/**
+ * JSON Schemas shared by the HTTP API, its OpenAPI document and the IPC handlers
+ * Schemas reference each other through #/components/schemas/<Name>, so the same objects
+ * are valid inside the OpenAPI document and in the schema validator.
+ * Cross-field rules (stop loss below price for a BUY, supported broker types, ...) stay
+ * in the managers; the schemas only describe the shape of each payload.
+ */
+
+const SIGNAL_STATUSES = ['pending', 'active', 'filled', 'closed', 'rejected', 'expired', 'cancelled'];
+
+const ORDER_TYPES = ['MARKET', 'LIMIT', 'STOP'];
+
+// Order states reported by the canonical order events
+const ORDER_STATUSES = ['submitted', 'pending', 'partially_filled', 'filled', 'cancelled', 'rejected', 'expired'];
+
+// MetaTrader truncates order comments past 31 characters
+const MAX_ORDER_COMMENT_LENGTH = 31;
+
+// Features a broker implementation may support
+const BROKER_CAPABILITIES = ['pendingOrders', 'partialClose', 'hedging', 'historicalData'];
+
+// How the trade copier sizes the order sent to each target connection
+const SIZING_MODES = ['fixed', 'multiplier', 'risk', 'equityRatio'];
+
+const API_KEY_SCOPES = [
+  'signals:read',
+  'signals:write',
+  'brokers:read',
+  'brokers:write',
+  'events:read',
+  'system:read'
+];
+
+/**
+ * Build a reference to another shared schema
+ * @param {string} name - Schema name
+ * @returns {Object} $ref object
+ */
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+const nullableNumber = { type: ['number', 'null'] };
+
+const schemas = {
+  SignalStatus: {
+    type: 'string',
+    enum: SIGNAL_STATUSES
+  },
+
+  // Body accepted by SignalManager.addSignal; omitted fields get the manager defaults
+  // Signals always start as pending and only move on through the status transitions
+  SignalInput: {
+    type: 'object',
+    required: ['symbol'],
+    properties: {
+      id: { type: 'string', minLength: 1 },
+      symbol: { type: 'string', minLength: 1 },
+      direction: { type: 'string', enum: ['BUY', 'SELL', 'buy', 'sell'] },
+      price: nullableNumber,
+      stopLoss: nullableNumber,
+      takeProfit: nullableNumber,
+      timestamp: { type: 'string' },
+      strategy: { type: 'string' },
+      reasoning: { type: 'string' },
+      reliability: { type: 'number', minimum: 0, maximum: 100 },
+      source: { type: 'string', minLength: 1 },
+      tags: { type: 'array', items: { type: 'string', minLength: 1 } }
+    }
+  },
+
+  // Signal returned by addSignal and published on the signals event topic
+  Signal: {
+    type: 'object',
+    required: ['id', 'symbol', 'direction', 'price', 'stopLoss', 'takeProfit', 'timestamp', 'status', 'strategy', 'reasoning', 'reliability'],
+    properties: {
+      id: { type: 'string' },
+      symbol: { type: 'string' },
+      direction: { type: 'string', enum: ['BUY', 'SELL'] },
+      price: nullableNumber,
+      stopLoss: nullableNumber,
+      takeProfit: nullableNumber,
+      timestamp: { type: 'string' },
+      status: ref('SignalStatus'),
+      strategy: { type: 'string' },
+      reasoning: { type: 'string' },
+      reliability: { type: 'number' },
+      source: { type: ['string', 'null'] },
+      tags: { type: 'array', items: { type: 'string' } }
+    }
+  },
+
+  // Row of the trading_signals table, as returned by getRecentSignals and getSignalDetails
+  SignalRecord: {
+    type: 'object',
+    required: ['id', 'symbol', 'direction', 'status'],
+    properties: {
+      id: { type: 'string' },
+      symbol: { type: 'string' },
+      direction: { type: 'string' },
+      price: nullableNumber,
+      stop_loss: nullableNumber,
+      take_profit: nullableNumber,
+      timestamp: { type: ['string', 'null'] },
+      status: { type: ['string', 'null'] },
+      strategy: { type: ['string', 'null'] },
+      reasoning: { type: ['string', 'null'] },
+      reliability: nullableNumber,
+      source: { type: ['string', 'null'] },
+      tags: { type: ['string', 'null'], description: 'JSON array of tags' }
+    }
+  },
+
+  SignalStatusUpdate: {
+    type: 'object',
+    required: ['status'],
+    properties: {
+      status: ref('SignalStatus'),
+      additionalData: { type: 'object' }
+    }
+  },
+
+  // IPC form of SignalStatusUpdate, which carries the signal ID in the payload
+  SignalStatusChange: {
+    type: 'object',
+    required: ['signalId', 'newStatus'],
+    properties: {
+      signalId: { type: 'string', minLength: 1 },
+      newStatus: ref('SignalStatus'),
+      additionalData: { type: 'object' }
+    }
+  },
+
+  SignalStatusResult: {
+    type: 'object',
+    required: ['signalId', 'previousStatus', 'newStatus'],
+    properties: {
+      signalId: { type: 'string' },
+      previousStatus: ref('SignalStatus'),
+      newStatus: ref('SignalStatus')
+    }
+  },
+
+  // What a broker implementation can do, declared in its descriptor
+  BrokerCapabilities: {
+    type: 'object',
+    required: BROKER_CAPABILITIES,
+    properties: Object.fromEntries(BROKER_CAPABILITIES.map(capability => [capability, { type: 'boolean' }]))
+  },
+
+  // A credential stored in the credential store; configKey names the connect() setting it fills
+  BrokerCredential: {
+    type: 'object',
+    required: ['required', 'label'],
+    properties: {
+      required: { type: 'boolean' },
+      label: { type: 'string' },
+      configKey: { type: 'string' }
+    }
+  },
+
+  // Declared by every broker implementation as its static descriptor
+  BrokerDescriptor: {
+    type: 'object',
+    required: ['id', 'name', 'credentials', 'configSchema', 'capabilities'],
+    properties: {
+      id: { type: 'string', pattern: '^[a-z0-9-]+$' },
+      name: { type: 'string', minLength: 1 },
+      aliases: { type: 'array', items: { type: 'string' } },
+      credentials: {
+        type: 'object',
+        properties: {
+          apiKey: ref('BrokerCredential'),
+          apiSecret: ref('BrokerCredential')
+        },
+        additionalProperties: false
+      },
+      configSchema: { type: 'object' },
+      capabilities: ref('BrokerCapabilities')
+    }
+  },
+
+  // Entry of BrokerManager.getSupportedBrokers
+  SupportedBroker: {
+    type: 'object',
+    required: ['id', 'name', 'apiKeyRequired', 'apiSecretRequired', 'credentials', 'configSchema', 'capabilities'],
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      apiKeyRequired: { type: 'boolean' },
+      apiSecretRequired: { type: 'boolean' },
+      credentials: { type: 'object' },
+      configSchema: { type: 'object' },
+      capabilities: ref('BrokerCapabilities')
+    }
+  },
+
+  // Parameters of BrokerManager.addBrokerConnection
+  BrokerConnectionInput: {
+    type: 'object',
+    required: ['name', 'brokerType'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      brokerType: { type: 'string', minLength: 1 },
+      apiKey: { type: 'string' },
+      apiSecret: { type: 'string' },
+      additionalParams: { type: 'object' }
+    }
+  },
+
+  // Updates accepted by BrokerManager.updateBrokerConnection
+  BrokerConnectionUpdate: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      apiKey: { type: 'string' },
+      apiSecret: { type: 'string' },
+      additionalParams: { type: 'object' },
+      isActive: { type: 'boolean' }
+    }
+  },
+
+  BrokerConnectionCreated: {
+    type: 'object',
+    required: ['success', 'connectionId', 'name', 'brokerType'],
+    properties: {
+      success: { type: 'boolean' },
+      connectionId: { type: 'string' },
+      name: { type: 'string' },
+      brokerType: { type: 'string' }
+    }
+  },
+
+  // Item of the connection list returned by getBrokerConnections
+  BrokerConnectionSummary: {
+    type: 'object',
+    required: ['id', 'name', 'brokerType', 'isActive', 'hasCredentials'],
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      brokerType: { type: 'string' },
+      isActive: { type: 'boolean' },
+      createdAt: { type: ['string', 'null'] },
+      lastConnected: { type: ['string', 'null'] },
+      hasCredentials: { type: 'boolean' }
+    }
+  },
+
+  // Connection as returned by the API: credentials removed, sensitive params masked
+  BrokerConnection: {
+    type: 'object',
+    required: ['id', 'name', 'brokerType', 'connected'],
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      brokerType: { type: 'string' },
+      isActive: { type: 'boolean' },
+      createdAt: { type: ['string', 'null'] },
+      lastConnected: { type: ['string', 'null'] },
+      hasCredentials: { type: 'boolean' },
+      additionalParams: { type: 'object' },
+      connected: { type: 'boolean' }
+    }
+  },
+
+  // Canonical order accepted by BrokerAdapter.placeOrder on any connection
+  OrderInput: {
+    type: 'object',
+    required: ['symbol', 'direction', 'volume'],
+    properties: {
+      symbol: { type: 'string', minLength: 1 },
+      direction: { type: 'string', enum: ['BUY', 'SELL', 'buy', 'sell'] },
+      type: { type: 'string', enum: [...ORDER_TYPES, ...ORDER_TYPES.map(type => type.toLowerCase())] },
+      volume: { type: 'number', exclusiveMinimum: 0 },
+      price: { type: ['number', 'null'], exclusiveMinimum: 0 },
+      stopLoss: nullableNumber,
+      takeProfit: nullableNumber,
+      clientOrderId: { type: 'string', minLength: 1, maxLength: 64 },
+      comment: { type: 'string', maxLength: MAX_ORDER_COMMENT_LENGTH },
+      expiresAt: { type: ['string', 'null'] },
+      // Interactive Brokers only: trade this contract instead of the one derived from symbol
+      contract: { type: 'object' }
+    }
+  },
+
+  OrderModification: {
+    type: 'object',
+    minProperties: 1,
+    properties: {
+      price: { type: 'number', exclusiveMinimum: 0 },
+      stopLoss: nullableNumber,
+      takeProfit: nullableNumber
+    },
+    additionalProperties: false
+  },
+
+  PositionClose: {
+    type: 'object',
+    properties: {
+      volume: { type: 'number', exclusiveMinimum: 0 }
+    }
+  },
+
+  OrderResult: {
+    type: 'object',
+    required: ['orderId', 'clientOrderId', 'status', 'brokerType'],
+    properties: {
+      orderId: { type: ['string', 'number', 'null'] },
+      clientOrderId: { type: ['string', 'null'] },
+      status: { type: 'string' },
+      brokerType: { type: 'string' },
+      raw: {}
+    }
+  },
+
+  // One difference between the broker and the trade records, with the IDs involved
+  ReconciliationDiscrepancy: {
+    type: 'object',
+    required: ['type', 'message'],
+    properties: {
+      type: {
+        type: 'string',
+        enum: ['position_imported', 'position_closed', 'volume_mismatch', 'order_filled', 'order_missing', 'order_imported', 'signal_orphaned']
+      },
+      message: { type: 'string' },
+      tradeId: { type: 'string' },
+      positionId: { type: ['string', 'number', 'null'] },
+      orderId: { type: ['string', 'number', 'null'] },
+      signalId: { type: 'string' },
+      origin: { type: 'string', enum: ['saitrapp', 'external'] }
+    }
+  },
+
+  // orders and executions are null for brokers that cannot list them; error is set when the run failed
+  ReconciliationReport: {
+    type: 'object',
+    required: ['connectionId', 'startedAt', 'discrepancies'],
+    properties: {
+      connectionId: { type: 'string' },
+      startedAt: { type: 'string' },
+      finishedAt: { type: ['string', 'null'] },
+      positions: { type: 'integer' },
+      orders: { type: ['integer', 'null'] },
+      executions: { type: ['integer', 'null'] },
+      discrepancies: { type: 'array', items: ref('ReconciliationDiscrepancy') },
+      error: { type: 'string' }
+    }
+  },
+
+  SymbolMappingInput: {
+    type: 'object',
+    required: ['brokerSymbol'],
+    properties: {
+      brokerSymbol: { type: 'string', minLength: 1, maxLength: 64 }
+    }
+  },
+
+  // SAITRAPP symbol -> broker symbol, as set by the user and as detected in the broker's symbol list
+  SymbolMap: {
+    type: 'object',
+    required: ['manual', 'detected'],
+    properties: {
+      manual: { type: 'object', additionalProperties: { type: 'string' } },
+      detected: { type: 'object', additionalProperties: { type: 'string' } }
+    }
+  },
+
+  // Instrument as traded on one connection; source 'default' when the broker could not describe it
+  InstrumentSpec: {
+    type: 'object',
+    required: ['symbol', 'brokerSymbol', 'digits', 'point', 'pipSize', 'contractSize', 'minVolume', 'volumeStep', 'source'],
+    properties: {
+      symbol: { type: 'string' },
+      brokerSymbol: { type: 'string' },
+      digits: { type: 'integer', minimum: 0 },
+      point: { type: 'number' },
+      pipSize: { type: 'number' },
+      contractSize: { type: 'number' },
+      minVolume: { type: 'number' },
+      maxVolume: nullableNumber,
+      volumeStep: { type: 'number' },
+      stopLevel: { type: 'number', description: 'Minimum stop distance in points' },
+      tickSize: nullableNumber,
+      tickValue: { type: ['number', 'null'], description: 'Value of one tick for one lot, in the account currency' },
+      baseCurrency: { type: ['string', 'null'] },
+      marginCurrency: { type: ['string', 'null'] },
+      profitCurrency: { type: ['string', 'null'] },
+      source: { type: 'string', enum: ['broker', 'default'] }
+    }
+  },
+
+  // OHLC bar from the local history store; time is the bar open time in UTC
+  PriceBar: {
+    type: 'object',
+    required: ['time', 'open', 'high', 'low', 'close'],
+    properties: {
+      time: { type: 'string' },
+      open: { type: 'number' },
+      high: { type: 'number' },
+      low: { type: 'number' },
+      close: { type: 'number' },
+      tickVolume: nullableNumber,
+      realVolume: nullableNumber,
+      spread: { type: ['integer', 'null'], description: 'Spread in points' }
+    }
+  },
+
+  // Options of SignalManager.executeSignal; the signal supplies symbol, direction and levels
+  SignalExecution: {
+    type: 'object',
+    required: ['connectionId', 'volume'],
+    properties: {
+      connectionId: { type: 'string', minLength: 1 },
+      volume: { type: 'number', exclusiveMinimum: 0 },
+      type: { type: 'string', enum: ORDER_TYPES }
+    }
+  },
+
+  SignalExecutionResult: {
+    type: 'object',
+    required: ['signalId', 'connectionId', 'order'],
+    properties: {
+      signalId: { type: 'string' },
+      connectionId: { type: 'string' },
+      order: ref('OrderResult')
+    }
+  },
+
+  // Volume of a routed order: fixed lots, a multiple of the base volume, a share of the target
+  // account's equity at risk between entry and stop loss, or the base volume scaled by
+  // target equity / referenceEquity. The result is rounded down to volumeStep. contractSize and
+  // the volume limits default to the target connection's InstrumentSpec.
+  PositionSizing: {
+    type: 'object',
+    required: ['mode'],
+    properties: {
+      mode: { type: 'string', enum: SIZING_MODES },
+      volume: { type: 'number', exclusiveMinimum: 0 },
+      multiplier: { type: 'number', exclusiveMinimum: 0 },
+      riskPercent: { type: 'number', exclusiveMinimum: 0, maximum: 100 },
+      referenceEquity: { type: 'number', exclusiveMinimum: 0 },
+      contractSize: { type: 'number', exclusiveMinimum: 0 },
+      volumeStep: { type: 'number', exclusiveMinimum: 0 },
+      minVolume: { type: 'number', exclusiveMinimum: 0 },
+      maxVolume: { type: 'number', exclusiveMinimum: 0 }
+    },
+    allOf: [
+      { if: { properties: { mode: { const: 'fixed' } } }, then: { required: ['volume'] } },
+      { if: { properties: { mode: { const: 'multiplier' } } }, then: { required: ['multiplier'] } },
+      { if: { properties: { mode: { const: 'risk' } } }, then: { required: ['riskPercent'] } },
+      { if: { properties: { mode: { const: 'equityRatio' } } }, then: { required: ['referenceEquity'] } }
+    ]
+  },
+
+  RouteTarget: {
+    type: 'object',
+    required: ['connectionId', 'sizing'],
+    properties: {
+      connectionId: { type: 'string', minLength: 1 },
+      sizing: ref('PositionSizing')
+    }
+  },
+
+  // Every non-empty list must match (tags: at least one in common); an empty match takes every signal
+  SignalRouteMatch: {
+    type: 'object',
+    properties: {
+      strategies: { type: 'array', items: { type: 'string', minLength: 1 } },
+      sources: { type: 'array', items: { type: 'string', minLength: 1 } },
+      symbols: { type: 'array', items: { type: 'string', minLength: 1 } },
+      tags: { type: 'array', items: { type: 'string', minLength: 1 } }
+    }
+  },
+
+  SignalRouteInput: {
+    type: 'object',
+    required: ['name', 'targets'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      isActive: { type: 'boolean' },
+      priority: { type: 'integer' },
+      match: ref('SignalRouteMatch'),
+      targets: { type: 'array', minItems: 1, items: ref('RouteTarget') },
+      baseVolume: { type: 'number', exclusiveMinimum: 0 },
+      orderType: { type: 'string', enum: ORDER_TYPES },
+      autoExecute: { type: 'boolean' }
+    }
+  },
+
+  SignalRouteUpdate: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      isActive: { type: 'boolean' },
+      priority: { type: 'integer' },
+      match: ref('SignalRouteMatch'),
+      targets: { type: 'array', minItems: 1, items: ref('RouteTarget') },
+      baseVolume: { type: ['number', 'null'], exclusiveMinimum: 0 },
+      orderType: { type: 'string', enum: ORDER_TYPES },
+      autoExecute: { type: 'boolean' }
+    }
+  },
+
+  // Parameters of ExternalSignalManager.addSignalSource; the manager checks sourceType against its supported types
+  ExternalSourceInput: {
+    type: 'object',
+    required: ['name', 'sourceType'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      sourceType: { type: 'string', minLength: 1 },
+      config: { type: 'object' }
+    }
+  },
+
+  // Updates accepted by ExternalSignalManager.updateSignalSource
+  ExternalSourceUpdate: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      config: { type: 'object' },
+      isActive: { type: 'boolean' }
+    }
+  },
+
+  SignalRoute: {
+    type: 'object',
+    required: ['id', 'name', 'isActive', 'priority', 'match', 'targets', 'baseVolume', 'orderType', 'autoExecute'],
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      isActive: { type: 'boolean' },
+      priority: { type: 'integer' },
+      match: ref('SignalRouteMatch'),
+      targets: { type: 'array', items: ref('RouteTarget') },
+      baseVolume: nullableNumber,
+      orderType: { type: 'string', enum: ORDER_TYPES },
+      autoExecute: { type: 'boolean' },
+      createdAt: { type: ['string', 'null'] },
+      updatedAt: { type: ['string', 'null'] }
+    }
+  },
+
+  // Body of POST /api/routing/signals/:signalId; volume is the base volume for multiplier and equityRatio targets
+  SignalRouting: {
+    type: 'object',
+    properties: {
+      volume: { type: 'number', exclusiveMinimum: 0 },
+      type: { type: 'string', enum: ORDER_TYPES },
+      routeIds: { type: 'array', items: { type: 'string', minLength: 1 } }
+    }
+  },
+
+  // One target of a routed signal, with its own result
+  SignalOrder: {
+    type: 'object',
+    required: ['id', 'signalId', 'routeId', 'connectionId', 'status'],
+    properties: {
+      id: { type: 'string' },
+      signalId: { type: 'string' },
+      routeId: { type: 'string' },
+      connectionId: { type: 'string' },
+      symbol: { type: 'string' },
+      direction: { type: 'string' },
+      volume: nullableNumber,
+      sizingMode: { type: 'string', enum: SIZING_MODES },
+      status: { type: 'string', enum: ['placed', 'failed'] },
+      orderId: { type: ['string', 'number', 'null'] },
+      orderStatus: { type: ['string', 'null'] },
+      error: { type: ['string', 'null'] },
+      createdAt: { type: ['string', 'null'] }
+    }
+  },
+
+  SignalRoutingResult: {
+    type: 'object',
+    required: ['signalId', 'orders'],
+    properties: {
+      signalId: { type: 'string' },
+      orders: { type: 'array', items: ref('SignalOrder') },
+      skipped: { type: 'array', items: { type: 'string' }, description: 'Connections that already held an order for the signal' }
+    }
+  },
+
+  // Canonical broker events emitted by BrokerAdapter (see broker-events.js) and streamed on /api/events
+  BrokerEvent: {
+    type: 'object',
+    required: ['connectionId', 'brokerType', 'timestamp', 'receivedAt'],
+    properties: {
+      connectionId: { type: 'string' },
+      brokerType: { type: 'string' },
+      timestamp: { type: 'string' },
+      receivedAt: { type: 'string' }
+    }
+  },
+
+  TickEvent: {
+    allOf: [ref('BrokerEvent'), {
+      type: 'object',
+      required: ['symbol'],
+      properties: {
+        symbol: { type: ['string', 'null'] },
+        bid: nullableNumber,
+        ask: nullableNumber,
+        last: nullableNumber
+      }
+    }]
+  },
+
+  PositionEvent: {
+    allOf: [ref('BrokerEvent'), {
+      type: 'object',
+      required: ['positionId', 'symbol', 'direction', 'volume', 'status'],
+      properties: {
+        positionId: { type: ['string', 'number', 'null'] },
+        clientOrderId: { type: ['string', 'null'] },
+        symbol: { type: ['string', 'null'] },
+        direction: { enum: ['BUY', 'SELL', null] },
+        volume: nullableNumber,
+        openPrice: nullableNumber,
+        currentPrice: nullableNumber,
+        stopLoss: nullableNumber,
+        takeProfit: nullableNumber,
+        profit: nullableNumber,
+        status: { type: 'string', enum: ['open', 'closed'] }
+      }
+    }]
+  },
+
+  OrderEvent: {
+    allOf: [ref('BrokerEvent'), {
+      type: 'object',
+      required: ['orderId', 'symbol', 'direction', 'type', 'status'],
+      properties: {
+        orderId: { type: ['string', 'number', 'null'] },
+        clientOrderId: { type: ['string', 'null'] },
+        symbol: { type: ['string', 'null'] },
+        direction: { enum: ['BUY', 'SELL', null] },
+        type: { type: 'string', enum: ORDER_TYPES },
+        volume: nullableNumber,
+        filledVolume: nullableNumber,
+        price: nullableNumber,
+        status: { type: 'string', enum: ORDER_STATUSES }
+      }
+    }]
+  },
+
+  FillEvent: {
+    allOf: [ref('BrokerEvent'), {
+      type: 'object',
+      required: ['symbol', 'direction', 'volume', 'price'],
+      properties: {
+        orderId: { type: ['string', 'number', 'null'] },
+        executionId: { type: ['string', 'null'] },
+        positionId: { type: ['string', 'number', 'null'] },
+        symbol: { type: ['string', 'null'] },
+        direction: { enum: ['BUY', 'SELL', null] },
+        volume: { type: 'number' },
+        price: nullableNumber,
+        commission: nullableNumber,
+        profit: nullableNumber
+      }
+    }]
+  },
+
+  AccountSnapshot: {
+    allOf: [ref('BrokerEvent'), {
+      type: 'object',
+      required: ['balance', 'equity'],
+      properties: {
+        accountId: { type: ['string', 'number', 'null'] },
+        currency: { type: ['string', 'null'] },
+        balance: nullableNumber,
+        equity: nullableNumber,
+        margin: nullableNumber,
+        freeMargin: nullableNumber,
+        profit: nullableNumber,
+        realizedProfit: nullableNumber,
+        dailyProfit: nullableNumber
+      }
+    }]
+  },
+
+  Credentials: {
+    type: 'object',
+    required: ['username', 'password'],
+    properties: {
+      username: { type: 'string', minLength: 1 },
+      password: { type: 'string', minLength: 1 }
+    }
+  },
+
+  Session: {
+    type: 'object',
+    required: ['token', 'expiresAt', 'user'],
+    properties: {
+      token: { type: 'string' },
+      expiresAt: { type: 'string' },
+      user: {
+        type: 'object',
+        required: ['id', 'username'],
+        properties: {
+          id: { type: 'string' },
+          username: { type: 'string' }
+        }
+      }
+    }
+  },
+
+  ApiKeyScope: {
+    type: 'string',
+    enum: API_KEY_SCOPES
+  },
+
+  ApiKeyInput: {
+    type: 'object',
+    required: ['name', 'scopes'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      scopes: { type: 'array', minItems: 1, items: ref('ApiKeyScope') },
+      expiresAt: { type: ['string', 'null'] }
+    }
+  },
+
+  // The key itself is only returned once, when it is created
+  ApiKeyCreated: {
+    type: 'object',
+    required: ['id', 'name', 'key', 'keyPrefix', 'scopes'],
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      key: { type: 'string' },
+      keyPrefix: { type: 'string' },
+      scopes: { type: 'array', items: ref('ApiKeyScope') },
+      expiresAt: { type: ['string', 'null'] }
+    }
+  },
+
+  ValidationIssue: {
+    type: 'object',
+    required: ['path', 'message'],
+    properties: {
+      path: { type: 'string' },
+      message: { type: 'string' }
+    }
+  },
+
+  ErrorResponse: {
+    type: 'object',
+    required: ['success', 'error'],
+    properties: {
+      success: { const: false },
+      error: { type: 'string' },
+      code: { type: 'string' },
+      details: { type: 'array', items: ref('ValidationIssue') }
+    }
+  }
+};
+
+module.exports = {
+  schemas,
+  ref,
+  SIGNAL_STATUSES,
+  ORDER_TYPES,
+  ORDER_STATUSES,
+  MAX_ORDER_COMMENT_LENGTH,
+  BROKER_CAPABILITIES,
+  SIZING_MODES,
+  API_KEY_SCOPES
+};
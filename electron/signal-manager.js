@@ -1,6 +1,8 @@
 // electron/signal-manager.js
 const { v4: uuidv4 } = require('uuid');
 const EventEmitter = require('events');
+const { createError } = require('./errors');
+const { canonicalSymbol } = require('./instrument-service');
 
 /**
  * SignalManager handles trading signal processing, storage, and execution
@@ -31,6 +33,9 @@ class SignalManager extends EventEmitter {
       'closed': []
     };
     
+    // Columns that may be changed alongside a status transition
+    this.updatableFields = ['price', 'stop_loss', 'take_profit', 'reasoning', 'reliability'];
+    
     // Reliability thresholds
     this.reliabilityThresholds = {
       low: 30,
@@ -77,16 +82,18 @@ class SignalManager extends EventEmitter {
       // Structure the signal with required fields
       const signal = {
         id: signalId,
-        symbol: signalData.symbol,
+        symbol: signalData.symbol ? canonicalSymbol(signalData.symbol) : signalData.symbol,
         direction: signalData.direction?.toUpperCase() || 'BUY',
         price: signalData.price || null,
         stopLoss: signalData.stopLoss || null,
         takeProfit: signalData.takeProfit || null,
         timestamp: signalData.timestamp || new Date().toISOString(),
-        status: signalData.status || 'pending',
+        status: 'pending', // later statuses are reached through updateSignalStatus only
         strategy: signalData.strategy || 'manual',
         reasoning: signalData.reasoning || '',
-        reliability: signalData.reliability || 50 // default medium reliability
+        reliability: signalData.reliability || 50, // default medium reliability
+        source: signalData.source || null, // external source ID, used by routing rules
+        tags: Array.isArray(signalData.tags) ? signalData.tags : []
       };
       
       // Validate signal
@@ -124,35 +131,35 @@ class SignalManager extends EventEmitter {
    */
   _validateSignal(signal) {
     // Check required fields
-    if (!signal.symbol) throw new Error('Signal must have a symbol');
-    if (!signal.direction) throw new Error('Signal must have a direction');
+    if (!signal.symbol) throw createError('SIGNAL_INVALID', 'Signal must have a symbol');
+    if (!signal.direction) throw createError('SIGNAL_INVALID', 'Signal must have a direction');
     
     // Validate direction
     if (!['BUY', 'SELL'].includes(signal.direction)) {
-      throw new Error('Signal direction must be BUY or SELL');
+      throw createError('SIGNAL_INVALID', 'Signal direction must be BUY or SELL');
     }
     
     // Validate price logic if provided
     if (signal.stopLoss && signal.price) {
       if (signal.direction === 'BUY' && signal.stopLoss >= signal.price) {
-        throw new Error('For BUY signals, stop loss must be below entry price');
+        throw createError('SIGNAL_INVALID', 'For BUY signals, stop loss must be below entry price');
       } else if (signal.direction === 'SELL' && signal.stopLoss <= signal.price) {
-        throw new Error('For SELL signals, stop loss must be above entry price');
+        throw createError('SIGNAL_INVALID', 'For SELL signals, stop loss must be above entry price');
       }
     }
     
     // Validate take profit logic if provided
     if (signal.takeProfit && signal.price) {
       if (signal.direction === 'BUY' && signal.takeProfit <= signal.price) {
-        throw new Error('For BUY signals, take profit must be above entry price');
+        throw createError('SIGNAL_INVALID', 'For BUY signals, take profit must be above entry price');
       } else if (signal.direction === 'SELL' && signal.takeProfit >= signal.price) {
-        throw new Error('For SELL signals, take profit must be below entry price');
+        throw createError('SIGNAL_INVALID', 'For SELL signals, take profit must be below entry price');
       }
     }
     
     // Validate reliability range
     if (signal.reliability < 0 || signal.reliability > 100) {
-      throw new Error('Reliability must be between 0 and 100');
+      throw createError('SIGNAL_INVALID', 'Reliability must be between 0 and 100');
     }
   }
   
@@ -172,15 +179,15 @@ class SignalManager extends EventEmitter {
       );
       
       if (signals.length === 0) {
-        throw new Error(`Signal not found: ${signalId}`);
+        throw createError('SIGNAL_NOT_FOUND', `Signal not found: ${signalId}`);
       }
       
       const signal = signals[0];
       const currentStatus = signal.status;
       
       // Validate status transition
-      if (!this.validTransitions[currentStatus].includes(newStatus)) {
-        throw new Error(`Invalid status transition: ${currentStatus} -> ${newStatus}`);
+      if (!(this.validTransitions[currentStatus] || []).includes(newStatus)) {
+        throw createError('SIGNAL_INVALID_TRANSITION', `Invalid status transition: ${currentStatus} -> ${newStatus}`);
       }
       
       // Update fields
@@ -191,6 +198,9 @@ class SignalManager extends EventEmitter {
       Object.entries(additionalData).forEach(([key, value]) => {
         // Convert camelCase to snake_case for database
         const dbField = key.replace(/([A-Z])/g, '_$1').toLowerCase();
+        if (!this.updatableFields.includes(dbField)) {
+          throw createError('SIGNAL_INVALID', `Signal field cannot be updated: ${key}`);
+        }
         updateFields.push(`${dbField} = ?`);
         updateValues.push(value);
       });
@@ -309,6 +319,56 @@ class SignalManager extends EventEmitter {
     return signal.reliability >= this.reliabilityThresholds.high;
   }
   
+  /**
+   * Trade a signal on a broker connection through the normalized order API
+   * Pending signals become active once the broker accepts the order
+   * @param {string} signalId - Signal ID
+   * @param {string} connectionId - Broker connection to trade on
+   * @param {Object} options - Execution options
+   * @param {number} options.volume - Order volume (lots, units or shares, depending on the broker)
+   * @param {string} options.type - MARKET (default), or LIMIT/STOP at the signal price
+   * @returns {Promise<Object>} - { signalId, connectionId, order } with the canonical order result
+   */
+  async executeSignal(signalId, connectionId, options = {}) {
+    try {
+      const signal = await this.getSignalDetails(signalId);
+      
+      if (!['pending', 'active'].includes(signal.status)) {
+        throw createError('SIGNAL_INVALID_TRANSITION', `Cannot execute a ${signal.status} signal`);
+      }
+      
+      const type = options.type || 'MARKET';
+      
+      const order = await this.brokerManager.brokerAdapter.placeOrder(connectionId, {
+        symbol: signal.symbol,
+        direction: signal.direction,
+        type,
+        volume: options.volume,
+        price: type === 'MARKET' ? null : signal.price,
+        stopLoss: signal.stop_loss,
+        takeProfit: signal.take_profit,
+        clientOrderId: signal.id
+      });
+      
+      if (signal.status === 'pending') {
+        await this.updateSignalStatus(signalId, 'active');
+      }
+      
+      this.emit('signal-executed', { signalId, connectionId, order });
+      
+      await this.dbManager.logEvent('info', `Signal executed: ${signal.symbol} ${signal.direction}`, {
+        signalId,
+        connectionId,
+        orderId: order.orderId
+      });
+      
+      return { signalId, connectionId, order };
+    } catch (error) {
+      console.error(`Failed to execute signal ${signalId}:`, error);
+      throw error;
+    }
+  }
+  
   /**
    * Get recent signals
    * @param {Object} filters - Filter conditions
@@ -324,7 +384,7 @@ class SignalManager extends EventEmitter {
       
       if (filters.symbol) {
         conditions.push('symbol = ?');
-        queryParams.push(filters.symbol);
+        queryParams.push(canonicalSymbol(filters.symbol));
       }
       
       if (filters.status) {
@@ -388,7 +448,7 @@ class SignalManager extends EventEmitter {
       );
       
       if (signals.length === 0) {
-        throw new Error(`Signal not found: ${signalId}`);
+        throw createError('SIGNAL_NOT_FOUND', `Signal not found: ${signalId}`);
       }
       
       return signals[0];
@@ -150,13 +150,21 @@ class EmailProvider extends EventEmitter {
             const content = parsed.text || parsed.html || '';
             
             // Pass to signal handler
-            await this.signalHandler(this.sourceId, {
+            const result = await this.signalHandler(this.sourceId, {
               subject: parsed.subject,
               body: content,
               from: parsed.from?.text,
               date: parsed.date
+            }, {
+              idempotencyKey: parsed.messageId || null
             });
             
+            // Leave the message unseen for a later poll; the rest of this one would be limited too
+            if (result && result.rateLimited) {
+              console.log(`Email signals for ${this.sourceId} rate limited, retrying in ${result.retryAfter}s`);
+              break;
+            }
+            
             // Mark as seen
             if (this.config.markSeen) {
               await this.client.messageFlagsAdd(
@@ -1,6 +1,7 @@
 // electron/signal-providers/telegram-provider.js
 const { Telegraf } = require('telegraf');
 const EventEmitter = require('events');
+const { setTimeout: sleep } = require('timers/promises');
 
 /**
  * TelegramProvider enables receiving trading signals through Telegram messages
@@ -19,6 +20,7 @@ class TelegramProvider extends EventEmitter {
     this.config = config || {};
     this.signalHandler = signalHandler;
     this.bot = null;
+    this.stopController = null;
     this.status = {
       status: 'disconnected',
       lastUpdate: null,
@@ -38,6 +40,7 @@ class TelegramProvider extends EventEmitter {
   async initialize() {
     try {
       this.bot = new Telegraf(this.config.token);
+      this.stopController = new AbortController();
       
       // Get bot info
       const botInfo = await this.bot.telegram.getMe();
@@ -83,7 +86,10 @@ class TelegramProvider extends EventEmitter {
         }
         
         // Process the message
-        await this.signalHandler(this.sourceId, message.text);
+        const delivered = await this._deliverSignal(message.text, {
+          idempotencyKey: `${message.chat.id}:${message.message_id}`
+        });
+        if (!delivered) return;
         
         // Update status
         this.status.signalsReceived++;
@@ -114,7 +120,10 @@ class TelegramProvider extends EventEmitter {
         }
         
         // Process the channel post
-        await this.signalHandler(this.sourceId, post.text);
+        const delivered = await this._deliverSignal(post.text, {
+          idempotencyKey: `${post.chat.id}:${post.message_id}`
+        });
+        if (!delivered) return;
         
         // Update status
         this.status.signalsReceived++;
@@ -133,6 +142,31 @@ class TelegramProvider extends EventEmitter {
     });
   }
   
+  /**
+   * Pass a message to the signal handler, waiting out the source's rate limit
+   * Polling asks Telegram for the next updates only once the handlers return, so a message
+   * held here is not confirmed and comes back after a restart instead of being lost
+   * @private
+   * @param {string} text - Message text
+   * @param {Object} meta - Delivery details for the signal handler
+   * @returns {Promise<boolean>} False when the bot stopped before the signal was accepted
+   */
+  async _deliverSignal(text, meta) {
+    const signal = this.stopController.signal;
+    let result = await this.signalHandler(this.sourceId, text, meta);
+    
+    while (result && result.rateLimited) {
+      try {
+        await sleep(Math.max(result.retryAfter, 1) * 1000, null, { signal });
+      } catch (error) {
+        return false;
+      }
+      result = await this.signalHandler(this.sourceId, text, meta);
+    }
+    
+    return true;
+  }
+  
   /**
    * Get sender ID from a message
    * @private
@@ -169,6 +203,8 @@ class TelegramProvider extends EventEmitter {
   async stop() {
     try {
       if (this.bot) {
+        // Release handlers waiting on the rate limit so polling can end
+        this.stopController.abort();
         await this.bot.stop();
         this.bot = null;
         this.status.status = 'disconnected';
@@ -7,7 +7,9 @@ const EventEmitter = require('events');
 
 /**
  * WebhookProvider enables receiving trading signals through HTTP webhooks
- * Provides a local HTTP server that receives and processes webhook payloads
+ * Provides a local HTTP server that receives and processes webhook payloads,
+ * or, with config.standalone === false, accepts deliveries forwarded by a shared
+ * HTTP server (see server/routes/webhooks.js)
  */
 class WebhookProvider extends EventEmitter {
   /**
@@ -30,6 +32,7 @@ class WebhookProvider extends EventEmitter {
     };
 
     // Set defaults
+    this.config.standalone = this.config.standalone !== false;
     this.config.port = this.config.port || 0; // 0 = random available port
     this.config.path = this.config.path || `/hook/${sourceId}`;
     this.config.secret = this.config.secret || crypto.randomBytes(16).toString('hex');
@@ -41,7 +44,12 @@ class WebhookProvider extends EventEmitter {
    */
   async initialize() {
     try {
-      await this._startServer();
+      if (this.config.standalone) {
+        await this._startServer();
+      } else {
+        // Deliveries arrive through the shared server's /hook/:sourceId route
+        this.status.endpoint = `${this.config.baseUrl || ''}/hook/${this.sourceId}`;
+      }
       this.status.status = 'listening';
       this.status.lastUpdate = new Date().toISOString();
       return true;
@@ -104,7 +112,7 @@ class WebhookProvider extends EventEmitter {
     if (req.method === 'OPTIONS') {
       res.setHeader('Access-Control-Allow-Origin', '*');
       res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Webhook-Signature');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Webhook-Signature, Idempotency-Key');
       res.statusCode = 204;
       res.end();
       return;
@@ -123,61 +131,101 @@ class WebhookProvider extends EventEmitter {
     });
 
     req.on('end', async () => {
-      try {
-        // Verify signature if configured
-        if (this.config.verifySignature && this.config.secret) {
-          const signature = req.headers['x-webhook-signature'];
-          
-          if (!signature) {
-            res.statusCode = 401;
-            res.end('Unauthorized: Missing signature');
-            return;
-          }
-          
-          const hmac = crypto.createHmac('sha256', this.config.secret);
-          hmac.update(body);
-          const calculatedSignature = hmac.digest('hex');
-          
-          if (signature !== calculatedSignature) {
-            res.statusCode = 401;
-            res.end('Unauthorized: Invalid signature');
-            return;
-          }
-        }
+      const { statusCode, response, headers } = await this.handleDelivery(body, req.headers, req.socket.remoteAddress);
+      
+      res.statusCode = statusCode;
+      Object.entries(headers || {}).forEach(([name, value]) => res.setHeader(name, value));
+      if (typeof response === 'string') {
+        res.end(response);
+      } else {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(response));
+      }
+    });
+  }
 
-        // Parse the body based on content type
-        let parsedBody;
-        const contentType = req.headers['content-type'] || '';
+  /**
+   * Verify and process a webhook delivery
+   * Shared by the standalone server and the multiplexed /hook/:sourceId route
+   * @param {string} body - Raw request body
+   * @param {Object} headers - Request headers (lower-cased names)
+   * @param {string} remoteAddress - Sender address, used for per-address rate limits
+   * @returns {Promise<Object>} - Status code, response (string or JSON object) and extra response headers
+   */
+  async handleDelivery(body, headers = {}, remoteAddress = null) {
+    try {
+      // Verify signature if configured
+      if (this.config.verifySignature && this.config.secret) {
+        const signature = headers['x-webhook-signature'];
         
-        if (contentType.includes('application/json')) {
-          parsedBody = JSON.parse(body);
-        } else {
-          // Treat as plain text for non-JSON content types
-          parsedBody = body;
+        if (!signature) {
+          return { statusCode: 401, response: 'Unauthorized: Missing signature' };
         }
-
-        // Process the webhook payload
-        await this.signalHandler(this.sourceId, parsedBody);
-        
-        // Update status
-        this.status.signalsReceived++;
-        this.status.lastUpdate = new Date().toISOString();
         
-        // Send success response
-        res.statusCode = 200;
-        res.setHeader('Content-Type', 'application/json');
-        res.end(JSON.stringify({ success: true }));
-      } catch (error) {
-        console.error('Error processing webhook:', error);
-        
-        res.statusCode = 400;
-        res.setHeader('Content-Type', 'application/json');
-        res.end(JSON.stringify({ 
-          success: false, 
-          error: error.message
-        }));
+        if (!this.verifySignature(body, signature)) {
+          return { statusCode: 401, response: 'Unauthorized: Invalid signature' };
+        }
       }
-    });
+
+      // Parse the body based on content type
+      let parsedBody;
+      const contentType = headers['content-type'] || '';
+      
+      if (contentType.includes('application/json')) {
+        parsedBody = JSON.parse(body);
+      } else {
+        // Treat as plain text for non-JSON content types
+        parsedBody = body;
+      }
+
+      // Process the webhook payload; senders may tag retries with an Idempotency-Key header
+      const result = await this.signalHandler(this.sourceId, parsedBody, {
+        idempotencyKey: headers['idempotency-key'] || headers['x-idempotency-key'] || null,
+        remoteAddress
+      });
+      
+      if (result && result.rateLimited) {
+        return {
+          statusCode: 429,
+          response: { success: false, error: result.reason },
+          headers: { 'Retry-After': String(result.retryAfter) }
+        };
+      }
+      
+      // Update status
+      this.status.signalsReceived++;
+      this.status.lastUpdate = new Date().toISOString();
+      
+      if (result && result.duplicate) {
+        // Acknowledge retries so the sender stops resending
+        return { statusCode: 200, response: { success: true, duplicate: true, duplicateOf: result.duplicateOf } };
+      }
+      
+      return { statusCode: 200, response: { success: true } };
+    } catch (error) {
+      console.error('Error processing webhook:', error);
+      
+      return {
+        statusCode: 400,
+        response: { success: false, error: error.message }
+      };
+    }
+  }
+
+  /**
+   * Check an x-webhook-signature header against the source secret
+   * @param {string} body - Raw request body
+   * @param {string} signature - Hex HMAC-SHA256 signature sent by the caller
+   * @returns {boolean} True if the signature matches
+   */
+  verifySignature(body, signature) {
+    const hmac = crypto.createHmac('sha256', this.config.secret);
+    hmac.update(body);
+    const calculatedSignature = Buffer.from(hmac.digest('hex'));
+    const receivedSignature = Buffer.from(String(signature));
+    
+    return receivedSignature.length === calculatedSignature.length &&
+      crypto.timingSafeEqual(receivedSignature, calculatedSignature);
   }
 
   /**
@@ -187,6 +235,8 @@ class WebhookProvider extends EventEmitter {
   async stop() {
     return new Promise((resolve, reject) => {
       if (!this.server) {
+        this.status.status = 'disconnected';
+        this.status.lastUpdate = new Date().toISOString();
         resolve();
         return;
       }
@@ -220,6 +270,15 @@ class WebhookProvider extends EventEmitter {
    */
   async test() {
     try {
+      if (!this.config.standalone) {
+        return {
+          success: true,
+          message: 'Webhook configuration is valid',
+          endpoint: `${this.config.baseUrl || ''}/hook/${this.sourceId}`,
+          note: 'Deliveries are received by the shared backend server'
+        };
+      }
+      
       // Creating a temporary server is the best way to test if we can bind to the port
       const tempServer = http.createServer();
       
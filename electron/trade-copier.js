@@ -0,0 +1,655 @@
+// electron/trade-copier.js
+const { v4: uuidv4 } = require('uuid');
+const EventEmitter = require('events');
+const { createError } = require('./errors');
+const { assertValid } = require('./schema-validator');
+const { canonicalSymbol, roundVolume, valueOfDistance } = require('./instrument-service');
+
+/**
+ * Parse a JSON column, falling back when it is empty or malformed
+ * @private
+ * @param {string} value - Column value
+ * @param {*} fallback - Value used when the column cannot be parsed
+ * @returns {*} Parsed value
+ */
+function parseJson(value, fallback) {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (error) {
+    return fallback;
+  }
+}
+
+/**
+ * Round a volume down to the target's step and check it against its limits
+ * Rounding down keeps risk-based orders within the configured risk
+ * @private
+ * @param {number} volume - Unrounded volume
+ * @param {Object} sizing - Instrument limits merged with the target's sizing settings
+ * @returns {number} Volume to send
+ * @throws {Error} SIZING_FAILED when the volume is below the minimum
+ */
+function sizedVolume(volume, sizing) {
+  const rounded = roundVolume(sizing, volume);
+
+  if (rounded < sizing.minVolume) {
+    throw createError('SIZING_FAILED', `Computed volume ${volume.toFixed(4)} is below the minimum of ${sizing.minVolume}`);
+  }
+
+  return rounded;
+}
+
+/**
+ * TradeCopier routes signals to several broker connections
+ *
+ * Routing rules select signals by strategy, source, symbol or tag and list target connections,
+ * each with its own position sizing. Routing a signal places one order per target through the
+ * canonical order API and records every target's result in signal_orders, so a rejection on one
+ * account does not hide the fills on the others.
+ */
+class TradeCopier extends EventEmitter {
+  /**
+   * Create a new TradeCopier instance
+   * @param {DatabaseManager} dbManager - Database manager instance
+   * @param {SignalManager} signalManager - Signal manager whose signals are routed
+   * @param {BrokerManager} brokerManager - Broker manager holding the target connections
+   */
+  constructor(dbManager, signalManager, brokerManager) {
+    super();
+    this.dbManager = dbManager;
+    this.signalManager = signalManager;
+    this.brokerManager = brokerManager;
+
+    this.routes = new Map(); // Route ID -> route
+    this.routing = new Set(); // IDs of the signals being routed right now
+    this.onSignalAdded = signal => this._autoRoute(signal);
+  }
+
+  /**
+   * Create the routing tables, load the rules and start routing new signals for auto-execute rules
+   * @returns {Promise<boolean>} Success status
+   */
+  async initialize() {
+    try {
+      await this._updateDatabaseSchema();
+
+      const rows = await this.dbManager.executeSelect('SELECT * FROM signal_routes');
+      rows.forEach(row => this.routes.set(row.id, this._fromRow(row)));
+
+      this.signalManager.on('signal-added', this.onSignalAdded);
+
+      console.log(`Loaded ${rows.length} signal routing rules`);
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize trade copier:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Create the routing rule and routed order tables
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _updateDatabaseSchema() {
+    const createTableQueries = [
+      `CREATE TABLE IF NOT EXISTS signal_routes (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        is_active INTEGER DEFAULT 1,
+        priority INTEGER DEFAULT 0,
+        match_rules TEXT,
+        targets TEXT NOT NULL,
+        base_volume REAL,
+        order_type TEXT DEFAULT 'MARKET',
+        auto_execute INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS signal_orders (
+        id TEXT PRIMARY KEY,
+        signal_id TEXT NOT NULL,
+        route_id TEXT,
+        connection_id TEXT NOT NULL,
+        symbol TEXT,
+        direction TEXT,
+        volume REAL,
+        sizing_mode TEXT,
+        status TEXT NOT NULL,
+        order_id TEXT,
+        order_status TEXT,
+        error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`
+    ];
+
+    for (const query of createTableQueries) {
+      await this.dbManager.executeQuery(query);
+    }
+
+    await this.dbManager.executeQuery('CREATE INDEX IF NOT EXISTS idx_signal_orders_signal ON signal_orders(signal_id)');
+  }
+
+  /**
+   * Get every routing rule, highest priority first
+   * @returns {Array<Object>} Routing rules
+   */
+  getRoutes() {
+    return [...this.routes.values()].sort((a, b) => b.priority - a.priority || String(a.createdAt).localeCompare(String(b.createdAt)));
+  }
+
+  /**
+   * Get a routing rule
+   * @param {string} routeId - Route ID
+   * @returns {Object} Routing rule
+   */
+  getRoute(routeId) {
+    const route = this.routes.get(routeId);
+    if (!route) {
+      throw createError('ROUTE_NOT_FOUND', `Routing rule not found: ${routeId}`);
+    }
+    return route;
+  }
+
+  /**
+   * Add a routing rule
+   * @param {Object} input - SignalRouteInput
+   * @returns {Promise<Object>} Created routing rule
+   */
+  async addRoute(input) {
+    try {
+      assertValid('SignalRouteInput', input, 'routing rule');
+      await this._checkTargets(input.targets);
+
+      const now = new Date().toISOString();
+      const route = {
+        id: `route_${uuidv4()}`,
+        name: input.name,
+        isActive: input.isActive !== false,
+        priority: input.priority || 0,
+        match: input.match || {},
+        targets: input.targets,
+        baseVolume: input.baseVolume || null,
+        orderType: input.orderType || 'MARKET',
+        autoExecute: Boolean(input.autoExecute),
+        createdAt: now,
+        updatedAt: now
+      };
+
+      await this.dbManager.executeQuery(
+        `INSERT INTO signal_routes
+        (id, name, is_active, priority, match_rules, targets, base_volume, order_type, auto_execute, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        this._toParams(route)
+      );
+      this.routes.set(route.id, route);
+
+      await this.dbManager.logEvent('info', `Signal routing rule added: ${route.name}`, { routeId: route.id });
+
+      return route;
+    } catch (error) {
+      console.error('Failed to add routing rule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a routing rule
+   * @param {string} routeId - Route ID
+   * @param {Object} updates - SignalRouteUpdate
+   * @returns {Promise<Object>} Updated routing rule
+   */
+  async updateRoute(routeId, updates) {
+    try {
+      assertValid('SignalRouteUpdate', updates, 'routing rule update');
+      const current = this.getRoute(routeId);
+
+      if (updates.targets) {
+        await this._checkTargets(updates.targets);
+      }
+
+      const route = { ...current, ...updates, id: routeId, updatedAt: new Date().toISOString() };
+
+      await this.dbManager.executeQuery(
+        `UPDATE signal_routes
+        SET name = ?, is_active = ?, priority = ?, match_rules = ?, targets = ?, base_volume = ?, order_type = ?, auto_execute = ?, updated_at = ?
+        WHERE id = ?`,
+        [...this._toParams(route).slice(1, 9), route.updatedAt, routeId]
+      );
+      this.routes.set(routeId, route);
+
+      await this.dbManager.logEvent('info', `Signal routing rule updated: ${route.name}`, { routeId });
+
+      return route;
+    } catch (error) {
+      console.error(`Failed to update routing rule ${routeId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a routing rule; the orders it placed stay recorded
+   * @param {string} routeId - Route ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteRoute(routeId) {
+    try {
+      const route = this.getRoute(routeId);
+
+      await this.dbManager.executeQuery('DELETE FROM signal_routes WHERE id = ?', [routeId]);
+      this.routes.delete(routeId);
+
+      await this.dbManager.logEvent('info', `Signal routing rule deleted: ${route.name}`, { routeId });
+
+      return true;
+    } catch (error) {
+      console.error(`Failed to delete routing rule ${routeId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the active rules that select a signal
+   * @param {Object} signal - Signal (row or addSignal result)
+   * @returns {Array<Object>} Matching rules, highest priority first
+   */
+  matchRoutes(signal) {
+    const tags = Array.isArray(signal.tags) ? signal.tags : parseJson(signal.tags, []);
+    const symbol = canonicalSymbol(signal.symbol);
+
+    return this.getRoutes().filter(route => {
+      if (!route.isActive) {
+        return false;
+      }
+
+      const { strategies = [], sources = [], symbols = [], tags: routeTags = [] } = route.match;
+
+      return (strategies.length === 0 || strategies.includes(signal.strategy)) &&
+        (sources.length === 0 || sources.includes(signal.source)) &&
+        (symbols.length === 0 || symbols.some(candidate => canonicalSymbol(candidate) === symbol)) &&
+        (routeTags.length === 0 || routeTags.some(tag => tags.includes(tag)));
+    });
+  }
+
+  /**
+   * Route a signal: place one order on every target connection of the matching rules
+   * A connection targeted by several rules only trades once, with the highest priority rule.
+   * Connections that already hold a placed order for the signal are skipped, so routing again
+   * only retries the targets that failed.
+   * @param {string} signalId - Signal ID
+   * @param {Object} options - Routing options
+   * @param {number} options.volume - Base volume for multiplier and equityRatio targets (defaults to the rule's baseVolume)
+   * @param {string} options.type - Order type, overriding the rule's orderType
+   * @param {Array<string>} options.routeIds - Only use these rules (still subject to matching)
+   * @returns {Promise<Object>} - { signalId, orders, skipped } with one SignalOrder per target traded
+   *   now and the connections skipped because they already hold an order
+   */
+  async routeSignal(signalId, options = {}) {
+    // A manual route racing the auto-route would find no orders yet and place them all twice
+    if (this.routing.has(signalId)) {
+      throw createError('SIGNAL_ROUTING_IN_PROGRESS', `Signal ${signalId} is already being routed`);
+    }
+    this.routing.add(signalId);
+
+    try {
+      const signal = await this.signalManager.getSignalDetails(signalId);
+
+      if (!['pending', 'active'].includes(signal.status)) {
+        throw createError('SIGNAL_INVALID_TRANSITION', `Cannot route a ${signal.status} signal`);
+      }
+
+      let routes = this.matchRoutes(signal);
+      if (options.routeIds) {
+        routes = routes.filter(route => options.routeIds.includes(route.id));
+      }
+
+      if (routes.length === 0) {
+        throw createError('SIGNAL_NOT_ROUTED', `No routing rule matches signal ${signalId}`);
+      }
+
+      // One order per connection, taken from the first (highest priority) rule targeting it
+      const targets = new Map();
+      routes.forEach(route => {
+        route.targets.forEach(target => {
+          if (!targets.has(target.connectionId)) {
+            targets.set(target.connectionId, { route, target });
+          }
+        });
+      });
+
+      // Connections already holding an order for this signal are not traded again; failed ones are retried
+      const placedOn = new Set((await this.getSignalOrders(signalId))
+        .filter(order => order.status === 'placed')
+        .map(order => order.connectionId));
+      const skipped = [...targets.keys()].filter(connectionId => placedOn.has(connectionId));
+      skipped.forEach(connectionId => targets.delete(connectionId));
+
+      if (targets.size === 0) {
+        throw createError('SIGNAL_ALREADY_ROUTED', `Signal ${signalId} already has orders on every target connection`);
+      }
+
+      const orders = await Promise.all([...targets.values()].map(({ route, target }) => {
+        return this._placeTargetOrder(signal, route, target, options);
+      }));
+
+      const placed = orders.filter(order => order.status === 'placed').length;
+      if (placed > 0 && signal.status === 'pending') {
+        await this.signalManager.updateSignalStatus(signalId, 'active');
+      }
+
+      const result = { signalId, orders, skipped };
+      this.emit('signal-routed', result);
+
+      await this.dbManager.logEvent(placed === orders.length ? 'info' : 'warning',
+        `Signal routed: ${signal.symbol} ${signal.direction} placed on ${placed} of ${orders.length} connections`, {
+          signalId,
+          failed: orders.filter(order => order.status === 'failed').map(order => order.connectionId),
+          skipped
+        });
+
+      return result;
+    } catch (error) {
+      console.error(`Failed to route signal ${signalId}:`, error);
+      throw error;
+    } finally {
+      this.routing.delete(signalId);
+    }
+  }
+
+  /**
+   * Get the orders placed for a signal, one per target connection
+   * @param {string} signalId - Signal ID
+   * @returns {Promise<Array<Object>>} SignalOrder records
+   */
+  async getSignalOrders(signalId) {
+    try {
+      const rows = await this.dbManager.executeSelect(
+        'SELECT * FROM signal_orders WHERE signal_id = ? ORDER BY created_at',
+        [signalId]
+      );
+
+      return rows.map(row => ({
+        id: row.id,
+        signalId: row.signal_id,
+        routeId: row.route_id,
+        connectionId: row.connection_id,
+        symbol: row.symbol,
+        direction: row.direction,
+        volume: row.volume,
+        sizingMode: row.sizing_mode,
+        status: row.status,
+        orderId: row.order_id,
+        orderStatus: row.order_status,
+        error: row.error,
+        createdAt: row.created_at
+      }));
+    } catch (error) {
+      console.error(`Failed to get orders of signal ${signalId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop routing new signals
+   */
+  close() {
+    this.signalManager.off('signal-added', this.onSignalAdded);
+  }
+
+  /**
+   * Route a new signal through the auto-execute rules that match it
+   * @private
+   * @param {Object} signal - Signal emitted by SignalManager
+   */
+  async _autoRoute(signal) {
+    if (signal.status !== 'pending') {
+      return;
+    }
+
+    const routeIds = this.matchRoutes(signal).filter(route => route.autoExecute).map(route => route.id);
+    if (routeIds.length === 0) {
+      return;
+    }
+
+    try {
+      await this.routeSignal(signal.id, { routeIds });
+    } catch (error) {
+      // Already logged by routeSignal; the signal stays pending
+    }
+  }
+
+  /**
+   * Size and place the order of one target, and record the outcome
+   * @private
+   * @param {Object} signal - Signal row
+   * @param {Object} route - Routing rule
+   * @param {Object} target - Route target
+   * @param {Object} options - routeSignal options
+   * @returns {Promise<Object>} SignalOrder record
+   */
+  async _placeTargetOrder(signal, route, target, options) {
+    const record = {
+      id: `sigord_${uuidv4()}`,
+      signalId: signal.id,
+      routeId: route.id,
+      connectionId: target.connectionId,
+      symbol: signal.symbol,
+      direction: signal.direction,
+      volume: null,
+      sizingMode: target.sizing.mode,
+      status: 'placed',
+      orderId: null,
+      orderStatus: null,
+      error: null,
+      createdAt: new Date().toISOString()
+    };
+
+    try {
+      const type = options.type || route.orderType;
+      record.volume = await this._sizeOrder(signal, target, options.volume || route.baseVolume);
+
+      const order = await this.brokerManager.brokerAdapter.placeOrder(target.connectionId, {
+        symbol: signal.symbol,
+        direction: signal.direction,
+        type,
+        volume: record.volume,
+        price: type === 'MARKET' ? null : signal.price,
+        stopLoss: signal.stop_loss,
+        takeProfit: signal.take_profit,
+        clientOrderId: record.id
+      });
+
+      record.orderId = order.orderId;
+      record.orderStatus = order.status;
+    } catch (error) {
+      console.error(`Failed to place routed order for signal ${signal.id} on ${target.connectionId}:`, error);
+      record.status = 'failed';
+      record.error = error.message;
+    }
+
+    await this.dbManager.executeQuery(
+      `INSERT INTO signal_orders
+      (id, signal_id, route_id, connection_id, symbol, direction, volume, sizing_mode, status, order_id, order_status, error, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        record.id,
+        record.signalId,
+        record.routeId,
+        record.connectionId,
+        record.symbol,
+        record.direction,
+        record.volume,
+        record.sizingMode,
+        record.status,
+        record.orderId === null ? null : String(record.orderId),
+        record.orderStatus,
+        record.error,
+        record.createdAt
+      ]
+    );
+
+    return record;
+  }
+
+  /**
+   * Compute the volume of a target's order
+   * @private
+   * @param {Object} signal - Signal row
+   * @param {Object} target - Route target
+   * @param {number} baseVolume - Base volume for multiplier and equityRatio targets
+   * @returns {Promise<number>} Volume rounded to the instrument's (or target's) step
+   * @throws {Error} SIZING_FAILED when the inputs of the sizing mode are missing
+   */
+  async _sizeOrder(signal, target, baseVolume) {
+    const instruments = this.brokerManager.instruments;
+    const spec = await instruments.getInstrumentSpec(target.connectionId, signal.symbol);
+
+    // Limits set on the target override the broker's instrument spec
+    const sizing = {
+      contractSize: spec.contractSize,
+      volumeStep: spec.volumeStep,
+      minVolume: spec.minVolume,
+      maxVolume: spec.maxVolume,
+      ...target.sizing
+    };
+
+    switch (sizing.mode) {
+      case 'fixed':
+        return sizedVolume(sizing.volume, sizing);
+
+      case 'multiplier':
+        if (!baseVolume) {
+          throw createError('SIZING_FAILED', 'Multiplier sizing needs a base volume');
+        }
+        return sizedVolume(baseVolume * sizing.multiplier, sizing);
+
+      case 'equityRatio': {
+        if (!baseVolume) {
+          throw createError('SIZING_FAILED', 'Equity ratio sizing needs a base volume');
+        }
+        const { equity } = await this._getEquity(target.connectionId);
+        return sizedVolume(baseVolume * equity / sizing.referenceEquity, sizing);
+      }
+
+      case 'risk': {
+        // Market signals without a price are sized from the last quote
+        const quote = signal.price ? null : await instruments.getQuote(target.connectionId, signal.symbol);
+        const entry = signal.price || (quote && quote.mid);
+        if (!entry || !signal.stop_loss) {
+          throw createError('SIZING_FAILED', 'Risk sizing needs the signal stop loss and a price (from the signal or a quote)');
+        }
+
+        const { equity, currency } = await this._getEquity(target.connectionId);
+        const riskAmount = equity * sizing.riskPercent / 100;
+
+        // Loss of one lot at the stop in the account currency: the broker's tick value already is,
+        // a contract-size value is converted from the instrument's profit currency
+        const distance = Math.abs(entry - signal.stop_loss);
+        let lossPerLot;
+        if (spec.tickValue && spec.tickSize && !target.sizing.contractSize) {
+          lossPerLot = distance / spec.tickSize * spec.tickValue;
+        } else {
+          try {
+            lossPerLot = await instruments.convert(
+              target.connectionId,
+              valueOfDistance({ contractSize: sizing.contractSize }, distance, 1),
+              spec.profitCurrency,
+              currency
+            );
+          } catch (error) {
+            throw createError('SIZING_FAILED', error.message);
+          }
+        }
+
+        return sizedVolume(riskAmount / lossPerLot, sizing);
+      }
+
+      default:
+        throw createError('SIZING_FAILED', `Unknown sizing mode: ${sizing.mode}`);
+    }
+  }
+
+  /**
+   * Get the equity of a target account, asking the broker when no snapshot has arrived yet
+   * @private
+   * @param {string} connectionId - Connection ID
+   * @returns {Promise<Object>} - { equity, currency } (currency is null when the broker does not report it)
+   */
+  async _getEquity(connectionId) {
+    const brokerAdapter = this.brokerManager.brokerAdapter;
+    let snapshot = brokerAdapter.getAccountSnapshot(connectionId);
+
+    if (!snapshot || typeof snapshot.equity !== 'number') {
+      // Brokers that stream account updates refresh the snapshot while answering
+      const info = await brokerAdapter.executeMethod(connectionId, 'getAccountInfo');
+      snapshot = brokerAdapter.getAccountSnapshot(connectionId) || {};
+      if (typeof snapshot.equity !== 'number' && info && typeof info.equity === 'number') {
+        snapshot = { equity: info.equity, currency: info.currency };
+      }
+    }
+
+    if (typeof snapshot.equity !== 'number' || snapshot.equity <= 0) {
+      throw createError('SIZING_FAILED', `Equity of connection ${connectionId} is not available`);
+    }
+
+    return { equity: snapshot.equity, currency: snapshot.currency || null };
+  }
+
+  /**
+   * Check that every target names a stored broker connection
+   * @private
+   * @param {Array<Object>} targets - Route targets
+   */
+  async _checkTargets(targets) {
+    for (const target of targets) {
+      await this.brokerManager.getBrokerConnection(target.connectionId);
+    }
+  }
+
+  /**
+   * Build a routing rule from a signal_routes row
+   * @private
+   * @param {Object} row - Database row
+   * @returns {Object} Routing rule
+   */
+  _fromRow(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      isActive: Boolean(row.is_active),
+      priority: row.priority || 0,
+      match: parseJson(row.match_rules, {}),
+      targets: parseJson(row.targets, []),
+      baseVolume: row.base_volume,
+      orderType: row.order_type || 'MARKET',
+      autoExecute: Boolean(row.auto_execute),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Column values of a routing rule, in signal_routes column order
+   * @private
+   * @param {Object} route - Routing rule
+   * @returns {Array} Query parameters
+   */
+  _toParams(route) {
+    return [
+      route.id,
+      route.name,
+      route.isActive ? 1 : 0,
+      route.priority,
+      JSON.stringify(route.match),
+      JSON.stringify(route.targets),
+      route.baseVolume,
+      route.orderType,
+      route.autoExecute ? 1 : 0,
+      route.createdAt,
+      route.updatedAt
+    ];
+  }
+}
+
+module.exports = TradeCopier;
@@ -0,0 +1,282 @@
+// electron/trade-copier.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseManager = require('./database-manager');
+const TradeCopier = require('./trade-copier');
+const { createError } = require('./errors');
+
+/**
+ * Trade copier over a temporary database and brokers whose accounts and instruments the test sets
+ * @param {TestContext} t - Test context; the database is removed when the test ends
+ * @param {Object} broker - Per-connection spec overrides (specs), account snapshots (snapshots),
+ *   getAccountInfo answers (accounts) and conversion rates keyed 'FROMTO' (rates)
+ * @returns {Promise<Object>} - { db, copier, signals, broker } where broker.placed lists every order
+ *   sent, broker.failOn holds connections that reject orders and broker.gate delays them while set
+ */
+async function setup(t, broker = {}) {
+  const file = path.join(os.tmpdir(), `saitrapp-copier-${process.pid}-${Date.now()}.db`);
+  const db = new DatabaseManager(file);
+  await db.initialize();
+
+  const state = { specs: {}, snapshots: {}, accounts: {}, rates: {}, ...broker, placed: [], failOn: new Set(), gate: null };
+
+  const brokerAdapter = {
+    async placeOrder(connectionId, order) {
+      await state.gate;
+      if (state.failOn.has(connectionId)) {
+        throw createError('ORDER_REJECTED', 'Market is closed');
+      }
+      state.placed.push({ connectionId, ...order });
+      return { orderId: state.placed.length, status: 'filled' };
+    },
+    getAccountSnapshot: connectionId => state.snapshots[connectionId] || null,
+    executeMethod: async connectionId => state.accounts[connectionId] || null
+  };
+
+  const instruments = {
+    getInstrumentSpec: async connectionId => ({
+      contractSize: 100000,
+      volumeStep: 0.01,
+      minVolume: 0.01,
+      maxVolume: 100,
+      profitCurrency: 'USD',
+      ...state.specs[connectionId]
+    }),
+    getQuote: async () => ({ mid: 1.1 }),
+    convert: async (connectionId, amount, from, to) => {
+      if (from === to) return amount;
+      if (!state.rates[`${from}${to}`]) {
+        throw createError('QUOTE_UNAVAILABLE', `No ${from}/${to} quote on ${connectionId}`);
+      }
+      return amount * state.rates[`${from}${to}`];
+    }
+  };
+
+  const brokerManager = { brokerAdapter, instruments, getBrokerConnection: async id => ({ id }) };
+
+  const signals = new Map();
+  const signalManager = Object.assign(new EventEmitter(), {
+    getSignalDetails: async id => signals.get(id),
+    updateSignalStatus: async (id, status) => { signals.get(id).status = status; }
+  });
+
+  const copier = new TradeCopier(db, signalManager, brokerManager);
+  await copier.initialize();
+
+  t.after(async () => {
+    copier.close();
+    await db.closeDatabase();
+    fs.unlinkSync(file);
+  });
+
+  return { db, copier, signals, broker: state };
+}
+
+/**
+ * Add a pending signal as SignalManager stores it
+ * @param {Map} signals - Signals of the test
+ * @param {Object} signal - Fields overriding a EURUSD buy at 1.1 with its stop at 1.095
+ * @returns {Object} Signal row
+ */
+function addSignal(signals, signal = {}) {
+  const row = {
+    id: 'sig_1',
+    symbol: 'EURUSD',
+    direction: 'BUY',
+    price: 1.1,
+    stop_loss: 1.095,
+    take_profit: 1.11,
+    strategy: 'breakout',
+    tags: '[]',
+    status: 'pending',
+    ...signal
+  };
+  signals.set(row.id, row);
+  return row;
+}
+
+/**
+ * Orders of a routing result keyed by connection
+ * @param {Object} result - routeSignal result
+ * @returns {Object} SignalOrder records
+ */
+function byConnection(result) {
+  return Object.fromEntries(result.orders.map(order => [order.connectionId, order]));
+}
+
+test('places one order per connection, taken from the highest priority rule that targets it', async (t) => {
+  const { db, copier, signals, broker } = await setup(t);
+  addSignal(signals);
+
+  const primary = await copier.addRoute({
+    name: 'Breakouts',
+    priority: 10,
+    match: { strategies: ['breakout'] },
+    targets: [
+      { connectionId: 'conn_a', sizing: { mode: 'fixed', volume: 1 } },
+      { connectionId: 'conn_b', sizing: { mode: 'fixed', volume: 0.5 } }
+    ]
+  });
+  const fallback = await copier.addRoute({
+    name: 'Majors',
+    match: { symbols: ['EUR/USD'] },
+    baseVolume: 0.3,
+    targets: [
+      { connectionId: 'conn_b', sizing: { mode: 'fixed', volume: 2 } },
+      { connectionId: 'conn_c', sizing: { mode: 'multiplier', multiplier: 2 } }
+    ]
+  });
+  await copier.addRoute({
+    name: 'Cable',
+    match: { symbols: ['GBPUSD'] },
+    targets: [{ connectionId: 'conn_d', sizing: { mode: 'fixed', volume: 1 } }]
+  });
+
+  const result = await copier.routeSignal('sig_1');
+  const orders = byConnection(result);
+
+  assert.deepEqual(Object.keys(orders).sort(), ['conn_a', 'conn_b', 'conn_c']);
+  assert.deepEqual(result.skipped, []);
+  assert.deepEqual(Object.values(orders).map(order => [order.connectionId, order.routeId, order.volume]).sort(), [
+    ['conn_a', primary.id, 1],
+    ['conn_b', primary.id, 0.5],
+    ['conn_c', fallback.id, 0.6]
+  ]);
+
+  // Every order carries its record ID and the signal's protective levels
+  broker.placed.forEach(order => {
+    assert.equal(order.clientOrderId, orders[order.connectionId].id);
+    assert.equal(order.stopLoss, 1.095);
+    assert.equal(order.takeProfit, 1.11);
+  });
+  assert.equal(signals.get('sig_1').status, 'active');
+  assert.equal((await copier.getSignalOrders('sig_1')).length, 3);
+
+  const [{ count }] = await db.executeSelect("SELECT COUNT(*) AS count FROM signal_orders WHERE status = 'placed'");
+  assert.equal(count, 3);
+});
+
+test('sizes fixed, multiplier and equity ratio targets, rounded down to the step and kept within the limits', async (t) => {
+  const { copier, signals } = await setup(t, {
+    snapshots: { conn_c: { equity: 25000, currency: 'USD' } },
+    accounts: { conn_d: { equity: 5000, currency: 'USD' } }
+  });
+  addSignal(signals);
+  t.mock.method(console, 'error', () => {});
+
+  await copier.addRoute({
+    name: 'Sizing',
+    baseVolume: 0.5,
+    targets: [
+      { connectionId: 'conn_a', sizing: { mode: 'fixed', volume: 1.237 } },
+      { connectionId: 'conn_b', sizing: { mode: 'multiplier', multiplier: 3, maxVolume: 1 } },
+      { connectionId: 'conn_c', sizing: { mode: 'equityRatio', referenceEquity: 10000, volumeStep: 0.1 } },
+      // No account snapshot yet: the equity comes from getAccountInfo
+      { connectionId: 'conn_d', sizing: { mode: 'equityRatio', referenceEquity: 10000 } },
+      { connectionId: 'conn_e', sizing: { mode: 'fixed', volume: 0.004 } }
+    ]
+  });
+
+  const orders = byConnection(await copier.routeSignal('sig_1'));
+
+  assert.equal(orders.conn_a.volume, 1.23);
+  assert.equal(orders.conn_b.volume, 1);
+  assert.equal(orders.conn_c.volume, 1.2);
+  assert.equal(orders.conn_d.volume, 0.25);
+
+  assert.equal(orders.conn_e.status, 'failed');
+  assert.match(orders.conn_e.error, /below the minimum of 0\.01/);
+});
+
+test('sizes risk targets from the tick value or from the contract value converted to the account currency', async (t) => {
+  const { copier, signals } = await setup(t, {
+    specs: {
+      conn_a: { tickSize: 0.001, tickValue: 0.67, profitCurrency: 'JPY' },
+      conn_b: { profitCurrency: 'JPY' },
+      conn_c: { profitCurrency: 'JPY' }
+    },
+    snapshots: {
+      conn_a: { equity: 10000, currency: 'USD' },
+      conn_b: { equity: 20000, currency: 'EUR' },
+      conn_c: { equity: 20000, currency: 'CHF' }
+    },
+    rates: { JPYEUR: 1 / 160 }
+  });
+  addSignal(signals, { symbol: 'USDJPY', price: 150, stop_loss: 149.5, take_profit: 151 });
+  t.mock.method(console, 'error', () => {});
+
+  await copier.addRoute({
+    name: 'Risk',
+    targets: [
+      { connectionId: 'conn_a', sizing: { mode: 'risk', riskPercent: 1 } },
+      { connectionId: 'conn_b', sizing: { mode: 'risk', riskPercent: 2 } },
+      { connectionId: 'conn_c', sizing: { mode: 'risk', riskPercent: 2 } }
+    ]
+  });
+
+  const orders = byConnection(await copier.routeSignal('sig_1'));
+
+  // 100 USD at risk over 500 ticks of 0.67 USD a lot
+  assert.equal(orders.conn_a.volume, 0.29);
+  // 400 EUR at risk over 50000 JPY a lot, 312.50 EUR
+  assert.equal(orders.conn_b.volume, 1.28);
+  // No JPY/CHF quote: the target fails instead of trading an unknown risk
+  assert.equal(orders.conn_c.status, 'failed');
+  assert.match(orders.conn_c.error, /No JPY\/CHF quote/);
+});
+
+test('refuses to route a signal while it is being routed', async (t) => {
+  const { copier, signals, broker } = await setup(t);
+  addSignal(signals);
+
+  await copier.addRoute({
+    name: 'Both accounts',
+    targets: [
+      { connectionId: 'conn_a', sizing: { mode: 'fixed', volume: 1 } },
+      { connectionId: 'conn_b', sizing: { mode: 'fixed', volume: 1 } }
+    ]
+  });
+
+  let release;
+  broker.gate = new Promise(resolve => { release = resolve; });
+  t.mock.method(console, 'error', () => {});
+
+  const first = copier.routeSignal('sig_1');
+  await assert.rejects(copier.routeSignal('sig_1'), { code: 'SIGNAL_ROUTING_IN_PROGRESS' });
+
+  release();
+  assert.equal((await first).orders.length, 2);
+  assert.equal(broker.placed.length, 2);
+});
+
+test('routes again only to the targets without a placed order', async (t) => {
+  const { copier, signals, broker } = await setup(t);
+  addSignal(signals);
+  t.mock.method(console, 'error', () => {});
+
+  await copier.addRoute({
+    name: 'Both accounts',
+    targets: [
+      { connectionId: 'conn_a', sizing: { mode: 'fixed', volume: 1 } },
+      { connectionId: 'conn_b', sizing: { mode: 'fixed', volume: 1 } }
+    ]
+  });
+
+  broker.failOn.add('conn_b');
+  const first = byConnection(await copier.routeSignal('sig_1'));
+  assert.equal(first.conn_a.status, 'placed');
+  assert.equal(first.conn_b.status, 'failed');
+  assert.equal(first.conn_b.error, 'Market is closed');
+
+  broker.failOn.clear();
+  const retry = await copier.routeSignal('sig_1');
+  assert.deepEqual(retry.orders.map(order => [order.connectionId, order.status]), [['conn_b', 'placed']]);
+  assert.deepEqual(retry.skipped, ['conn_a']);
+
+  await assert.rejects(copier.routeSignal('sig_1'), { code: 'SIGNAL_ALREADY_ROUTED' });
+  assert.deepEqual(broker.placed.map(order => order.connectionId), ['conn_a', 'conn_b']);
+});
@@ -1,22 +1,145 @@
 const express = require('express');
 const cors = require('cors');
-const path = require('path');
 
-// Simulación de carga de tu lógica existente
-const signalManager = require('./electron/signal-manager');
-const trayManager = require('./electron/tray-manager');
+// Lógica existente de SAITRAPP (sin dependencias de Electron)
+const Runtime = require('./electron/runtime');
+const AuthManager = require('./electron/auth-manager');
+const EncryptionService = require('./electron/encryption-service');
+const { createSignalRouter } = require('./server/routes/signals');
+const { createBrokerRouter } = require('./server/routes/brokers');
+const { createRoutingRouter } = require('./server/routes/routing');
+const { createWebhookRouter } = require('./server/routes/webhooks');
+const { createEventRouter } = require('./server/routes/events');
+const { EventStream } = require('./server/event-stream');
+const { createAuthRouter } = require('./server/routes/auth');
+const { requireAuth, requireScope } = require('./server/auth-middleware');
+const { createHealthRouter, createDiagnosticsRouter } = require('./server/routes/health');
+const { createMetricsRouter } = require('./server/routes/metrics');
+const { Metrics } = require('./server/metrics');
+const { createOpenApiDocument } = require('./server/openapi');
 
 const app = express();
-app.use(cors());
-app.use(express.json());
+// SAITRAPP_CORS_ORIGINS limita los orígenes permitidos (lista separada por comas)
+const corsOrigins = (process.env.SAITRAPP_CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+app.use(cors(corsOrigins.length > 0 ? { origin: corsOrigins } : {}));
+// Detrás de un proxy (Railway) SAITRAPP_TRUST_PROXY permite usar la IP real del cliente
+if (process.env.SAITRAPP_TRUST_PROXY) {
+  const trustProxy = process.env.SAITRAPP_TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+// Solo la API usa JSON: /hook necesita el cuerpo sin procesar para verificar la firma
+app.use('/api', express.json());
 
 // Ruta de prueba
 app.get('/', (req, res) => {
   res.send('SAITRAPP Backend está activo ✅');
 });
 
-// Puerto dinámico para Railway o local
-const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
-  console.log(`🚀 Backend SAITRAPP activo en el puerto ${PORT}`);
+// Documento OpenAPI de todas las rutas (los esquemas son los que validan las peticiones)
+const openApiDocument = createOpenApiDocument({ serverUrl: process.env.SAITRAPP_PUBLIC_URL });
+app.get('/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
+// Inicializa la base de datos, credenciales y managers
+async function initializeServices() {
+  // Directorio de datos, clave maestra y backend de credenciales desde el entorno
+  const runtime = new Runtime({
+    ...Runtime.optionsFromEnv(process.env),
+    // Las fuentes webhook se sirven desde este mismo servidor en /hook/:sourceId
+    webhookIngress: { baseUrl: process.env.SAITRAPP_PUBLIC_URL || '' }
+  });
+  const initialized = await runtime.initialize();
+  if (!initialized) {
+    throw new Error(`Could not initialize SAITRAPP runtime in ${runtime.dataDir}`);
+  }
+
+  // Usuarios, sesiones y API keys del backend
+  const authManager = new AuthManager(runtime.dbManager, new EncryptionService(runtime.masterKey), {
+    sessionTtl: parseInt(process.env.SAITRAPP_SESSION_TTL_HOURS, 10) * 60 * 60 * 1000 || undefined
+  });
+  const authInitialized = await authManager.initialize();
+  if (!authInitialized) {
+    throw new Error('Could not initialize auth manager');
+  }
+
+  return {
+    runtime,
+    dbManager: runtime.dbManager,
+    brokerManager: runtime.brokerManager,
+    signalManager: runtime.signalManager,
+    externalSignalManager: runtime.externalSignalManager,
+    tradeCopier: runtime.tradeCopier,
+    reconciliation: runtime.reconciliation,
+    authManager
+  };
+}
+
+async function start() {
+  const services = await initializeServices();
+
+  // Sondas públicas de vida y disponibilidad
+  app.use(createHealthRouter(services.runtime));
+
+  // Login, configuración inicial y API keys
+  // SAITRAPP_SETUP_TOKEN protege la creación del primer usuario; sin él solo se acepta desde la propia máquina
+  app.use('/api/auth', createAuthRouter(services.authManager, { setupToken: process.env.SAITRAPP_SETUP_TOKEN }));
+
+  // El resto de la API necesita un token de sesión o una API key
+  const authenticated = requireAuth(services.authManager);
+
+  // API REST de señales
+  app.use('/api/signals', authenticated, requireScope('signals'), createSignalRouter(services.signalManager));
+
+  // Reglas de enrutamiento: qué conexiones reciben cada señal y con qué tamaño
+  app.use('/api/routing', authenticated, requireScope('signals'), createRoutingRouter(services.tradeCopier));
+
+  // API REST de conexiones de brokers
+  app.use('/api/brokers', authenticated, requireScope('brokers'), createBrokerRouter(services.brokerManager, services.reconciliation));
+
+  // Entrada única para los webhooks de señales externas (autenticados por firma HMAC)
+  app.use('/hook', createWebhookRouter(services.externalSignalManager));
+
+  // Eventos en vivo (SSE): señales, ticks, órdenes, cuentas y señales externas
+  const eventStream = new EventStream();
+  eventStream.attach({
+    signalManager: services.signalManager,
+    brokerAdapter: services.brokerManager.brokerAdapter,
+    externalSignalManager: services.externalSignalManager,
+    tradeCopier: services.tradeCopier,
+    reconciliation: services.reconciliation
+  });
+  // EventSource no puede enviar cabeceras: solo aquí se acepta ?access_token=
+  app.use('/api/events', requireAuth(services.authManager, { allowQueryToken: true }), requireScope('events'), createEventRouter(eventStream));
+
+  // Estado detallado de todos los subsistemas
+  app.use('/api/diagnostics', authenticated, requireScope('system'), createDiagnosticsRouter(services.runtime));
+
+  // Métricas Prometheus (el scraper usa una API key con system:read)
+  const metrics = new Metrics();
+  metrics.attach(services.runtime);
+  app.use('/metrics', authenticated, requireScope('system'), createMetricsRouter(metrics));
+
+  // Puerto dinámico para Railway o local
+  const PORT = process.env.PORT || 5000;
+  const server = app.listen(PORT, () => {
+    console.log(`🚀 Backend SAITRAPP activo en el puerto ${PORT}`);
+  });
+
+  // Cierre ordenado (Railway envía SIGTERM)
+  const shutdown = async () => {
+    eventStream.close();
+    metrics.close();
+    server.close();
+    await services.runtime.shutdown();
+    process.exit(0);
+  };
+
+  process.once('SIGTERM', shutdown);
+  process.once('SIGINT', shutdown);
+}
+
+start().catch(error => {
+  console.error('Failed to start SAITRAPP backend:', error);
+  process.exit(1);
 });
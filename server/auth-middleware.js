@@ -0,0 +1,78 @@
+// server/auth-middleware.js
+const { sendError } = require('./http-errors');
+const { createError } = require('../electron/errors');
+
+/**
+ * Read the credential from the request
+ * Accepts "Authorization: Bearer <token>", "X-API-Key: <key>" and, where allowed, an
+ * access_token query parameter
+ * @param {express.Request} req - Express request
+ * @param {boolean} allowQueryToken - Whether to read the access_token query parameter
+ * @returns {string|null} Credential or null
+ */
+function getCredential(req, allowQueryToken) {
+  const authorization = req.get('authorization') || '';
+  if (authorization.toLowerCase().startsWith('bearer ')) {
+    return authorization.substring(7).trim();
+  }
+
+  if (req.get('x-api-key')) {
+    return req.get('x-api-key');
+  }
+
+  return allowQueryToken && typeof req.query.access_token === 'string' ? req.query.access_token : null;
+}
+
+/**
+ * Build middleware that rejects requests without a valid session token or API key
+ * The resolved identity is stored on req.auth
+ * @param {AuthManager} authManager - Auth manager instance
+ * @param {Object} options - Middleware options
+ * @param {boolean} [options.allowQueryToken] - Also accept ?access_token=; only for EventSource
+ *   streams, which cannot set headers. URLs end up in proxy logs and browser history.
+ * @returns {Function} Express middleware
+ */
+function requireAuth(authManager, { allowQueryToken = false } = {}) {
+  return async (req, res, next) => {
+    const credential = getCredential(req, allowQueryToken);
+    if (!credential) {
+      return sendError(res, createError('AUTH_REQUIRED', 'Authentication required'), 'Authentication failed');
+    }
+
+    try {
+      const identity = await authManager.authenticate(credential);
+      if (!identity) {
+        return sendError(res, createError('AUTH_INVALID', 'Invalid or expired credentials'), 'Authentication failed');
+      }
+
+      req.auth = identity;
+      next();
+    } catch (error) {
+      sendError(res, error, 'Failed to authenticate request');
+    }
+  };
+}
+
+/**
+ * Build middleware that checks the "<resource>:read" or "<resource>:write" scope,
+ * picked from the HTTP method
+ * @param {string} resource - Resource name (signals, brokers, events)
+ * @returns {Function} Express middleware
+ */
+function requireScope(resource) {
+  return (req, res, next) => {
+    const access = ['GET', 'HEAD', 'OPTIONS'].includes(req.method) ? 'read' : 'write';
+    const scope = `${resource}:${access}`;
+
+    if (!req.auth || !req.auth.scopes.includes(scope)) {
+      return sendError(res, createError('AUTH_FORBIDDEN', `Missing scope: ${scope}`), 'Authorization failed');
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  requireAuth,
+  requireScope
+};
@@ -0,0 +1,136 @@
+// server/diagnostics.js
+const ExternalSignalAdapter = require('../electron/external-signal-adapter');
+
+// Provider states that mean a signal source is receiving signals
+const HEALTHY_PROVIDER_STATES = ['connected', 'listening'];
+
+/**
+ * Check whether the runtime can serve requests
+ * @param {Runtime} runtime - Initialized runtime
+ * @returns {Promise<Object>} { ready, checks } where each check is true or an error message
+ */
+async function checkReadiness(runtime) {
+  const checks = {
+    runtime: runtime.isInitialized ? true : 'Runtime not initialized',
+    database: true
+  };
+
+  try {
+    await runtime.dbManager.executeSelect('SELECT 1');
+  } catch (error) {
+    checks.database = error.message;
+  }
+
+  return {
+    ready: Object.values(checks).every(check => check === true),
+    checks
+  };
+}
+
+/**
+ * Collect the status of every subsystem for the diagnostics endpoint
+ * @param {Runtime} runtime - Initialized runtime
+ * @returns {Promise<Object>} Diagnostics report; status is 'ok' or 'degraded'
+ */
+async function collectDiagnostics(runtime) {
+  const [database, signalSources] = await Promise.all([
+    getDatabaseStatus(runtime.dbManager),
+    getSignalSourceStatus(runtime.externalSignalManager)
+  ]);
+
+  const brokerConnections = runtime.brokerManager.brokerAdapter.getActiveConnections();
+  const fxify = getFxifyStatus(runtime.fxifyModeManager);
+
+  const problems = [];
+  if (!database.ok) {
+    problems.push('database');
+  }
+  brokerConnections.filter(connection => !connection.connected).forEach(connection => {
+    problems.push(`broker:${connection.id}`);
+  });
+  signalSources.filter(source => !source.healthy).forEach(source => {
+    problems.push(`signal-source:${source.id}`);
+  });
+
+  return {
+    status: problems.length === 0 ? 'ok' : 'degraded',
+    problems,
+    startedAt: runtime.startedAt ? runtime.startedAt.toISOString() : null,
+    uptime: process.uptime(),
+    memory: process.memoryUsage(),
+    database,
+    brokers: {
+      connections: brokerConnections
+    },
+    signals: {
+      activeCacheSize: runtime.signalManager.activeSignals.size
+    },
+    signalSources,
+    fxify
+  };
+}
+
+/**
+ * Run PRAGMA integrity_check on the database
+ * @param {DatabaseManager} dbManager - Database manager
+ * @returns {Promise<Object>} Database status
+ */
+async function getDatabaseStatus(dbManager) {
+  try {
+    const { ok, integrityResult } = await dbManager.checkIntegrity();
+    return {
+      ok,
+      path: dbManager.dbPath,
+      integrityCheck: integrityResult.map(row => row.integrity_check)
+    };
+  } catch (error) {
+    return { ok: false, path: dbManager.dbPath, error: error.message };
+  }
+}
+
+/**
+ * Report the provider status of every active external signal source
+ * Active sources without a running adapter are reported as disconnected
+ * @param {ExternalSignalManager} externalSignalManager - External signal manager
+ * @returns {Promise<Array<Object>>} Signal source statuses
+ */
+async function getSignalSourceStatus(externalSignalManager) {
+  const sources = await externalSignalManager.getSignalSources();
+
+  return sources
+    .filter(source => source.is_active)
+    .map(source => {
+      const status = ExternalSignalAdapter.getProviderStatus(externalSignalManager.adapters.get(source.id));
+      return {
+        id: source.id,
+        name: source.name,
+        type: source.source_type,
+        healthy: HEALTHY_PROVIDER_STATES.includes(status.status),
+        ...status
+      };
+    });
+}
+
+/**
+ * Report FXIFY mode and trading calendar status
+ * @param {FXIFYModeManager} fxifyModeManager - FXIFY mode manager (may be missing)
+ * @returns {Object} FXIFY status
+ */
+function getFxifyStatus(fxifyModeManager) {
+  if (!fxifyModeManager) {
+    return { available: false };
+  }
+
+  const tradingCalendar = fxifyModeManager.rulesEngine.tradingCalendar;
+
+  return {
+    available: true,
+    ...fxifyModeManager.getCurrentStatus(),
+    tradingCalendar: tradingCalendar ? tradingCalendar.getStatus() : null
+  };
+}
+
+module.exports = {
+  checkReadiness,
+  collectDiagnostics
+};
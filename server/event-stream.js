@@ -0,0 +1,215 @@
+// server/event-stream.js
+
+/**
+ * Topics a client can subscribe to
+ * Subscribing to a bare topic ("ticks") receives it for every connection or source,
+ * "ticks:<connectionId>" or "raw-signals:<sourceId>" narrows it to one
+ */
+const TOPICS = ['signals', 'ticks', 'positions', 'orders', 'fills', 'account', 'connections', 'raw-signals'];
+
+// Interval for SSE comment lines that keep proxies from closing idle streams
+const HEARTBEAT_INTERVAL = 15000;
+
+// Topics whose events a slow client can miss: the next one supersedes them
+const DROPPABLE_TOPICS = ['ticks'];
+
+// A client with more than this many bytes waiting in its socket buffer is disconnected
+const MAX_BUFFERED_BYTES = 4 * 1024 * 1024;
+
+/**
+ * EventStream pushes manager events to Server-Sent Events clients
+ * Each event is published under a topic and an optional key (connection, source or signal ID)
+ *
+ * A client that reads slower than events arrive is not buffered for without limit: while its
+ * socket is backed up, ticks and heartbeats are skipped, and once more than MAX_BUFFERED_BYTES
+ * are waiting the stream is closed. EventSource clients reconnect on their own.
+ */
+class EventStream {
+  constructor() {
+    this.clients = new Set();
+    this.nextEventId = 1;
+    this.listeners = [];
+    this.heartbeat = null;
+  }
+
+  /**
+   * Start forwarding events from the core managers
+   * @param {Object} services - Services to listen to
+   * @param {SignalManager} services.signalManager - Signal manager
+   * @param {BrokerAdapter} services.brokerAdapter - Broker adapter
+   * @param {ExternalSignalManager} services.externalSignalManager - External signal manager
+   * @param {TradeCopier} services.tradeCopier - Trade copier
+   * @param {ReconciliationService} services.reconciliation - Trade reconciliation
+   */
+  attach({ signalManager, brokerAdapter, externalSignalManager, tradeCopier, reconciliation }) {
+    if (signalManager) {
+      this._listen(signalManager, 'signal-added', signal => this.publish('signals', signal.id, 'signal-added', signal));
+      this._listen(signalManager, 'signal-updated', data => this.publish('signals', data.signalId, 'signal-updated', data));
+      this._listen(signalManager, 'signal-deleted', data => this.publish('signals', data.signalId, 'signal-deleted', data));
+    }
+
+    if (brokerAdapter) {
+      this._listen(brokerAdapter, 'tick', data => this.publish('ticks', data.connectionId, 'tick', data));
+      this._listen(brokerAdapter, 'position', data => this.publish('positions', data.connectionId, 'position', data));
+      this._listen(brokerAdapter, 'order', data => this.publish('orders', data.connectionId, 'order', data));
+      this._listen(brokerAdapter, 'fill', data => this.publish('fills', data.connectionId, 'fill', data));
+      this._listen(brokerAdapter, 'account', data => this.publish('account', data.connectionId, 'account', data));
+
+      ['connection:connected', 'connection:disconnected', 'connection:error', 'connection:state', 'connection:reconnecting'].forEach(eventName => {
+        this._listen(brokerAdapter, eventName, data => {
+          const payload = { ...data };
+          if (payload.error) {
+            payload.error = payload.error.message || String(payload.error);
+          }
+          this.publish('connections', data.connectionId, eventName, payload);
+        });
+      });
+    }
+
+    if (tradeCopier) {
+      this._listen(tradeCopier, 'signal-routed', data => this.publish('signals', data.signalId, 'signal-routed', data));
+    }
+
+    if (reconciliation) {
+      this._listen(reconciliation, 'reconciled', report => this.publish('connections', report.connectionId, 'reconciled', report));
+      this._listen(reconciliation, 'signal-orphaned', data => this.publish('signals', data.signalId, 'signal-orphaned', data));
+    }
+
+    if (externalSignalManager) {
+      this._listen(externalSignalManager, 'raw-signal-received', data => {
+        this.publish('raw-signals', data.sourceId, 'raw-signal-received', data);
+      });
+      this._listen(externalSignalManager, 'raw-signal-duplicate', data => {
+        this.publish('raw-signals', data.sourceId, 'raw-signal-duplicate', data);
+      });
+    }
+
+    if (!this.heartbeat) {
+      this.heartbeat = setInterval(() => this._write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+      this.heartbeat.unref();
+    }
+  }
+
+  /**
+   * Validate a list of topic subscriptions
+   * @param {string[]} topics - Requested topics ("ticks" or "ticks:<connectionId>")
+   * @returns {string[]} Topics that are not supported
+   */
+  static findUnknownTopics(topics) {
+    return topics.filter(topic => !TOPICS.includes(topic.split(':')[0]));
+  }
+
+  /**
+   * Register an SSE client and send the stream headers
+   * @param {express.Response} res - Response kept open for the stream
+   * @param {string[]} topics - Topics the client subscribed to
+   * @returns {Function} Function that removes the client
+   */
+  subscribe(res, topics) {
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: 3000\n\n`);
+
+    // blocked: the last write filled the socket buffer and 'drain' has not fired yet
+    const client = { res, topics: new Set(topics), blocked: false, dropped: 0 };
+    this.clients.add(client);
+
+    return () => this.clients.delete(client);
+  }
+
+  /**
+   * Push an event to every client subscribed to its topic
+   * @param {string} topic - Event topic
+   * @param {string} key - Connection, source or signal ID the event belongs to
+   * @param {string} eventName - Event name sent as the SSE "event" field
+   * @param {Object} data - Event payload
+   */
+  publish(topic, key, eventName, data) {
+    if (this.clients.size === 0) {
+      return;
+    }
+
+    const message = `id: ${this.nextEventId++}\nevent: ${eventName}\ndata: ${JSON.stringify({ topic, key, data })}\n\n`;
+
+    this.clients.forEach(client => {
+      if (client.topics.has(topic) || (key && client.topics.has(`${topic}:${key}`))) {
+        this._send(client, message, DROPPABLE_TOPICS.includes(topic));
+      }
+    });
+  }
+
+  /**
+   * Stop forwarding events and end every open stream
+   */
+  close() {
+    this.listeners.forEach(({ emitter, eventName, listener }) => emitter.off(eventName, listener));
+    this.listeners = [];
+
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+
+    this.clients.forEach(client => client.res.end());
+    this.clients.clear();
+  }
+
+  /**
+   * Add a listener and remember it so close() can remove it
+   * @private
+   * @param {EventEmitter} emitter - Event source
+   * @param {string} eventName - Event name
+   * @param {Function} listener - Listener
+   */
+  _listen(emitter, eventName, listener) {
+    emitter.on(eventName, listener);
+    this.listeners.push({ emitter, eventName, listener });
+  }
+
+  /**
+   * Write a raw chunk to every client
+   * @private
+   * @param {string} chunk - SSE chunk
+   */
+  _write(chunk) {
+    this.clients.forEach(client => this._send(client, chunk, true));
+  }
+
+  /**
+   * Write a chunk to one client, respecting its socket buffer
+   * @private
+   * @param {Object} client - Client { res, topics, blocked, dropped }
+   * @param {string} chunk - SSE chunk
+   * @param {boolean} droppable - Whether the chunk may be skipped while the client is backed up
+   */
+  _send(client, chunk, droppable) {
+    if (client.blocked && droppable) {
+      client.dropped++;
+      return;
+    }
+
+    if (client.res.writableLength + Buffer.byteLength(chunk) > MAX_BUFFERED_BYTES) {
+      console.warn(`Closing slow event stream client (${client.res.writableLength} bytes buffered, ${client.dropped} events dropped)`);
+      this.clients.delete(client);
+      client.res.destroy();
+      return;
+    }
+
+    if (!client.res.write(chunk) && !client.blocked) {
+      client.blocked = true;
+      client.res.once('drain', () => {
+        client.blocked = false;
+      });
+    }
+  }
+}
+
+module.exports = {
+  EventStream,
+  TOPICS
+};
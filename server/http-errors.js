@@ -0,0 +1,74 @@
+// server/http-errors.js
+
+/**
+ * HTTP status codes for the error codes raised by the core managers
+ * Errors without a known code are reported as 500
+ */
+const STATUS_BY_CODE = {
+  SIGNAL_INVALID: 400,
+  SIGNAL_INVALID_TRANSITION: 409,
+  SIGNAL_NOT_FOUND: 404,
+  BROKER_UNSUPPORTED: 400,
+  BROKER_CONNECTION_INVALID: 400,
+  BROKER_METHOD_UNSUPPORTED: 501,
+  CONNECTION_NOT_FOUND: 404,
+  CONNECTION_NOT_ACTIVE: 409,
+  CONNECTION_IN_USE: 409,
+  CONNECTION_CLOSED: 503,
+  COMMAND_TIMEOUT: 504,
+  COMMAND_CANCELLED: 409,
+  AUTH_REQUIRED: 401,
+  AUTH_INVALID: 401,
+  AUTH_FORBIDDEN: 403,
+  AUTH_RATE_LIMITED: 429,
+  AUTH_INVALID_INPUT: 400,
+  AUTH_USER_EXISTS: 409,
+  AUTH_SETUP_COMPLETE: 409,
+  API_KEY_NOT_FOUND: 404,
+  VALIDATION_FAILED: 400,
+  ORDER_INVALID: 400,
+  ORDER_REJECTED: 422,
+  ORDER_NOT_FOUND: 404,
+  POSITION_NOT_FOUND: 404,
+  ROUTE_NOT_FOUND: 404,
+  SIGNAL_NOT_ROUTED: 409,
+  SIGNAL_ROUTING_IN_PROGRESS: 409,
+  SIGNAL_ALREADY_ROUTED: 409
+};
+
+/**
+ * Send an error response using the { success, error } envelope shared with the IPC handlers
+ * @param {express.Response} res - Express response
+ * @param {Error} error - Error to report
+ * @param {string} context - Short description used when logging server errors
+ */
+function sendError(res, error, context) {
+  const status = error.status || STATUS_BY_CODE[error.code] || 500;
+
+  if (status >= 500) {
+    console.error(`${context}:`, error);
+  }
+
+  const body = {
+    success: false,
+    error: error.message,
+    code: error.code
+  };
+
+  // Schema validation failures list every offending field
+  if (error.details) {
+    body.details = error.details;
+  }
+
+  // Rate-limited requests say when to retry
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+
+  res.status(status).json(body);
+}
+
+module.exports = {
+  STATUS_BY_CODE,
+  sendError
+};
@@ -0,0 +1,232 @@
+// server/metrics.js
+const client = require('prom-client');
+const { CONNECTION_STATES } = require('../electron/connection-supervisor');
+const { PRIORITIES } = require('../electron/command-scheduler');
+
+// Command round-trips range from a local ping to a slow order fill
+const COMMAND_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Metrics exposes Prometheus counters and histograms fed by manager events
+ * Each instance owns its registry, so several runtimes (or tests) never share series
+ */
+class Metrics {
+  constructor() {
+    this.registry = new client.Registry();
+    this.listeners = [];
+    this.runtime = null;
+
+    client.collectDefaultMetrics({ register: this.registry, prefix: 'saitrapp_' });
+
+    this.signalsAdded = new client.Counter({
+      name: 'saitrapp_signals_added_total',
+      help: 'Trading signals added to the signal manager',
+      labelNames: ['strategy'],
+      registers: [this.registry]
+    });
+
+    this.signalTransitions = new client.Counter({
+      name: 'saitrapp_signal_status_transitions_total',
+      help: 'Signal status changes',
+      labelNames: ['from', 'to'],
+      registers: [this.registry]
+    });
+
+    this.rawSignalsReceived = new client.Counter({
+      name: 'saitrapp_external_signals_received_total',
+      help: 'Raw signals received from external sources, by processing result',
+      labelNames: ['source', 'result'],
+      registers: [this.registry]
+    });
+
+    this.rawSignalsRateLimited = new client.Counter({
+      name: 'saitrapp_external_signals_rate_limited_total',
+      help: 'Raw signals rejected by the per-source or per-address rate limit',
+      labelNames: ['source', 'scope'],
+      registers: [this.registry]
+    });
+
+    this.templateParses = new client.Counter({
+      name: 'saitrapp_signal_template_parses_total',
+      help: 'Signal template parse attempts',
+      labelNames: ['source', 'template', 'result'],
+      registers: [this.registry]
+    });
+
+    this.brokerCommandDuration = new client.Histogram({
+      name: 'saitrapp_broker_command_duration_seconds',
+      help: 'Round-trip time of commands sent to broker bridges',
+      labelNames: ['broker', 'command', 'result'],
+      buckets: COMMAND_DURATION_BUCKETS,
+      registers: [this.registry]
+    });
+
+    this.brokerReconnects = new client.Counter({
+      name: 'saitrapp_broker_reconnect_attempts_total',
+      help: 'Reconnect attempts scheduled by the connection supervisor',
+      labelNames: ['broker', 'connection'],
+      registers: [this.registry]
+    });
+
+    this.brokerErrors = new client.Counter({
+      name: 'saitrapp_broker_connection_errors_total',
+      help: 'connection:error events raised by the broker adapter',
+      labelNames: ['broker', 'connection'],
+      registers: [this.registry]
+    });
+
+    this.reconciliationDiscrepancies = new client.Counter({
+      name: 'saitrapp_reconciliation_discrepancies_total',
+      help: 'Differences between broker state and trade records found by reconciliation',
+      labelNames: ['connection', 'type'],
+      registers: [this.registry]
+    });
+
+    // Gauges read the current state when Prometheus scrapes
+    const metrics = this;
+
+    new client.Gauge({
+      name: 'saitrapp_broker_connections',
+      help: 'Broker connections held by the broker adapter, by state',
+      labelNames: ['state'],
+      registers: [this.registry],
+      collect() {
+        const connections = metrics.runtime ? metrics.runtime.brokerManager.brokerAdapter.getActiveConnections() : [];
+        CONNECTION_STATES.forEach(state => {
+          this.set({ state }, connections.filter(connection => connection.state === state).length);
+        });
+      }
+    });
+
+    new client.Gauge({
+      name: 'saitrapp_broker_command_queue_depth',
+      help: 'Commands waiting in the bridge command schedulers, by priority (in_flight: written, not answered)',
+      labelNames: ['connection', 'priority'],
+      registers: [this.registry],
+      collect() {
+        this.reset();
+        const connections = metrics.runtime ? metrics.runtime.brokerManager.brokerAdapter.getActiveConnections() : [];
+        connections.filter(connection => connection.commandQueue).forEach(({ id, commandQueue }) => {
+          PRIORITIES.forEach(priority => {
+            this.set({ connection: id, priority }, commandQueue.byPriority[priority]);
+          });
+          this.set({ connection: id, priority: 'in_flight' }, commandQueue.inFlight);
+        });
+      }
+    });
+
+    new client.Gauge({
+      name: 'saitrapp_active_signals',
+      help: 'Signals held in the signal manager active cache',
+      registers: [this.registry],
+      collect() {
+        this.set(metrics.runtime ? metrics.runtime.signalManager.activeSignals.size : 0);
+      }
+    });
+  }
+
+  /**
+   * Start recording events from the runtime managers
+   * @param {Runtime} runtime - Initialized runtime
+   */
+  attach(runtime) {
+    this.runtime = runtime;
+    const { signalManager, externalSignalManager } = runtime;
+    const brokerAdapter = runtime.brokerManager.brokerAdapter;
+
+    this._listen(signalManager, 'signal-added', signal => {
+      this.signalsAdded.inc({ strategy: signal.strategy || 'unknown' });
+    });
+
+    this._listen(signalManager, 'signal-updated', data => {
+      this.signalTransitions.inc({ from: data.previousStatus, to: data.newStatus });
+    });
+
+    this._listen(externalSignalManager, 'raw-signal-received', data => {
+      const result = data.result && data.result.success ? 'processed' : 'unprocessed';
+      this.rawSignalsReceived.inc({ source: data.sourceId, result });
+    });
+
+    this._listen(externalSignalManager, 'raw-signal-duplicate', data => {
+      this.rawSignalsReceived.inc({ source: data.sourceId, result: 'duplicate' });
+    });
+
+    this._listen(externalSignalManager, 'raw-signal-rate-limited', data => {
+      this.rawSignalsRateLimited.inc({ source: data.sourceId, scope: data.scope });
+    });
+
+    this._listen(externalSignalManager, 'template-parsed', data => {
+      this.templateParses.inc({
+        source: data.sourceId,
+        template: data.templateId,
+        result: data.success ? 'success' : 'failure'
+      });
+    });
+
+    this._listen(brokerAdapter, 'connection:command', data => {
+      this.brokerCommandDuration.observe(
+        { broker: data.brokerType, command: data.command, result: data.success ? 'success' : 'failure' },
+        data.duration / 1000
+      );
+    });
+
+    this._listen(brokerAdapter, 'connection:reconnecting', data => {
+      this.brokerReconnects.inc({ broker: data.brokerType, connection: data.connectionId });
+    });
+
+    this._listen(brokerAdapter, 'connection:error', data => {
+      const connection = brokerAdapter.activeConnections.get(data.connectionId);
+      this.brokerErrors.inc({
+        broker: connection ? connection.type : 'unknown',
+        connection: data.connectionId
+      });
+    });
+
+    this._listen(runtime.reconciliation, 'reconciled', report => {
+      report.discrepancies.forEach(discrepancy => {
+        this.reconciliationDiscrepancies.inc({ connection: report.connectionId, type: discrepancy.type });
+      });
+    });
+  }
+
+  /**
+   * Render every metric in the Prometheus text format
+   * @returns {Promise<string>} Exposition text
+   */
+  async render() {
+    return this.registry.metrics();
+  }
+
+  /**
+   * Content type of the exposition text
+   * @returns {string} Content type header value
+   */
+  get contentType() {
+    return this.registry.contentType;
+  }
+
+  /**
+   * Stop recording events
+   */
+  close() {
+    this.listeners.forEach(({ emitter, eventName, listener }) => emitter.off(eventName, listener));
+    this.listeners = [];
+    this.runtime = null;
+  }
+
+  /**
+   * Add a listener and remember it so close() can remove it
+   * @private
+   * @param {EventEmitter} emitter - Event source
+   * @param {string} eventName - Event name
+   * @param {Function} listener - Listener
+   */
+  _listen(emitter, eventName, listener) {
+    emitter.on(eventName, listener);
+    this.listeners.push({ emitter, eventName, listener });
+  }
+}
+
+module.exports = {
+  Metrics
+};
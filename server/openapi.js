@@ -0,0 +1,571 @@
+// server/openapi.js
+const { schemas, ref } = require('../electron/schemas');
+const { TIMEFRAMES } = require('../electron/history-store');
+const { TOPICS } = require('./event-stream');
+const packageInfo = require('../package.json');
+
+/**
+ * Wrap a data schema in the { success, data } envelope used by every JSON route
+ * @param {Object} dataSchema - Schema of the data field
+ * @returns {Object} Envelope schema
+ */
+function envelope(dataSchema) {
+  const properties = { success: { const: true } };
+  if (dataSchema) {
+    properties.data = dataSchema;
+  }
+
+  return { type: 'object', required: ['success'], properties };
+}
+
+/**
+ * JSON request body referencing a shared schema
+ * @param {string} name - Schema name
+ * @returns {Object} Request body object
+ */
+function jsonBody(name) {
+  return {
+    required: true,
+    content: { 'application/json': { schema: ref(name) } }
+  };
+}
+
+/**
+ * JSON response in the success envelope
+ * @param {string} description - Response description
+ * @param {Object} dataSchema - Schema of the data field (omit for { success: true })
+ * @returns {Object} Response object
+ */
+function ok(description, dataSchema) {
+  return {
+    description,
+    content: { 'application/json': { schema: envelope(dataSchema) } }
+  };
+}
+
+/**
+ * Error responses for the given status codes
+ * @param {...number} statuses - HTTP status codes
+ * @returns {Object} Responses keyed by status code
+ */
+function errors(...statuses) {
+  const descriptions = {
+    400: 'Invalid request',
+    401: 'Missing or invalid credentials',
+    403: 'Credential lacks the required scope',
+    404: 'Resource not found',
+    409: 'Conflicts with the current state',
+    429: 'Rate limit exceeded',
+    500: 'Internal error',
+    501: 'Not supported by the broker',
+    502: 'Broker rejected the request',
+    503: 'Service degraded'
+  };
+
+  const responses = {};
+  statuses.forEach(status => {
+    responses[status] = {
+      description: descriptions[status],
+      content: { 'application/json': { schema: ref('ErrorResponse') } }
+    };
+  });
+  return responses;
+}
+
+const list = name => ({ type: 'array', items: ref(name) });
+const object = { type: 'object' };
+
+const signalId = { name: 'signalId', in: 'path', required: true, schema: { type: 'string' } };
+const connectionId = { name: 'connectionId', in: 'path', required: true, schema: { type: 'string' } };
+
+/**
+ * Build the OpenAPI document describing every route served by server.js
+ * Component schemas are the ones used to validate requests and IPC payloads
+ * @param {Object} options - Document options
+ * @param {string} options.serverUrl - Public URL of the backend, if known
+ * @returns {Object} OpenAPI 3.1 document
+ */
+function createOpenApiDocument({ serverUrl } = {}) {
+  const secured = [{ bearerAuth: [] }, { apiKeyAuth: [] }];
+
+  const signalFilters = ['symbol', 'status', 'strategy', 'dateFrom', 'dateTo']
+    .map(name => ({ name, in: 'query', schema: { type: 'string' } }))
+    .concat(['minReliability', 'limit'].map(name => ({ name, in: 'query', schema: { type: 'integer' } })));
+
+  const paths = {
+    '/health': {
+      get: {
+        tags: ['system'],
+        summary: 'Liveness probe',
+        security: [],
+        responses: { 200: ok('Process is running', object) }
+      }
+    },
+    '/ready': {
+      get: {
+        tags: ['system'],
+        summary: 'Readiness probe',
+        security: [],
+        responses: {
+          200: ok('Database and managers are ready', object),
+          503: { description: 'Not ready', content: { 'application/json': { schema: object } } }
+        }
+      }
+    },
+    '/openapi.json': {
+      get: {
+        tags: ['system'],
+        summary: 'This document',
+        security: [],
+        responses: { 200: { description: 'OpenAPI document', content: { 'application/json': { schema: object } } } }
+      }
+    },
+    '/metrics': {
+      get: {
+        tags: ['system'],
+        summary: 'Prometheus metrics (scope system:read)',
+        responses: {
+          200: { description: 'Prometheus exposition text', content: { 'text/plain': { schema: { type: 'string' } } } },
+          ...errors(401, 403)
+        }
+      }
+    },
+    '/api/diagnostics': {
+      get: {
+        tags: ['system'],
+        summary: 'Detailed subsystem report (scope system:read)',
+        responses: { 200: ok('Every subsystem is healthy', object), 503: ok('Report is degraded', object), ...errors(401, 403) }
+      }
+    },
+
+    '/api/auth/status': {
+      get: {
+        tags: ['auth'],
+        summary: 'Whether the first user still has to be created',
+        security: [],
+        responses: {
+          200: ok('Auth status', { type: 'object', properties: { setupRequired: { type: 'boolean' } } })
+        }
+      }
+    },
+    '/api/auth/setup': {
+      post: {
+        tags: ['auth'],
+        summary: 'Create the first user and open a session',
+        description: 'Requires the X-Setup-Token header when SAITRAPP_SETUP_TOKEN is set; otherwise only direct requests from the server machine are accepted.',
+        security: [],
+        parameters: [{ name: 'X-Setup-Token', in: 'header', schema: { type: 'string' } }],
+        requestBody: jsonBody('Credentials'),
+        responses: { 201: ok('User created', ref('Session')), ...errors(400, 403, 409) }
+      }
+    },
+    '/api/auth/login': {
+      post: {
+        tags: ['auth'],
+        summary: 'Open a session',
+        description: 'Failed attempts are limited per username and per client address; over the limit the request is refused with a Retry-After header.',
+        security: [],
+        requestBody: jsonBody('Credentials'),
+        responses: { 200: ok('Session opened', ref('Session')), ...errors(400, 401, 429) }
+      }
+    },
+    '/api/auth/logout': {
+      post: {
+        tags: ['auth'],
+        summary: 'Close the current session',
+        responses: { 200: ok('Session closed'), ...errors(401, 403) }
+      }
+    },
+    '/api/auth/me': {
+      get: {
+        tags: ['auth'],
+        summary: 'Identity behind the credential',
+        responses: { 200: ok('Current identity', object), ...errors(401) }
+      }
+    },
+    '/api/auth/api-keys': {
+      get: {
+        tags: ['auth'],
+        summary: 'List API keys (session only)',
+        responses: { 200: ok('API keys', { type: 'array', items: object }), ...errors(401, 403) }
+      },
+      post: {
+        tags: ['auth'],
+        summary: 'Create an API key (session only)',
+        requestBody: jsonBody('ApiKeyInput'),
+        responses: { 201: ok('API key created', ref('ApiKeyCreated')), ...errors(400, 401, 403) }
+      }
+    },
+    '/api/auth/api-keys/{keyId}': {
+      delete: {
+        tags: ['auth'],
+        summary: 'Revoke an API key (session only)',
+        parameters: [{ name: 'keyId', in: 'path', required: true, schema: { type: 'string' } }],
+        responses: { 200: ok('API key revoked'), ...errors(401, 403, 404) }
+      }
+    },
+
+    '/api/signals': {
+      get: {
+        tags: ['signals'],
+        summary: 'List recent signals',
+        parameters: signalFilters,
+        responses: { 200: ok('Signals', list('SignalRecord')), ...errors(401, 403) }
+      },
+      post: {
+        tags: ['signals'],
+        summary: 'Add a signal',
+        requestBody: jsonBody('SignalInput'),
+        responses: { 201: ok('Signal added', ref('Signal')), ...errors(400, 401, 403) }
+      }
+    },
+    '/api/signals/stats': {
+      get: {
+        tags: ['signals'],
+        summary: 'Performance statistics by strategy',
+        responses: { 200: ok('Statistics', { type: 'array', items: object }), ...errors(401, 403) }
+      }
+    },
+    '/api/signals/{signalId}': {
+      get: {
+        tags: ['signals'],
+        summary: 'Get a signal',
+        parameters: [signalId],
+        responses: { 200: ok('Signal', ref('SignalRecord')), ...errors(401, 403, 404) }
+      },
+      delete: {
+        tags: ['signals'],
+        summary: 'Delete a signal',
+        parameters: [signalId],
+        responses: { 200: ok('Signal deleted'), ...errors(401, 403, 404) }
+      }
+    },
+    '/api/signals/{signalId}/status': {
+      patch: {
+        tags: ['signals'],
+        summary: 'Move a signal to a new status',
+        parameters: [signalId],
+        requestBody: jsonBody('SignalStatusUpdate'),
+        responses: { 200: ok('Status changed', ref('SignalStatusResult')), ...errors(400, 401, 403, 404, 409) }
+      }
+    },
+
+    '/api/brokers/supported': {
+      get: {
+        tags: ['brokers'],
+        summary: 'Supported broker types',
+        description: 'Declared by the broker implementations: required credentials, settings schema (with defaults) and capabilities.',
+        responses: { 200: ok('Broker types', list('SupportedBroker')), ...errors(401, 403) }
+      }
+    },
+    '/api/brokers/status': {
+      get: {
+        tags: ['brokers'],
+        summary: 'Status of the active connections',
+        description: 'Connections marked active are reconnected at startup. connectionStatus is the supervised state: disconnected, connecting, connected, degraded (heartbeats missed), reconnecting or failed, with the cause in statusReason.',
+        responses: { 200: ok('Connection statuses', { type: 'array', items: object }), ...errors(401, 403) }
+      }
+    },
+    '/api/brokers/connections': {
+      get: {
+        tags: ['brokers'],
+        summary: 'List broker connections',
+        responses: { 200: ok('Connections', list('BrokerConnectionSummary')), ...errors(401, 403) }
+      },
+      post: {
+        tags: ['brokers'],
+        summary: 'Add a broker connection',
+        requestBody: jsonBody('BrokerConnectionInput'),
+        responses: { 201: ok('Connection added', ref('BrokerConnectionCreated')), ...errors(400, 401, 403) }
+      }
+    },
+    '/api/brokers/connections/{connectionId}': {
+      get: {
+        tags: ['brokers'],
+        summary: 'Get a broker connection',
+        parameters: [connectionId],
+        responses: { 200: ok('Connection', ref('BrokerConnection')), ...errors(401, 403, 404) }
+      },
+      patch: {
+        tags: ['brokers'],
+        summary: 'Update a broker connection',
+        description: 'Credentials and settings can only change while the connection is disconnected (or has given up reconnecting); the next connect uses them. ' +
+          'additionalParams is merged into the stored settings: keys left out are kept, null removes a key and a masked secret sent back unchanged keeps the stored value.',
+        parameters: [connectionId],
+        requestBody: jsonBody('BrokerConnectionUpdate'),
+        responses: { 200: ok('Connection updated', ref('BrokerConnection')), ...errors(400, 401, 403, 404, 409) }
+      },
+      delete: {
+        tags: ['brokers'],
+        summary: 'Delete a broker connection',
+        parameters: [connectionId],
+        responses: { 200: ok('Connection deleted'), ...errors(401, 403, 404) }
+      }
+    }
+  };
+
+  [
+    ['test', 'Test a broker connection', 502],
+    ['connect', 'Open a live session for a connection', 502],
+    ['disconnect', 'Close the live session of a connection']
+  ].forEach(([action, summary, failureStatus]) => {
+    const responses = { 200: { description: 'Result', content: { 'application/json': { schema: object } } }, ...errors(401, 403, 404) };
+    if (failureStatus) {
+      responses[failureStatus] = { description: 'Broker rejected the request', content: { 'application/json': { schema: object } } };
+    }
+
+    paths[`/api/brokers/connections/{connectionId}/${action}`] = {
+      post: { tags: ['brokers'], summary, parameters: [connectionId], responses }
+    };
+  });
+
+  ['account', 'positions', 'orders'].forEach(resource => {
+    paths[`/api/brokers/connections/{connectionId}/${resource}`] = {
+      get: {
+        tags: ['brokers'],
+        summary: `Read ${resource} from the live session`,
+        parameters: [connectionId],
+        responses: { 200: ok(`Broker ${resource}`, {}), ...errors(401, 403, 409, 501) }
+      }
+    };
+  });
+
+  const orderId = { name: 'orderId', in: 'path', required: true, schema: { type: 'string' } };
+
+  paths['/api/brokers/connections/{connectionId}/orders'].post = {
+    tags: ['brokers'],
+    summary: 'Place an order with the canonical order model',
+    parameters: [connectionId],
+    requestBody: jsonBody('OrderInput'),
+    responses: { 201: ok('Order accepted by the broker', ref('OrderResult')), ...errors(400, 401, 403, 404, 409, 501) }
+  };
+  paths['/api/brokers/connections/{connectionId}/orders/{orderId}'] = {
+    patch: {
+      tags: ['brokers'],
+      summary: 'Change the price or protective levels of an order',
+      parameters: [connectionId, orderId],
+      requestBody: jsonBody('OrderModification'),
+      responses: { 200: ok('Order modified', ref('OrderResult')), ...errors(400, 401, 403, 404, 409, 501) }
+    },
+    delete: {
+      tags: ['brokers'],
+      summary: 'Cancel a pending order',
+      parameters: [connectionId, orderId],
+      responses: { 200: ok('Order cancelled', ref('OrderResult')), ...errors(401, 403, 404, 409, 501) }
+    }
+  };
+  paths['/api/brokers/connections/{connectionId}/positions/{positionId}/close'] = {
+    post: {
+      tags: ['brokers'],
+      summary: 'Close a position, fully or partially',
+      parameters: [connectionId, { name: 'positionId', in: 'path', required: true, schema: { type: 'string' } }],
+      requestBody: { content: { 'application/json': { schema: ref('PositionClose') } } },
+      responses: { 200: ok('Position closed', ref('OrderResult')), ...errors(400, 401, 403, 404, 409, 501) }
+    }
+  };
+
+  const symbol = { name: 'symbol', in: 'path', required: true, schema: { type: 'string' } };
+  paths['/api/brokers/connections/{connectionId}/symbols'] = {
+    get: {
+      tags: ['brokers'],
+      summary: 'Symbol map of a connection',
+      description: 'SAITRAPP symbols mapped to broker symbols by the user, and those detected in the broker symbol list (suffixed names such as EURUSD.r or EURUSDm).',
+      parameters: [connectionId],
+      responses: { 200: ok('Symbol map', ref('SymbolMap')), ...errors(401, 403, 404) }
+    }
+  };
+  paths['/api/brokers/connections/{connectionId}/symbols/{symbol}'] = {
+    put: {
+      tags: ['brokers'],
+      summary: 'Map a SAITRAPP symbol to a broker symbol',
+      parameters: [connectionId, symbol],
+      requestBody: jsonBody('SymbolMappingInput'),
+      responses: { 200: ok('Mapping saved', object), ...errors(400, 401, 403, 404) }
+    },
+    delete: {
+      tags: ['brokers'],
+      summary: 'Remove a symbol mapping; the symbol is detected again on next use',
+      parameters: [connectionId, symbol],
+      responses: { 200: ok('Mapping removed'), ...errors(401, 403, 404) }
+    }
+  };
+  paths['/api/brokers/connections/{connectionId}/reconciliation'] = {
+    get: {
+      tags: ['brokers'],
+      summary: 'Last reconciliation of a connection',
+      description: 'Reconciliation runs after every (re)connect and on a timer. It compares the broker positions and working orders with trading_history, imports trades opened outside SAITRAPP, closes the ones the broker no longer holds and marks active signals with no open trade as orphaned. Every discrepancy is also written to the system log.',
+      parameters: [connectionId],
+      responses: { 200: ok('Reconciliation report', ref('ReconciliationReport')), ...errors(401, 403, 404) }
+    },
+    post: {
+      tags: ['brokers'],
+      summary: 'Reconcile a connection now',
+      parameters: [connectionId],
+      responses: { 200: ok('Reconciliation report', ref('ReconciliationReport')), ...errors(401, 403, 404, 409) }
+    }
+  };
+  paths['/api/brokers/connections/{connectionId}/instruments/{symbol}'] = {
+    get: {
+      tags: ['brokers'],
+      summary: 'Instrument specification on a connection',
+      description: 'Digits, pip size, contract size, volume limits, stop level and currencies as reported by the broker. Inactive connections and brokers that cannot describe the instrument return the default spec (source "default").',
+      parameters: [connectionId, symbol],
+      responses: { 200: ok('Instrument spec', ref('InstrumentSpec')), ...errors(401, 403, 404) }
+    }
+  };
+  paths['/api/brokers/connections/{connectionId}/history/{symbol}'] = {
+    get: {
+      tags: ['brokers'],
+      summary: 'OHLC bars of a symbol, oldest first',
+      description: 'Bars are kept in a local store. On an active connection that serves historical data, the parts of the range never downloaded are fetched first; ' +
+        'offline=true, or an inactive connection, answers from the store alone. Without from, the last limit bars up to to are returned. Times are UTC.',
+      parameters: [
+        connectionId,
+        symbol,
+        { name: 'timeframe', in: 'query', required: true, schema: { type: 'string', enum: Object.keys(TIMEFRAMES) } },
+        { name: 'from', in: 'query', schema: { type: 'string' }, description: 'First bar open time (ISO 8601)' },
+        { name: 'to', in: 'query', schema: { type: 'string' }, description: 'Last bar open time (ISO 8601, default now)' },
+        { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, default: 1000 } },
+        { name: 'offline', in: 'query', schema: { type: 'boolean' } }
+      ],
+      responses: { 200: ok('Bars', list('PriceBar')), ...errors(400, 401, 403, 404) }
+    }
+  };
+  paths['/api/signals/{signalId}/execute'] = {
+    post: {
+      tags: ['signals'],
+      summary: 'Trade a signal on a broker connection',
+      parameters: [signalId],
+      requestBody: jsonBody('SignalExecution'),
+      responses: { 200: ok('Order placed for the signal', ref('SignalExecutionResult')), ...errors(400, 401, 403, 404, 409, 501) }
+    }
+  };
+
+  const routeId = { name: 'routeId', in: 'path', required: true, schema: { type: 'string' } };
+  paths['/api/routing/routes'] = {
+    get: {
+      tags: ['routing'],
+      summary: 'List signal routing rules, highest priority first',
+      responses: { 200: ok('Routing rules', list('SignalRoute')), ...errors(401, 403) }
+    },
+    post: {
+      tags: ['routing'],
+      summary: 'Add a routing rule',
+      description: 'Selects signals by strategy, source, symbol or tag and sizes the order of each target connection. ' +
+        'Rules with autoExecute route matching signals as soon as they are added.',
+      requestBody: jsonBody('SignalRouteInput'),
+      responses: { 201: ok('Routing rule created', ref('SignalRoute')), ...errors(400, 401, 403, 404) }
+    }
+  };
+  paths['/api/routing/routes/{routeId}'] = {
+    get: {
+      tags: ['routing'],
+      summary: 'Get a routing rule',
+      parameters: [routeId],
+      responses: { 200: ok('Routing rule', ref('SignalRoute')), ...errors(401, 403, 404) }
+    },
+    patch: {
+      tags: ['routing'],
+      summary: 'Update a routing rule',
+      parameters: [routeId],
+      requestBody: jsonBody('SignalRouteUpdate'),
+      responses: { 200: ok('Routing rule updated', ref('SignalRoute')), ...errors(400, 401, 403, 404) }
+    },
+    delete: {
+      tags: ['routing'],
+      summary: 'Delete a routing rule',
+      parameters: [routeId],
+      responses: { 200: ok('Routing rule deleted'), ...errors(401, 403, 404) }
+    }
+  };
+  paths['/api/routing/signals/{signalId}'] = {
+    post: {
+      tags: ['routing'],
+      summary: 'Place a signal on every target connection of the matching rules',
+      description: 'A connection targeted by several rules trades once, with the highest priority rule. ' +
+        'Failed targets are reported per connection and do not undo the others. Connections that already hold an order ' +
+        'for the signal are skipped, so routing again retries only the failed targets; 409 when none is left or the signal is being routed.',
+      parameters: [signalId],
+      requestBody: { content: { 'application/json': { schema: ref('SignalRouting') } } },
+      responses: { 200: ok('Orders placed for the signal', ref('SignalRoutingResult')), ...errors(400, 401, 403, 404, 409) }
+    }
+  };
+  paths['/api/routing/signals/{signalId}/orders'] = {
+    get: {
+      tags: ['routing'],
+      summary: 'Orders placed for a signal, one per target connection',
+      parameters: [signalId],
+      responses: { 200: ok('Routed orders', list('SignalOrder')), ...errors(401, 403) }
+    }
+  };
+
+  paths['/api/events'] = {
+    get: {
+      tags: ['events'],
+      summary: 'Server-Sent Events stream',
+      description: 'Topics can be narrowed to one connection or source with "<topic>:<id>". ' +
+        'EventSource clients may pass the credential as access_token. Broker topics carry the canonical ' +
+        'TickEvent, PositionEvent, OrderEvent, FillEvent and AccountSnapshot schemas.',
+      parameters: [
+        { name: 'topics', in: 'query', required: true, schema: { type: 'string' }, description: `Comma-separated topics: ${TOPICS.join(', ')}` },
+        { name: 'access_token', in: 'query', schema: { type: 'string' } }
+      ],
+      responses: {
+        200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+        ...errors(400, 401, 403)
+      }
+    }
+  };
+  paths['/api/events/topics'] = {
+    get: {
+      tags: ['events'],
+      summary: 'Supported event topics',
+      responses: { 200: ok('Topics', { type: 'array', items: { type: 'string', enum: TOPICS } }), ...errors(401, 403) }
+    }
+  };
+
+  paths['/hook/{sourceId}'] = {
+    post: {
+      tags: ['webhooks'],
+      summary: 'Deliver a signal to a webhook source',
+      description: 'Authenticated by the source secret: x-webhook-signature is the HMAC-SHA256 of the raw body. ' +
+        'Retries carrying the same Idempotency-Key are acknowledged without being processed again.',
+      security: [],
+      parameters: [
+        { name: 'sourceId', in: 'path', required: true, schema: { type: 'string' } },
+        { name: 'x-webhook-signature', in: 'header', schema: { type: 'string' } },
+        { name: 'Idempotency-Key', in: 'header', schema: { type: 'string' } }
+      ],
+      requestBody: { required: true, content: { '*/*': { schema: { type: 'string' } } } },
+      responses: {
+        200: ok('Signal accepted or recognised as a duplicate'),
+        400: { description: 'Signal could not be processed', content: { 'application/json': { schema: object } } },
+        401: { description: 'Missing or invalid signature', content: { 'text/plain': { schema: { type: 'string' } } } },
+        404: { description: 'Unknown webhook source', content: { 'application/json': { schema: object } } },
+        429: { description: 'Rate limit exceeded', content: { 'application/json': { schema: object } } }
+      }
+    }
+  };
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'SAITRAPP Backend API',
+      version: packageInfo.version
+    },
+    servers: serverUrl ? [{ url: serverUrl }] : [],
+    security: secured,
+    paths,
+    components: {
+      schemas,
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'Session token or API key' },
+        apiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      }
+    }
+  };
+}
+
+module.exports = {
+  createOpenApiDocument
+};
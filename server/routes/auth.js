@@ -0,0 +1,155 @@
+// server/routes/auth.js
+const crypto = require('crypto');
+const express = require('express');
+const { sendError } = require('../http-errors');
+const { requireAuth } = require('../auth-middleware');
+const { validateBody, validateResponse } = require('../validation');
+const { createError } = require('../../electron/errors');
+
+// Addresses of requests made from the machine the server runs on
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+/**
+ * Build the /api/auth router: first-user setup, login/logout and API key management
+ * @param {AuthManager} authManager - Auth manager instance
+ * @param {Object} options - Router options
+ * @param {string} [options.setupToken] - Secret required to create the first user; without it,
+ *   setup is only accepted from the local machine
+ * @returns {express.Router} Configured router
+ */
+function createAuthRouter(authManager, { setupToken } = {}) {
+  const router = express.Router();
+  const authenticated = requireAuth(authManager);
+
+  // Whoever creates the first user owns the server, so setup must prove access to the host
+  const setupAllowed = (req, res, next) => {
+    const allowed = setupToken
+      ? matchesSecret(req.get('x-setup-token'), setupToken)
+      : isDirectLocalRequest(req);
+
+    if (!allowed) {
+      const message = setupToken
+        ? 'Setup requires the X-Setup-Token header'
+        : 'Setup is only accepted from the local machine unless SAITRAPP_SETUP_TOKEN is set';
+      return sendError(res, createError('AUTH_FORBIDDEN', message), 'Authorization failed');
+    }
+    next();
+  };
+
+  // API keys cannot be used to log out or to manage other keys
+  const sessionOnly = (req, res, next) => {
+    if (req.auth.type !== 'session') {
+      return sendError(res, createError('AUTH_FORBIDDEN', 'This action requires a user session'), 'Authorization failed');
+    }
+    next();
+  };
+
+  router.get('/status', async (req, res) => {
+    try {
+      const setupRequired = await authManager.isSetupRequired();
+      res.json({ success: true, data: { setupRequired } });
+    } catch (error) {
+      sendError(res, error, 'Failed to get auth status');
+    }
+  });
+
+  // Creates the first user and logs it in; disabled once a user exists
+  router.post('/setup', setupAllowed, validateBody('Credentials'), validateResponse('Session'), async (req, res) => {
+    const { username, password } = req.body;
+
+    try {
+      await authManager.createInitialUser(username, password);
+      const session = await authManager.login(username, password, req.ip);
+      res.status(201).json({ success: true, data: session });
+    } catch (error) {
+      sendError(res, error, 'Failed to create initial user');
+    }
+  });
+
+  router.post('/login', validateBody('Credentials'), validateResponse('Session'), async (req, res) => {
+    const { username, password } = req.body;
+
+    try {
+      const session = await authManager.login(username, password, req.ip);
+      res.json({ success: true, data: session });
+    } catch (error) {
+      sendError(res, error, 'Failed to log in');
+    }
+  });
+
+  router.post('/logout', authenticated, sessionOnly, async (req, res) => {
+    try {
+      await authManager.logout(req.auth.id);
+      res.json({ success: true });
+    } catch (error) {
+      sendError(res, error, 'Failed to log out');
+    }
+  });
+
+  router.get('/me', authenticated, (req, res) => {
+    const { type, userId, username, scopes } = req.auth;
+    res.json({ success: true, data: { type, userId, username, scopes } });
+  });
+
+  router.get('/api-keys', authenticated, sessionOnly, async (req, res) => {
+    try {
+      const keys = await authManager.getApiKeys(req.auth.userId);
+      res.json({ success: true, data: keys });
+    } catch (error) {
+      sendError(res, error, 'Failed to get API keys');
+    }
+  });
+
+  router.post('/api-keys', authenticated, sessionOnly, validateBody('ApiKeyInput'), validateResponse('ApiKeyCreated'), async (req, res) => {
+    const { name, scopes, expiresAt } = req.body;
+
+    try {
+      const key = await authManager.createApiKey(req.auth.userId, name, scopes, { expiresAt });
+      res.status(201).json({ success: true, data: key });
+    } catch (error) {
+      sendError(res, error, 'Failed to create API key');
+    }
+  });
+
+  router.delete('/api-keys/:keyId', authenticated, sessionOnly, async (req, res) => {
+    try {
+      await authManager.revokeApiKey(req.auth.userId, req.params.keyId);
+      res.json({ success: true });
+    } catch (error) {
+      sendError(res, error, `Failed to revoke API key ${req.params.keyId}`);
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Compare a presented secret with the expected one in constant time
+ * @param {string|undefined} given - Presented secret
+ * @param {string} expected - Expected secret
+ * @returns {boolean} True if they match
+ */
+function matchesSecret(given, expected) {
+  if (typeof given !== 'string') {
+    return false;
+  }
+
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+/**
+ * Check that a request comes straight from the local machine
+ * Requests relayed by a proxy arrive over loopback too, so forwarding headers disqualify them
+ * @param {express.Request} req - Express request
+ * @returns {boolean} True for direct loopback requests
+ */
+function isDirectLocalRequest(req) {
+  return LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress) &&
+    !req.get('x-forwarded-for') &&
+    !req.get('forwarded');
+}
+
+module.exports = {
+  createAuthRouter
+};
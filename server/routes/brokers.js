@@ -0,0 +1,322 @@
+// server/routes/brokers.js
+const express = require('express');
+const { sendError } = require('../http-errors');
+const { validateBody, validateResponse } = require('../validation');
+const { maskConnectionParams } = require('../../electron/broker-registry');
+
+/**
+ * Build the /api/brokers router on top of a BrokerManager instance
+ * @param {BrokerManager} brokerManager - Broker manager instance
+ * @param {ReconciliationService} reconciliation - Trade reconciliation of the connections
+ * @returns {express.Router} Configured router
+ */
+function createBrokerRouter(brokerManager, reconciliation) {
+  const router = express.Router();
+  const brokerAdapter = brokerManager.brokerAdapter;
+
+  router.get('/supported', validateResponse('SupportedBroker', { array: true }), (req, res) => {
+    res.json({ success: true, data: brokerManager.getSupportedBrokers() });
+  });
+
+  router.get('/status', async (req, res) => {
+    try {
+      const statuses = await brokerManager.getActiveConnectionStatus();
+      res.json({ success: true, data: statuses });
+    } catch (error) {
+      sendError(res, error, 'Failed to get active connection status');
+    }
+  });
+
+  router.get('/connections', validateResponse('BrokerConnectionSummary', { array: true }), async (req, res) => {
+    try {
+      const connections = await brokerManager.getBrokerConnections();
+      res.json({ success: true, data: connections });
+    } catch (error) {
+      sendError(res, error, 'Failed to get broker connections');
+    }
+  });
+
+  router.post('/connections', validateBody('BrokerConnectionInput'), validateResponse('BrokerConnectionCreated'), async (req, res) => {
+    const params = req.body;
+
+    try {
+      const result = await brokerManager.addBrokerConnection(
+        params.name,
+        params.brokerType,
+        params.apiKey,
+        params.apiSecret,
+        params.additionalParams
+      );
+      res.status(201).json({ success: true, data: result });
+    } catch (error) {
+      sendError(res, error, 'Failed to add broker connection');
+    }
+  });
+
+  router.get('/connections/:connectionId', validateResponse('BrokerConnection'), async (req, res) => {
+    try {
+      const connection = await brokerManager.getBrokerConnection(req.params.connectionId);
+      res.json({ success: true, data: toPublicConnection(connection, brokerAdapter) });
+    } catch (error) {
+      sendError(res, error, `Failed to get broker connection ${req.params.connectionId}`);
+    }
+  });
+
+  router.patch('/connections/:connectionId', validateBody('BrokerConnectionUpdate'), validateResponse('BrokerConnection'), async (req, res) => {
+    try {
+      const connection = await brokerManager.updateBrokerConnection(req.params.connectionId, req.body);
+      res.json({ success: true, data: toPublicConnection(connection, brokerAdapter) });
+    } catch (error) {
+      sendError(res, error, `Failed to update broker connection ${req.params.connectionId}`);
+    }
+  });
+
+  router.delete('/connections/:connectionId', async (req, res) => {
+    try {
+      await brokerManager.deleteBrokerConnection(req.params.connectionId);
+      res.json({ success: true });
+    } catch (error) {
+      sendError(res, error, `Failed to delete broker connection ${req.params.connectionId}`);
+    }
+  });
+
+  router.post('/connections/:connectionId/test', async (req, res) => {
+    const result = await brokerManager.testBrokerConnection(req.params.connectionId);
+    res.status(result.success ? 200 : 502).json(result);
+  });
+
+  router.post('/connections/:connectionId/connect', async (req, res) => {
+    try {
+      const result = await brokerManager.connectBrokerConnection(req.params.connectionId);
+      res.status(result.success ? 200 : 502).json(result);
+    } catch (error) {
+      sendError(res, error, `Failed to connect broker connection ${req.params.connectionId}`);
+    }
+  });
+
+  router.post('/connections/:connectionId/disconnect', async (req, res) => {
+    try {
+      const result = await brokerManager.disconnectBrokerConnection(req.params.connectionId);
+      res.json(result);
+    } catch (error) {
+      sendError(res, error, `Failed to disconnect broker connection ${req.params.connectionId}`);
+    }
+  });
+
+  // Account state is read through BrokerAdapter.executeMethod on the live session
+  const accountReads = {
+    account: 'getAccountInfo',
+    positions: 'getPositions',
+    orders: 'getOrders'
+  };
+
+  Object.entries(accountReads).forEach(([resource, method]) => {
+    router.get(`/connections/:connectionId/${resource}`, async (req, res) => {
+      const { connectionId } = req.params;
+
+      if (!brokerAdapter.isConnectionActive(connectionId)) {
+        return res.status(409).json({
+          success: false,
+          error: `Connection not active: ${connectionId}`,
+          code: 'CONNECTION_NOT_ACTIVE'
+        });
+      }
+
+      try {
+        const data = await brokerAdapter.executeMethod(connectionId, method);
+        res.json({ success: true, data });
+      } catch (error) {
+        sendError(res, error, `Failed to get ${resource} for ${connectionId}`);
+      }
+    });
+  });
+
+  // Orders use the canonical order model; BrokerAdapter translates them per broker
+  router.post('/connections/:connectionId/orders', validateBody('OrderInput'), validateResponse('OrderResult'), async (req, res) => {
+    try {
+      const result = await brokerAdapter.placeOrder(req.params.connectionId, req.body);
+      res.status(201).json({ success: true, data: result });
+    } catch (error) {
+      sendError(res, error, `Failed to place order on ${req.params.connectionId}`);
+    }
+  });
+
+  router.patch('/connections/:connectionId/orders/:orderId', validateBody('OrderModification'), validateResponse('OrderResult'), async (req, res) => {
+    const { connectionId, orderId } = req.params;
+
+    try {
+      const result = await brokerAdapter.modifyOrder(connectionId, orderId, req.body);
+      res.json({ success: true, data: result });
+    } catch (error) {
+      sendError(res, error, `Failed to modify order ${orderId} on ${connectionId}`);
+    }
+  });
+
+  router.delete('/connections/:connectionId/orders/:orderId', validateResponse('OrderResult'), async (req, res) => {
+    const { connectionId, orderId } = req.params;
+
+    try {
+      const result = await brokerAdapter.cancelOrder(connectionId, orderId);
+      res.json({ success: true, data: result });
+    } catch (error) {
+      sendError(res, error, `Failed to cancel order ${orderId} on ${connectionId}`);
+    }
+  });
+
+  router.post('/connections/:connectionId/positions/:positionId/close', validateBody('PositionClose'), validateResponse('OrderResult'), async (req, res) => {
+    const { connectionId, positionId } = req.params;
+
+    try {
+      const result = await brokerAdapter.closePosition(connectionId, positionId, req.body.volume);
+      res.json({ success: true, data: result });
+    } catch (error) {
+      sendError(res, error, `Failed to close position ${positionId} on ${connectionId}`);
+    }
+  });
+
+  // Symbols are SAITRAPP symbols (EURUSD); the map says what each one is called on the connection
+  router.get('/connections/:connectionId/symbols', validateResponse('SymbolMap'), async (req, res) => {
+    const { connectionId } = req.params;
+
+    try {
+      await brokerManager.getBrokerConnection(connectionId);
+      res.json({ success: true, data: brokerManager.instruments.getSymbolMap(connectionId) });
+    } catch (error) {
+      sendError(res, error, `Failed to get symbol map of ${connectionId}`);
+    }
+  });
+
+  router.put('/connections/:connectionId/symbols/:symbol', validateBody('SymbolMappingInput'), async (req, res) => {
+    const { connectionId, symbol } = req.params;
+
+    try {
+      await brokerManager.getBrokerConnection(connectionId);
+      const mapping = await brokerManager.instruments.setSymbolMapping(connectionId, symbol, req.body.brokerSymbol);
+      res.json({ success: true, data: mapping });
+    } catch (error) {
+      sendError(res, error, `Failed to map ${symbol} on ${connectionId}`);
+    }
+  });
+
+  router.delete('/connections/:connectionId/symbols/:symbol', async (req, res) => {
+    const { connectionId, symbol } = req.params;
+
+    try {
+      const removed = await brokerManager.instruments.removeSymbolMapping(connectionId, symbol);
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          error: `No symbol mapping for ${symbol} on ${connectionId}`,
+          code: 'SYMBOL_MAPPING_NOT_FOUND'
+        });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      sendError(res, error, `Failed to remove symbol mapping ${symbol} on ${connectionId}`);
+    }
+  });
+
+  router.get('/connections/:connectionId/instruments/:symbol', validateResponse('InstrumentSpec'), async (req, res) => {
+    const { connectionId, symbol } = req.params;
+
+    try {
+      await brokerManager.getBrokerConnection(connectionId);
+      const spec = await brokerManager.instruments.getInstrumentSpec(connectionId, symbol);
+      res.json({ success: true, data: spec });
+    } catch (error) {
+      sendError(res, error, `Failed to get instrument ${symbol} on ${connectionId}`);
+    }
+  });
+
+  // Bars come from the local store; missing ranges are downloaded first unless offline=true or the connection is down
+  router.get('/connections/:connectionId/history/:symbol', validateResponse('PriceBar', { array: true }), async (req, res) => {
+    const { connectionId, symbol } = req.params;
+
+    try {
+      await brokerManager.getBrokerConnection(connectionId);
+      const bars = await brokerManager.history.getBars(connectionId, symbol, req.query.timeframe, parseHistoryQuery(req.query));
+      res.json({ success: true, data: bars });
+    } catch (error) {
+      sendError(res, error, `Failed to get price history of ${symbol} on ${connectionId}`);
+    }
+  });
+
+  // Reconciliation runs after every (re)connect and on a timer; POST runs it now
+  router.get('/connections/:connectionId/reconciliation', validateResponse('ReconciliationReport'), async (req, res) => {
+    const { connectionId } = req.params;
+
+    try {
+      await brokerManager.getBrokerConnection(connectionId);
+      const report = reconciliation.getLastReport(connectionId);
+      if (!report) {
+        return res.status(404).json({
+          success: false,
+          error: `Connection ${connectionId} has not been reconciled yet`,
+          code: 'RECONCILIATION_NOT_FOUND'
+        });
+      }
+      res.json({ success: true, data: report });
+    } catch (error) {
+      sendError(res, error, `Failed to get reconciliation report of ${connectionId}`);
+    }
+  });
+
+  router.post('/connections/:connectionId/reconciliation', validateResponse('ReconciliationReport'), async (req, res) => {
+    const { connectionId } = req.params;
+
+    try {
+      await brokerManager.getBrokerConnection(connectionId);
+      const report = await reconciliation.reconcile(connectionId);
+      res.json({ success: true, data: report });
+    } catch (error) {
+      sendError(res, error, `Failed to reconcile ${connectionId}`);
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Strip credentials from a connection returned by getBrokerConnection
+ * @param {Object} connection - Connection details (with credentials)
+ * @param {BrokerAdapter} brokerAdapter - Broker adapter used to report the live state
+ * @returns {Object} Connection safe to send to clients
+ */
+function toPublicConnection(connection, brokerAdapter) {
+  const { apiKey, apiSecret, additionalParams, ...rest } = connection;
+
+  return {
+    ...rest,
+    hasCredentials: Boolean(apiKey || apiSecret),
+    additionalParams: maskConnectionParams(additionalParams),
+    connected: brokerAdapter.isConnectionActive(connection.id)
+  };
+}
+
+/**
+ * Read the range options of a price history request
+ * @param {Object} query - Request query (from, to, limit, offline)
+ * @returns {Object} Options for HistoryStore.getBars
+ */
+function parseHistoryQuery(query) {
+  const options = {};
+
+  ['from', 'to'].forEach(key => {
+    if (typeof query[key] === 'string' && query[key]) {
+      options[key] = query[key];
+    }
+  });
+
+  const limit = parseInt(query.limit, 10);
+  if (!Number.isNaN(limit)) {
+    options.limit = limit;
+  }
+
+  options.offline = query.offline === 'true' || query.offline === '1';
+
+  return options;
+}
+
+module.exports = {
+  createBrokerRouter
+};
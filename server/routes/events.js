@@ -0,0 +1,42 @@
+// server/routes/events.js
+const express = require('express');
+const { EventStream, TOPICS } = require('../event-stream');
+
+/**
+ * Build the /api/events router that streams live events over Server-Sent Events
+ * Clients pick topics with ?topics=signals,ticks:<connectionId>,raw-signals:<sourceId>
+ * @param {EventStream} eventStream - Event stream fed by the core managers
+ * @returns {express.Router} Configured router
+ */
+function createEventRouter(eventStream) {
+  const router = express.Router();
+
+  router.get('/topics', (req, res) => {
+    res.json({ success: true, data: TOPICS });
+  });
+
+  router.get('/', (req, res) => {
+    const topics = String(req.query.topics || '')
+      .split(',')
+      .map(topic => topic.trim())
+      .filter(Boolean);
+
+    if (topics.length === 0) {
+      return res.status(400).json({ success: false, error: 'At least one topic is required' });
+    }
+
+    const unknownTopics = EventStream.findUnknownTopics(topics);
+    if (unknownTopics.length > 0) {
+      return res.status(400).json({ success: false, error: `Unknown topics: ${unknownTopics.join(', ')}` });
+    }
+
+    const unsubscribe = eventStream.subscribe(res, topics);
+    req.on('close', unsubscribe);
+  });
+
+  return router;
+}
+
+module.exports = {
+  createEventRouter
+};
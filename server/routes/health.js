@@ -0,0 +1,50 @@
+// server/routes/health.js
+const express = require('express');
+const { sendError } = require('../http-errors');
+const { checkReadiness, collectDiagnostics } = require('../diagnostics');
+
+/**
+ * Build the public liveness (/health) and readiness (/ready) probes
+ * @param {Runtime} runtime - Runtime instance
+ * @returns {express.Router} Configured router
+ */
+function createHealthRouter(runtime) {
+  const router = express.Router();
+
+  router.get('/health', (req, res) => {
+    res.json({ success: true, data: { status: 'ok', uptime: process.uptime() } });
+  });
+
+  router.get('/ready', async (req, res) => {
+    const readiness = await checkReadiness(runtime);
+    res.status(readiness.ready ? 200 : 503).json({ success: readiness.ready, data: readiness });
+  });
+
+  return router;
+}
+
+/**
+ * Build the /api/diagnostics router with the detailed subsystem report
+ * Responds 200 when every subsystem is healthy and 503 when the report is degraded
+ * @param {Runtime} runtime - Runtime instance
+ * @returns {express.Router} Configured router
+ */
+function createDiagnosticsRouter(runtime) {
+  const router = express.Router();
+
+  router.get('/', async (req, res) => {
+    try {
+      const diagnostics = await collectDiagnostics(runtime);
+      res.status(diagnostics.status === 'ok' ? 200 : 503).json({ success: true, data: diagnostics });
+    } catch (error) {
+      sendError(res, error, 'Failed to collect diagnostics');
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createHealthRouter,
+  createDiagnosticsRouter
+};
@@ -0,0 +1,27 @@
+// server/routes/metrics.js
+const express = require('express');
+const { sendError } = require('../http-errors');
+
+/**
+ * Build the /metrics router that serves the Prometheus exposition text
+ * @param {Metrics} metrics - Metrics instance attached to the runtime
+ * @returns {express.Router} Configured router
+ */
+function createMetricsRouter(metrics) {
+  const router = express.Router();
+
+  router.get('/', async (req, res) => {
+    try {
+      res.set('Content-Type', metrics.contentType);
+      res.send(await metrics.render());
+    } catch (error) {
+      sendError(res, error, 'Failed to render metrics');
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createMetricsRouter
+};
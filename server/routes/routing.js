@@ -0,0 +1,78 @@
+// server/routes/routing.js
+const express = require('express');
+const { sendError } = require('../http-errors');
+const { validateBody, validateResponse } = require('../validation');
+
+/**
+ * Build the /api/routing router on top of a TradeCopier instance
+ * Routing rules decide which broker connections receive a signal and how each order is sized
+ * @param {TradeCopier} tradeCopier - Trade copier instance
+ * @returns {express.Router} Configured router
+ */
+function createRoutingRouter(tradeCopier) {
+  const router = express.Router();
+
+  router.get('/routes', validateResponse('SignalRoute', { array: true }), (req, res) => {
+    res.json({ success: true, data: tradeCopier.getRoutes() });
+  });
+
+  router.post('/routes', validateBody('SignalRouteInput'), validateResponse('SignalRoute'), async (req, res) => {
+    try {
+      const route = await tradeCopier.addRoute(req.body);
+      res.status(201).json({ success: true, data: route });
+    } catch (error) {
+      sendError(res, error, 'Failed to add routing rule');
+    }
+  });
+
+  router.get('/routes/:routeId', validateResponse('SignalRoute'), (req, res) => {
+    try {
+      res.json({ success: true, data: tradeCopier.getRoute(req.params.routeId) });
+    } catch (error) {
+      sendError(res, error, `Failed to get routing rule ${req.params.routeId}`);
+    }
+  });
+
+  router.patch('/routes/:routeId', validateBody('SignalRouteUpdate'), validateResponse('SignalRoute'), async (req, res) => {
+    try {
+      const route = await tradeCopier.updateRoute(req.params.routeId, req.body);
+      res.json({ success: true, data: route });
+    } catch (error) {
+      sendError(res, error, `Failed to update routing rule ${req.params.routeId}`);
+    }
+  });
+
+  router.delete('/routes/:routeId', async (req, res) => {
+    try {
+      await tradeCopier.deleteRoute(req.params.routeId);
+      res.json({ success: true });
+    } catch (error) {
+      sendError(res, error, `Failed to delete routing rule ${req.params.routeId}`);
+    }
+  });
+
+  // Place the signal on every target of the matching rules; each target reports its own result
+  router.post('/signals/:signalId', validateBody('SignalRouting'), validateResponse('SignalRoutingResult'), async (req, res) => {
+    try {
+      const result = await tradeCopier.routeSignal(req.params.signalId, req.body);
+      res.json({ success: true, data: result });
+    } catch (error) {
+      sendError(res, error, `Failed to route signal ${req.params.signalId}`);
+    }
+  });
+
+  router.get('/signals/:signalId/orders', validateResponse('SignalOrder', { array: true }), async (req, res) => {
+    try {
+      const orders = await tradeCopier.getSignalOrders(req.params.signalId);
+      res.json({ success: true, data: orders });
+    } catch (error) {
+      sendError(res, error, `Failed to get orders of signal ${req.params.signalId}`);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createRoutingRouter
+};
@@ -0,0 +1,113 @@
+// server/routes/signals.js
+const express = require('express');
+const { sendError } = require('../http-errors');
+const { validateBody, validateResponse } = require('../validation');
+
+/**
+ * Build the /api/signals router on top of a SignalManager instance
+ * @param {SignalManager} signalManager - Signal manager instance
+ * @returns {express.Router} Configured router
+ */
+function createSignalRouter(signalManager) {
+  const router = express.Router();
+
+  // List signals using the same filters as getRecentSignals
+  router.get('/', validateResponse('SignalRecord', { array: true }), async (req, res) => {
+    try {
+      const signals = await signalManager.getRecentSignals(parseSignalFilters(req.query));
+      res.json({ success: true, data: signals });
+    } catch (error) {
+      sendError(res, error, 'Failed to get recent signals');
+    }
+  });
+
+  router.post('/', validateBody('SignalInput'), validateResponse('Signal'), async (req, res) => {
+    try {
+      const signal = await signalManager.addSignal(req.body);
+      res.status(201).json({ success: true, data: signal });
+    } catch (error) {
+      sendError(res, error, 'Failed to add signal');
+    }
+  });
+
+  // Declared before /:signalId so "stats" is not taken as an ID
+  router.get('/stats', async (req, res) => {
+    try {
+      const stats = await signalManager.getSignalPerformanceStats();
+      res.json({ success: true, data: stats });
+    } catch (error) {
+      sendError(res, error, 'Failed to get signal performance stats');
+    }
+  });
+
+  router.get('/:signalId', validateResponse('SignalRecord'), async (req, res) => {
+    try {
+      const signal = await signalManager.getSignalDetails(req.params.signalId);
+      res.json({ success: true, data: signal });
+    } catch (error) {
+      sendError(res, error, `Failed to get signal ${req.params.signalId}`);
+    }
+  });
+
+  router.patch('/:signalId/status', validateBody('SignalStatusUpdate'), validateResponse('SignalStatusResult'), async (req, res) => {
+    const { status, additionalData } = req.body;
+
+    try {
+      const result = await signalManager.updateSignalStatus(req.params.signalId, status, additionalData || {});
+      res.json({ success: true, data: result });
+    } catch (error) {
+      sendError(res, error, `Failed to update signal ${req.params.signalId}`);
+    }
+  });
+
+  // Trade the signal on a broker connection with the normalized order API
+  router.post('/:signalId/execute', validateBody('SignalExecution'), validateResponse('SignalExecutionResult'), async (req, res) => {
+    const { connectionId, volume, type } = req.body;
+
+    try {
+      const result = await signalManager.executeSignal(req.params.signalId, connectionId, { volume, type });
+      res.json({ success: true, data: result });
+    } catch (error) {
+      sendError(res, error, `Failed to execute signal ${req.params.signalId}`);
+    }
+  });
+
+  router.delete('/:signalId', async (req, res) => {
+    try {
+      await signalManager.deleteSignal(req.params.signalId);
+      res.json({ success: true });
+    } catch (error) {
+      sendError(res, error, `Failed to delete signal ${req.params.signalId}`);
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Pick the supported getRecentSignals filters out of a query string
+ * @param {Object} query - Parsed query string
+ * @returns {Object} Signal filters
+ */
+function parseSignalFilters(query) {
+  const filters = {};
+
+  ['symbol', 'status', 'strategy', 'dateFrom', 'dateTo'].forEach(key => {
+    if (typeof query[key] === 'string' && query[key]) {
+      filters[key] = query[key];
+    }
+  });
+
+  ['minReliability', 'limit'].forEach(key => {
+    const value = parseInt(query[key], 10);
+    if (!Number.isNaN(value)) {
+      filters[key] = value;
+    }
+  });
+
+  return filters;
+}
+
+module.exports = {
+  createSignalRouter
+};
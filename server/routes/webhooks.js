@@ -0,0 +1,50 @@
+// server/routes/webhooks.js
+const express = require('express');
+
+/**
+ * Build the shared /hook router that serves every webhook signal source
+ * Deliveries are verified and parsed by the source's WebhookProvider, so the
+ * per-source secret and x-webhook-signature check behave as on a standalone server
+ * @param {ExternalSignalManager} externalSignalManager - External signal manager instance
+ * @returns {express.Router} Configured router
+ */
+function createWebhookRouter(externalSignalManager) {
+  const router = express.Router();
+
+  // Keep the raw body: the HMAC signature is computed over the exact bytes sent
+  router.use(express.text({ type: () => true, limit: '1mb' }));
+
+  router.options('/:sourceId', (req, res) => {
+    res.set({
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, X-Webhook-Signature, Idempotency-Key'
+    });
+    res.sendStatus(204);
+  });
+
+  router.post('/:sourceId', async (req, res) => {
+    const adapter = externalSignalManager.adapters.get(req.params.sourceId);
+
+    // Only active webhook sources accept deliveries
+    if (!adapter || typeof adapter.handleDelivery !== 'function') {
+      return res.status(404).json({ success: false, error: 'Unknown webhook source' });
+    }
+
+    const body = typeof req.body === 'string' ? req.body : '';
+    const { statusCode, response, headers } = await adapter.handleDelivery(body, req.headers, req.ip);
+
+    res.status(statusCode).set(headers || {});
+    if (typeof response === 'string') {
+      res.send(response);
+    } else {
+      res.json(response);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createWebhookRouter
+};
@@ -0,0 +1,64 @@
+// server/validation.js
+const { sendError } = require('./http-errors');
+const { assertValid, validate } = require('../electron/schema-validator');
+
+/**
+ * Build middleware that rejects request bodies that do not match a shared schema
+ * @param {string} schemaName - Schema name from electron/schemas.js
+ * @returns {Function} Express middleware
+ */
+function validateBody(schemaName) {
+  return (req, res, next) => {
+    // Requests without a JSON body are checked as an empty object
+    if (req.body === undefined) {
+      req.body = {};
+    }
+
+    try {
+      assertValid(schemaName, req.body, 'request body');
+      next();
+    } catch (error) {
+      sendError(res, error, 'Request validation failed');
+    }
+  };
+}
+
+/**
+ * Build middleware that checks the data of successful JSON responses against a shared schema
+ * Only active when SAITRAPP_VALIDATE_RESPONSES is set (development and CI); mismatches are
+ * logged rather than sent to the client so a schema drift never breaks a working route
+ * @param {string} schemaName - Schema name describing the response data
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.array - The data is a list of schemaName items
+ * @returns {Function} Express middleware
+ */
+function validateResponse(schemaName, options = {}) {
+  return (req, res, next) => {
+    if (!process.env.SAITRAPP_VALIDATE_RESPONSES) {
+      return next();
+    }
+
+    const json = res.json.bind(res);
+
+    res.json = body => {
+      if (res.statusCode < 300 && body && body.success) {
+        const items = options.array ? body.data : [body.data];
+        const errors = (Array.isArray(items) ? items : [items])
+          .flatMap(item => validate(schemaName, item).errors);
+
+        if (errors.length > 0) {
+          console.warn(`Response of ${req.method} ${req.originalUrl} does not match ${schemaName}:`, errors);
+        }
+      }
+
+      return json(body);
+    };
+
+    next();
+  };
+}
+
+module.exports = {
+  validateBody,
+  validateResponse
+};